@@ -0,0 +1,111 @@
+/* agnivas.js
+   Barve Guruji AI - Deterministic Agni Vas calculator
+   Rule (Muhurta Chintamani):
+     "सैका तिथिर्वारयुता कृताप्ता शेषे गुणेऽभ्रे भुवि वह्निवासः ।
+      सौख्याय होमे शशियुग्मशेषे प्राणार्थनाशौ दिवि भूतले च ॥"
+   (tithi from Shukla Pratipada + 1 + vara from Ravivar) mod 4:
+     3 or 0 -> Prithvi (Havan allowed), 1 -> Akash (prana hani), 2 -> Patal (artha hani)
+*/
+
+import { computePanchang } from "./panchang.js";
+import { sunTimes, zonedTime } from "./solar.js";
+
+const PLACES = {
+  prithvi: {
+    name: "Prithvi",
+    nameMr: "पृथ्वी",
+    allowed: true,
+    effect: "Sukh (well-being) — Havan gives full fruit",
+    effectMr: "सौख्य — होमाचे पूर्ण फळ",
+  },
+  akash: {
+    name: "Akash (Swarga)",
+    nameMr: "आकाश (स्वर्ग)",
+    allowed: false,
+    effect: "Prana hani (harm to life/health)",
+    effectMr: "प्राणहानी",
+  },
+  patal: {
+    name: "Patal",
+    nameMr: "पाताळ",
+    allowed: false,
+    effect: "Artha hani (loss of wealth)",
+    effectMr: "अर्थहानी",
+  },
+};
+
+/**
+ * Pure rule: tithiIndex 1..30 (Shukla Pratipada = 1, Amavasya = 30), weekday 0..6 (Ravivar = 0).
+ */
+export function computeAgniVas(tithiIndex, weekday) {
+  if (!Number.isInteger(tithiIndex) || tithiIndex < 1 || tithiIndex > 30) {
+    throw new RangeError(`Invalid tithi index: ${tithiIndex}`);
+  }
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    throw new RangeError(`Invalid weekday: ${weekday}`);
+  }
+
+  const varaNumber = weekday + 1; // Ravivar = 1
+  const sum = tithiIndex + 1 + varaNumber;
+  const remainder = sum % 4;
+  const key = remainder === 1 ? "akash" : remainder === 2 ? "patal" : "prithvi";
+
+  return {
+    tithiIndex,
+    varaNumber,
+    sum,
+    remainder,
+    place: key,
+    ...PLACES[key],
+  };
+}
+
+/**
+ * Agni Vas for a local calendar date, using the udaya tithi (tithi prevailing at sunrise).
+ */
+export function agniVasForDate(isoDate, location) {
+  const sunrise = sunTimes(isoDate, location).sunrise || zonedTime(isoDate, "06:00", location.tz);
+  const p = computePanchang(sunrise, location.tz);
+  return {
+    isoDate,
+    sunrise,
+    tithi: p.tithi,
+    vara: p.vara,
+    ...computeAgniVas(p.tithi.index, p.vara.index),
+  };
+}
+
+function addDaysISO(isoDate, days) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * First date after `isoDate` (within maxDays) when Agni is on Prithvi, or null.
+ */
+export function nextPrithviDate(isoDate, location, maxDays = 10) {
+  for (let i = 1; i <= maxDays; i++) {
+    const r = agniVasForDate(addDaysISO(isoDate, i), location);
+    if (r.allowed) return r;
+  }
+  return null;
+}
+
+/**
+ * Prompt block: the verdict is FINAL, Guruji only explains it.
+ */
+export function formatAgniVasBlock(r, next = null) {
+  return [
+    "AGNI VAS VERDICT (computed by rule, FINAL — do NOT recompute or contradict):",
+    `- Date: ${r.isoDate}, ${r.vara.name} (vara number ${r.varaNumber}); udaya tithi: ${r.tithi.paksha} ${r.tithi.name} (tithi number ${r.tithiIndex})`,
+    `- Calculation: ${r.tithiIndex} + 1 + ${r.varaNumber} = ${r.sum}; ${r.sum} mod 4 = ${r.remainder}`,
+    `- Agni is on: ${r.name} (${r.nameMr}) — ${r.effect}`,
+    `- Verdict: Havan/Hom is **${r.allowed ? "ALLOWED" : "NOT ALLOWED"}** on this date.`,
+    "- Note: Agni Vas applies to Kamya/Naimittik homa; Nitya homa and homa prescribed for a festival or Sanskar are not blocked by it.",
+    !r.allowed && next
+      ? `- Next date with Agni on Prithvi: **${next.isoDate}** (${next.vara.name}, ${next.tithi.paksha} ${next.tithi.name})`
+      : null,
+    "- Explain this verdict in your own voice. If not allowed, offer the next Prithvi date (if listed) and a Sattvic Upay.",
+  ].filter(Boolean).join("\n");
+}
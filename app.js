@@ -1,983 +1,4200 @@
-/* app.js
-   Barve Guruji AI - Production-grade client-side Gemini chat (PWA)
-   Key upgrades:
-   - Interpreter stage: rewrites user query with date resolution + intent expansion
-   - Guruji stage: strict persona + Marathi/English enforcement
-   - Marathi fallback translator: if reply comes in English while Marathi mode, auto-translate
-   - IST date grounding + relative-date understanding
-   - Better error handling incl. 429 retryDelay
-*/
-
-const STORAGE = {
-  API_KEY: "bg_api_key",
-  LANGUAGE: "bg_language", // "mr" | "en"
-  SESSIONS: "bg_sessions",
-  ACTIVE_SESSION: "bg_active_session_id",
-};
-
-const DEFAULT_LANGUAGE = "mr";
-const MAX_HISTORY = 18; // increased for better context
-
-// -----------------------------
-// SYSTEM PROMPT (MUST be exact)
-// -----------------------------
-const SYSTEM_PROMPT = `
-Role: You are Barve Guruji (बर्वे गुरुजी), an 85-year-old Vedic Astrologer (Jyotish Ratna) and spiritual guide based in Sadashiv Peth, Pune, Maharashtra.
-
-CORE IDENTITY & MANNERISMS:
-
-Voice: You speak with the authority of a Rishi and the affection of a Grandfather (Ajoba).
-
-Phrasing: Start interactions with "Namaskar Bal" (Child) or "Hari Om". Use Maharashtrian mannerisms.
-
-Language:
-
-Marathi Mode: Use pure, formal "Pramaan" Marathi.
-
-English Mode: Speak English but use Vedic terms (e.g., "Your Grahaman is weak," "Do this Upay").
-
-KNOWLEDGE BASE (STRICT):
-
-Panchang: You strictly follow the Ruikar and Date Panchang methodologies. Always acknowledge the current Tithi/Nakshatra before answering.
-
-Astrology: You use Brihat Parashara Hora Shastra. You calculate Lagna, Rashi, and Shadbala.
-
-Prashna & Tarot: Uniquely, you use Tarot cards as a form of "Prashna Kundali" to clarify doubts when Vedic charts are ambiguous, blending them seamlessly.
-
-INTERACTION PROTOCOL:
-
-Honesty with Empathy:
-
-If a Muhurta or prediction is NEGATIVE (e.g., Mrityu Yoga, Bhadra, Kantaka Shani), say it clearly. Do not lie.
-
-Immediately follow the negative news with a Sattvic Remedy (Upay). Never leave the user in fear.
-
-Example: "No, Bal. Today is Amavasya, not good for Shubha Karya. However, if urgent, perform a Ganpati Havan..."
-
-Remedies: Prescribe Mantras, Stotras (like Ram Raksha), specific Pujas, or Daan (Charity). Do not suggest expensive stones immediately; suggest Karma correction first.
-
-FORMATTING:
-
-Use Bold for Dates, Tithis, and 'Yes/No' verdicts.
-
-Use Bullet points for lists.
-`.trim();
-
-// -----------------------------
-// Model + endpoint strategy
-// -----------------------------
-// You listed available models from your project. Best general choice:
-const GURUJI_MODEL = "gemini-2.5-flash"; // higher quality than lite
-const INTERPRETER_MODEL = "gemini-flash-lite-latest"; // fast + cheap + stable alias
-
-const API_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
-const GURUJI_URL = `${API_BASE}/${encodeURIComponent(GURUJI_MODEL)}:generateContent`;
-const INTERPRETER_URL = `${API_BASE}/${encodeURIComponent(INTERPRETER_MODEL)}:generateContent`;
-
-// -----------------------------
-// DOM helpers
-// -----------------------------
-const $ = (sel) => document.querySelector(sel);
-
-const offlineBanner = $("#offlineBanner");
-const quickActionsDiv = $("#quickActions");
-const chatArea = $("#chatArea");
-const messageInput = $("#messageInput");
-const sendBtn = $("#sendBtn");
-const typingIndicator = $("#typingIndicator");
-
-const settingsPanel = $("#settingsPanel");
-const settingsBtn = $("#settingsBtn");
-const closeSettingsBtn = $("#closeSettings");
-
-const langToggle = $("#langToggle");
-const langLabel = $("#langLabel");
-const settingsLang = $("#settingsLang");
-
-const apiKeyInput = $("#apiKeyInput");
-const saveApiKeyBtn = $("#saveApiKey");
-const forgetApiKeyBtn = $("#forgetApiKey");
-
-const sessionsListDiv = $("#sessionsList");
-const newSessionBtn = $("#newSessionBtn");
-
-const exportCurrentBtn = $("#exportCurrentBtn");
-const exportAllBtn = $("#exportAllBtn");
-const importFileInput = $("#importFileInput");
-
-const inputForm = $("#inputForm");
-
-let sessions = [];
-let activeSessionId = null;
-
-let pendingRetry = null; // {sessionId, lastUserText, retryAtMs}
-
-// -----------------------------
-// Utils
-// -----------------------------
-function nowISO() {
-  return new Date().toISOString();
-}
-
-function safeParseJSON(str, fallback) {
-  try { return JSON.parse(str); } catch { return fallback; }
-}
-
-function showToast(message) {
-  const toast = document.createElement("div");
-  toast.className =
-    "fixed bottom-5 left-1/2 transform -translate-x-1/2 bg-maroon text-cream px-4 py-2 rounded shadow-lg text-sm z-50";
-  toast.textContent = message;
-  document.body.appendChild(toast);
-  setTimeout(() => toast.remove(), 3500);
-}
-
-function showTyping(show) {
-  if (!typingIndicator) return;
-  typingIndicator.classList.toggle("hidden", !show);
-}
-
-function setSendingDisabled(disabled) {
-  if (sendBtn) {
-    sendBtn.disabled = disabled;
-    sendBtn.classList.toggle("opacity-50", disabled);
-    sendBtn.classList.toggle("cursor-not-allowed", disabled);
-  }
-  if (messageInput) messageInput.disabled = disabled;
-}
-
-function maskKey(key) {
-  if (!key) return "";
-  if (key.length <= 4) return "••••";
-  return "••••••••••••••••" + key.slice(-4);
-}
-
-function getApiKey() {
-  return (localStorage.getItem(STORAGE.API_KEY) || "").trim();
-}
-
-function getLanguage() {
-  return localStorage.getItem(STORAGE.LANGUAGE) || DEFAULT_LANGUAGE;
-}
-
-function updateLanguageUI() {
-  const lang = getLanguage();
-  if (langLabel) langLabel.textContent = lang === "mr" ? "मराठी" : "English";
-  if (settingsLang) settingsLang.value = lang;
-}
-
-function escapeHTML(s) {
-  return (s || "")
-    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-}
-
-function renderTextMinimalFormatting(text) {
-  // Minimal safe formatting: **bold** + newlines.
-  return escapeHTML(text)
-    .replace(/\n/g, "<br/>")
-    .replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
-}
-
-// -----------------------------
-// IST date grounding helpers
-// -----------------------------
-function getISTDateParts(date = new Date()) {
-  // Convert to IST by using toLocaleString with Asia/Kolkata then parse
-  const fmt = new Intl.DateTimeFormat("en-GB", {
-    timeZone: "Asia/Kolkata",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  });
-  const parts = fmt.formatToParts(date);
-  const dd = parts.find(p => p.type === "day")?.value || "01";
-  const mm = parts.find(p => p.type === "month")?.value || "01";
-  const yyyy = parts.find(p => p.type === "year")?.value || "1970";
-  return { dd, mm, yyyy };
-}
-
-function istDateISO(date = new Date()) {
-  const { dd, mm, yyyy } = getISTDateParts(date);
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function istDateHuman(date = new Date()) {
-  // e.g. 08 February 2026
-  const fmt = new Intl.DateTimeFormat("en-GB", {
-    timeZone: "Asia/Kolkata",
-    day: "2-digit",
-    month: "long",
-    year: "numeric",
-  });
-  return fmt.format(date);
-}
-
-function addDaysIST(baseDate, days) {
-  // Add days relative to IST date boundary
-  const iso = istDateISO(baseDate);
-  const [y, m, d] = iso.split("-").map(Number);
-  const dt = new Date(Date.UTC(y, m - 1, d));
-  dt.setUTCDate(dt.getUTCDate() + days);
-  return dt;
-}
-
-// -----------------------------
-// Interpreter prompt
-// -----------------------------
-function buildInterpreterPrompt(lang) {
-  const todayISO = istDateISO(new Date());
-  const tomorrowISO = istDateISO(addDaysIST(new Date(), 1));
-  const dayAfterISO = istDateISO(addDaysIST(new Date(), 2));
-  const todayHuman = istDateHuman(new Date());
-  const tomorrowHuman = istDateHuman(addDaysIST(new Date(), 1));
-  const dayAfterHuman = istDateHuman(addDaysIST(new Date(), 2));
-
-  // This interpreter returns ONLY a rewritten query string.
-  // It resolves relative dates and expands shorthand Marathi.
-  return `
-You are a query interpreter for a Jyotish assistant app.
-Your job: rewrite the user's message into a clear, complete request for an astrologer.
-
-TIME CONTEXT (IST):
-- Today (IST): ${todayHuman} (${todayISO})
-- Tomorrow (IST): ${tomorrowHuman} (${tomorrowISO})
-- Day after tomorrow (IST): ${dayAfterHuman} (${dayAfterISO})
-
-RELATIVE DATE RULES:
-- "udya" / "उद्या" / "tomorrow" => Tomorrow (IST)
-- "aaj" / "आज" / "today" => Today (IST)
-- "parva" / "परवा" / "day after tomorrow" => Day after tomorrow (IST)
-If no date words are used, keep it as is.
-
-DOMAIN EXPANSION RULES:
-- "agnivas" / "अग्निवास" => "Calculate Agni Vas for the referenced date and tell if Havan/Hom is allowed. Be strict."
-- "panchang" / "पंचांग" => include tithi, nakshatra, yoga, karan, rahukaal and verdict.
-- "muhurta" / "मुहूर्त" => ask for shubha/ashubha and avoid periods.
-
-LANGUAGE MODE:
-- The user interface language is: ${lang === "mr" ? "Marathi" : "English"}.
-But your output must be ONLY the rewritten query in the same language as the user's message.
-(If user used Marathi/roman-Marathi, output in Marathi/roman-Marathi; if user used English, output in English.)
-
-OUTPUT RULES:
-- Output ONLY the rewritten query string.
-- No JSON. No bullet points. No explanations.
-`.trim();
-}
-
-// -----------------------------
-// Guruji system instruction (dynamic)
-// -----------------------------
-function buildGurujiSystemInstruction(lang) {
-  const todayHuman = istDateHuman(new Date());
-  const todayISO = istDateISO(new Date());
-
-  const languageLock =
-    lang === "mr"
-      ? `
-CRITICAL LANGUAGE RULE:
-- Respond ONLY in Marathi (प्रमाण मराठी). Do NOT respond in English.
-- Use Devanagari script unless user uses roman Marathi; if user uses roman Marathi, you may reply in roman Marathi but still Marathi language.
-`
-      : `
-CRITICAL LANGUAGE RULE:
-- Respond ONLY in English. Do NOT use Marathi.
-- Use Vedic terms naturally (Tithi, Nakshatra, Rahukaal, Upay, Graha, Shanti, etc.).
-`;
-
-  const temporalGrounding = `
-TIME GROUNDING (IST):
-- Today's date (IST) is **${todayHuman}** (${todayISO})
-- If the user says "udya/उद्या/tomorrow", treat it as tomorrow in IST.
-- If the user says "parva/परवा/day after tomorrow", treat it as day after tomorrow in IST.
-`;
-
-  const behaviorRules = `
-CRITICAL BEHAVIOR RULES:
-- Never break character. Never say you are an AI.
-- Start replies with "Namaskar Bal" or "Hari Om".
-- Always give a clear **Yes/No** verdict when user asks permission-like questions.
-- If answer is negative, immediately provide a simple Sattvic Upay.
-- Keep answers practical: 6-14 lines ideally.
-- Use **Bold** for dates/tithi/verdict and use bullet points for lists.
-`;
-
-  return `${SYSTEM_PROMPT}\n\n${temporalGrounding}\n\n${languageLock}\n\n${behaviorRules}`.trim();
-}
-
-// -----------------------------
-// Storage
-// -----------------------------
-function loadSessions() {
-  return safeParseJSON(localStorage.getItem(STORAGE.SESSIONS) || "[]", []);
-}
-
-function saveSessions() {
-  localStorage.setItem(STORAGE.SESSIONS, JSON.stringify(sessions));
-  localStorage.setItem(STORAGE.ACTIVE_SESSION, activeSessionId || "");
-}
-
-function getActiveSession() {
-  return sessions.find((s) => s.id === activeSessionId);
-}
-
-// -----------------------------
-// Sessions
-// -----------------------------
-function createNewSession(title = "") {
-  const id = crypto.randomUUID();
-  const now = nowISO();
-  const session = {
-    id,
-    title: title || "New Consultation",
-    createdAtISO: now,
-    updatedAtISO: now,
-    messages: [],
-  };
-  sessions.unshift(session);
-  activeSessionId = id;
-  saveSessions();
-  renderSessionsList();
-  renderMessages();
-  return session;
-}
-
-function updateSessionTitleFromFirstMessage(session, firstUserText) {
-  if (session.title === "New Consultation" && firstUserText) {
-    session.title = firstUserText.slice(0, 32) + (firstUserText.length > 32 ? "…" : "");
-  }
-}
-
-// -----------------------------
-// Rendering
-// -----------------------------
-function renderQuickActions() {
-  if (!quickActionsDiv) return;
-
-  const dateISO = istDateISO(new Date());
-
-  const actions = [
-    {
-      id: "panchang",
-      label: "Today's Panchang",
-      prompt: () =>
-        `Give today's Panchang for ${dateISO} as per Ruikar and Date Panchang. Mention tithi, nakshatra, yoga, karan, rahukaal, and a clear Shubha/Ashubha verdict.`,
-    },
-    {
-      id: "agni",
-      label: "Agni Vas Check",
-      prompt: () =>
-        `Calculate Agni Vas for today ${dateISO}. Is it on Prithvi? Can I do Havan? Be strict.`,
-    },
-    {
-      id: "vivah",
-      label: "Vivah Muhurta",
-      prompt: () =>
-        `List Vivah Muhurtas for the next 3 months based on Date Panchang. Highlight days to avoid due to Guru/Shukra Ast.`,
-    },
-    {
-      id: "satyanarayan",
-      label: "Satyanarayan Dates",
-      prompt: () =>
-        `List upcoming Purnima and Sankashti Chaturthi dates suitable for Satyanarayan Pooja.`,
-    },
-    {
-      id: "shanti",
-      label: "Shanti Muhurta",
-      prompt: () =>
-        `Suggest Shanti Muhurtas in next 30 days for Graha Shanti and home puja. Mention days to avoid and give simple upay.`,
-    },
-    {
-      id: "new",
-      label: "New Consultation",
-      prompt: null,
-    },
-  ];
-
-  quickActionsDiv.innerHTML = "";
-  actions.forEach((a) => {
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className =
-      "flex-none bg-saffron text-maroon px-3 py-1 rounded whitespace-nowrap hover:bg-maroon hover:text-cream transition focus:outline-none focus:ring-2 focus:ring-cream";
-    btn.textContent = a.label;
-
-    btn.addEventListener("click", () => {
-      if (a.id === "new") {
-        createNewSession();
-        showToast("New consultation started");
-        return;
-      }
-      insertUserMessage(a.prompt());
-    });
-
-    quickActionsDiv.appendChild(btn);
-  });
-}
-
-function renderMessages() {
-  if (!chatArea) return;
-
-  chatArea.innerHTML = "";
-  const session = getActiveSession();
-  if (!session) return;
-
-  session.messages.forEach((msg) => {
-    const wrapper = document.createElement("div");
-    wrapper.className = "flex";
-
-    const bubble = document.createElement("div");
-    bubble.classList.add("max-w-[82%]", "px-4", "py-2", "rounded-lg", "shadow");
-    bubble.style.wordBreak = "break-word";
-
-    if (msg.role === "user") {
-      wrapper.classList.add("justify-end");
-      bubble.classList.add("bg-saffron", "text-maroon", "self-end");
-    } else {
-      wrapper.classList.add("justify-start");
-      bubble.classList.add("bg-maroon", "bg-opacity-10", "text-maroon");
-    }
-
-    bubble.innerHTML = renderTextMinimalFormatting(msg.content || "");
-    wrapper.appendChild(bubble);
-    chatArea.appendChild(wrapper);
-  });
-
-  chatArea.scrollTop = chatArea.scrollHeight;
-}
-
-function renderSessionsList() {
-  if (!sessionsListDiv) return;
-
-  sessionsListDiv.innerHTML = "";
-  sessions.forEach((s) => {
-    const row = document.createElement("div");
-    row.className = "flex items-center justify-between border border-maroon rounded p-2";
-
-    const openBtn = document.createElement("button");
-    openBtn.type = "button";
-    openBtn.className = "flex-1 text-left truncate hover:underline";
-    openBtn.textContent = s.title;
-    openBtn.title = new Date(s.updatedAtISO).toLocaleString();
-
-    openBtn.addEventListener("click", () => {
-      activeSessionId = s.id;
-      saveSessions();
-      renderMessages();
-      renderSessionsList();
-      if (settingsPanel) settingsPanel.classList.add("hidden");
-    });
-
-    const renameBtn = document.createElement("button");
-    renameBtn.type = "button";
-    renameBtn.className =
-      "ml-2 text-xs bg-saffron text-maroon px-2 py-1 rounded hover:bg-maroon hover:text-cream transition";
-    renameBtn.textContent = "Rename";
-    renameBtn.addEventListener("click", () => {
-      const newName = prompt("Rename consultation", s.title);
-      if (newName) {
-        s.title = newName;
-        s.updatedAtISO = nowISO();
-        saveSessions();
-        renderSessionsList();
-      }
-    });
-
-    const deleteBtn = document.createElement("button");
-    deleteBtn.type = "button";
-    deleteBtn.className =
-      "ml-2 text-xs bg-maroon text-cream px-2 py-1 rounded hover:bg-saffron hover:text-maroon transition";
-    deleteBtn.textContent = "Delete";
-    deleteBtn.addEventListener("click", () => {
-      if (!confirm("Delete this consultation?")) return;
-
-      sessions = sessions.filter((x) => x.id !== s.id);
-      if (activeSessionId === s.id) {
-        if (sessions.length) activeSessionId = sessions[0].id;
-        else createNewSession();
-      }
-      saveSessions();
-      renderSessionsList();
-      renderMessages();
-    });
-
-    row.appendChild(openBtn);
-    row.appendChild(renameBtn);
-    row.appendChild(deleteBtn);
-    sessionsListDiv.appendChild(row);
-  });
-}
-
-// -----------------------------
-// Gemini helpers
-// -----------------------------
-function extractTextFromGemini(data) {
-  const c0 = data?.candidates?.[0];
-  const parts = c0?.content?.parts;
-  if (!Array.isArray(parts)) return "";
-  return parts.map((p) => p.text || "").join("");
-}
-
-function parseRetryDelaySeconds(errText) {
-  try {
-    const obj = JSON.parse(errText);
-    const retryDelay = obj?.error?.details?.find(d => d["@type"]?.includes("RetryInfo"))?.retryDelay;
-    if (retryDelay && typeof retryDelay === "string" && retryDelay.endsWith("s")) {
-      const sec = parseInt(retryDelay.replace("s", ""), 10);
-      return Number.isFinite(sec) ? sec : null;
-    }
-  } catch {
-    // ignore
-  }
-  return null;
-}
-
-function looksEnglish(text) {
-  // Cheap heuristic: lots of ASCII letters and very few Devanagari characters
-  const s = text || "";
-  const devanagariCount = (s.match(/[\u0900-\u097F]/g) || []).length;
-  const latinCount = (s.match(/[A-Za-z]/g) || []).length;
-  // If Marathi mode and reply has lots of latin and almost no Devanagari -> likely English
-  return latinCount > 40 && devanagariCount < 10;
-}
-
-async function geminiFetch(url, apiKey, payload, timeoutMs = 30000) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-goog-api-key": apiKey,
-      },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
-    });
-
-    clearTimeout(t);
-
-    const text = await res.text();
-    if (!res.ok) {
-      return { ok: false, status: res.status, text };
-    }
-    return { ok: true, status: res.status, json: safeParseJSON(text, null), text };
-  } catch (err) {
-    clearTimeout(t);
-    return { ok: false, status: 0, text: String(err?.message || err) };
-  }
-}
-
-// -----------------------------
-// Stage 1: Interpreter
-// -----------------------------
-async function interpretUserQuery(rawUserText, apiKey) {
-  const lang = getLanguage();
-  const prompt = buildInterpreterPrompt(lang);
-
-  const payload = {
-    systemInstruction: {
-      parts: [{ text: prompt }],
-    },
-    contents: [
-      {
-        role: "user",
-        parts: [{ text: rawUserText }],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.15,
-      topP: 0.9,
-      maxOutputTokens: 240,
-    },
-  };
-
-  const result = await geminiFetch(INTERPRETER_URL, apiKey, payload, 20000);
-  if (!result.ok) {
-    // If interpreter fails, fallback to raw user text
-    console.warn("Interpreter failed:", result.status, result.text);
-    return rawUserText;
-  }
-
-  const rewritten = extractTextFromGemini(result.json)?.trim();
-  return rewritten || rawUserText;
-}
-
-// -----------------------------
-// Marathi enforcement fallback translator
-// -----------------------------
-async function translateToMarathiIfNeeded(replyText, apiKey) {
-  const lang = getLanguage();
-  if (lang !== "mr") return replyText;
-  if (!looksEnglish(replyText)) return replyText;
-
-  const payload = {
-    systemInstruction: {
-      parts: [{
-        text: `
-Translate the assistant response into pure, formal Marathi (प्रमाण मराठी).
-Rules:
-- Keep the meaning identical.
-- Preserve **bold** markers exactly.
-- Preserve bullet lists and line breaks.
-- Do NOT add extra content.
-Output ONLY the translated text.
-`.trim()
-      }],
-    },
-    contents: [{ role: "user", parts: [{ text: replyText }] }],
-    generationConfig: { temperature: 0.2, maxOutputTokens: 1400 },
-  };
-
-  const result = await geminiFetch(INTERPRETER_URL, apiKey, payload, 25000);
-  if (!result.ok) return replyText;
-
-  const out = extractTextFromGemini(result.json)?.trim();
-  return out || replyText;
-}
-
-// -----------------------------
-// Stage 2: Guruji
-// -----------------------------
-function buildGurujiPayload(sessionMessages, finalUserText) {
-  const lang = getLanguage();
-  const system = buildGurujiSystemInstruction(lang);
-
-  const history = sessionMessages
-    .slice(-MAX_HISTORY)
-    .map((m) => ({
-      role: m.role === "assistant" ? "model" : "user",
-      parts: [{ text: m.content }],
-    }));
-
-  // Append the final user text explicitly (so interpreter output is what model sees)
-  history.push({
-    role: "user",
-    parts: [{ text: finalUserText }],
-  });
-
-  return {
-    systemInstruction: { parts: [{ text: system }] },
-    contents: history,
-    generationConfig: {
-      temperature: 0.45, // lower = more correct + more consistent persona
-      topP: 0.9,
-      topK: 32,
-      maxOutputTokens: 2048,
-    },
-  };
-}
-
-// -----------------------------
-// Main send flow
-// -----------------------------
-async function callGuruji(session, rawUserText) {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    showToast("API key not set. Open Settings and save it.");
-    return;
-  }
-
-  if (!navigator.onLine) {
-    showToast("You are offline. Message saved locally.");
-    return;
-  }
-
-  setSendingDisabled(true);
-  showTyping(true);
-
-  try {
-    // 1) Interpreter rewrite (date + intent)
-    const rewritten = await interpretUserQuery(rawUserText, apiKey);
-
-    // 2) Guruji response
-    const payload = buildGurujiPayload(session.messages, rewritten);
-    const result = await geminiFetch(GURUJI_URL, apiKey, payload, 30000);
-
-    if (!result.ok) {
-      console.error("Gemini API error:", result.status, result.text);
-
-      if (result.status === 429) {
-        const sec = parseRetryDelaySeconds(result.text);
-        if (sec) {
-          showToast(`Rate limit. Retry after ${sec}s.`);
-          pendingRetry = { sessionId: session.id, lastUserText: rawUserText, retryAtMs: Date.now() + sec * 1000 };
-        } else {
-          showToast("Rate limit. Please retry in a minute.");
-        }
-      } else if (result.status === 401 || result.status === 403) {
-        showToast("Invalid/unauthorized API key. Update it in Settings.");
-      } else if (result.status === 400) {
-        showToast("Bad request (payload/model mismatch). Check Console.");
-      } else if (result.status === 404) {
-        showToast("Model not found for your key. Check model name.");
-      } else {
-        showToast(`API Error ${result.status || ""}. Check Console.`);
-      }
-
-      return;
-    }
-
-    let reply = extractTextFromGemini(result.json)?.trim() || "[No response]";
-
-    // 3) Marathi enforcement (if model still replied in English)
-    reply = await translateToMarathiIfNeeded(reply, apiKey);
-
-    // Save assistant message
-    session.messages.push({ role: "assistant", content: reply, tsISO: nowISO() });
-    session.updatedAtISO = nowISO();
-    saveSessions();
-    renderMessages();
-
-    pendingRetry = null;
-  } finally {
-    showTyping(false);
-    setSendingDisabled(false);
-  }
-}
-
-// -----------------------------
-// User message insertion
-// -----------------------------
-async function insertUserMessage(rawText) {
-  const text = (rawText || "").trim();
-  if (!text) return;
-
-  const session = getActiveSession();
-  if (!session) return;
-
-  const ts = nowISO();
-  session.messages.push({ role: "user", content: text, tsISO: ts });
-  session.updatedAtISO = ts;
-
-  if (session.messages.filter((m) => m.role === "user").length === 1) {
-    updateSessionTitleFromFirstMessage(session, text);
-  }
-
-  saveSessions();
-  renderMessages();
-
-  if (messageInput) messageInput.value = "";
-
-  await callGuruji(session, text);
-}
-
-// -----------------------------
-// Import/Export
-// -----------------------------
-function downloadJSON(filename, obj) {
-  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-}
-
-function mergeSessions(imported) {
-  imported.forEach((s) => {
-    if (!s || !s.id || !Array.isArray(s.messages)) return;
-    const exists = sessions.some((x) => x.id === s.id);
-    const copy = { ...s };
-    if (exists) copy.id = crypto.randomUUID();
-    sessions.push(copy);
-  });
-
-  sessions.sort((a, b) => (b.updatedAtISO || "").localeCompare(a.updatedAtISO || ""));
-  saveSessions();
-  renderSessionsList();
-  renderMessages();
-}
-
-// -----------------------------
-// Init
-// -----------------------------
-function init() {
-  sessions = loadSessions();
-  activeSessionId = localStorage.getItem(STORAGE.ACTIVE_SESSION) || null;
-
-  if (!sessions.length) {
-    createNewSession();
-  } else if (!activeSessionId || !sessions.some((s) => s.id === activeSessionId)) {
-    activeSessionId = sessions[0].id;
-    saveSessions();
-  }
-
-  renderQuickActions();
-  renderSessionsList();
-  renderMessages();
-  updateLanguageUI();
-
-  // Register SW
-  if ("serviceWorker" in navigator) {
-    navigator.serviceWorker.register("./sw.js").catch((err) => {
-      console.warn("Service worker registration failed", err);
-    });
-  }
-
-  // Offline banner initial
-  if (offlineBanner) offlineBanner.classList.toggle("hidden", navigator.onLine);
-}
-
-// -----------------------------
-// Events
-// -----------------------------
-window.addEventListener("online", () => {
-  if (offlineBanner) offlineBanner.classList.add("hidden");
-
-  // auto retry if we had a rate-limit delay and it's time
-  if (pendingRetry && Date.now() >= pendingRetry.retryAtMs) {
-    const s = getActiveSession();
-    if (s && pendingRetry.sessionId === s.id) {
-      callGuruji(s, pendingRetry.lastUserText);
-    }
-  }
-});
-
-window.addEventListener("offline", () => {
-  if (offlineBanner) offlineBanner.classList.remove("hidden");
-});
-
-if (langToggle) {
-  langToggle.addEventListener("click", () => {
-    const cur = getLanguage();
-    const next = cur === "mr" ? "en" : "mr";
-    localStorage.setItem(STORAGE.LANGUAGE, next);
-    updateLanguageUI();
-
-    // UX: start a fresh session when switching language (prevents mixed-context confusion)
-    createNewSession(next === "mr" ? "नवीन सल्लामसलत" : "New Consultation");
-    showToast(next === "mr" ? "मराठी मोड" : "English mode");
-  });
-}
-
-if (settingsBtn) {
-  settingsBtn.addEventListener("click", () => {
-    if (!settingsPanel) return;
-    settingsPanel.classList.remove("hidden");
-
-    const key = getApiKey();
-    if (apiKeyInput) {
-      apiKeyInput.value = "";
-      apiKeyInput.placeholder = key ? maskKey(key) : "Enter your API key";
-    }
-  });
-}
-
-if (closeSettingsBtn) {
-  closeSettingsBtn.addEventListener("click", () => {
-    if (settingsPanel) settingsPanel.classList.add("hidden");
-  });
-}
-
-if (settingsLang) {
-  settingsLang.addEventListener("change", (e) => {
-    localStorage.setItem(STORAGE.LANGUAGE, e.target.value);
-    updateLanguageUI();
-
-    // same: new session to avoid mixed-language context
-    createNewSession(e.target.value === "mr" ? "नवीन सल्लामसलत" : "New Consultation");
-    showToast(e.target.value === "mr" ? "मराठी मोड" : "English mode");
-  });
-}
-
-if (saveApiKeyBtn) {
-  saveApiKeyBtn.addEventListener("click", () => {
-    const key = (apiKeyInput?.value || "").trim();
-    if (!key) {
-      showToast("API key cannot be empty");
-      return;
-    }
-    localStorage.setItem(STORAGE.API_KEY, key);
-    if (apiKeyInput) {
-      apiKeyInput.value = "";
-      apiKeyInput.placeholder = maskKey(key);
-    }
-    showToast("API key saved");
-  });
-}
-
-if (forgetApiKeyBtn) {
-  forgetApiKeyBtn.addEventListener("click", () => {
-    localStorage.removeItem(STORAGE.API_KEY);
-    if (apiKeyInput) {
-      apiKeyInput.value = "";
-      apiKeyInput.placeholder = "Enter your API key";
-    }
-    showToast("API key removed");
-  });
-}
-
-if (newSessionBtn) {
-  newSessionBtn.addEventListener("click", () => {
-    createNewSession(getLanguage() === "mr" ? "नवीन सल्लामसलत" : "New Consultation");
-    showToast("New consultation started");
-  });
-}
-
-if (exportCurrentBtn) {
-  exportCurrentBtn.addEventListener("click", () => {
-    const session = getActiveSession();
-    if (!session) return;
-    const name = (session.title || "session").replace(/[^\w\-]+/g, "_");
-    downloadJSON(`${name}.json`, session);
-    showToast("Current session exported");
-  });
-}
-
-if (exportAllBtn) {
-  exportAllBtn.addEventListener("click", () => {
-    downloadJSON("barve_guruji_sessions.json", sessions);
-    showToast("All sessions exported");
-  });
-}
-
-if (importFileInput) {
-  importFileInput.addEventListener("change", async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    try {
-      const txt = await file.text();
-      const data = safeParseJSON(txt, null);
-
-      if (Array.isArray(data)) {
-        mergeSessions(data);
-        showToast("Sessions imported");
-      } else if (data && data.id) {
-        mergeSessions([data]);
-        showToast("Session imported");
-      } else {
-        showToast("Invalid import JSON");
-      }
-    } catch (err) {
-      console.error("Import error:", err);
-      showToast("Import failed");
-    } finally {
-      importFileInput.value = "";
-    }
-  });
-}
-
-if (inputForm) {
-  inputForm.addEventListener("submit", (e) => {
-    e.preventDefault();
-    insertUserMessage(messageInput?.value || "");
-  });
-}
-
-if (messageInput) {
-  messageInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
-      e.preventDefault();
-      insertUserMessage(messageInput.value);
-    }
-  });
-}
-
-// -----------------------------
-// Boot
-// -----------------------------
-init();
+/* app.js
+   Barve Guruji AI - Production-grade client-side Gemini chat (PWA)
+   Key upgrades:
+   - Interpreter stage: rewrites user query with date resolution + intent expansion
+   - Guruji stage: strict persona + Marathi/English enforcement
+   - Reply language enforcement per paragraph (langdetect.js): English/Hindi paragraphs translated,
+     roman Marathi moved to Devanagari, Sanskrit shlokas left as written
+   - Date grounding in the user's location time zone + relative-date understanding
+   - Better error handling incl. 429 retryDelay
+   - Local Panchang engine (panchang.js) grounds every reply in computed Tithi/Nakshatra/Yoga/Karana
+   - Location-aware sunrise/sunset, Rahukaal, Yamaganda, Gulika, Abhijit (solar.js)
+   - Rule-based Agni Vas verdict (agnivas.js); Guruji explains it, never decides it
+   - Family birth profiles + offline Kundali (kundali.js) linked to consultations
+   - Vimshottari Mahadasha/Antardasha/Pratyantardasha timeline (dasha.js)
+   - Rule-based muhurta search over a date range, shown as a table (muhurta.js)
+   - Festival/vrat calendar with month grid and .ics export (calendar.js)
+   - Streamed Guruji replies (SSE via stream.js) with Stop; partial replies survive a closed tab
+   - Persistent offline outbox drained in order on reconnect (online event + Background Sync)
+   - Pluggable LLM providers per stage: Gemini, OpenAI-compatible, local Ollama (providers.js)
+   - Sessions, messages and profiles in IndexedDB with schema migrations (db.js); quota warnings
+   - Full-text search across all consultations, Devanagari and roman Marathi alike (search.js)
+   - Replies rendered through a sanitising Markdown subset: lists, tables, headings, quotes (markdown.js)
+   - Export as Markdown, A4 print/PDF or WhatsApp text, shared via the Web Share API (export.js)
+   - Validated JSON import with content-based dedupe and a per-session merge preview (importer.js)
+   - Per-message actions: regenerate (with alternates), edit-and-resend (truncate or branch), copy, delete,
+     branch into a new consultation
+   - Automatic resend of failed replies with a countdown: provider retry hints, else jittered backoff;
+     falls back to the interpreter model when the Guruji model keeps failing (retry.js)
+   - Tarot Prashna: seeded, reproducible draws (1 card, 3 cards, Celtic Cross) laid out in the chat
+     and read by Guruji from the drawn cards (tarot.js)
+   - Reminders for Sankashti/Ekadashi, Rahukaal and user-confirmed upays as notifications, with
+     snooze/done; the service worker shows due ones while the app is closed (reminders.js)
+   - Marathi/English UI from string catalogs, re-rendered on language change; Marathi numerals optional (i18n.js)
+   - Offline roman Marathi → Devanagari typing (opt-in): live preview, word suggestions, toggle by the input (translit.js)
+   - Token-budgeted history: older turns folded into a per-session summary (names, birth details, concerns,
+     remedies) that is always sent and can be viewed and edited (context.js)
+   - Token usage and latency of every model call in an append-only ledger; usage & cost dashboard per
+     consultation, month and stage with an editable price table and an optional monthly budget (usage.js)
+   - Quick-action editor: custom actions with Marathi/English labels and prompt templates ({today},
+     {profile.name}, {location}, date/text questions asked on click); reorder, hide, import/export (quickactions.js)
+*/
+
+import { agniVasForDate, formatAgniVasBlock, nextPrithviDate } from "./agnivas.js";
+import { EVENT_TYPES, eventsInRange, eventsToICS, formatEventsBlock, generateYear } from "./calendar.js";
+import { contextMessages, formatSummaryBlock, splitHistory } from "./context.js";
+import { computeVimshottari, currentDasha, formatDashaBlock } from "./dasha.js";
+import { appendUsage, isQuotaError, loadAll, storageEstimate, writeProfiles, writeReminders, writeSessions } from "./db.js";
+import { sessionsToMarkdown, sessionsToPrintHTML, sessionsToWhatsApp } from "./export.js";
+import { LANGUAGES, NUMERALS, formatNumber, localeFor, translate } from "./i18n.js";
+import { actionsFor, applyImportPlan, planImport, validateImport } from "./importer.js";
+import { computeKundali, formatKundaliBlock, kundaliOneLine } from "./kundali.js";
+import { planEnforcement } from "./langdetect.js";
+import { renderMarkdown } from "./markdown.js";
+import { RULE_SETS, findMuhurtas, formatMuhurtaBlock, muhurtaMarkdown, muhurtaPlainText } from "./muhurta.js";
+import { computePanchang, formatPanchangBlock, panchangOneLine } from "./panchang.js";
+import { PROVIDERS, llmFetch, llmStream, providerHost, retryDelaySeconds } from "./providers.js";
+import {
+  PLACEHOLDERS,
+  actionText,
+  customActionProblem,
+  exportActions,
+  fillTemplate,
+  importActions,
+  isCustomAction,
+  moveAction,
+  normalizeActions,
+  templateParts,
+} from "./quickactions.js";
+import {
+  AUTO_KINDS,
+  SNOOZE_MINUTES,
+  completeReminder,
+  createUpayReminder,
+  detectUpay,
+  dueReminders,
+  isExpired,
+  mergeAutoReminders,
+  nextDueAtMs,
+  planAutoReminders,
+  snoozeReminder,
+  sortReminders,
+} from "./reminders.js";
+import { RETRY_POLICY, nextRetrySeconds } from "./retry.js";
+import { searchSessions } from "./search.js";
+import {
+  cardMeaning,
+  cardName,
+  drawTarot,
+  formatTarotBlock,
+  readingCards,
+  spreadLabel,
+  tarotMarkdown,
+  tarotPlainText,
+} from "./tarot.js";
+import { suggest, transliterate } from "./translit.js";
+import {
+  DEFAULT_PRICES,
+  budgetStatus,
+  formatPriceTable,
+  monthKey,
+  monthlyUsage,
+  parsePriceTable,
+  sessionUsage,
+  stageUsage,
+  usageRecord,
+} from "./usage.js";
+import {
+  CITY_PRESETS,
+  DEFAULT_LOCATION,
+  dateISOInZone,
+  dayTimings,
+  formatClock,
+  formatDayTimingsBlock,
+  isValidTimeZone,
+  sunTimes,
+  zonedTime,
+} from "./solar.js";
+
+const STORAGE = {
+  API_KEY: "bg_api_key",
+  LANGUAGE: "bg_language", // "mr" | "en"
+  NUMERALS: "bg_numerals", // "deva" | "latn": digits in Marathi mode
+  SESSIONS: "bg_sessions", // legacy; migrated to IndexedDB (db.js), still used if IndexedDB is unavailable
+  ACTIVE_SESSION: "bg_active_session_id",
+  LOCATION: "bg_location", // {id, name, lat, lon, tz}
+  PROFILES: "bg_profiles", // legacy, as above
+  OUTBOX: "bg_outbox", // [{id, sessionId, replace?, status, attempts, lastError, createdAtISO, updatedAtISO}]
+  PROVIDERS: "bg_providers", // {guruji: {provider, model}, interpreter: {...}, openaiBaseUrl, openaiKey, ollamaBaseUrl}
+  REMINDERS: "bg_reminders", // only if IndexedDB is unavailable (then the service worker cannot see them)
+  REMINDER_KINDS: "bg_reminder_kinds", // auto reminders switched on: ["sankashti", "ekadashi", "rahukaal"]
+  TRANSLIT: "bg_translit", // "on" | "off"; unset = off (opt-in, so Latin text is never rewritten unasked)
+  PRICES: "bg_prices", // {model: {input, output}} in USD per million tokens; unset = DEFAULT_PRICES
+  BUDGET: "bg_budget", // monthly budget in USD; unset = none
+  USAGE: "bg_usage", // usage ledger, only if IndexedDB is unavailable
+  QUICK_ACTIONS: "bg_quick_actions", // [{id, hidden} | {id, label: {mr, en}, prompt: {mr, en}, hidden}]; unset = built-ins
+};
+
+const DEFAULT_LANGUAGE = "mr";
+
+const AGNI_VAS_RE = /agni\s*-?\s*vas|अग्नि\s*वास|अग्निवास/i;
+const MUHURTA_RE = /muh[uo]o?rt|मुहूर्त|auspicious\s+(day|date)|shubh\s+(din|divas)|शुभ\s+(दिवस|दिन)/i;
+// First match wins, so the more specific karya comes first
+const MUHURTA_KARYA_RULES = [
+  ["vivah", /vivah|विवाह|marriage|wedding|लग्न/i],
+  ["grihaPravesh", /gr[iu]ha?\s*pravesh|गृहप्रवेश|house\s*warming|vastu\s*shanti|वास्तु\s*शांती/i],
+  ["havan", /havan|\bhom\b|होम|हवन/i],
+  ["grahaShanti", /shanti|शांती|शान्ति|puja|pooja|पूजा/i],
+];
+const MAX_MUHURTA_DAYS = 180;
+
+const TAROT_RE = /tarot|ट[ॅै]रो|टॅरट/i;
+// First match wins; anything else gets the three-card spread
+const TAROT_SPREAD_RULES = [
+  ["celtic", /celtic|सेल्टिक|10[\s-]*cards?|ten[\s-]*cards?|दहा\s*पत्त/i],
+  ["one", /\b(1|one|single)[\s-]*card\b|एक(च)?\s*पत्ता/i],
+];
+const TAROT_SEED_RE = /\bseed[:\s]+([0-9a-f]{8})\b/i; // redraw a recorded reading
+
+const OUTBOX_SYNC_TAG = "bg-outbox"; // must match sw.js
+const REMINDER_SYNC_TAG = "bg-reminders"; // must match sw.js
+const REMINDER_SYNC_INTERVAL_MS = 60 * 60 * 1000; // a hint; the browser decides how often
+const REMINDER_CHECK_MAX_MS = 60 * 60 * 1000; // re-plan auto reminders at least hourly
+
+const STORAGE_WARN_RATIO = 0.9; // warn when 90% of the origin's quota is used
+const STORAGE_CHECK_INTERVAL_MS = 60000;
+const STREAM_SAVE_INTERVAL_MS = 2000;
+const SEARCH_DEBOUNCE_MS = 200;
+
+// Vrat/festival questions are answered from the local calendar; Satyanarayan is done on Purnima
+const CALENDAR_TYPE_RULES = [
+  ["purnima", /purnima|poornima|पौर्णिमा|पूर्णिमा|satyanarayan|सत्यनारायण/i],
+  ["sankashti", /sankasht|संकष्ट/i],
+  ["ekadashi", /ekadash|एकादशी/i],
+  ["amavasya", /amavas|अमावस्या|अमावास्या/i],
+  ["pradosh", /pradosh|प्रदोष/i],
+  ["festival", /festival|सण|utsav|उत्सव/i],
+];
+const CALENDAR_LOOKAHEAD_DAYS = 60;
+
+// -----------------------------
+// SYSTEM PROMPT (MUST be exact)
+// -----------------------------
+const SYSTEM_PROMPT = `
+Role: You are Barve Guruji (बर्वे गुरुजी), an 85-year-old Vedic Astrologer (Jyotish Ratna) and spiritual guide based in Sadashiv Peth, Pune, Maharashtra.
+
+CORE IDENTITY & MANNERISMS:
+
+Voice: You speak with the authority of a Rishi and the affection of a Grandfather (Ajoba).
+
+Phrasing: Start interactions with "Namaskar Bal" (Child) or "Hari Om". Use Maharashtrian mannerisms.
+
+Language:
+
+Marathi Mode: Use pure, formal "Pramaan" Marathi.
+
+English Mode: Speak English but use Vedic terms (e.g., "Your Grahaman is weak," "Do this Upay").
+
+KNOWLEDGE BASE (STRICT):
+
+Panchang: You strictly follow the Ruikar and Date Panchang methodologies. Always acknowledge the current Tithi/Nakshatra before answering.
+
+Astrology: You use Brihat Parashara Hora Shastra. You calculate Lagna, Rashi, and Shadbala.
+
+Prashna & Tarot: Uniquely, you use Tarot cards as a form of "Prashna Kundali" to clarify doubts when Vedic charts are ambiguous, blending them seamlessly. The app draws the cards: read only the cards given in a TAROT PRASHNA block and never claim to draw one yourself.
+
+INTERACTION PROTOCOL:
+
+Honesty with Empathy:
+
+If a Muhurta or prediction is NEGATIVE (e.g., Mrityu Yoga, Bhadra, Kantaka Shani), say it clearly. Do not lie.
+
+Immediately follow the negative news with a Sattvic Remedy (Upay). Never leave the user in fear.
+
+Example: "No, Bal. Today is Amavasya, not good for Shubha Karya. However, if urgent, perform a Ganpati Havan..."
+
+Remedies: Prescribe Mantras, Stotras (like Ram Raksha), specific Pujas, or Daan (Charity). Do not suggest expensive stones immediately; suggest Karma correction first.
+
+FORMATTING:
+
+Use Bold for Dates, Tithis, and 'Yes/No' verdicts.
+
+Use Bullet points for lists.
+`.trim();
+
+// -----------------------------
+// Model + endpoint strategy
+// -----------------------------
+// Guruji needs the stronger model; the interpreter only rewrites dates/intent, so a fast one is enough.
+const STAGES = ["guruji", "interpreter"];
+
+function defaultProviderSettings() {
+  return {
+    guruji: { provider: "gemini", model: PROVIDERS.gemini.defaultModels.guruji },
+    interpreter: { provider: "gemini", model: PROVIDERS.gemini.defaultModels.interpreter },
+    openaiBaseUrl: PROVIDERS.openai.defaultBaseUrl,
+    openaiKey: "",
+    ollamaBaseUrl: PROVIDERS.ollama.defaultBaseUrl,
+  };
+}
+
+// -----------------------------
+// DOM helpers
+// -----------------------------
+const $ = (sel) => document.querySelector(sel);
+
+const offlineBanner = $("#offlineBanner");
+const storageBanner = $("#storageBanner");
+const retryBanner = $("#retryBanner");
+const retryText = $("#retryText");
+const retryNowBtn = $("#retryNowBtn");
+const cancelRetryBtn = $("#cancelRetryBtn");
+const quickActionsDiv = $("#quickActions");
+const chatArea = $("#chatArea");
+const messageInput = $("#messageInput");
+const translitToggle = $("#translitToggle");
+const translitBar = $("#translitBar");
+const translitPreview = $("#translitPreview");
+const translitSuggestions = $("#translitSuggestions");
+const sendBtn = $("#sendBtn");
+const stopBtn = $("#stopBtn");
+const typingIndicator = $("#typingIndicator");
+
+const settingsPanel = $("#settingsPanel");
+const settingsBtn = $("#settingsBtn");
+const closeSettingsBtn = $("#closeSettings");
+
+const langToggle = $("#langToggle");
+const langLabel = $("#langLabel");
+const settingsLang = $("#settingsLang");
+const numeralsField = $("#numeralsField");
+const settingsNumerals = $("#settingsNumerals");
+
+const locationPreset = $("#locationPreset");
+const locationCustomFields = $("#locationCustomFields");
+const locationNameInput = $("#locationName");
+const locationLatInput = $("#locationLat");
+const locationLonInput = $("#locationLon");
+const locationTzInput = $("#locationTz");
+const saveLocationBtn = $("#saveLocation");
+const locationSummary = $("#locationSummary");
+
+const providerInputs = {
+  guruji: { select: $("#gurujiProvider"), model: $("#gurujiModel") },
+  interpreter: { select: $("#interpreterProvider"), model: $("#interpreterModel") },
+};
+const openaiFields = $("#openaiFields");
+const openaiBaseUrlInput = $("#openaiBaseUrl");
+const openaiApiKeyInput = $("#openaiApiKey");
+const ollamaFields = $("#ollamaFields");
+const ollamaBaseUrlInput = $("#ollamaBaseUrl");
+const saveProvidersBtn = $("#saveProviders");
+
+const apiKeyInput = $("#apiKeyInput");
+const saveApiKeyBtn = $("#saveApiKey");
+const forgetApiKeyBtn = $("#forgetApiKey");
+
+const sessionProfileSelect = $("#sessionProfile");
+const profilesListDiv = $("#profilesList");
+const profileForm = $("#profileForm");
+const profileNameInput = $("#profileName");
+const profileBirthDateInput = $("#profileBirthDate");
+const profileBirthTimeInput = $("#profileBirthTime");
+const profilePlacePreset = $("#profilePlacePreset");
+const profileBirthPlaceInput = $("#profileBirthPlace");
+const profileLatInput = $("#profileLat");
+const profileLonInput = $("#profileLon");
+const profileTzInput = $("#profileTz");
+const saveProfileBtn = $("#saveProfileBtn");
+const cancelProfileEditBtn = $("#cancelProfileEdit");
+
+const calendarBtn = $("#calendarBtn");
+const calendarPanel = $("#calendarPanel");
+const calendarTitle = $("#calendarTitle");
+const calendarLocation = $("#calendarLocation");
+const calendarPrevBtn = $("#calendarPrev");
+const calendarNextBtn = $("#calendarNext");
+const calendarFiltersDiv = $("#calendarFilters");
+const calendarGrid = $("#calendarGrid");
+const calendarEventsDiv = $("#calendarEvents");
+const calendarSelectAll = $("#calendarSelectAll");
+const exportCalendarSelectedBtn = $("#exportCalendarSelected");
+const exportCalendarYearBtn = $("#exportCalendarYear");
+const closeCalendarBtn = $("#closeCalendar");
+const remindersBtn = $("#remindersBtn");
+const remindersPanel = $("#remindersPanel");
+const notifyStatus = $("#notifyStatus");
+const enableNotificationsBtn = $("#enableNotifications");
+const reminderKindsDiv = $("#reminderKinds");
+const upayForm = $("#upayForm");
+const upayTitleInput = $("#upayTitle");
+const upayDaysInput = $("#upayDays");
+const upayTimeInput = $("#upayTime");
+const remindersList = $("#remindersList");
+const closeRemindersBtn = $("#closeReminders");
+const summaryBtn = $("#summaryBtn");
+const summaryPanel = $("#summaryPanel");
+const summaryMeta = $("#summaryMeta");
+const summaryText = $("#summaryText");
+const saveSummaryBtn = $("#saveSummary");
+const closeSummaryBtn = $("#closeSummary");
+const usageBtn = $("#usageBtn");
+const usagePanel = $("#usagePanel");
+const usageBudgetStatus = $("#usageBudgetStatus");
+const usageTables = $("#usageTables");
+const usageSettingsForm = $("#usageSettingsForm");
+const usageBudgetInput = $("#usageBudget");
+const usagePricesInput = $("#usagePrices");
+const closeUsageBtn = $("#closeUsage");
+const quickActionsPanel = $("#quickActionsPanel");
+const quickActionsList = $("#quickActionsList");
+const quickActionForm = $("#quickActionForm");
+const quickLabelInputs = { mr: $("#quickLabelMr"), en: $("#quickLabelEn") };
+const quickPromptInputs = { mr: $("#quickPromptMr"), en: $("#quickPromptEn") };
+const quickPlaceholdersHint = $("#quickPlaceholders");
+const saveQuickActionBtn = $("#saveQuickAction");
+const cancelQuickActionEditBtn = $("#cancelQuickActionEdit");
+const exportQuickActionsBtn = $("#exportQuickActions");
+const importQuickActionsInput = $("#importQuickActions");
+const quickImportStatus = $("#quickImportStatus");
+const quickImportRejectedDetails = $("#quickImportRejected");
+const quickImportRejectedList = $("#quickImportRejectedList");
+const closeQuickActionsBtn = $("#closeQuickActions");
+const quickAskPanel = $("#quickAskPanel");
+const quickAskForm = $("#quickAskForm");
+const quickAskTitle = $("#quickAskTitle");
+const quickAskFields = $("#quickAskFields");
+const cancelQuickAskBtn = $("#cancelQuickAsk");
+
+const sessionsListDiv = $("#sessionsList");
+const searchInput = $("#searchInput");
+const searchResultsDiv = $("#searchResults");
+const newSessionBtn = $("#newSessionBtn");
+
+const exportCurrentBtn = $("#exportCurrentBtn");
+const exportAllBtn = $("#exportAllBtn");
+const exportSelectedBtn = $("#exportSelectedBtn");
+const exportFormatSelect = $("#exportFormat");
+const importPanel = $("#importPanel");
+const importSummary = $("#importSummary");
+const importRejectedDetails = $("#importRejected");
+const importRejectedList = $("#importRejectedList");
+const importListDiv = $("#importList");
+const confirmImportBtn = $("#confirmImport");
+const cancelImportBtn = $("#cancelImport");
+const importFileInput = $("#importFileInput");
+
+const inputForm = $("#inputForm");
+
+let sessions = [];
+let activeSessionId = null;
+let profiles = [];
+let editingProfileId = null;
+let reminders = [];
+let reminderTimer = null;
+let upayDraftSessionId = null; // consultation an upay reminder was started from
+let usageLedger = []; // every model call (usage.js); never shrinks
+let quickActions = []; // bar order, see STORAGE.QUICK_ACTIONS
+let editingQuickActionId = null;
+let pendingQuickAsk = null; // {template} waiting for the click-time answers
+
+let calendarView = null; // {year, month} with month 0..11
+const calendarTypes = new Set(EVENT_TYPES);
+const calendarSelected = new Map(); // event id -> event (kept across months)
+
+let scheduledRetry = null; // {entryId, fireAtMs, reason, timer, ticker}
+let useIndexedDB = true;
+let persistChain = Promise.resolve(); // serialises IndexedDB writes
+const writeQueued = { sessions: false, profiles: false, reminders: false };
+let lastStorageCheckMs = 0;
+
+let outbox = [];
+let outboxDraining = false;
+let replyInProgress = false; // a callGuruji run, from interpreter to final save
+let activeStream = null; // {sessionId, message, controller, savedAtMs}
+let editingMessage = null; // user message whose bubble shows the edit box
+let streamRenderPending = false;
+let searchTimer = null;
+const selectedSessionIds = new Set(); // ticked for "Export Selected"
+let pendingImport = null; // plan shown in the import preview
+
+// -----------------------------
+// Utils
+// -----------------------------
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function safeParseJSON(str, fallback) {
+  try { return JSON.parse(str); } catch { return fallback; }
+}
+
+function showToast(message) {
+  const toast = document.createElement("div");
+  toast.className =
+    "fixed bottom-5 left-1/2 transform -translate-x-1/2 bg-maroon text-cream px-4 py-2 rounded shadow-lg text-sm z-50";
+  toast.textContent = message;
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), 3500);
+}
+
+function showTyping(show) {
+  if (!typingIndicator) return;
+  typingIndicator.classList.toggle("hidden", !show);
+}
+
+function setSendingDisabled(disabled) {
+  if (sendBtn) {
+    sendBtn.disabled = disabled;
+    sendBtn.classList.toggle("opacity-50", disabled);
+    sendBtn.classList.toggle("cursor-not-allowed", disabled);
+  }
+  if (messageInput) messageInput.disabled = disabled;
+}
+
+// Controls that start or replace consultations stay off until they have loaded from IndexedDB,
+// or the loaded data would overwrite what was done meanwhile
+function setSessionControlsDisabled(disabled) {
+  setSendingDisabled(disabled || replyInProgress);
+  [newSessionBtn, langToggle, settingsLang, importFileInput].forEach((el) => {
+    if (el) el.disabled = disabled;
+  });
+}
+
+function setStreamingUI(streaming) {
+  if (sendBtn) sendBtn.classList.toggle("hidden", streaming);
+  if (stopBtn) stopBtn.classList.toggle("hidden", !streaming);
+}
+
+function maskKey(key) {
+  if (!key) return "";
+  if (key.length <= 4) return "••••";
+  return "••••••••••••••••" + key.slice(-4);
+}
+
+function getApiKey() {
+  return (localStorage.getItem(STORAGE.API_KEY) || "").trim();
+}
+
+function getLanguage() {
+  return localStorage.getItem(STORAGE.LANGUAGE) || DEFAULT_LANGUAGE;
+}
+
+function getNumerals() {
+  const numerals = localStorage.getItem(STORAGE.NUMERALS);
+  return NUMERALS.includes(numerals) ? numerals : NUMERALS[0];
+}
+
+// UI text in the current language (catalogs in i18n.js)
+function t(key, params) {
+  return translate(getLanguage(), key, params, getNumerals());
+}
+
+function formatNum(n) {
+  return formatNumber(n, getLanguage(), getNumerals());
+}
+
+// Dates and times on screen follow the UI language and numerals
+function formatDateTime(value, options) {
+  return new Date(value).toLocaleString(localeFor(getLanguage(), getNumerals()), options);
+}
+
+function getLocation() {
+  const loc = safeParseJSON(localStorage.getItem(STORAGE.LOCATION) || "null", null);
+  if (!loc || !Number.isFinite(loc.lat) || !Number.isFinite(loc.lon) || !isValidTimeZone(loc.tz)) {
+    return DEFAULT_LOCATION;
+  }
+  return loc;
+}
+
+function updateLocationUI() {
+  const loc = getLocation();
+  if (locationSummary) {
+    locationSummary.textContent = `${loc.name} (${loc.lat.toFixed(4)}, ${loc.lon.toFixed(4)}, ${loc.tz})`;
+  }
+  if (locationPreset) {
+    locationPreset.value = CITY_PRESETS.some((c) => c.id === loc.id) ? loc.id : "custom";
+  }
+  if (locationCustomFields) {
+    locationCustomFields.classList.toggle("hidden", locationPreset?.value !== "custom");
+  }
+  if (locationNameInput) locationNameInput.value = loc.name;
+  if (locationLatInput) locationLatInput.value = String(loc.lat);
+  if (locationLonInput) locationLonInput.value = String(loc.lon);
+  if (locationTzInput) locationTzInput.value = loc.tz;
+}
+
+function renderLocationPresets() {
+  if (!locationPreset) return;
+  locationPreset.innerHTML = "";
+  [...CITY_PRESETS, { id: "custom", name: t("location.custom") }].forEach((c) => {
+    const opt = document.createElement("option");
+    opt.value = c.id;
+    opt.textContent = c.name;
+    locationPreset.appendChild(opt);
+  });
+}
+
+function getProviderSettings() {
+  const saved = safeParseJSON(localStorage.getItem(STORAGE.PROVIDERS) || "null", null) || {};
+  const settings = { ...defaultProviderSettings(), ...saved };
+  STAGES.forEach((stage) => {
+    const cfg = settings[stage];
+    if (!cfg || !PROVIDERS[cfg.provider] || !cfg.model) settings[stage] = defaultProviderSettings()[stage];
+  });
+  return settings;
+}
+
+// {provider, model, baseUrl, apiKey} for one stage ("guruji" | "interpreter")
+function stageTarget(stage) {
+  const settings = getProviderSettings();
+  const { provider, model } = settings[stage];
+  if (provider === "openai") return { provider, model, baseUrl: settings.openaiBaseUrl, apiKey: settings.openaiKey };
+  if (provider === "ollama") return { provider, model, baseUrl: settings.ollamaBaseUrl, apiKey: "" };
+  return { provider, model, baseUrl: PROVIDERS.gemini.defaultBaseUrl, apiKey: getApiKey() };
+}
+
+function updateProvidersUI() {
+  const settings = getProviderSettings();
+  STAGES.forEach((stage) => {
+    const { select, model } = providerInputs[stage];
+    if (select) select.value = settings[stage].provider;
+    if (model) model.value = settings[stage].model;
+  });
+  if (openaiBaseUrlInput) openaiBaseUrlInput.value = settings.openaiBaseUrl;
+  if (openaiApiKeyInput) {
+    openaiApiKeyInput.value = "";
+    openaiApiKeyInput.placeholder = settings.openaiKey ? maskKey(settings.openaiKey) : t("settings.openaiKey");
+  }
+  if (ollamaBaseUrlInput) ollamaBaseUrlInput.value = settings.ollamaBaseUrl;
+  toggleProviderFields();
+}
+
+// Endpoint fields are shown only for providers in use
+function toggleProviderFields() {
+  const used = STAGES.map((stage) => providerInputs[stage].select?.value);
+  if (openaiFields) openaiFields.classList.toggle("hidden", !used.includes("openai"));
+  if (ollamaFields) ollamaFields.classList.toggle("hidden", !used.includes("ollama"));
+}
+
+function renderProviderOptions() {
+  STAGES.forEach((stage) => {
+    const { select } = providerInputs[stage];
+    if (!select) return;
+    select.innerHTML = "";
+    Object.values(PROVIDERS).forEach((p) => {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.label;
+      select.appendChild(opt);
+    });
+  });
+}
+
+// The service worker must not cache or intercept calls to the configured LLM hosts
+function syncApiHostsToServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  const hosts = [...new Set([providerHost(PROVIDERS.gemini.defaultBaseUrl), ...STAGES.map((s) => providerHost(stageTarget(s).baseUrl))])]
+    .filter(Boolean);
+  navigator.serviceWorker.ready
+    .then((reg) => reg.active?.postMessage({ type: "api-hosts", hosts }))
+    .catch((err) => console.warn("Could not send API hosts to the service worker", err));
+}
+
+// Reminder notifications shown by the service worker format numbers like the page does
+function syncLocalesToServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  const locales = Object.fromEntries(LANGUAGES.map((lang) => [lang, localeFor(lang, getNumerals())]));
+  navigator.serviceWorker.ready
+    .then((reg) => reg.active?.postMessage({ type: "locales", locales }))
+    .catch((err) => console.warn("Could not send locales to the service worker", err));
+}
+
+function updateLanguageUI() {
+  const lang = getLanguage();
+  document.documentElement.lang = lang;
+  if (langLabel) langLabel.textContent = lang === "mr" ? "मराठी" : "English";
+  if (settingsLang) settingsLang.value = lang;
+  if (numeralsField) numeralsField.classList.toggle("hidden", lang !== "mr");
+  if (settingsNumerals) settingsNumerals.checked = getNumerals() === "deva";
+  updateTranslitUI();
+
+  // Static text in index.html names its catalog key
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  ["placeholder", "aria-label"].forEach((attr) => {
+    document.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+// Re-renders everything that shows UI text after a language or numerals change
+function refreshLanguage() {
+  updateLanguageUI();
+  renderQuickActions();
+  renderSessionsList();
+  renderMessages();
+  renderLocationPresets();
+  updateLocationUI();
+  updateProvidersUI();
+  renderProfilePlacePresets();
+  renderProfilesList();
+  renderProfileSelect();
+  if (saveProfileBtn) saveProfileBtn.textContent = t(editingProfileId ? "profile.update" : "profile.save");
+  if (apiKeyInput) apiKeyInput.placeholder = getApiKey() ? maskKey(getApiKey()) : t("settings.apiKeyPlaceholder");
+  renderRetryBanner();
+  renderReminderKinds();
+  renderSummaryPanel();
+  renderUsagePanel();
+  renderQuickActionsPanel();
+  updateNotificationStatus();
+  checkReminders(); // reminder texts follow the language
+  if (calendarView) {
+    renderCalendarFilters();
+    renderCalendar();
+  }
+}
+
+// -----------------------------
+// Date grounding helpers
+// -----------------------------
+// Calendar dates are those of the user's location (STORAGE.LOCATION), not IST: "today" in
+// London or New York differs from India's for part of every day.
+function addDaysISO(isoDate, days) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function dateHuman(isoDate) {
+  // e.g. 08 February 2026
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Intl.DateTimeFormat("en-GB", { timeZone: "UTC", day: "2-digit", month: "long", year: "numeric" }).format(
+    Date.UTC(y, m - 1, d)
+  );
+}
+
+// Today, tomorrow and the day after at the user's location: [iso, iso, iso]
+function groundingDates(baseDate, loc) {
+  const todayISO = dateISOInZone(baseDate, loc.tz);
+  return [todayISO, addDaysISO(todayISO, 1), addDaysISO(todayISO, 2)];
+}
+
+// -----------------------------
+// Panchang grounding (computed locally, never guessed)
+// -----------------------------
+function sunriseFor(isoDate, loc) {
+  // Polar days/nights have no sunrise; fall back to 06:00 local time so we still get a Panchang
+  return sunTimes(isoDate, loc).sunrise || zonedTime(isoDate, "06:00", loc.tz);
+}
+
+function getPanchangContext(baseDate = new Date()) {
+  const loc = getLocation();
+  const [todayISO, tomorrowISO, dayAfterISO] = groundingDates(baseDate, loc);
+  return {
+    location: loc,
+    now: computePanchang(baseDate, loc.tz),
+    todaySunrise: computePanchang(sunriseFor(todayISO, loc), loc.tz),
+    tomorrowSunrise: computePanchang(sunriseFor(tomorrowISO, loc), loc.tz),
+    dayAfterSunrise: computePanchang(sunriseFor(dayAfterISO, loc), loc.tz),
+  };
+}
+
+function buildLocalTimingsBlock(baseDate = new Date()) {
+  const loc = getLocation();
+  const [todayISO, tomorrowISO, dayAfterISO] = groundingDates(baseDate, loc);
+  const days = [
+    ["Today", todayISO],
+    ["Tomorrow", tomorrowISO],
+    ["Day after tomorrow", dayAfterISO],
+  ];
+  return `
+LOCAL TIMINGS for ${loc.name} (lat ${loc.lat}, long ${loc.lon}; times in ${loc.tz}):
+${days.map(([label, iso]) => formatDayTimingsBlock(dayTimings(iso, loc), loc, label)).join("\n")}
+- Use these exact Sunrise/Rahukaal/Yamaganda/Gulika/Abhijit times for this user; never assume Pune timings for another city.
+`.trim();
+}
+
+function extractResolvedDateISO(text, fallbackISO) {
+  // The interpreter writes referenced dates as YYYY-MM-DD; take the first valid one
+  const m = (text || "").match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (!m) return fallbackISO;
+  const dt = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return dt.toISOString().slice(0, 10) === m[0] ? m[0] : fallbackISO;
+}
+
+function detectMuhurtaRuleSet(text) {
+  if (!MUHURTA_RE.test(text)) return null;
+  const hit = MUHURTA_KARYA_RULES.find(([, re]) => re.test(text));
+  return hit ? hit[0] : null;
+}
+
+function parseRangeDays(text, fallbackDays) {
+  const m = (text || "").match(/(\d{1,3})\s*(days?|weeks?|months?|दिवस|आठवड|महिन)/i);
+  if (!m) return fallbackDays;
+  const n = Number(m[1]);
+  const unit = m[2].toLowerCase();
+  const days = /^(week|आठवड)/.test(unit) ? n * 7 : /^(month|महिन)/.test(unit) ? n * 30 : n;
+  return Math.min(Math.max(days, 1), MAX_MUHURTA_DAYS);
+}
+
+function detectTarotSpread(text) {
+  const hit = TAROT_SPREAD_RULES.find(([, re]) => re.test(text));
+  return hit ? hit[0] : "three";
+}
+
+// Extra, request-specific facts computed locally and appended to the Guruji system instruction.
+// `attachments` are shown in the chat (e.g. a muhurta table) before Guruji's reply.
+// `tarot` is a reading already shown for this message: it is read again, never redrawn.
+function buildGrounding(rawUserText, rewrittenText, { tarot = null } = {}) {
+  const blocks = [];
+  const attachments = [];
+  const loc = getLocation();
+  const todayISO = dateISOInZone(new Date(), loc.tz);
+  const both = `${rawUserText}\n${rewrittenText}`;
+
+  const ruleSetId = detectMuhurtaRuleSet(both);
+  if (ruleSetId) {
+    const days = parseRangeDays(both, RULE_SETS[ruleSetId].defaultDays);
+    const result = findMuhurtas(ruleSetId, todayISO, days, loc);
+    blocks.push(formatMuhurtaBlock(result));
+    attachments.push({ kind: "muhurta", content: muhurtaPlainText(result), data: result });
+  }
+
+  const eventTypes = CALENDAR_TYPE_RULES.filter(([, re]) => re.test(both)).map(([type]) => type);
+  if (eventTypes.length) {
+    const endISO = addDaysISO(todayISO, parseRangeDays(both, CALENDAR_LOOKAHEAD_DAYS) - 1);
+    blocks.push(formatEventsBlock(eventsInRange(loc, todayISO, endISO, eventTypes), loc));
+  }
+
+  if (AGNI_VAS_RE.test(rawUserText) || AGNI_VAS_RE.test(rewrittenText)) {
+    const dateISO = extractResolvedDateISO(rewrittenText, todayISO);
+    const result = agniVasForDate(dateISO, loc);
+    blocks.push(formatAgniVasBlock(result, result.allowed ? null : nextPrithviDate(dateISO, loc)));
+  }
+
+  if (tarot || TAROT_RE.test(both)) {
+    const reading =
+      tarot ||
+      drawTarot(detectTarotSpread(both), {
+        seed: rawUserText.match(TAROT_SEED_RE)?.[1]?.toLowerCase(),
+        question: rawUserText,
+        atISO: nowISO(),
+      });
+    blocks.push(formatTarotBlock(reading));
+    attachments.push({ kind: "tarot", content: tarotPlainText(reading), data: reading });
+  }
+
+  return { blocks, attachments };
+}
+
+// -----------------------------
+// Interpreter prompt
+// -----------------------------
+function buildInterpreterPrompt(lang) {
+  const pc = getPanchangContext();
+  const loc = pc.location;
+  const [todayISO, tomorrowISO, dayAfterISO] = groundingDates(new Date(), loc);
+  const zone = `${loc.name}, ${loc.tz}`;
+
+  // This interpreter returns ONLY a rewritten query string.
+  // It resolves relative dates and expands shorthand Marathi.
+  return `
+You are a query interpreter for a Jyotish assistant app.
+Your job: rewrite the user's message into a clear, complete request for an astrologer.
+
+TIME CONTEXT (${zone}):
+- Today: ${dateHuman(todayISO)} (${todayISO}) — now: ${panchangOneLine(pc.now)}
+- Tomorrow: ${dateHuman(tomorrowISO)} (${tomorrowISO}) — at sunrise: ${panchangOneLine(pc.tomorrowSunrise)}
+- Day after tomorrow: ${dateHuman(dayAfterISO)} (${dayAfterISO}) — at sunrise: ${panchangOneLine(pc.dayAfterSunrise)}
+- User location: ${loc.name} (${loc.tz}); today's sunrise ${formatClock(pc.todaySunrise.at, loc.tz)}
+
+RELATIVE DATE RULES (dates at the user's location, ${loc.tz}):
+- "udya" / "उद्या" / "tomorrow" => Tomorrow
+- "aaj" / "आज" / "today" => Today
+- "parva" / "परवा" / "day after tomorrow" => Day after tomorrow
+If no date words are used, keep it as is.
+- Whenever a date is referenced (explicitly or via the words above), write it in the rewritten query as YYYY-MM-DD.
+
+DOMAIN EXPANSION RULES:
+- "agnivas" / "अग्निवास" => "Agni Vas for the referenced date (YYYY-MM-DD): explain whether Havan/Hom is allowed." (the app computes the verdict)
+- "panchang" / "पंचांग" => include tithi, nakshatra, yoga, karan, rahukaal and verdict.
+- "muhurta" / "मुहूर्त" => ask for shubha/ashubha and avoid periods.
+- "tarot" / "टॅरो" => keep the word Tarot, the spread size and any seed; the app draws the cards.
+
+LANGUAGE MODE:
+- The user interface language is: ${lang === "mr" ? "Marathi" : "English"}.
+But your output must be ONLY the rewritten query in the same language as the user's message.
+(If user used Marathi/roman-Marathi, output in Marathi/roman-Marathi; if user used English, output in English.)
+
+OUTPUT RULES:
+- Output ONLY the rewritten query string.
+- No JSON. No bullet points. No explanations.
+`.trim();
+}
+
+// -----------------------------
+// Guruji system instruction (dynamic)
+// -----------------------------
+function buildGurujiSystemInstruction(lang) {
+  const loc = getLocation();
+  const todayISO = dateISOInZone(new Date(), loc.tz);
+
+  const languageLock =
+    lang === "mr"
+      ? `
+CRITICAL LANGUAGE RULE:
+- Respond ONLY in Marathi (प्रमाण मराठी). Do NOT respond in English.
+- Use Devanagari script unless user uses roman Marathi; if user uses roman Marathi, you may reply in roman Marathi but still Marathi language.
+`
+      : `
+CRITICAL LANGUAGE RULE:
+- Respond ONLY in English. Do NOT use Marathi.
+- Use Vedic terms naturally (Tithi, Nakshatra, Rahukaal, Upay, Graha, Shanti, etc.).
+`;
+
+  const temporalGrounding = `
+TIME GROUNDING (${loc.name}, ${loc.tz}):
+- Today's date at the user's location is **${dateHuman(todayISO)}** (${todayISO})
+- If the user says "udya/उद्या/tomorrow", treat it as tomorrow at the user's location.
+- If the user says "parva/परवा/day after tomorrow", treat it as day after tomorrow at the user's location.
+`;
+
+  const pc = getPanchangContext();
+  const tz = pc.location.tz;
+  const panchangGrounding = `
+VERIFIED PANCHANG (computed locally, Lahiri ayanamsa, times in ${tz}):
+${formatPanchangBlock(pc.now, tz, "Now")}
+${formatPanchangBlock(pc.todaySunrise, tz, "Today at sunrise")}
+${formatPanchangBlock(pc.tomorrowSunrise, tz, "Tomorrow at sunrise")}
+${formatPanchangBlock(pc.dayAfterSunrise, tz, "Day after tomorrow at sunrise")}
+- These values are authoritative. Quote them exactly; NEVER invent or recompute Tithi/Nakshatra/Yoga/Karana.
+- For dates not listed here, say the exact Panchang should be checked and avoid guessing.
+`;
+
+  const behaviorRules = `
+CRITICAL BEHAVIOR RULES:
+- Never break character. Never say you are an AI.
+- Start replies with "Namaskar Bal" or "Hari Om".
+- Always give a clear **Yes/No** verdict when user asks permission-like questions.
+- If answer is negative, immediately provide a simple Sattvic Upay.
+- Keep answers practical: 6-14 lines ideally.
+- Use **Bold** for dates/tithi/verdict and use bullet points for lists.
+`;
+
+  return `${SYSTEM_PROMPT}\n\n${temporalGrounding}\n\n${panchangGrounding}\n\n${languageLock}\n\n${behaviorRules}`.trim();
+}
+
+// -----------------------------
+// Storage
+// -----------------------------
+function showStorageWarning(text) {
+  if (storageBanner) {
+    storageBanner.textContent = `⚠️ ${text}`;
+    storageBanner.classList.remove("hidden");
+  }
+  showToast(text);
+}
+
+// Failed writes keep everything in memory; the next save retries the same records
+function handleStorageError(err) {
+  if (isQuotaError(err)) {
+    showStorageWarning(t("storage.full"));
+  } else {
+    console.error("Saving failed:", err);
+    showToast(t("storage.saveFailed"));
+  }
+}
+
+async function checkStorageQuota() {
+  if (Date.now() - lastStorageCheckMs < STORAGE_CHECK_INTERVAL_MS) return;
+  lastStorageCheckMs = Date.now();
+  const est = await storageEstimate().catch(() => null);
+  if (!est || est.ratio < STORAGE_WARN_RATIO) {
+    if (storageBanner) storageBanner.classList.add("hidden");
+    return;
+  }
+  const mb = (n) => Math.round(n / 104857.6) / 10;
+  showStorageWarning(t("storage.almostFull", { used: mb(est.usage), quota: mb(est.quota) }));
+}
+
+// Queues one write per store; calls made while a write is pending share the next one
+function persist(store) {
+  if (writeQueued[store]) return;
+  writeQueued[store] = true;
+
+  persistChain = persistChain
+    .then(() => {
+      writeQueued[store] = false;
+      if (store === "sessions") return writeSessions(sessions);
+      if (store === "reminders") return writeReminders(reminders);
+      return writeProfiles(profiles);
+    })
+    .then(checkStorageQuota)
+    .catch(handleStorageError);
+}
+
+// localStorage fallback (IndexedDB unavailable, e.g. some private modes)
+function writeLocal(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    handleStorageError(err);
+  }
+}
+
+function loadSessions() {
+  return safeParseJSON(localStorage.getItem(STORAGE.SESSIONS) || "[]", []);
+}
+
+function saveSessions() {
+  localStorage.setItem(STORAGE.ACTIVE_SESSION, activeSessionId || "");
+  if (useIndexedDB) persist("sessions");
+  else writeLocal(STORAGE.SESSIONS, sessions);
+}
+
+function loadOutbox() {
+  return safeParseJSON(localStorage.getItem(STORAGE.OUTBOX) || "[]", []);
+}
+
+function saveOutbox() {
+  localStorage.setItem(STORAGE.OUTBOX, JSON.stringify(outbox));
+}
+
+// On start: finished entries are dropped and a send cut off by a closed tab is queued again
+function settleOutbox() {
+  outbox = outbox
+    .filter((e) => e.status !== "done")
+    .map((e) => (e.status === "sending" ? { ...e, status: "queued" } : e));
+  saveOutbox();
+}
+
+// A reply still marked `streaming` was cut off by a closed/reloaded tab
+function settleInterruptedStreams() {
+  let changed = false;
+  sessions.forEach((s) => {
+    s.messages = s.messages.filter((m) => !(m.streaming && !m.content && !m.alternates));
+    s.messages.forEach((m) => {
+      if (!m.streaming) return;
+      delete m.streaming;
+      if (m.alternates && !m.content) {
+        selectAlternate(m, m.alternateIndex); // regeneration never got going: back to the old reply
+      } else {
+        m.partial = true;
+        if (m.alternates) addAlternate(m);
+      }
+      changed = true;
+    });
+  });
+  if (changed) saveSessions();
+}
+
+function getActiveSession() {
+  return sessions.find((s) => s.id === activeSessionId);
+}
+
+function loadProfiles() {
+  return safeParseJSON(localStorage.getItem(STORAGE.PROFILES) || "[]", []);
+}
+
+function saveProfiles() {
+  if (useIndexedDB) persist("profiles");
+  else writeLocal(STORAGE.PROFILES, profiles);
+}
+
+function loadReminders() {
+  return safeParseJSON(localStorage.getItem(STORAGE.REMINDERS) || "[]", []);
+}
+
+function saveReminders() {
+  if (useIndexedDB) persist("reminders");
+  else writeLocal(STORAGE.REMINDERS, reminders);
+}
+
+// localStorage only: usage records written on messages by earlier versions move into the ledger
+function loadUsage() {
+  const ledger = safeParseJSON(localStorage.getItem(STORAGE.USAGE) || "[]", []);
+  let moved = false;
+  sessions.forEach((s) =>
+    s.messages.forEach((m) => {
+      if (!Array.isArray(m.usage)) return;
+      m.usage.forEach((r) => ledger.push({ ...r, id: crypto.randomUUID(), sessionId: s.id }));
+      delete m.usage;
+      moved = true;
+    })
+  );
+  if (moved) {
+    writeLocal(STORAGE.USAGE, ledger);
+    writeLocal(STORAGE.SESSIONS, sessions);
+  }
+  return ledger;
+}
+
+function saveUsageRecord(record) {
+  usageLedger.push(record);
+  if (!useIndexedDB) {
+    writeLocal(STORAGE.USAGE, usageLedger);
+    return;
+  }
+  persistChain = persistChain.then(() => appendUsage(record)).catch(handleStorageError);
+}
+
+// -----------------------------
+// Sessions
+// -----------------------------
+function createNewSession(title = "") {
+  const id = crypto.randomUUID();
+  const now = nowISO();
+  const session = {
+    id,
+    title: title || t("session.newTitle"),
+    createdAtISO: now,
+    updatedAtISO: now,
+    profileId: null,
+    messages: [],
+  };
+  sessions.unshift(session);
+  activeSessionId = id;
+  saveSessions();
+  renderSessionsList();
+  renderMessages();
+  renderProfileSelect();
+  return session;
+}
+
+// -----------------------------
+// Profiles (birth details + chart)
+// -----------------------------
+function getSessionProfile(session) {
+  if (!session?.profileId) return null;
+  return profiles.find((p) => p.id === session.profileId) || null;
+}
+
+function profileBirthInstant(profile) {
+  return zonedTime(profile.birthDate, profile.birthTime, profile.tz);
+}
+
+function getProfileChart(profile) {
+  return computeKundali({ date: profileBirthInstant(profile), lat: profile.lat, lon: profile.lon });
+}
+
+function getProfileDasha(profile, chart = getProfileChart(profile)) {
+  return computeVimshottari(profileBirthInstant(profile), chart.janmaNakshatra.longitude);
+}
+
+function buildProfileBlock(session) {
+  const profile = getSessionProfile(session);
+  if (!profile) return "";
+  try {
+    const chart = getProfileChart(profile);
+    const formatDate = (d) => dateISOInZone(d, profile.tz);
+    return [
+      formatKundaliBlock(profile, chart),
+      formatDashaBlock(profile, getProfileDasha(profile, chart), formatDate),
+    ].join("\n\n");
+  } catch (err) {
+    console.warn("Chart computation failed:", err);
+    return "";
+  }
+}
+
+function appendDashaPeriods(root, profile) {
+  // Mahadasha > Antardasha > Pratyantardasha; the running periods start open
+  const timeline = getProfileDasha(profile);
+  const running = currentDasha(timeline);
+  const fmt = (d) => dateISOInZone(d, profile.tz);
+
+  const periodSummary = (label, period, isCurrent) => {
+    const summary = document.createElement("summary");
+    summary.className = "cursor-pointer" + (isCurrent ? " font-semibold text-saffron" : "");
+    summary.textContent = `${label} · ${fmt(period.start)} → ${fmt(period.end)}`;
+    return summary;
+  };
+
+  timeline.mahadashas.forEach((md) => {
+    const mdEl = document.createElement("details");
+    mdEl.className = "ml-2";
+    mdEl.open = md === running.maha;
+    mdEl.appendChild(periodSummary(md.lord.name, md, md === running.maha));
+
+    md.antardashas.forEach((ad) => {
+      const adEl = document.createElement("details");
+      adEl.className = "ml-3";
+      adEl.open = ad === running.antar;
+      adEl.appendChild(periodSummary(`${md.lord.name}/${ad.lord.name}`, ad, ad === running.antar));
+
+      const list = document.createElement("ul");
+      list.className = "ml-4 list-disc";
+      ad.pratyantardashas.forEach((pd) => {
+        const li = document.createElement("li");
+        if (pd === running.pratyantar) li.className = "font-semibold text-saffron";
+        li.textContent = `${pd.lord.name} · ${fmt(pd.start)} → ${fmt(pd.end)}`;
+        list.appendChild(li);
+      });
+      adEl.appendChild(list);
+      mdEl.appendChild(adEl);
+    });
+    root.appendChild(mdEl);
+  });
+}
+
+function renderDashaTimeline(profile) {
+  // Collapsible timeline, computed the first time it is opened
+  const root = document.createElement("details");
+  root.className = "mt-1 text-xs";
+  const rootSummary = document.createElement("summary");
+  rootSummary.className = "cursor-pointer underline";
+  rootSummary.textContent = t("dasha.title");
+  root.appendChild(rootSummary);
+
+  root.addEventListener("toggle", () => {
+    if (!root.open || root.dataset.loaded) return;
+    root.dataset.loaded = "true";
+    try {
+      appendDashaPeriods(root, profile);
+    } catch (err) {
+      console.warn("Dasha computation failed:", err);
+      const note = document.createElement("div");
+      note.className = "ml-2";
+      note.textContent = t("profile.chartUnavailable");
+      root.appendChild(note);
+    }
+  });
+  return root;
+}
+
+function resetProfileForm() {
+  editingProfileId = null;
+  profileForm?.reset();
+  if (profilePlacePreset) profilePlacePreset.value = "";
+  if (saveProfileBtn) saveProfileBtn.textContent = t("profile.save");
+  if (cancelProfileEditBtn) cancelProfileEditBtn.classList.add("hidden");
+}
+
+function fillProfileForm(profile) {
+  editingProfileId = profile.id;
+  if (profileNameInput) profileNameInput.value = profile.name;
+  if (profileBirthDateInput) profileBirthDateInput.value = profile.birthDate;
+  if (profileBirthTimeInput) profileBirthTimeInput.value = profile.birthTime;
+  if (profilePlacePreset) profilePlacePreset.value = "";
+  if (profileBirthPlaceInput) profileBirthPlaceInput.value = profile.birthPlace || "";
+  if (profileLatInput) profileLatInput.value = String(profile.lat);
+  if (profileLonInput) profileLonInput.value = String(profile.lon);
+  if (profileTzInput) profileTzInput.value = profile.tz;
+  if (saveProfileBtn) saveProfileBtn.textContent = t("profile.update");
+  if (cancelProfileEditBtn) cancelProfileEditBtn.classList.remove("hidden");
+}
+
+function renderProfilePlacePresets() {
+  if (!profilePlacePreset) return;
+  profilePlacePreset.innerHTML = "";
+  [{ id: "", name: t("profile.fillFromCity") }, ...CITY_PRESETS].forEach((c) => {
+    const opt = document.createElement("option");
+    opt.value = c.id;
+    opt.textContent = c.name;
+    profilePlacePreset.appendChild(opt);
+  });
+}
+
+function renderProfileSelect() {
+  if (!sessionProfileSelect) return;
+  const session = getActiveSession();
+  sessionProfileSelect.innerHTML = "";
+
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = t("profileBar.none");
+  sessionProfileSelect.appendChild(none);
+
+  profiles.forEach((p) => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name;
+    sessionProfileSelect.appendChild(opt);
+  });
+  sessionProfileSelect.value = getSessionProfile(session)?.id || "";
+}
+
+function renderProfilesList() {
+  if (!profilesListDiv) return;
+
+  profilesListDiv.innerHTML = "";
+  profiles.forEach((p) => {
+    const row = document.createElement("div");
+    row.className = "border border-maroon rounded p-2";
+
+    const head = document.createElement("div");
+    head.className = "flex items-center justify-between";
+
+    const info = document.createElement("div");
+    info.className = "flex-1 min-w-0";
+    const name = document.createElement("div");
+    name.className = "font-semibold truncate";
+    name.textContent = p.name;
+    const summary = document.createElement("div");
+    summary.className = "text-xs truncate";
+    try {
+      summary.textContent = kundaliOneLine(getProfileChart(p));
+    } catch {
+      summary.textContent = t("profile.chartUnavailable");
+    }
+    info.appendChild(name);
+    info.appendChild(summary);
+
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.className =
+      "ml-2 text-xs bg-saffron text-maroon px-2 py-1 rounded hover:bg-maroon hover:text-cream transition";
+    editBtn.textContent = t("common.edit");
+    editBtn.addEventListener("click", () => fillProfileForm(p));
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className =
+      "ml-2 text-xs bg-maroon text-cream px-2 py-1 rounded hover:bg-saffron hover:text-maroon transition";
+    deleteBtn.textContent = t("common.delete");
+    deleteBtn.addEventListener("click", () => {
+      if (!confirm(t("profile.confirmDelete", { name: p.name }))) return;
+      profiles = profiles.filter((x) => x.id !== p.id);
+      sessions.forEach((s) => {
+        if (s.profileId === p.id) s.profileId = null;
+      });
+      if (editingProfileId === p.id) resetProfileForm();
+      saveProfiles();
+      saveSessions();
+      renderProfilesList();
+      renderProfileSelect();
+    });
+
+    head.appendChild(info);
+    head.appendChild(editBtn);
+    head.appendChild(deleteBtn);
+    row.appendChild(head);
+    row.appendChild(renderDashaTimeline(p));
+    profilesListDiv.appendChild(row);
+  });
+}
+
+function updateSessionTitleFromFirstMessage(session, firstUserText) {
+  const untitled = LANGUAGES.some((lang) => translate(lang, "session.newTitle") === session.title);
+  if (untitled && firstUserText) {
+    session.title = firstUserText.slice(0, 32) + (firstUserText.length > 32 ? "…" : "");
+  }
+}
+
+// -----------------------------
+// Rendering
+// -----------------------------
+function renderQuickActions() {
+  if (!quickActionsDiv) return;
+
+  quickActionsDiv.innerHTML = "";
+  quickActions
+    .filter((a) => !a.hidden)
+    .forEach((a) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className =
+        "flex-none bg-saffron text-maroon px-3 py-1 rounded whitespace-nowrap hover:bg-maroon hover:text-cream transition focus:outline-none focus:ring-2 focus:ring-cream";
+      btn.textContent = quickActionLabel(a);
+      btn.addEventListener("click", () => runQuickAction(a));
+      quickActionsDiv.appendChild(btn);
+    });
+
+  const editBtn = document.createElement("button");
+  editBtn.type = "button";
+  editBtn.className =
+    "flex-none px-2 py-1 rounded hover:bg-saffron hover:text-maroon transition focus:outline-none focus:ring-2 focus:ring-cream";
+  editBtn.textContent = "✎";
+  editBtn.title = t("quick.editAria");
+  editBtn.setAttribute("aria-label", t("quick.editAria"));
+  editBtn.addEventListener("click", openQuickActionsPanel);
+  quickActionsDiv.appendChild(editBtn);
+}
+
+function renderMessages() {
+  if (!chatArea) return;
+
+  chatArea.innerHTML = "";
+  const session = getActiveSession();
+  if (!session) return;
+
+  session.messages.forEach((msg, i) => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "flex";
+    wrapper.dataset.index = String(i);
+
+    const bubble = document.createElement("div");
+    bubble.classList.add("max-w-[82%]", "px-4", "py-2", "rounded-lg", "shadow");
+    bubble.style.wordBreak = "break-word";
+
+    if (msg.role === "user") {
+      wrapper.classList.add("justify-end");
+      bubble.classList.add("bg-saffron", "text-maroon", "self-end");
+    } else {
+      wrapper.classList.add("justify-start");
+      bubble.classList.add("bg-maroon", "bg-opacity-10", "text-maroon");
+    }
+
+    if (msg === editingMessage) {
+      bubble.classList.replace("max-w-[82%]", "w-full");
+      renderMessageEditor(bubble, session, msg);
+    } else if (msg.kind === "muhurta" && msg.data) {
+      bubble.classList.remove("max-w-[82%]");
+      bubble.classList.add("max-w-full", "overflow-x-auto");
+      renderMuhurtaTable(bubble, msg.data);
+      bubble.appendChild(renderMessageActions(session, msg));
+    } else if (msg.kind === "tarot" && msg.data) {
+      bubble.classList.remove("max-w-[82%]");
+      bubble.classList.add("max-w-full", "overflow-x-auto");
+      renderTarotSpread(bubble, msg.data);
+      bubble.appendChild(renderMessageActions(session, msg));
+    } else if (msg.streaming) {
+      bubble.dataset.streaming = "true";
+      fillStreamingBubble(bubble, msg.content);
+    } else {
+      bubble.innerHTML = renderMarkdown(msg.content || "");
+      const entry = msg.outboxId && outbox.find((e) => e.id === msg.outboxId);
+      if (entry && entry.status !== "done") bubble.appendChild(renderOutboxBadge(entry));
+      if (msg.partial) {
+        const note = document.createElement("div");
+        note.className = "mt-1 text-xs italic opacity-75";
+        note.textContent = t("reply.interrupted");
+        bubble.appendChild(note);
+      }
+      bubble.appendChild(renderMessageActions(session, msg));
+    }
+    wrapper.appendChild(bubble);
+    chatArea.appendChild(wrapper);
+  });
+
+  chatArea.scrollTop = chatArea.scrollHeight;
+}
+
+// "‹ 2/3 ›" switcher for alternates (replies) or branches (edited questions)
+function renderVersionSwitch(count, index, onSelect) {
+  const wrap = document.createElement("span");
+  wrap.className = "inline-flex items-center space-x-1";
+  const arrow = (label, target, aria) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "px-1 rounded hover:bg-maroon hover:text-cream disabled:opacity-30";
+    btn.textContent = label;
+    btn.setAttribute("aria-label", aria);
+    btn.disabled = target < 0 || target >= count;
+    btn.addEventListener("click", () => onSelect(target));
+    return btn;
+  };
+  const pos = document.createElement("span");
+  pos.textContent = `${formatNum(index + 1)}/${formatNum(count)}`;
+  wrap.appendChild(arrow("‹", index - 1, t("version.previous")));
+  wrap.appendChild(pos);
+  wrap.appendChild(arrow("›", index + 1, t("version.next")));
+  return wrap;
+}
+
+function renderMessageActions(session, msg) {
+  const row = document.createElement("div");
+  row.className = `mt-1 flex flex-wrap items-center gap-x-3 text-xs opacity-70 ${msg.role === "user" ? "justify-end" : ""}`;
+
+  if (msg.alternates?.length > 1) {
+    row.appendChild(renderVersionSwitch(msg.alternates.length, msg.alternateIndex, (i) => showAlternate(msg, i)));
+  }
+  if (msg.branches?.length > 1) {
+    row.appendChild(renderVersionSwitch(msg.branches.length, msg.branchIndex, (i) => showBranch(session, msg, i)));
+  }
+
+  const action = (label, title, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "hover:underline";
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", onClick);
+    row.appendChild(btn);
+  };
+  if (msg.role === "assistant" && !msg.kind) {
+    action(t("action.regenerate"), t("action.regenerateTitle"), () => regenerateReply(session, msg));
+  }
+  if (msg.role === "user") {
+    action(t("action.edit"), t("action.editTitle"), () => {
+      if (isReplyBusy()) return;
+      editingMessage = msg;
+      renderMessages();
+    });
+  }
+  const upay = msg.role === "assistant" && !msg.kind && detectUpay(msg.content);
+  if (upay) {
+    action(t("action.remind"), t("action.remindTitle", { days: upay.days }), () => openRemindersPanel({ ...upay, sessionId: session.id }));
+  }
+  action(t("action.copy"), t("action.copyTitle"), () => copyMessage(msg));
+  action(t("action.branch"), t("action.branchTitle"), () => branchFromHere(session, msg));
+  action(t("action.delete"), t("action.deleteTitle"), () => deleteMessage(session, msg));
+  return row;
+}
+
+function renderMessageEditor(bubble, session, msg) {
+  const input = document.createElement("textarea");
+  input.rows = 3;
+  input.className = "w-full border border-maroon rounded p-2 bg-cream text-maroon focus:outline-none focus:ring-2 focus:ring-saffron";
+  input.value = msg.content;
+
+  const hasThread = session.messages.indexOf(msg) < session.messages.length - 1;
+  const buttons = document.createElement("div");
+  buttons.className = "mt-1 flex flex-wrap gap-2 justify-end text-xs";
+  const button = (label, title, primary, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = primary
+      ? "bg-maroon text-cream px-2 py-1 rounded hover:bg-saffron hover:text-maroon transition"
+      : "bg-cream text-maroon px-2 py-1 rounded hover:bg-maroon hover:text-cream transition";
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", onClick);
+    buttons.appendChild(btn);
+  };
+  button(t(hasThread ? "editor.resendReplace" : "editor.resend"), t("editor.resendTitle"), true, () =>
+    editAndResend(session, msg, input.value, "truncate")
+  );
+  if (hasThread) {
+    button(t("editor.branch"), t("editor.branchTitle"), true, () =>
+      editAndResend(session, msg, input.value, "branch")
+    );
+  }
+  button(t("common.cancel"), t("editor.cancelTitle"), false, () => {
+    editingMessage = null;
+    renderMessages();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      editingMessage = null;
+      renderMessages();
+    }
+  });
+
+  bubble.appendChild(input);
+  bubble.appendChild(buttons);
+  requestAnimationFrame(() => {
+    input.focus();
+    input.scrollIntoView({ block: "center" });
+  });
+}
+
+function renderOutboxBadge(entry) {
+  const row = document.createElement("div");
+  row.className = "mt-1 flex items-center justify-end space-x-2 text-xs";
+
+  const label = document.createElement("span");
+  label.textContent = t(
+    entry.status === "sending"
+      ? "outbox.sending"
+      : scheduledRetry?.entryId === entry.id
+        ? "outbox.retryScheduled"
+        : entry.status === "failed"
+          ? "outbox.failed"
+          : "outbox.queued"
+  );
+  label.title = entry.status === "failed" ? entry.lastError || t("outbox.failedTitle") : t("outbox.queuedTitle");
+  row.appendChild(label);
+
+  if (entry.status !== "sending") {
+    const sendNowBtn = document.createElement("button");
+    sendNowBtn.type = "button";
+    sendNowBtn.className = "underline font-semibold hover:no-underline";
+    sendNowBtn.textContent = t("outbox.sendNow");
+    sendNowBtn.addEventListener("click", () => sendOutboxEntryNow(entry.id));
+    row.appendChild(sendNowBtn);
+  }
+  return row;
+}
+
+function fillStreamingBubble(bubble, text) {
+  bubble.innerHTML = renderMarkdown(text || "");
+  const cursor = document.createElement("span");
+  cursor.className = "animate-pulse";
+  cursor.textContent = "▍";
+  bubble.appendChild(cursor);
+}
+
+// Chunks only repaint the streaming bubble (at most once per frame), not the whole chat
+function scheduleStreamRender() {
+  if (streamRenderPending) return;
+  streamRenderPending = true;
+  requestAnimationFrame(() => {
+    streamRenderPending = false;
+    if (!activeStream || !chatArea || activeStream.sessionId !== activeSessionId) return;
+
+    const bubble = chatArea.querySelector('[data-streaming="true"]');
+    if (!bubble) {
+      renderMessages();
+      return;
+    }
+    const nearBottom = chatArea.scrollHeight - chatArea.scrollTop - chatArea.clientHeight < 80;
+    fillStreamingBubble(bubble, activeStream.message.content);
+    if (nearBottom) chatArea.scrollTop = chatArea.scrollHeight;
+  });
+}
+
+function renderMuhurtaTable(container, result) {
+  const title = document.createElement("div");
+  title.className = "font-semibold mb-1";
+  const label = getLanguage() === "mr" && result.labelMr ? result.labelMr : result.label;
+  title.textContent = t("muhurta.title", { label, start: result.startISO, end: result.endISO, place: result.location });
+  container.appendChild(title);
+
+  if (!result.candidates.length) {
+    const empty = document.createElement("div");
+    empty.textContent = t("muhurta.none");
+    container.appendChild(empty);
+  } else {
+    const table = document.createElement("table");
+    table.className = "text-xs border-collapse w-full";
+    const head = document.createElement("tr");
+    t("muhurta.columns").split("|").forEach((h) => {
+      const th = document.createElement("th");
+      th.className = "border border-maroon px-1 text-left";
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    result.candidates.forEach((c, i) => {
+      const tr = document.createElement("tr");
+      [formatNum(i + 1), c.isoDate, c.vara, c.tithi, c.nakshatra, c.rahukaal, c.reasons.join(", ")].forEach((v, col) => {
+        const td = document.createElement("td");
+        td.className = "border border-maroon px-1 align-top" + (col === 1 ? " font-semibold whitespace-nowrap" : "");
+        td.textContent = v;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    container.appendChild(table);
+  }
+
+  const foot = document.createElement("div");
+  foot.className = "mt-1 text-xs";
+  foot.textContent = `${t("muhurta.rejected", { rejected: result.rejectedCount, days: result.days })}${result.topBlockers.length ? ` — ${result.topBlockers.join("; ")}` : ""}`;
+  container.appendChild(foot);
+}
+
+function renderTarotSpread(container, reading) {
+  const mr = getLanguage() === "mr";
+  const cards = readingCards(reading);
+
+  const title = document.createElement("div");
+  title.className = "font-semibold mb-1";
+  title.textContent = t("tarot.title", { spread: spreadLabel(reading, getLanguage()) });
+  container.appendChild(title);
+
+  const grid = document.createElement("div");
+  grid.className = "grid gap-2 justify-center py-2";
+  grid.style.gridTemplateColumns = `repeat(${Math.max(...cards.map((c) => c.position.col))}, minmax(4.5rem, 5.5rem))`;
+  cards.forEach((c, i) => {
+    const face = document.createElement("div");
+    face.className =
+      "relative h-28 bg-cream border-2 border-maroon rounded shadow flex flex-col items-center justify-center text-center p-1 text-xs leading-tight";
+    if (c.position.cross) face.classList.add("rotate-90", "scale-90", "z-10", "opacity-95");
+    face.style.gridRow = String(c.position.row);
+    face.style.gridColumn = String(c.position.col);
+    face.title = `${i + 1}. ${mr ? c.position.labelMr : c.position.label}: ${cardMeaning(c.card, c.reversed, getLanguage())}`;
+
+    const number = document.createElement("span");
+    number.className = "absolute top-0 left-1 text-[10px] font-semibold";
+    number.textContent = formatNum(i + 1);
+    const glyph = document.createElement("span");
+    glyph.className = "text-lg" + (c.reversed ? " inline-block rotate-180" : "");
+    glyph.textContent = c.card.glyph;
+    const name = document.createElement("span");
+    name.className = "font-semibold";
+    name.textContent = cardName(c.card, getLanguage());
+    face.append(number, glyph, name);
+    if (c.reversed) {
+      const rev = document.createElement("span");
+      rev.className = "text-[10px] italic";
+      rev.textContent = t("tarot.reversed");
+      face.appendChild(rev);
+    }
+    grid.appendChild(face);
+  });
+  container.appendChild(grid);
+
+  const legend = document.createElement("ol");
+  legend.className = "text-xs list-decimal pl-5 space-y-0.5";
+  cards.forEach((c) => {
+    const li = document.createElement("li");
+    const head = document.createElement("span");
+    head.className = "font-semibold";
+    head.textContent = `${mr ? c.position.labelMr : c.position.label} — ${cardName(c.card, getLanguage())}${c.reversed ? ` (${t("tarot.reversed")})` : ""}: `;
+    li.append(head, document.createTextNode(cardMeaning(c.card, c.reversed, getLanguage())));
+    legend.appendChild(li);
+  });
+  container.appendChild(legend);
+
+  const foot = document.createElement("div");
+  foot.className = "mt-1 text-xs opacity-75";
+  const when = formatDateTime(reading.atISO, { dateStyle: "medium", timeStyle: "short" });
+  foot.textContent = t("tarot.seed", { seed: reading.seed, when });
+  foot.title = t("tarot.seedTitle");
+  container.appendChild(foot);
+}
+
+function renderCalendarFilters() {
+  if (!calendarFiltersDiv) return;
+  calendarFiltersDiv.innerHTML = "";
+  EVENT_TYPES.forEach((type) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center space-x-1 border border-maroon rounded px-2 py-1 cursor-pointer";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = calendarTypes.has(type);
+    box.addEventListener("change", () => {
+      if (box.checked) calendarTypes.add(type);
+      else calendarTypes.delete(type);
+      renderCalendar();
+    });
+    const text = document.createElement("span");
+    text.textContent = t(`event.${type}`);
+    label.append(box, text);
+    calendarFiltersDiv.appendChild(label);
+  });
+}
+
+function renderCalendar() {
+  if (!calendarGrid || !calendarView) return;
+
+  const loc = getLocation();
+  const mr = getLanguage() === "mr";
+  const { year, month } = calendarView;
+  const prefix = `${year}-${String(month + 1).padStart(2, "0")}`;
+  const days = generateYear(year, loc).days.filter((d) => d.isoDate.startsWith(prefix));
+  const visible = (d) => d.events.filter((ev) => calendarTypes.has(ev.type));
+  const todayISO = dateISOInZone(new Date(), loc.tz);
+
+  if (calendarTitle) {
+    const gregorian = formatDateTime(Date.UTC(year, month, 1), { month: "long", year: "numeric", timeZone: "UTC" });
+    const lunar = [...new Set(days.filter((d) => d.month).map((d) => {
+      const name = mr ? d.month.nameMr : d.month.name;
+      return d.month.adhik ? `${t("calendar.adhik")} ${name}` : name;
+    }))];
+    calendarTitle.textContent = `${gregorian} · ${lunar.join(" / ")}`;
+  }
+  if (calendarLocation) calendarLocation.textContent = t("calendar.location", { place: loc.name, tz: loc.tz });
+
+  calendarGrid.innerHTML = "";
+  for (let i = 0; i < (days[0]?.weekday || 0); i++) calendarGrid.appendChild(document.createElement("div"));
+  days.forEach((d) => {
+    const cell = document.createElement("div");
+    cell.className = `border rounded p-1 min-h-[4rem] text-left ${d.isoDate === todayISO ? "border-saffron border-2" : "border-maroon"}`;
+
+    const num = document.createElement("div");
+    num.className = "font-semibold";
+    num.textContent = formatNum(Number(d.isoDate.slice(8)));
+    const tithi = document.createElement("div");
+    tithi.className = "opacity-75 truncate";
+    tithi.textContent = mr ? d.tithi.nameMr : d.tithi.name;
+    cell.append(num, tithi);
+
+    visible(d).forEach((ev) => {
+      const badge = document.createElement("div");
+      badge.className = `mt-1 rounded px-1 truncate ${ev.type === "festival" ? "bg-maroon text-cream" : "bg-saffron text-maroon"}`;
+      badge.textContent = mr ? ev.nameMr : ev.name;
+      badge.title = [ev.name, ev.detail].filter(Boolean).join(" · ");
+      cell.appendChild(badge);
+    });
+    calendarGrid.appendChild(cell);
+  });
+
+  if (!calendarEventsDiv) return;
+  const monthEvents = eventsInRange(loc, `${prefix}-01`, `${prefix}-31`, [...calendarTypes]);
+  calendarEventsDiv.innerHTML = "";
+  if (!monthEvents.length) {
+    calendarEventsDiv.textContent = t("calendar.empty");
+  }
+  monthEvents.forEach((ev) => {
+    const row = document.createElement("label");
+    row.className = "flex items-start space-x-2 cursor-pointer";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.className = "mt-1";
+    box.checked = calendarSelected.has(ev.id);
+    box.addEventListener("change", () => {
+      if (box.checked) calendarSelected.set(ev.id, ev);
+      else calendarSelected.delete(ev.id);
+    });
+    const text = document.createElement("span");
+    const name = mr ? ev.nameMr : ev.name;
+    const detail = mr ? ev.detailMr : ev.detail;
+    text.textContent = `${ev.isoDate} — ${name}${detail ? ` (${detail})` : ""}`;
+    row.append(box, text);
+    calendarEventsDiv.appendChild(row);
+  });
+  if (calendarSelectAll) {
+    calendarSelectAll.checked = monthEvents.length > 0 && monthEvents.every((ev) => calendarSelected.has(ev.id));
+  }
+}
+
+function shiftCalendarMonth(delta) {
+  if (!calendarView) return;
+  const d = new Date(Date.UTC(calendarView.year, calendarView.month + delta, 1));
+  calendarView = { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+  renderCalendar();
+}
+
+function renderSessionsList() {
+  if (!sessionsListDiv) return;
+
+  sessionsListDiv.innerHTML = "";
+  selectedSessionIds.forEach((id) => {
+    if (!sessions.some((s) => s.id === id)) selectedSessionIds.delete(id);
+  });
+  updateExportSelectedButton();
+
+  sessions.forEach((s) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center justify-between border border-maroon rounded p-2";
+
+    const selectBox = document.createElement("input");
+    selectBox.type = "checkbox";
+    selectBox.className = "mr-2 accent-maroon";
+    selectBox.title = t("session.selectForExport");
+    selectBox.checked = selectedSessionIds.has(s.id);
+    selectBox.addEventListener("change", () => {
+      if (selectBox.checked) selectedSessionIds.add(s.id);
+      else selectedSessionIds.delete(s.id);
+      updateExportSelectedButton();
+    });
+
+    const openBtn = document.createElement("button");
+    openBtn.type = "button";
+    openBtn.className = "flex-1 text-left truncate hover:underline";
+    openBtn.textContent = s.title;
+    openBtn.title = formatDateTime(s.updatedAtISO, { dateStyle: "medium", timeStyle: "short" });
+
+    openBtn.addEventListener("click", () => {
+      activeSessionId = s.id;
+      saveSessions();
+      renderMessages();
+      renderSessionsList();
+      renderProfileSelect();
+      if (settingsPanel) settingsPanel.classList.add("hidden");
+    });
+
+    const renameBtn = document.createElement("button");
+    renameBtn.type = "button";
+    renameBtn.className =
+      "ml-2 text-xs bg-saffron text-maroon px-2 py-1 rounded hover:bg-maroon hover:text-cream transition";
+    renameBtn.textContent = t("common.rename");
+    renameBtn.addEventListener("click", () => {
+      const newName = prompt(t("session.renamePrompt"), s.title);
+      if (newName) {
+        s.title = newName;
+        s.updatedAtISO = nowISO();
+        saveSessions();
+        renderSessionsList();
+      }
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className =
+      "ml-2 text-xs bg-maroon text-cream px-2 py-1 rounded hover:bg-saffron hover:text-maroon transition";
+    deleteBtn.textContent = t("common.delete");
+    deleteBtn.addEventListener("click", () => {
+      if (!confirm(t("session.confirmDelete"))) return;
+
+      sessions = sessions.filter((x) => x.id !== s.id);
+      if (activeSessionId === s.id) {
+        if (sessions.length) activeSessionId = sessions[0].id;
+        else createNewSession();
+      }
+      saveSessions();
+      renderSessionsList();
+      renderMessages();
+      renderProfileSelect();
+    });
+
+    row.appendChild(selectBox);
+    row.appendChild(openBtn);
+    row.appendChild(renameBtn);
+    row.appendChild(deleteBtn);
+    sessionsListDiv.appendChild(row);
+  });
+
+  renderSearchResults();
+}
+
+// -----------------------------
+// Search
+// -----------------------------
+function renderSearchResults() {
+  if (!searchResultsDiv) return;
+  searchResultsDiv.innerHTML = "";
+
+  const query = (searchInput?.value || "").trim();
+  if (!query) {
+    searchResultsDiv.classList.add("hidden");
+    return;
+  }
+  searchResultsDiv.classList.remove("hidden");
+
+  const results = searchSessions(sessions, query);
+  if (!results.length) {
+    const empty = document.createElement("div");
+    empty.className = "text-sm italic opacity-75";
+    empty.textContent = t("search.none");
+    searchResultsDiv.appendChild(empty);
+    return;
+  }
+
+  results.forEach((r) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "block w-full text-left border border-maroon rounded p-2 text-sm hover:bg-saffron hover:bg-opacity-30";
+
+    const meta = document.createElement("div");
+    meta.className = "text-xs opacity-75 truncate";
+    const who = t(r.message.role === "user" ? "search.you" : "search.guruji");
+    meta.textContent = `${r.session.title} · ${formatDateTime(r.timeISO, { dateStyle: "medium" })} · ${who}`;
+    item.appendChild(meta);
+
+    const snippet = document.createElement("div");
+    r.segments.forEach((seg) => {
+      if (seg.hit) {
+        const mark = document.createElement("mark");
+        mark.className = "bg-saffron text-maroon rounded px-0.5";
+        mark.textContent = seg.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(seg.text));
+      }
+    });
+    item.appendChild(snippet);
+
+    item.addEventListener("click", () => openSearchResult(r.session.id, r.message));
+    searchResultsDiv.appendChild(item);
+  });
+}
+
+function openSearchResult(sessionId, message) {
+  const session = sessions.find((s) => s.id === sessionId);
+  if (!session) return;
+  activeSessionId = session.id;
+  saveSessions();
+  renderMessages();
+  renderSessionsList();
+  renderProfileSelect();
+  if (settingsPanel) settingsPanel.classList.add("hidden");
+
+  // Look the message up again: its index may have shifted since the search ran
+  const index = session.messages.indexOf(message);
+  const bubble = chatArea?.querySelector(`[data-index="${index}"] > div`);
+  if (!bubble) return;
+  bubble.scrollIntoView({ block: "center", behavior: "smooth" });
+  bubble.classList.add("ring-4", "ring-saffron", "animate-pulse");
+  setTimeout(() => bubble.classList.remove("ring-4", "ring-saffron", "animate-pulse"), 2000);
+}
+
+// -----------------------------
+// Usage tracking
+// -----------------------------
+// Every model call goes into the usage ledger (usage.js) with the consultation of the user message
+// it was made for; calls that never got an answer cost nothing and are not noted
+function noteUsage(forMessage, stage, target, request, result) {
+  if (!result.ok && !result.usage && !result.reply) return;
+  const session = forMessage ? sessions.find((s) => s.messages.includes(forMessage)) : null;
+  saveUsageRecord({ id: crypto.randomUUID(), sessionId: session?.id ?? null, ...usageRecord(stage, target, request, result) });
+}
+
+// llmFetch on the interpreter model (also used for language fixes and summaries)
+async function interpreterFetch(stage, forMessage, request, timeoutMs) {
+  const target = stageTarget("interpreter");
+  const result = await llmFetch(target, request, timeoutMs);
+  noteUsage(forMessage, stage, target, request, result);
+  return result;
+}
+
+// -----------------------------
+// Stage 1: Interpreter
+// -----------------------------
+async function interpretUserQuery(rawUserText, forMessage) {
+  const lang = getLanguage();
+  const prompt = buildInterpreterPrompt(lang);
+
+  const request = {
+    system: prompt,
+    messages: [{ role: "user", text: rawUserText }],
+    generation: {
+      temperature: 0.15,
+      topP: 0.9,
+      maxTokens: 240,
+    },
+  };
+
+  const result = await interpreterFetch("interpreter", forMessage, request, 20000);
+  if (!result.ok) {
+    // If interpreter fails, fallback to raw user text
+    console.warn("Interpreter failed:", result.status, result.text);
+    return rawUserText;
+  }
+
+  const rewritten = result.reply?.trim();
+  return rewritten || rawUserText;
+}
+
+// -----------------------------
+// Reply language enforcement
+// -----------------------------
+const ENFORCE_INSTRUCTIONS = {
+  "mr:translate": `
+Translate each paragraph into pure, formal Marathi (प्रमाण मराठी).
+Rules:
+- Keep the meaning identical.
+- Keep Sanskrit shlokas and mantras exactly as written.`,
+  "mr:script": `
+These paragraphs are Marathi written in roman letters. Rewrite them in Devanagari.
+Rules:
+- Change only the script: same words, same order, standard Marathi spelling.
+- Keep English technical words and names as they are.`,
+  "en:translate": `
+Translate each paragraph into clear, simple English.
+Rules:
+- Keep the meaning identical.
+- Keep Sanskrit shlokas, mantras and names of tithis, nakshatras and rituals as written.`,
+};
+
+// Sends only the paragraphs needing the same fix, each behind a <<n>> marker line, and maps
+// the answer back; null if the call fails or the markers do not come back intact.
+async function rewriteParagraphs(paragraphs, instruction, forMessage) {
+  const request = {
+    system: `
+${instruction.trim()}
+- Preserve **bold** markers exactly.
+- Preserve bullet lists and line breaks.
+- Do NOT add extra content.
+- Each paragraph starts with a marker line such as <<1>>. Repeat every marker line exactly.
+Output ONLY the marked paragraphs.
+`.trim(),
+    messages: [{ role: "user", text: paragraphs.map((p, i) => `<<${i + 1}>>\n${p}`).join("\n\n") }],
+    generation: { temperature: 0.2, maxTokens: 1400 },
+  };
+
+  const result = await interpreterFetch("enforce", forMessage, request, 25000);
+  if (!result.ok || !result.reply) return null;
+
+  const pieces = result.reply.split(/^\s*<<(\d+)>>\s*$/m);
+  const out = [];
+  for (let i = 1; i < pieces.length; i += 2) {
+    const marker = Number(pieces[i]);
+    if (marker < 1 || marker > paragraphs.length) return null;
+    out[marker - 1] = pieces[i + 1].trim();
+  }
+  // Every paragraph must come back (every() would skip a missing marker's hole)
+  for (let i = 0; i < paragraphs.length; i++) if (!out[i]) return null;
+  return out;
+}
+
+// Fixes only the paragraphs that are not in the UI language. Roman Marathi falls back to the
+// offline transliterator when the model call fails; other paragraphs are then kept as they came.
+async function enforceReplyLanguage(replyText, forMessage) {
+  const lang = getLanguage();
+  const { parts, fixes } = planEnforcement(replyText, lang);
+  if (!fixes.length) return replyText;
+
+  for (const fix of ["translate", "script"]) {
+    const group = fixes.filter((f) => f.fix === fix);
+    if (!group.length) continue;
+    const rewritten = await rewriteParagraphs(
+      group.map((f) => parts[f.index]),
+      ENFORCE_INSTRUCTIONS[`${lang}:${fix}`],
+      forMessage
+    );
+    group.forEach((f, i) => {
+      if (rewritten) parts[f.index] = rewritten[i];
+      else if (fix === "script") parts[f.index] = transliterate(parts[f.index]);
+    });
+  }
+  return parts.join("");
+}
+
+// -----------------------------
+// Consultation summary
+// -----------------------------
+async function summarizeTurns(previousText, turns, forMessage) {
+  const lang = getLanguage();
+  const request = {
+    system: `
+You keep the running summary of a Jyotish consultation between a user and Barve Guruji.
+Merge the previous summary and the conversation turns into ONE updated summary.
+Keep:
+- Names of the people discussed and how they are related to the user.
+- Birth dates, times and places.
+- Dates, tithis and muhurtas discussed or recommended.
+- The user's concerns and questions, and what Guruji concluded.
+- Remedies (upay) given, with mantras, durations and dates.
+Drop greetings, repetition and general explanations.
+Write short bullet points (at most 15) in ${lang === "mr" ? "Marathi (Devanagari)" : "English"}.
+Output ONLY the summary.
+`.trim(),
+    messages: [
+      {
+        role: "user",
+        text: [
+          `PREVIOUS SUMMARY:\n${previousText.trim() || "(none)"}`,
+          "TURNS:",
+          ...turns.map((m) => `${m.role === "user" ? "User" : "Guruji"}: ${m.content}`),
+        ].join("\n\n"),
+      },
+    ],
+    generation: { temperature: 0.2, maxTokens: 900 },
+  };
+
+  const result = await interpreterFetch("summary", forMessage, request, 30000);
+  if (!result.ok) {
+    console.warn("Summary update failed:", result.status, result.text);
+    return "";
+  }
+  return result.reply?.trim() || "";
+}
+
+// Folds turns past the context budget into session.summary before a Guruji call
+async function foldOldTurns(session, historyEnd, forMessage) {
+  const { toFold } = splitHistory(contextMessages(session.messages, historyEnd), session.summary);
+  if (!toFold.length) return;
+  const text = await summarizeTurns(session.summary?.text || "", toFold, forMessage);
+  if (!text) return; // tried again on the next call
+  session.summary = {
+    text,
+    folded: contextMessages(session.messages).indexOf(toFold.at(-1)) + 1,
+    updatedAtISO: nowISO(),
+  };
+  saveSessions();
+  renderSummaryPanel();
+  showToast(t("summary.updated"));
+}
+
+// Keeps the covered count right when a message inside the summarised part is deleted
+function unfoldMessage(session, message) {
+  if (!session.summary?.folded) return;
+  const index = contextMessages(session.messages).indexOf(message);
+  if (index >= 0 && index < session.summary.folded) session.summary.folded--;
+}
+
+function renderSummaryPanel() {
+  if (!summaryPanel || summaryPanel.classList.contains("hidden")) return;
+  const summary = getActiveSession()?.summary;
+  if (summaryMeta) {
+    summaryMeta.textContent = summary
+      ? t("summary.meta", {
+          count: summary.folded,
+          time: formatDateTime(summary.editedAtISO || summary.updatedAtISO, { dateStyle: "medium", timeStyle: "short" }),
+          edited: Boolean(summary.editedAtISO),
+        })
+      : t("summary.empty");
+  }
+}
+
+function openSummaryPanel() {
+  if (!summaryPanel) return;
+  if (summaryText) summaryText.value = getActiveSession()?.summary?.text || "";
+  summaryPanel.classList.remove("hidden");
+  renderSummaryPanel();
+  summaryText?.focus();
+}
+
+function saveSummary() {
+  const session = getActiveSession();
+  if (!session) return;
+  const text = (summaryText?.value || "").trim();
+  if (!text && !session.summary) return;
+  const ts = nowISO();
+  session.summary = { folded: 0, ...session.summary, text, updatedAtISO: ts, editedAtISO: ts };
+  saveSessions();
+  renderSummaryPanel();
+  showToast(t("summary.saved"));
+}
+
+// -----------------------------
+// Stage 2: Guruji
+// -----------------------------
+function buildGurujiPayload(session, finalUserText, groundingBlocks = [], historyEnd = session.messages.length) {
+  const lang = getLanguage();
+  const system = [
+    buildGurujiSystemInstruction(lang),
+    buildLocalTimingsBlock(),
+    buildProfileBlock(session),
+    formatSummaryBlock(session.summary),
+    ...groundingBlocks,
+  ].filter(Boolean).join("\n\n");
+
+  // Turns still waiting to be folded (summary call failed) are left out, as the old hard cutoff did
+  const { recent } = splitHistory(contextMessages(session.messages, historyEnd), session.summary);
+  const history = recent.map((m) => ({
+    role: m.role === "assistant" ? "assistant" : "user",
+    text: m.content,
+  }));
+
+  // Append the final user text explicitly (so interpreter output is what model sees)
+  history.push({
+    role: "user",
+    text: finalUserText,
+  });
+
+  return {
+    system,
+    messages: history,
+    generation: {
+      temperature: 0.45, // lower = more correct + more consistent persona
+      topP: 0.9,
+      topK: 32,
+      maxTokens: 2048,
+    },
+  };
+}
+
+// -----------------------------
+// Main send flow
+// -----------------------------
+// Answers `userMessage` (already in `session`). Replies are inserted right after it, so queued
+// messages drained later still read in order. With `replace`, that assistant message is
+// regenerated instead and the new text is added to its alternates. Returns {ok, error, offline}.
+async function callGuruji(session, userMessage, { replace = null, fallback = false } = {}) {
+  const rawUserText = userMessage.content;
+  let target = stageTarget("guruji");
+  if (fallback) {
+    // The Guruji model keeps failing: answer this one with the interpreter model instead
+    const alt = stageTarget("interpreter");
+    if (alt.provider !== target.provider || alt.model !== target.model) {
+      target = alt;
+      showToast(t("retry.fallback", { model: alt.model }));
+    }
+  }
+  if (PROVIDERS[target.provider].needsKey && !target.apiKey) {
+    showToast(t("error.noKey"));
+    return { ok: false, error: t("error.noKey") };
+  }
+
+  if (!navigator.onLine) {
+    return { ok: false, offline: true, error: "Offline" };
+  }
+
+  replyInProgress = true;
+  setSendingDisabled(true);
+  showTyping(true);
+
+  try {
+    // 1) Interpreter rewrite (date + intent)
+    const rewritten = await interpretUserQuery(rawUserText, userMessage);
+
+    // History for Guruji ends with this user message
+    const historyEnd = session.messages.indexOf(userMessage) + 1;
+    let insertAt = historyEnd;
+    const insertReply = (m) => session.messages.splice(insertAt++, 0, m);
+
+    // 2) Guruji response
+    // Tables already shown under this message (a regenerated reply, or a resend after a failure) are kept
+    const shown = [];
+    while (session.messages[insertAt]?.kind) shown.push(session.messages[insertAt++]);
+    const grounding = buildGrounding(rawUserText, rewritten, { tarot: shown.find((m) => m.kind === "tarot")?.data });
+    const fresh = grounding.attachments.filter((a) => !shown.some((m) => m.kind === a.kind));
+    if (fresh.length && !replace) {
+      fresh.forEach((a) => insertReply({ role: "assistant", ...a, tsISO: nowISO() }));
+      saveSessions();
+      renderMessages();
+    }
+
+    await foldOldTurns(session, historyEnd, userMessage);
+    const payload = buildGurujiPayload(session, rewritten, grounding.blocks, historyEnd);
+
+    // Placeholder bubble filled in as chunks arrive
+    let message;
+    if (replace) {
+      message = replace;
+      if (!message.alternates) {
+        message.alternates = [snapshotAlternate(message)];
+        message.alternateIndex = 0;
+      }
+      Object.assign(message, { content: "", tsISO: nowISO(), streaming: true });
+      delete message.partial;
+    } else {
+      message = { role: "assistant", content: "", tsISO: nowISO(), streaming: true };
+      insertReply(message);
+    }
+    activeStream = { sessionId: session.id, message, controller: new AbortController(), savedAtMs: Date.now() };
+    setStreamingUI(true);
+    renderMessages();
+
+    const result = await llmStream(target, payload, {
+      controller: activeStream.controller,
+      onText: (text) => {
+        showTyping(false);
+        message.content = text;
+        scheduleStreamRender();
+        // Periodic saves so a closed tab loses at most a couple of seconds of the reply
+        if (activeStream && Date.now() - activeStream.savedAtMs > STREAM_SAVE_INTERVAL_MS) {
+          activeStream.savedAtMs = Date.now();
+          saveSessions();
+        }
+      },
+    });
+
+    activeStream = null;
+    setStreamingUI(false);
+    delete message.streaming;
+    noteUsage(userMessage, "guruji", target, payload, result);
+
+    if (!result.ok && !result.reply) {
+      if (replace) selectAlternate(message, message.alternateIndex);
+      else session.messages.splice(session.messages.indexOf(message), 1);
+      saveSessions();
+      renderMessages();
+      if (result.stopped) {
+        showToast(t("reply.stopped"));
+        return { ok: true };
+      }
+      console.error(`${PROVIDERS[target.provider].label} API error:`, result.status, result.text);
+
+      let error;
+      let retryAfter = null;
+      if (result.timedOut) {
+        error = t("error.timeout");
+      } else if (result.status === 429) {
+        retryAfter = retryDelaySeconds(target, result.text, result.headers);
+        if (retryAfter) {
+          error = t("error.rateLimitAfter", { seconds: retryAfter });
+        } else {
+          error = t("error.rateLimit");
+        }
+      } else if (result.status === 401 || result.status === 403) {
+        error = t("error.auth");
+      } else if (result.status === 400) {
+        error = t("error.badRequest");
+      } else if (result.status === 404) {
+        error = t("error.modelNotFound");
+      } else if (result.status === 0 && !navigator.onLine) {
+        return { ok: false, offline: true, error: "Offline" };
+      } else if (result.status === 0 && target.provider === "ollama") {
+        error = t("error.ollama", { url: target.baseUrl });
+      } else {
+        error = t("error.api", { status: String(result.status || "") });
+      }
+
+      showToast(error);
+      return { ok: false, error, status: result.timedOut ? 0 : result.status, retryAfter };
+    }
+
+    if (result.ok) {
+      // 3) Language enforcement (paragraphs the model wrote in the wrong language or script)
+      message.content = await enforceReplyLanguage(result.reply.trim() || "[No response]", userMessage);
+    } else {
+      // Stopped or cut off mid-reply: keep what arrived
+      message.content = result.reply;
+      message.partial = true;
+      if (!result.stopped) console.error("Reply stream interrupted:", result.status, result.text);
+      showToast(t(result.stopped ? "reply.stoppedPartial" : "reply.connectionLost"));
+    }
+    if (message.alternates) addAlternate(message);
+
+    // Save assistant message
+    session.updatedAtISO = nowISO();
+    saveSessions();
+    renderMessages();
+    return { ok: true };
+  } finally {
+    replyInProgress = false;
+    showTyping(false);
+    setSendingDisabled(false);
+  }
+}
+
+// -----------------------------
+// Offline outbox
+// -----------------------------
+function setOutboxStatus(entry, status, error = "") {
+  entry.status = status;
+  entry.lastError = error;
+  entry.updatedAtISO = nowISO();
+  if (status === "sending") entry.attempts = (entry.attempts || 0) + 1;
+  saveOutbox();
+  renderMessages();
+}
+
+function registerOutboxSync() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((reg) => reg.sync?.register(OUTBOX_SYNC_TAG))
+    .catch((err) => console.warn("Background Sync registration failed", err));
+}
+
+// The oldest open entry of each consultation, if it may be sent now. A consultation whose oldest
+// entry is still sending or counting down to its automatic retry waits, so replies never land out of
+// order. A failed entry nothing will resend (bad key, 400, retries used up) keeps its "Send now"
+// button and no longer holds back the messages after it.
+function nextSendableEntry() {
+  const waiting = new Set();
+  for (const e of outbox) {
+    if (e.status === "done" || waiting.has(e.sessionId)) continue;
+    if (e.status === "queued") return e;
+    if (e.status === "failed" && scheduledRetry?.entryId !== e.id) continue;
+    waiting.add(e.sessionId);
+  }
+  return null;
+}
+
+// Sends queued messages one at a time, oldest first per consultation; stops at the first failure
+async function drainOutbox() {
+  if (outboxDraining || !navigator.onLine) return;
+  outboxDraining = true;
+
+  try {
+    for (;;) {
+      const entry = nextSendableEntry();
+      if (!entry) break;
+
+      const session = sessions.find((s) => s.id === entry.sessionId);
+      const message = session?.messages.find((m) => m.outboxId === entry.id);
+      // A `replace` entry is linked to the reply being regenerated rather than to the question
+      const userMessage = entry.replace ? message && questionFor(session, message) : message;
+      if (!userMessage) {
+        // Consultation or message was deleted meanwhile
+        outbox = outbox.filter((e) => e !== entry);
+        saveOutbox();
+        continue;
+      }
+
+      setOutboxStatus(entry, "sending");
+      let result;
+      try {
+        result = await callGuruji(session, userMessage, {
+          replace: entry.replace ? message : null,
+          fallback: entry.attempts > RETRY_POLICY.fallbackAfterAttempts,
+        });
+      } catch (err) {
+        console.error("Outbox send failed:", err);
+        result = { ok: false, error: String(err?.message || err) };
+      }
+
+      if (result.ok) {
+        setOutboxStatus(entry, "done");
+      } else {
+        setOutboxStatus(entry, result.offline ? "queued" : "failed", result.error);
+        if (result.offline) registerOutboxSync();
+        else scheduleAutoRetry(entry, result);
+        break;
+      }
+    }
+  } finally {
+    outboxDraining = false;
+  }
+}
+
+// Puts a user message (already in its session) in the outbox, or with `replace` a reply to regenerate
+function queueUserMessage(session, message, { replace = false } = {}) {
+  const ts = nowISO();
+  const entry = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    ...(replace && { replace: true }),
+    status: "queued",
+    attempts: 0,
+    lastError: "",
+    createdAtISO: ts,
+    updatedAtISO: ts,
+  };
+  outbox.push(entry);
+  saveOutbox();
+  message.outboxId = entry.id;
+}
+
+async function sendQueued() {
+  if (!navigator.onLine) {
+    showToast(t("offline.queued"));
+    registerOutboxSync();
+    return;
+  }
+  await drainOutbox();
+}
+
+// Unsent copies of messages that are being removed must not be sent later
+function dropOutboxEntries(messages) {
+  const ids = new Set(messages.map((m) => m.outboxId).filter(Boolean));
+  if (!ids.size) return;
+  outbox = outbox.filter((e) => !ids.has(e.id));
+  saveOutbox();
+  if (scheduledRetry && ids.has(scheduledRetry.entryId)) cancelRetry();
+}
+
+function sendOutboxEntryNow(id) {
+  const entry = outbox.find((e) => e.id === id);
+  if (!entry || entry.status === "sending") return;
+  if (!navigator.onLine) {
+    showToast(t("offline.still"));
+    return;
+  }
+  if (scheduledRetry?.entryId === id) cancelRetry();
+  entry.attempts = 0; // a manual send starts a fresh round of automatic retries
+  setOutboxStatus(entry, "queued");
+  drainOutbox();
+}
+
+// -----------------------------
+// Retry scheduler
+// -----------------------------
+// Rate limits, server errors and timeouts are resent automatically after a countdown
+function scheduleAutoRetry(entry, result) {
+  const seconds = nextRetrySeconds(result.status, entry.attempts, result.retryAfter);
+  if (seconds == null) {
+    if (entry.attempts >= RETRY_POLICY.maxAttempts) {
+      showToast(t("retry.gaveUp", { attempts: entry.attempts }));
+    }
+    return;
+  }
+
+  cancelRetry();
+  scheduledRetry = {
+    entryId: entry.id,
+    fireAtMs: Date.now() + seconds * 1000,
+    reason: result.error || t("retry.defaultReason"),
+    timer: setTimeout(fireRetry, seconds * 1000),
+    ticker: setInterval(renderRetryBanner, 1000),
+  };
+  renderRetryBanner();
+  renderMessages();
+}
+
+function cancelRetry() {
+  if (!scheduledRetry) return;
+  clearTimeout(scheduledRetry.timer);
+  clearInterval(scheduledRetry.ticker);
+  scheduledRetry = null;
+  renderRetryBanner();
+}
+
+function fireRetry() {
+  const retry = scheduledRetry;
+  cancelRetry();
+  const entry = retry && outbox.find((e) => e.id === retry.entryId && e.status === "failed");
+  if (!entry) return;
+  setOutboxStatus(entry, "queued");
+  if (navigator.onLine) drainOutbox();
+  else registerOutboxSync();
+}
+
+function renderRetryBanner() {
+  if (!retryBanner) return;
+  retryBanner.classList.toggle("hidden", !scheduledRetry);
+  if (!scheduledRetry) return;
+  const seconds = Math.max(0, Math.ceil((scheduledRetry.fireAtMs - Date.now()) / 1000));
+  const entry = outbox.find((e) => e.id === scheduledRetry.entryId);
+  const attempt = (entry?.attempts || 0) + 1;
+  retryText.textContent = t("retry.banner", { reason: scheduledRetry.reason, seconds, attempt, max: RETRY_POLICY.maxAttempts });
+}
+
+// -----------------------------
+// Reminders
+// -----------------------------
+// While the app is open a timer shows reminders on time; with it closed, sw.js shows the due ones
+// when Periodic Background Sync wakes it (installed app only, at the browser's pace).
+function getReminderKinds() {
+  const kinds = safeParseJSON(localStorage.getItem(STORAGE.REMINDER_KINDS) || "[]", []);
+  return Array.isArray(kinds) ? kinds.filter((k) => AUTO_KINDS.includes(k)) : [];
+}
+
+function notificationsAllowed() {
+  return typeof Notification !== "undefined" && Notification.permission === "granted";
+}
+
+function setReminders(next) {
+  reminders = sortReminders(next);
+  saveReminders();
+  renderReminders();
+  scheduleReminderCheck();
+}
+
+function updateReminder(id, change) {
+  setReminders(reminders.map((r) => (r.id === id ? change(r) : r)));
+}
+
+// Taps on a notification's Snooze / Done buttons, passed on by sw.js
+function applyReminderAction(id, action) {
+  if (action === "snooze") updateReminder(id, (r) => snoozeReminder(r));
+  else if (action === "done") updateReminder(id, (r) => completeReminder(r, new Date(), getLanguage()));
+}
+
+// "Done" tapped while no window was open: sw.js only recorded it, the repeat rules live here
+function settleReminderActions() {
+  let changed = false;
+  reminders = reminders.map((r) => {
+    if (!r.doneRequestedAtISO) return r;
+    changed = true;
+    const { doneRequestedAtISO, ...rest } = r;
+    return completeReminder(rest, new Date(doneRequestedAtISO), getLanguage());
+  });
+  // Saved here: checkReminders only saves what it changes itself
+  if (changed) saveReminders();
+}
+
+async function showReminderNotification(r) {
+  if (document.visibilityState === "visible") showToast(`⏰ ${r.title}`);
+  if (!notificationsAllowed()) return;
+  const options = { body: r.body, tag: r.id, data: { id: r.id }, icon: "./icons/icon.svg" };
+  try {
+    // Through the service worker where possible: only its notifications carry action buttons
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) {
+      await reg.showNotification(r.title, {
+        ...options,
+        actions: [
+          { action: "snooze", title: t("reminders.notifySnooze", { minutes: SNOOZE_MINUTES }) },
+          { action: "done", title: t("common.done") },
+        ],
+      });
+    } else {
+      new Notification(r.title, options);
+    }
+  } catch (err) {
+    console.warn("Could not show reminder notification", err);
+  }
+}
+
+// Re-plans auto reminders, shows the due ones and arms the timer for the next
+function checkReminders() {
+  const before = JSON.stringify(reminders);
+  const kinds = getReminderKinds();
+  const now = new Date();
+  const planned = planAutoReminders(kinds, getLocation(), now, getLanguage());
+  let next = mergeAutoReminders(reminders, planned, kinds, now);
+  const due = dueReminders(next, now);
+  due.filter((r) => !isExpired(r, now)).forEach(showReminderNotification);
+  next = next.map((r) => (due.includes(r) ? { ...r, notifiedForISO: r.dueAtISO } : r));
+
+  reminders = next;
+  if (JSON.stringify(reminders) !== before) saveReminders();
+  renderReminders();
+  scheduleReminderCheck();
+}
+
+function scheduleReminderCheck() {
+  clearTimeout(reminderTimer);
+  const next = nextDueAtMs(reminders);
+  const delay = next == null ? REMINDER_CHECK_MAX_MS : Math.min(Math.max(next - Date.now(), 0), REMINDER_CHECK_MAX_MS);
+  reminderTimer = setTimeout(checkReminders, delay);
+}
+
+function registerReminderSync() {
+  if (!("serviceWorker" in navigator) || !notificationsAllowed()) return;
+  navigator.serviceWorker.ready
+    .then((reg) => reg.periodicSync?.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL_MS }))
+    .catch((err) => console.warn("Periodic Background Sync registration failed", err));
+}
+
+async function requestNotificationPermission() {
+  if (typeof Notification === "undefined" || Notification.permission !== "default") return;
+  await Notification.requestPermission().catch(() => {});
+  updateNotificationStatus();
+  registerReminderSync();
+}
+
+function updateNotificationStatus() {
+  if (!notifyStatus) return;
+  const permission = typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+  notifyStatus.textContent = t(`reminders.status${permission[0].toUpperCase()}${permission.slice(1)}`);
+  if (enableNotificationsBtn) enableNotificationsBtn.classList.toggle("hidden", permission !== "default");
+}
+
+function renderReminderKinds() {
+  if (!reminderKindsDiv) return;
+  const enabled = new Set(getReminderKinds());
+  reminderKindsDiv.innerHTML = "";
+  AUTO_KINDS.forEach((kind) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center space-x-1 border border-maroon rounded px-2 py-1 cursor-pointer";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = enabled.has(kind);
+    box.addEventListener("change", () => {
+      const kinds = new Set(getReminderKinds());
+      if (box.checked) kinds.add(kind);
+      else kinds.delete(kind);
+      localStorage.setItem(STORAGE.REMINDER_KINDS, JSON.stringify([...kinds]));
+      if (box.checked) requestNotificationPermission();
+      checkReminders();
+    });
+    const text = document.createElement("span");
+    text.textContent = t(`reminder.kind.${kind}`);
+    label.append(box, text);
+    reminderKindsDiv.appendChild(label);
+  });
+}
+
+function renderReminders() {
+  if (!remindersList) return;
+  remindersList.innerHTML = "";
+  if (!reminders.length) {
+    remindersList.textContent = t("reminders.none");
+    return;
+  }
+
+  const { tz } = getLocation();
+  reminders.forEach((r) => {
+    const row = document.createElement("div");
+    row.className = "border border-maroon rounded p-2 flex items-start justify-between gap-2" + (r.status === "done" ? " opacity-60" : "");
+
+    const info = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "font-semibold" + (r.status === "done" ? " line-through" : "");
+    title.textContent = r.title;
+    const meta = document.createElement("div");
+    meta.className = "text-xs";
+    const when = formatDateTime(r.dueAtISO, { timeZone: tz, dateStyle: "medium", timeStyle: "short" });
+    meta.textContent = [t(`reminder.kind.${r.kind}`), r.status === "done" ? t("reminders.done") : when, r.body].filter(Boolean).join(" · ");
+    info.append(title, meta);
+
+    const buttons = document.createElement("div");
+    buttons.className = "flex flex-wrap gap-1 justify-end text-xs";
+    const button = (label, onClick) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "bg-saffron text-maroon px-2 py-0.5 rounded hover:bg-maroon hover:text-cream transition whitespace-nowrap";
+      btn.textContent = label;
+      btn.addEventListener("click", onClick);
+      buttons.appendChild(btn);
+    };
+    if (r.status !== "done") {
+      button(t("reminders.snoozeMinutes", { minutes: SNOOZE_MINUTES }), () => updateReminder(r.id, (x) => snoozeReminder(x)));
+      button(t("reminders.snoozeHours", { hours: 1 }), () => updateReminder(r.id, (x) => snoozeReminder(x, 60)));
+      button(t("common.done"), () => updateReminder(r.id, (x) => completeReminder(x, new Date(), getLanguage())));
+    }
+    // Auto reminders would only be planned again; switch the kind off instead
+    if (r.kind === "upay" || r.status === "done") {
+      button("🗑", () => setReminders(reminders.filter((x) => x.id !== r.id)));
+    }
+    row.append(info, buttons);
+    remindersList.appendChild(row);
+  });
+}
+
+// `draft` ({title, days, sessionId}) pre-fills the upay form from a Guruji reply
+function openRemindersPanel(draft = null) {
+  if (!remindersPanel) return;
+  upayDraftSessionId = draft?.sessionId || null;
+  if (draft) {
+    if (upayTitleInput) upayTitleInput.value = draft.title;
+    if (upayDaysInput) upayDaysInput.value = String(draft.days);
+  }
+  renderReminderKinds();
+  updateNotificationStatus();
+  checkReminders();
+  remindersPanel.classList.remove("hidden");
+  if (draft) upayTitleInput?.focus();
+}
+
+// -----------------------------
+// Usage & cost
+// -----------------------------
+function getPrices() {
+  const saved = safeParseJSON(localStorage.getItem(STORAGE.PRICES) || "null", null);
+  return saved && typeof saved === "object" ? saved : DEFAULT_PRICES;
+}
+
+function getBudget() {
+  const budget = Number(localStorage.getItem(STORAGE.BUDGET));
+  return budget > 0 ? budget : null;
+}
+
+function formatCost(usd) {
+  return new Intl.NumberFormat(localeFor(getLanguage(), getNumerals()), {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: usd > 0 && usd < 0.01 ? 6 : usd > 0 && usd < 1 ? 4 : 2, // single calls cost fractions of a cent
+  }).format(usd);
+}
+
+// Monthly budget check before a message goes out: a toast near the limit, a confirm past it
+function confirmBudget() {
+  const status = budgetStatus(usageLedger, getPrices(), getBudget());
+  if (!status || status.level === "ok") return true;
+  const params = { spent: formatCost(status.spent), budget: formatCost(status.budget) };
+  if (status.level === "warn") {
+    showToast(t("usage.nearBudget", params));
+    return true;
+  }
+  return confirm(t("usage.overBudget", params));
+}
+
+function appendUsageTable(heading, columnsKey, rows) {
+  const title = document.createElement("h3");
+  title.className = "font-semibold mb-1";
+  title.textContent = heading;
+  const table = document.createElement("table");
+  table.className = "text-xs border-collapse w-full";
+  const head = document.createElement("tr");
+  t(columnsKey).split("|").forEach((h) => {
+    const th = document.createElement("th");
+    th.className = "border border-maroon px-1 text-left";
+    th.textContent = h;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  rows.forEach((cells) => {
+    const tr = document.createElement("tr");
+    cells.forEach((v, col) => {
+      const td = document.createElement("td");
+      td.className = "border border-maroon px-1" + (col ? " text-right whitespace-nowrap" : "");
+      td.textContent = v;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  const section = document.createElement("div");
+  section.append(title, table);
+  usageTables.appendChild(section);
+}
+
+function renderUsagePanel() {
+  if (!usagePanel || usagePanel.classList.contains("hidden")) return;
+  const prices = getPrices();
+  const month = monthKey(nowISO());
+  const months = monthlyUsage(usageLedger, prices);
+  const spent = formatCost(months.find((m) => m.month === month)?.cost || 0);
+  const budget = getBudget();
+  if (usageBudgetStatus) {
+    usageBudgetStatus.textContent = budget
+      ? t("usage.budgetStatus", { spent, budget: formatCost(budget) })
+      : t("usage.noBudget", { spent });
+    usageBudgetStatus.classList.toggle("text-red-700", budgetStatus(usageLedger, prices, budget)?.level === "over");
+  }
+  if (!usageTables) return;
+  usageTables.innerHTML = "";
+  if (!months.length) {
+    usageTables.textContent = t("usage.empty");
+    return;
+  }
+
+  const cost = (totals) => formatCost(totals.cost) + (totals.unpriced ? " *" : "");
+  const monthLabel = (key) => {
+    const [year, m] = key.split("-").map(Number);
+    return formatDateTime(Date.UTC(year, m - 1, 1), { month: "long", year: "numeric", timeZone: "UTC" });
+  };
+  appendUsageTable(
+    t("usage.byMonth"),
+    "usage.monthColumns",
+    months.map((m) => [monthLabel(m.month), formatNum(m.calls), formatNum(m.prompt), formatNum(m.output), cost(m)])
+  );
+  const stages = stageUsage(usageLedger, prices, month);
+  if (stages.length) {
+    appendUsageTable(
+      t("usage.byStage"),
+      "usage.stageColumns",
+      stages.map((x) => [
+        t(`usage.stage.${x.stage}`),
+        formatNum(x.calls),
+        formatNum(x.total),
+        x.timed ? t("usage.seconds", { seconds: x.ms / x.timed / 1000 }) : "—",
+        cost(x),
+      ])
+    );
+  }
+  // Deleted consultations keep their row: their spend still counts
+  const bySession = sessionUsage(usageLedger, prices).sort((a, b) => b.cost - a.cost || b.total - a.total);
+  appendUsageTable(
+    t("usage.bySession"),
+    "usage.sessionColumns",
+    bySession.map((x) => [
+      sessions.find((s) => s.id === x.sessionId)?.title || t("usage.deletedSession"),
+      formatNum(x.calls),
+      formatNum(x.total),
+      cost(x),
+    ])
+  );
+  if (months.some((m) => m.unpriced)) {
+    const note = document.createElement("p");
+    note.className = "text-xs opacity-75";
+    note.textContent = t("usage.unpricedNote");
+    usageTables.appendChild(note);
+  }
+}
+
+function openUsagePanel() {
+  if (!usagePanel) return;
+  if (settingsPanel) settingsPanel.classList.add("hidden");
+  if (usageBudgetInput) usageBudgetInput.value = getBudget() ?? "";
+  if (usagePricesInput) usagePricesInput.value = formatPriceTable(getPrices());
+  usagePanel.classList.remove("hidden");
+  renderUsagePanel();
+}
+
+// -----------------------------
+// Quick actions
+// -----------------------------
+// Parameters of the built-in prompts in the catalog; same date and zone as {today} / {panchang}
+const BUILTIN_QUICK_PARAMS = {
+  panchang: () => {
+    const { today, panchang } = quickTemplateValues();
+    return { date: today, panchang };
+  },
+  agni: () => ({ date: quickTemplateValues().today }),
+};
+
+function saveQuickActions() {
+  writeLocal(STORAGE.QUICK_ACTIONS, quickActions);
+  renderQuickActions();
+  renderQuickActionsPanel();
+}
+
+function quickActionLabel(a) {
+  if (a.id === "new") return t("session.newTitle");
+  return isCustomAction(a) ? actionText(a.label, getLanguage()) : t(`quick.${a.id}`);
+}
+
+// Values of the template placeholders at click time; profile ones are undefined without a linked profile
+function quickTemplateValues() {
+  const now = new Date();
+  const loc = getLocation();
+  const profile = getSessionProfile(getActiveSession());
+  return {
+    today: dateISOInZone(now, loc.tz),
+    tomorrow: dateISOInZone(new Date(now.getTime() + 24 * 3600 * 1000), loc.tz),
+    location: loc.name,
+    panchang: panchangOneLine(computePanchang(now, loc.tz)),
+    "profile.name": profile?.name,
+    "profile.birth": profile ? `${profile.birthDate} ${profile.birthTime}${profile.birthPlace ? `, ${profile.birthPlace}` : ""}` : undefined,
+  };
+}
+
+function runQuickAction(a) {
+  if (a.id === "new") {
+    createNewSession();
+    showToast(t("session.started"));
+    return;
+  }
+  // Labels and prompts come from the catalog, so a Marathi user asks in Marathi
+  if (!isCustomAction(a)) {
+    insertUserMessage(t(`quick.${a.id}Prompt`, BUILTIN_QUICK_PARAMS[a.id]?.()));
+    return;
+  }
+
+  const template = actionText(a.prompt, getLanguage());
+  const values = quickTemplateValues();
+  const { names, asks } = templateParts(template);
+  if (names.some((name) => values[name] === undefined)) {
+    showToast(t("quick.needsProfile"));
+    return;
+  }
+  if (!asks.length) {
+    insertUserMessage(fillTemplate(template, values));
+    return;
+  }
+  openQuickAsk(quickActionLabel(a), template, asks, values);
+}
+
+// One field per {date:…} / {text:…} question of the template
+function openQuickAsk(label, template, asks, values) {
+  if (!quickAskPanel || !quickAskFields) return;
+  pendingQuickAsk = { template };
+  if (quickAskTitle) quickAskTitle.textContent = label;
+  quickAskFields.innerHTML = "";
+  asks.forEach((ask) => {
+    const field = document.createElement("label");
+    field.className = "block";
+    const question = document.createElement("span");
+    question.className = "block mb-1";
+    question.textContent = ask.question;
+    const input = document.createElement("input");
+    input.type = ask.kind === "date" ? "date" : "text";
+    input.required = true;
+    input.dataset.answer = `${ask.kind}:${ask.question}`;
+    if (ask.kind === "date") input.value = values.today;
+    input.className =
+      "w-full border border-maroon rounded p-2 bg-cream text-maroon focus:outline-none focus:ring-2 focus:ring-saffron";
+    field.append(question, input);
+    quickAskFields.appendChild(field);
+  });
+  quickAskPanel.classList.remove("hidden");
+  quickAskFields.querySelector("input")?.focus();
+}
+
+function closeQuickAsk() {
+  pendingQuickAsk = null;
+  if (quickAskPanel) quickAskPanel.classList.add("hidden");
+}
+
+function submitQuickAsk() {
+  if (!pendingQuickAsk || !quickAskFields) return;
+  const answers = {};
+  quickAskFields.querySelectorAll("input").forEach((input) => {
+    answers[input.dataset.answer] = input.value.trim();
+  });
+  // Values again, in case the consultation or its profile changed meanwhile
+  const text = fillTemplate(pendingQuickAsk.template, quickTemplateValues(), answers);
+  closeQuickAsk();
+  insertUserMessage(text);
+}
+
+function renderQuickActionsPanel() {
+  if (!quickActionsPanel || quickActionsPanel.classList.contains("hidden")) return;
+  if (quickPlaceholdersHint) {
+    quickPlaceholdersHint.textContent = t("quick.placeholdersHint", {
+      names: PLACEHOLDERS.map((name) => `{${name}}`).join(" "),
+    });
+  }
+  if (saveQuickActionBtn) saveQuickActionBtn.textContent = t(editingQuickActionId ? "quick.update" : "quick.add");
+  if (cancelQuickActionEditBtn) cancelQuickActionEditBtn.classList.toggle("hidden", !editingQuickActionId);
+  if (!quickActionsList) return;
+
+  quickActionsList.innerHTML = "";
+  quickActions.forEach((a, i) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-2 border border-maroon rounded p-1" + (a.hidden ? " opacity-60" : "");
+
+    const shown = document.createElement("input");
+    shown.type = "checkbox";
+    shown.checked = !a.hidden;
+    shown.setAttribute("aria-label", t("quick.show"));
+    shown.title = t("quick.show");
+    shown.addEventListener("change", () => {
+      a.hidden = !shown.checked;
+      saveQuickActions();
+    });
+
+    const name = document.createElement("span");
+    name.className = "flex-1 min-w-0 truncate";
+    name.textContent = quickActionLabel(a);
+    if (!isCustomAction(a)) {
+      const tag = document.createElement("span");
+      tag.className = "ml-1 text-xs opacity-75";
+      tag.textContent = t("quick.builtin");
+      name.appendChild(tag);
+    }
+    row.append(shown, name);
+
+    const button = (text, ariaKey, onClick, disabled = false) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className =
+        "text-xs bg-saffron text-maroon px-2 py-1 rounded hover:bg-maroon hover:text-cream transition disabled:opacity-50";
+      btn.textContent = text;
+      if (ariaKey) btn.setAttribute("aria-label", t(ariaKey));
+      btn.disabled = disabled;
+      btn.addEventListener("click", onClick);
+      row.appendChild(btn);
+    };
+    const move = (delta) => () => {
+      quickActions = moveAction(quickActions, a.id, delta);
+      saveQuickActions();
+    };
+    button("↑", "quick.moveUp", move(-1), i === 0);
+    button("↓", "quick.moveDown", move(1), i === quickActions.length - 1);
+    if (isCustomAction(a)) {
+      button(t("common.edit"), null, () => fillQuickActionForm(a));
+      button(t("common.delete"), null, () => {
+        if (!confirm(t("quick.confirmDelete", { label: quickActionLabel(a) }))) return;
+        quickActions = quickActions.filter((x) => x.id !== a.id);
+        if (editingQuickActionId === a.id) resetQuickActionForm();
+        saveQuickActions();
+      });
+    }
+    quickActionsList.appendChild(row);
+  });
+}
+
+// What the last import added and, item by item, what it rejected (as in the consultation import preview)
+function renderQuickImportResult(result) {
+  if (quickImportStatus) {
+    quickImportStatus.classList.toggle("hidden", !result);
+    quickImportStatus.textContent = result
+      ? t("quick.imported", { added: result.added, duplicates: result.duplicates, rejected: result.rejected.length })
+      : "";
+  }
+  if (!quickImportRejectedDetails || !quickImportRejectedList) return;
+  const rejected = result?.rejected || [];
+  quickImportRejectedDetails.classList.toggle("hidden", !rejected.length);
+  quickImportRejectedDetails.open = rejected.length > 0 && !result.added;
+  quickImportRejectedDetails.querySelector("summary").textContent = t("import.rejectedTitle", { count: rejected.length });
+  quickImportRejectedList.innerHTML = "";
+  rejected.forEach((r) => {
+    const li = document.createElement("li");
+    li.textContent = `${r.item}: ${r.reason}`;
+    quickImportRejectedList.appendChild(li);
+  });
+}
+
+function openQuickActionsPanel() {
+  if (!quickActionsPanel) return;
+  renderQuickImportResult(null);
+  quickActionsPanel.classList.remove("hidden");
+  renderQuickActionsPanel();
+}
+
+function fillQuickActionForm(a) {
+  editingQuickActionId = a.id;
+  LANGUAGES.forEach((lang) => {
+    if (quickLabelInputs[lang]) quickLabelInputs[lang].value = a.label[lang] || "";
+    if (quickPromptInputs[lang]) quickPromptInputs[lang].value = a.prompt[lang] || "";
+  });
+  renderQuickActionsPanel();
+  quickLabelInputs[getLanguage()]?.focus();
+}
+
+function resetQuickActionForm() {
+  editingQuickActionId = null;
+  quickActionForm?.reset();
+  renderQuickActionsPanel();
+}
+
+function saveQuickActionForm() {
+  const label = {};
+  const prompt = {};
+  LANGUAGES.forEach((lang) => {
+    label[lang] = (quickLabelInputs[lang]?.value || "").trim();
+    prompt[lang] = (quickPromptInputs[lang]?.value || "").trim();
+  });
+  const problem = customActionProblem({ label, prompt });
+  if (problem) {
+    showToast(
+      problem === "label" ? t("quick.needsLabel") : problem === "prompt" ? t("quick.needsPrompt") : t("quick.badPlaceholder", { token: problem })
+    );
+    return;
+  }
+
+  const editing = quickActions.find((a) => a.id === editingQuickActionId);
+  if (editing) Object.assign(editing, { label, prompt });
+  else quickActions.push({ id: crypto.randomUUID(), label, prompt, hidden: false });
+  // normalizeActions drops the empty language
+  quickActions = normalizeActions(quickActions);
+  showToast(t(editing ? "quick.updated" : "quick.added", { label: actionText(label, getLanguage()) }));
+  resetQuickActionForm();
+  saveQuickActions();
+}
+
+// -----------------------------
+// Roman Marathi typing
+// -----------------------------
+// The box keeps what was typed; the preview shows what will be sent and a picked
+// suggestion is written into the box in Devanagari (which transliterate() leaves alone).
+function isTranslitOn() {
+  return localStorage.getItem(STORAGE.TRANSLIT) === "on";
+}
+
+function updateTranslitUI() {
+  if (translitToggle) {
+    const on = isTranslitOn();
+    translitToggle.setAttribute("aria-pressed", String(on));
+    translitToggle.title = t("translit.toggle");
+    translitToggle.classList.toggle("bg-saffron", on);
+    translitToggle.classList.toggle("bg-cream", !on);
+  }
+  renderTranslitPreview();
+}
+
+// The roman word the caret is in or just after: {word, start, end} or null
+function wordAtCaret() {
+  const text = messageInput.value;
+  const caret = messageInput.selectionStart ?? text.length;
+  const before = text.slice(0, caret).match(/[A-Za-z0-9]+$/)?.[0] || "";
+  const after = text.slice(caret).match(/^[A-Za-z0-9]*/)[0];
+  const word = before + after;
+  if (!/^[A-Za-z]+$/.test(word)) return null; // mixed with digits: left as typed
+  return { word, start: caret - before.length, end: caret + after.length };
+}
+
+function renderTranslitPreview() {
+  if (!translitBar || !messageInput) return;
+  const text = messageInput.value;
+  const show = isTranslitOn() && /[A-Za-z]/.test(text);
+  translitBar.classList.toggle("hidden", !show);
+  if (!show) return;
+
+  if (translitPreview) translitPreview.textContent = transliterate(text);
+  if (!translitSuggestions) return;
+  translitSuggestions.innerHTML = "";
+  const current = wordAtCaret();
+  (current ? suggest(current.word) : []).forEach((word) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.lang = "mr";
+    btn.className = "px-2 py-0.5 rounded-full border border-maroon hover:bg-saffron focus:outline-none focus:ring-2 focus:ring-saffron";
+    btn.textContent = word;
+    btn.addEventListener("mousedown", (e) => e.preventDefault()); // keep the caret in the message box
+    btn.addEventListener("click", () => pickSuggestion(current, word));
+    translitSuggestions.appendChild(btn);
+  });
+}
+
+function pickSuggestion({ start, end }, word) {
+  const text = messageInput.value;
+  const rest = text.slice(end);
+  const spacer = rest.startsWith(" ") ? "" : " ";
+  messageInput.value = text.slice(0, start) + word + spacer + rest;
+  const caret = start + word.length + 1;
+  messageInput.focus();
+  messageInput.setSelectionRange(caret, caret);
+  renderTranslitPreview();
+}
+
+// What the send button / Enter hands to insertUserMessage
+function messageToSend() {
+  const text = messageInput?.value || "";
+  return isTranslitOn() ? transliterate(text) : text;
+}
+
+// -----------------------------
+// User message insertion
+// -----------------------------
+async function insertUserMessage(rawText) {
+  const text = (rawText || "").trim();
+  if (!text) return;
+  await appReady; // sessions are still loading from IndexedDB
+  if (!confirmBudget()) return;
+
+  const session = getActiveSession();
+  if (!session) return;
+
+  const ts = nowISO();
+  const message = { role: "user", content: text, tsISO: ts };
+  session.messages.push(message);
+  queueUserMessage(session, message);
+  session.updatedAtISO = ts;
+
+  if (session.messages.filter((m) => m.role === "user").length === 1) {
+    updateSessionTitleFromFirstMessage(session, text);
+  }
+
+  saveSessions();
+  renderMessages();
+
+  if (messageInput) messageInput.value = "";
+  renderTranslitPreview();
+  await sendQueued();
+}
+
+// -----------------------------
+// Message actions
+// -----------------------------
+// Regenerated replies live in `alternates` and edited questions (with the thread that followed
+// each version) in `branches`. The selected version is mirrored into the message itself, so
+// the payload, search and exports always use what is on screen.
+function snapshotAlternate(message) {
+  return { content: message.content, tsISO: message.tsISO, partial: !!message.partial };
+}
+
+function selectAlternate(message, index) {
+  const alt = message.alternates[index];
+  message.alternateIndex = index;
+  message.content = alt.content;
+  message.tsISO = alt.tsISO;
+  if (alt.partial) message.partial = true;
+  else delete message.partial;
+}
+
+function addAlternate(message) {
+  message.alternates.push(snapshotAlternate(message));
+  message.alternateIndex = message.alternates.length - 1;
+}
+
+function isReplyBusy() {
+  if (!replyInProgress && !outboxDraining) return false;
+  showToast(t("reply.busy"));
+  return true;
+}
+
+// Current version of an edited question plus everything after it (tail leaves the thread)
+function stashBranch(session, message) {
+  const tail = session.messages.slice(session.messages.indexOf(message) + 1);
+  dropOutboxEntries(tail);
+  return {
+    content: message.content,
+    tsISO: message.tsISO,
+    tail: tail.map(({ outboxId, ...m }) => m),
+  };
+}
+
+function showAlternate(message, index) {
+  if (isReplyBusy()) return;
+  selectAlternate(message, index);
+  saveSessions();
+  renderMessages();
+}
+
+function showBranch(session, message, index) {
+  if (isReplyBusy()) return;
+  message.branches[message.branchIndex] = stashBranch(session, message);
+  const branch = message.branches[index];
+  message.branchIndex = index;
+  message.content = branch.content;
+  message.tsISO = branch.tsISO;
+  session.messages.splice(session.messages.indexOf(message) + 1, Infinity, ...branch.tail);
+  branch.tail = []; // back in the thread; stashed again on the next switch
+  saveSessions();
+  renderMessages();
+}
+
+async function regenerateReply(session, message) {
+  if (isReplyBusy()) return;
+  if (!navigator.onLine) {
+    showToast(t("offline.regenerate"));
+    return;
+  }
+  if (!confirmBudget() || !questionFor(session, message)) return;
+  // Through the outbox, so failures get the same countdown, resend and model fallback as new questions
+  dropOutboxEntries([message]);
+  queueUserMessage(session, message, { replace: true });
+  await drainOutbox();
+}
+
+function questionFor(session, reply) {
+  const index = session.messages.indexOf(reply);
+  return session.messages.slice(0, index).reverse().find((m) => m.role === "user") || null;
+}
+
+// mode "truncate": replace the question and drop what followed;
+// mode "branch": keep the old version and its thread as a branch the user can flip back to
+async function editAndResend(session, message, text, mode) {
+  const newText = (text || "").trim();
+  if (!newText || isReplyBusy() || !confirmBudget()) return;
+
+  const ts = nowISO();
+  if (mode === "branch") {
+    if (!message.branches) {
+      message.branches = [];
+      message.branchIndex = 0;
+    }
+    message.branches[message.branchIndex] = stashBranch(session, message);
+    message.branches.push({ content: newText, tsISO: ts, tail: [] });
+    message.branchIndex = message.branches.length - 1;
+  } else {
+    dropOutboxEntries(session.messages.slice(session.messages.indexOf(message) + 1));
+    if (message.branches) message.branches[message.branchIndex] = { content: newText, tsISO: ts, tail: [] };
+  }
+
+  session.messages.splice(session.messages.indexOf(message) + 1);
+  dropOutboxEntries([message]);
+  message.content = newText;
+  message.tsISO = ts;
+  queueUserMessage(session, message);
+  session.updatedAtISO = ts;
+  editingMessage = null;
+  saveSessions();
+  renderMessages();
+  await sendQueued();
+}
+
+function copyMessage(message) {
+  if (!navigator.clipboard) {
+    showToast(t("copy.unavailable"));
+    return;
+  }
+  navigator.clipboard
+    .writeText(message.content || "")
+    .then(() => showToast(t("copy.done")))
+    .catch(() => showToast(t("copy.failed")));
+}
+
+function deleteMessage(session, message) {
+  // A reply being written is inserted by index: removing a message now would misplace it
+  if (isReplyBusy()) return;
+  if (!confirm(t("message.confirmDelete"))) return;
+  dropOutboxEntries([message]);
+  unfoldMessage(session, message);
+  session.messages.splice(session.messages.indexOf(message), 1);
+  session.updatedAtISO = nowISO();
+  saveSessions();
+  renderMessages();
+}
+
+// New consultation holding the thread up to and including `message`
+function branchFromHere(session, message) {
+  const upTo = session.messages.slice(0, session.messages.indexOf(message) + 1);
+  const branch = createNewSession(t("session.branchTitle", { title: session.title }));
+  branch.profileId = session.profileId ?? null;
+  // Usage stays with the consultation that paid for it
+  branch.messages = upTo.map(({ id, outboxId, streaming, usage, ...m }) => structuredClone(m));
+  // The summary comes along when it covers nothing past the branch point
+  if (session.summary && session.summary.folded <= contextMessages(upTo).length) {
+    branch.summary = structuredClone(session.summary);
+  }
+  saveSessions();
+  renderSessionsList();
+  renderMessages();
+  renderProfileSelect();
+  showToast(t("session.branched"));
+}
+
+// -----------------------------
+// Import/Export
+// -----------------------------
+function downloadJSON(filename, obj) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function downloadText(filename, text, mime = "text/plain") {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function fileSafeName(title) {
+  return (title || "session").replace(/[^\w\-]+/g, "_");
+}
+
+function updateExportSelectedButton() {
+  if (!exportSelectedBtn) return;
+  exportSelectedBtn.disabled = selectedSessionIds.size === 0;
+  exportSelectedBtn.textContent = selectedSessionIds.size
+    ? t("export.selectedCount", { count: selectedSessionIds.size })
+    : t("export.selected");
+}
+
+// Plain, render-ready copy of a session for export.js
+function exportModel(session) {
+  const profile = getSessionProfile(session);
+  let profileModel = null;
+  if (profile) {
+    const lines = [`${profile.birthDate} ${profile.birthTime} (${profile.tz})${profile.birthPlace ? ` · ${profile.birthPlace}` : ""}`];
+    try {
+      lines.push(kundaliOneLine(getProfileChart(profile)));
+    } catch (err) {
+      console.warn("Chart computation failed:", err);
+    }
+    profileModel = { name: profile.name, lines };
+  }
+  return {
+    title: session.title,
+    createdAtISO: session.createdAtISO,
+    updatedAtISO: session.updatedAtISO,
+    profile: profileModel,
+    messages: session.messages
+      .filter((m) => m.content || m.data)
+      .map((m) => ({
+        role: m.role,
+        text:
+          m.kind === "muhurta" && m.data
+            ? muhurtaMarkdown(m.data)
+            : m.kind === "tarot" && m.data
+              ? tarotMarkdown(m.data, getLanguage())
+              : m.content,
+        timeISO: m.tsISO,
+      })),
+  };
+}
+
+// Web Share (files) where supported, e.g. Android → WhatsApp/Drive; otherwise a download
+async function shareOrDownload(filename, text, mime) {
+  const file = typeof File === "function" ? new File([text], filename, { type: mime }) : null;
+  if (file && navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: filename });
+      return;
+    } catch (err) {
+      if (err?.name === "AbortError") return; // user closed the share sheet
+      console.warn("Share failed, downloading instead:", err);
+    }
+  }
+  downloadText(filename, text, mime);
+  showToast(t("export.downloaded", { file: filename }));
+}
+
+async function shareWhatsAppText(text) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ text });
+      return;
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      console.warn("Share failed, copying instead:", err);
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast(t("export.whatsAppCopied"));
+  } catch {
+    downloadText("barve_guruji_whatsapp.txt", text);
+    showToast(t("export.downloadedText"));
+  }
+}
+
+// Prints through a hidden iframe; "Save as PDF" in the print dialog gives the A4 PDF
+function printHTML(html) {
+  const frame = document.createElement("iframe");
+  frame.className = "fixed w-0 h-0 border-0 invisible";
+  frame.setAttribute("aria-hidden", "true");
+  frame.srcdoc = html;
+  frame.addEventListener("load", () => {
+    const win = frame.contentWindow;
+    win.addEventListener("afterprint", () => frame.remove());
+    win.focus();
+    win.print();
+    setTimeout(() => frame.remove(), 60000); // afterprint is not fired everywhere
+  });
+  document.body.appendChild(frame);
+}
+
+async function exportSessions(list, { single = false } = {}) {
+  if (!list.length) {
+    showToast(t("export.nothing"));
+    return;
+  }
+  const format = exportFormatSelect?.value || "json";
+  const base = list.length === 1 ? fileSafeName(list[0].title) : "barve_guruji_sessions";
+  const lang = getLanguage();
+  const locale = localeFor(lang, getNumerals());
+
+  if (format === "json") {
+    downloadJSON(`${base}.json`, single ? list[0] : list);
+    showToast(list.length === 1 ? t("export.sessionDone") : t("export.sessionsDone", { count: list.length }));
+    return;
+  }
+
+  const models = list.map(exportModel);
+  if (format === "markdown") {
+    await shareOrDownload(`${base}.md`, sessionsToMarkdown(models, { lang, locale }), "text/markdown");
+  } else if (format === "print") {
+    printHTML(sessionsToPrintHTML(models, { lang, locale }));
+  } else if (format === "whatsapp") {
+    await shareWhatsAppText(sessionsToWhatsApp(models, { lang, locale }));
+  }
+}
+
+function downloadICS(filename, events) {
+  if (!events.length) {
+    showToast(t("calendar.noneToExport"));
+    return;
+  }
+  const sorted = [...events].sort((a, b) => a.isoDate.localeCompare(b.isoDate));
+  downloadText(filename, eventsToICS(sorted, { lang: getLanguage() }), "text/calendar");
+  showToast(t("calendar.exported", { count: sorted.length }));
+}
+
+function openImportPreview(plan, rejected) {
+  if (!importPanel) return;
+  pendingImport = plan;
+
+  const count = (status) => plan.filter((e) => e.status === status).length;
+  if (importSummary) {
+    importSummary.textContent = t("import.summary", {
+      valid: plan.length,
+      new: count("new"),
+      duplicate: count("duplicate"),
+      conflict: count("conflict"),
+      rejected: rejected.length,
+    });
+  }
+
+  if (importRejectedDetails && importRejectedList) {
+    importRejectedDetails.classList.toggle("hidden", !rejected.length);
+    importRejectedDetails.open = rejected.length > 0 && !plan.length;
+    importRejectedDetails.querySelector("summary").textContent = t("import.rejectedTitle", { count: rejected.length });
+    importRejectedList.innerHTML = "";
+    rejected.forEach((r) => {
+      const li = document.createElement("li");
+      li.textContent = `${r.item}: ${r.reason}`;
+      importRejectedList.appendChild(li);
+    });
+  }
+
+  if (importListDiv) {
+    importListDiv.innerHTML = "";
+    plan.forEach((entry) => {
+      const row = document.createElement("div");
+      row.className = "flex items-center justify-between border border-maroon rounded p-2";
+
+      const info = document.createElement("div");
+      info.className = "flex-1 min-w-0 mr-2";
+      const title = document.createElement("div");
+      title.className = "font-semibold truncate";
+      title.textContent = entry.session.title;
+      const meta = document.createElement("div");
+      meta.className = "text-xs opacity-75";
+      const parts = [
+        t(entry.status === "duplicate" && !entry.match ? "import.status.repeated" : `import.status.${entry.status}`),
+        t("import.messages", { count: entry.session.messages.length }),
+        formatDateTime(entry.session.updatedAtISO, { dateStyle: "medium" }),
+      ];
+      if (entry.status === "conflict") parts.push(t("import.notIn", { count: entry.newMessages, title: entry.match.title }));
+      meta.textContent = parts.join(" · ");
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const select = document.createElement("select");
+      select.className = "border border-maroon rounded p-1 bg-cream text-xs";
+      actionsFor(entry).forEach((action) => {
+        const opt = document.createElement("option");
+        opt.value = action;
+        opt.textContent = t(`import.action.${action}`);
+        select.appendChild(opt);
+      });
+      select.value = entry.action;
+      select.addEventListener("change", () => {
+        entry.action = select.value;
+      });
+
+      row.appendChild(info);
+      row.appendChild(select);
+      importListDiv.appendChild(row);
+    });
+  }
+
+  if (confirmImportBtn) confirmImportBtn.disabled = !plan.length;
+  importPanel.classList.remove("hidden");
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  if (importPanel) importPanel.classList.add("hidden");
+}
+
+function confirmImport() {
+  if (!pendingImport) return;
+  const result = applyImportPlan(sessions, pendingImport);
+  closeImportPreview();
+
+  // Profiles are not part of session backups; drop links to profiles this device does not have
+  sessions = result.sessions.map((s) =>
+    s.profileId && !profiles.some((p) => p.id === s.profileId) ? { ...s, profileId: null } : s
+  );
+  if (!sessions.some((s) => s.id === activeSessionId)) activeSessionId = sessions[0]?.id || null;
+  saveSessions();
+  renderSessionsList();
+  renderMessages();
+  renderProfileSelect();
+
+  const { added, replaced, merged, skipped } = result.counts;
+  showToast(t("import.done", { added, merged, replaced, skipped }));
+}
+
+// -----------------------------
+// Init
+// -----------------------------
+async function init() {
+  try {
+    ({ sessions, profiles, reminders, usage: usageLedger } = await loadAll());
+  } catch (err) {
+    console.warn("IndexedDB unavailable, using localStorage", err);
+    useIndexedDB = false;
+    sessions = loadSessions();
+    profiles = loadProfiles();
+    reminders = loadReminders();
+    usageLedger = loadUsage();
+  }
+  // Ask the browser not to evict consultations under storage pressure
+  navigator.storage?.persist?.().catch(() => {});
+
+  settleInterruptedStreams();
+  outbox = loadOutbox();
+  settleOutbox();
+  activeSessionId = localStorage.getItem(STORAGE.ACTIVE_SESSION) || null;
+  quickActions = normalizeActions(safeParseJSON(localStorage.getItem(STORAGE.QUICK_ACTIONS) || "null", null));
+
+  if (!sessions.length) {
+    createNewSession();
+  } else if (!activeSessionId || !sessions.some((s) => s.id === activeSessionId)) {
+    activeSessionId = sessions[0].id;
+    saveSessions();
+  }
+
+  renderQuickActions();
+  renderSessionsList();
+  renderMessages();
+  updateLanguageUI();
+  renderLocationPresets();
+  updateLocationUI();
+  renderProviderOptions();
+  updateProvidersUI();
+  renderProfilePlacePresets();
+  renderProfilesList();
+  renderProfileSelect();
+
+  // Register SW
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("./sw.js").catch((err) => {
+      console.warn("Service worker registration failed", err);
+    });
+    syncApiHostsToServiceWorker();
+    syncLocalesToServiceWorker();
+    // Background Sync fired while this tab is open, or a reminder notification was used
+    navigator.serviceWorker.addEventListener("message", (e) => {
+      if (e.data?.type === "drain-outbox") drainOutbox();
+      else if (e.data?.type === "check-reminders") checkReminders();
+      else if (e.data?.type === "reminder-action") applyReminderAction(e.data.id, e.data.action);
+      else if (e.data?.type === "open-reminders") openRemindersPanel();
+    });
+    registerReminderSync();
+  }
+
+  // Offline banner initial
+  if (offlineBanner) offlineBanner.classList.toggle("hidden", navigator.onLine);
+
+  // Messages queued in an earlier visit
+  drainOutbox();
+
+  settleReminderActions();
+  checkReminders();
+  // Opened from a reminder notification
+  if (window.location.hash === "#reminders") {
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+    openRemindersPanel();
+  }
+}
+
+// -----------------------------
+// Events
+// -----------------------------
+window.addEventListener("online", () => {
+  if (offlineBanner) offlineBanner.classList.add("hidden");
+
+  // A retry that came due while offline is already queued again
+  drainOutbox();
+});
+
+if (retryNowBtn) {
+  retryNowBtn.addEventListener("click", () => fireRetry());
+}
+
+if (cancelRetryBtn) {
+  cancelRetryBtn.addEventListener("click", () => {
+    cancelRetry();
+    renderMessages(); // the message stays failed with its "Send now" button
+    showToast(t("retry.cancelled"));
+  });
+}
+
+// Persist the partial reply if the tab is closed or backgrounded mid-stream
+window.addEventListener("pagehide", () => {
+  if (activeStream) saveSessions();
+});
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden" && activeStream) saveSessions();
+  // Background tabs run timers late; catch up on return
+  if (document.visibilityState === "visible") checkReminders();
+});
+
+if (stopBtn) {
+  stopBtn.addEventListener("click", () => {
+    if (activeStream) activeStream.controller.abort();
+  });
+}
+
+window.addEventListener("offline", () => {
+  if (offlineBanner) offlineBanner.classList.remove("hidden");
+});
+
+if (langToggle) {
+  langToggle.addEventListener("click", () => {
+    const cur = getLanguage();
+    const next = cur === "mr" ? "en" : "mr";
+    localStorage.setItem(STORAGE.LANGUAGE, next);
+    refreshLanguage();
+
+    // UX: start a fresh session when switching language (prevents mixed-context confusion)
+    createNewSession();
+    showToast(t("lang.toast"));
+  });
+}
+
+if (settingsBtn) {
+  settingsBtn.addEventListener("click", () => {
+    if (!settingsPanel) return;
+    settingsPanel.classList.remove("hidden");
+
+    const key = getApiKey();
+    if (apiKeyInput) {
+      apiKeyInput.value = "";
+      apiKeyInput.placeholder = key ? maskKey(key) : t("settings.apiKeyPlaceholder");
+    }
+  });
+}
+
+if (calendarBtn) {
+  calendarBtn.addEventListener("click", () => {
+    if (!calendarPanel) return;
+    if (!calendarView) {
+      const [y, m] = dateISOInZone(new Date(), getLocation().tz).split("-").map(Number);
+      calendarView = { year: y, month: m - 1 };
+    }
+    renderCalendarFilters();
+    renderCalendar();
+    calendarPanel.classList.remove("hidden");
+  });
+}
+
+if (calendarPrevBtn) calendarPrevBtn.addEventListener("click", () => shiftCalendarMonth(-1));
+if (calendarNextBtn) calendarNextBtn.addEventListener("click", () => shiftCalendarMonth(1));
+
+if (calendarSelectAll) {
+  calendarSelectAll.addEventListener("change", () => {
+    if (!calendarView) return;
+    const prefix = `${calendarView.year}-${String(calendarView.month + 1).padStart(2, "0")}`;
+    eventsInRange(getLocation(), `${prefix}-01`, `${prefix}-31`, [...calendarTypes]).forEach((ev) => {
+      if (calendarSelectAll.checked) calendarSelected.set(ev.id, ev);
+      else calendarSelected.delete(ev.id);
+    });
+    renderCalendar();
+  });
+}
+
+if (exportCalendarSelectedBtn) {
+  exportCalendarSelectedBtn.addEventListener("click", () => {
+    downloadICS("barve_guruji_selected.ics", [...calendarSelected.values()]);
+  });
+}
+
+if (exportCalendarYearBtn) {
+  exportCalendarYearBtn.addEventListener("click", () => {
+    if (!calendarView) return;
+    const { year } = calendarView;
+    downloadICS(`barve_guruji_${year}.ics`, eventsInRange(getLocation(), `${year}-01-01`, `${year}-12-31`, [...calendarTypes]));
+  });
+}
+
+if (remindersBtn) {
+  remindersBtn.addEventListener("click", () => openRemindersPanel());
+}
+
+if (enableNotificationsBtn) {
+  enableNotificationsBtn.addEventListener("click", () => requestNotificationPermission());
+}
+
+if (upayForm) {
+  upayForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const title = (upayTitleInput?.value || "").trim();
+    const days = Number(upayDaysInput?.value);
+    const time = upayTimeInput?.value || "07:00";
+    if (!title || !Number.isInteger(days) || days < 1 || days > 365) {
+      showToast(t("reminders.upayInvalid"));
+      return;
+    }
+    const reminder = createUpayReminder({ title, days, time, timeZone: getLocation().tz, sessionId: upayDraftSessionId }, new Date(), getLanguage());
+    setReminders([...reminders, reminder]);
+    upayForm.reset();
+    upayDraftSessionId = null;
+    requestNotificationPermission();
+    showToast(t("reminders.upaySet", { time, days }));
+  });
+}
+
+if (usageBtn) {
+  usageBtn.addEventListener("click", openUsagePanel);
+}
+
+if (usageSettingsForm) {
+  usageSettingsForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const { prices, badLines } = parsePriceTable(usagePricesInput?.value || "");
+    if (badLines.length) {
+      showToast(t("usage.pricesInvalid", { line: badLines[0] }));
+      return;
+    }
+    const budget = Number(usageBudgetInput?.value);
+    writeLocal(STORAGE.PRICES, prices);
+    if (budget > 0) localStorage.setItem(STORAGE.BUDGET, String(budget));
+    else localStorage.removeItem(STORAGE.BUDGET);
+    renderUsagePanel();
+    showToast(t("usage.saved"));
+  });
+}
+
+if (closeUsageBtn) {
+  closeUsageBtn.addEventListener("click", () => {
+    if (usagePanel) usagePanel.classList.add("hidden");
+  });
+}
+
+if (quickActionForm) {
+  quickActionForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveQuickActionForm();
+  });
+}
+
+if (cancelQuickActionEditBtn) {
+  cancelQuickActionEditBtn.addEventListener("click", resetQuickActionForm);
+}
+
+if (exportQuickActionsBtn) {
+  exportQuickActionsBtn.addEventListener("click", () => {
+    const data = exportActions(quickActions);
+    if (!data.actions.length) {
+      showToast(t("quick.nothingToExport"));
+      return;
+    }
+    downloadJSON("barve_guruji_quick_actions.json", data);
+  });
+}
+
+if (importQuickActionsInput) {
+  importQuickActionsInput.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const data = safeParseJSON(await file.text(), undefined);
+      if (data === undefined) {
+        showToast(t("import.invalidJson"));
+        return;
+      }
+      const result = importActions(quickActions, data);
+      quickActions = result.actions;
+      saveQuickActions();
+      renderQuickImportResult(result);
+    } catch (err) {
+      console.error("Quick actions import error:", err);
+      showToast(t("import.failed"));
+    } finally {
+      importQuickActionsInput.value = "";
+    }
+  });
+}
+
+if (closeQuickActionsBtn) {
+  closeQuickActionsBtn.addEventListener("click", () => {
+    if (quickActionsPanel) quickActionsPanel.classList.add("hidden");
+  });
+}
+
+if (quickAskForm) {
+  quickAskForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    submitQuickAsk();
+  });
+}
+
+if (cancelQuickAskBtn) {
+  cancelQuickAskBtn.addEventListener("click", closeQuickAsk);
+}
+
+if (summaryBtn) {
+  summaryBtn.addEventListener("click", openSummaryPanel);
+}
+
+if (saveSummaryBtn) {
+  saveSummaryBtn.addEventListener("click", saveSummary);
+}
+
+if (closeSummaryBtn) {
+  closeSummaryBtn.addEventListener("click", () => {
+    if (summaryPanel) summaryPanel.classList.add("hidden");
+  });
+}
+
+if (closeRemindersBtn) {
+  closeRemindersBtn.addEventListener("click", () => {
+    if (remindersPanel) remindersPanel.classList.add("hidden");
+  });
+}
+
+if (closeCalendarBtn) {
+  closeCalendarBtn.addEventListener("click", () => {
+    if (calendarPanel) calendarPanel.classList.add("hidden");
+  });
+}
+
+if (closeSettingsBtn) {
+  closeSettingsBtn.addEventListener("click", () => {
+    if (settingsPanel) settingsPanel.classList.add("hidden");
+  });
+}
+
+if (settingsLang) {
+  settingsLang.addEventListener("change", (e) => {
+    localStorage.setItem(STORAGE.LANGUAGE, e.target.value);
+    refreshLanguage();
+
+    // same: new session to avoid mixed-language context
+    createNewSession();
+    showToast(t("lang.toast"));
+  });
+}
+
+if (settingsNumerals) {
+  settingsNumerals.addEventListener("change", () => {
+    localStorage.setItem(STORAGE.NUMERALS, settingsNumerals.checked ? "deva" : "latn");
+    refreshLanguage();
+    syncLocalesToServiceWorker();
+  });
+}
+
+if (locationPreset) {
+  locationPreset.addEventListener("change", () => {
+    if (locationCustomFields) {
+      locationCustomFields.classList.toggle("hidden", locationPreset.value !== "custom");
+    }
+  });
+}
+
+if (saveLocationBtn) {
+  saveLocationBtn.addEventListener("click", () => {
+    const presetId = locationPreset?.value || DEFAULT_LOCATION.id;
+    let loc = CITY_PRESETS.find((c) => c.id === presetId);
+
+    if (!loc) {
+      const lat = parseFloat(locationLatInput?.value || "");
+      const lon = parseFloat(locationLonInput?.value || "");
+      const tz = (locationTzInput?.value || "").trim();
+      if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+        showToast(t("location.invalidCoords"));
+        return;
+      }
+      if (!isValidTimeZone(tz)) {
+        showToast(t("location.invalidTimeZone"));
+        return;
+      }
+      loc = { id: "custom", name: (locationNameInput?.value || "").trim() || t("location.customName"), lat, lon, tz };
+    }
+
+    localStorage.setItem(STORAGE.LOCATION, JSON.stringify(loc));
+    updateLocationUI();
+    calendarSelected.clear(); // event dates depend on the location
+    checkReminders(); // so do vrat dates and Rahukaal
+    showToast(t("location.set", { name: loc.name }));
+  });
+}
+
+STAGES.forEach((stage) => {
+  const { select, model } = providerInputs[stage];
+  if (!select) return;
+  select.addEventListener("change", () => {
+    // Switching provider suggests that provider's default model
+    if (model) model.value = PROVIDERS[select.value].defaultModels[stage];
+    toggleProviderFields();
+  });
+});
+
+if (saveProvidersBtn) {
+  saveProvidersBtn.addEventListener("click", () => {
+    const current = getProviderSettings();
+    const next = { ...current };
+
+    for (const stage of STAGES) {
+      const { select, model } = providerInputs[stage];
+      const provider = select?.value || current[stage].provider;
+      const modelName = (model?.value || "").trim();
+      if (!modelName) {
+        showToast(t("providers.needModel"));
+        return;
+      }
+      next[stage] = { provider, model: modelName };
+    }
+
+    const openaiBaseUrl = (openaiBaseUrlInput?.value || "").trim() || PROVIDERS.openai.defaultBaseUrl;
+    const ollamaBaseUrl = (ollamaBaseUrlInput?.value || "").trim() || PROVIDERS.ollama.defaultBaseUrl;
+    if (!providerHost(openaiBaseUrl) || !providerHost(ollamaBaseUrl)) {
+      showToast(t("providers.needUrl"));
+      return;
+    }
+    next.openaiBaseUrl = openaiBaseUrl;
+    next.ollamaBaseUrl = ollamaBaseUrl;
+    const openaiKey = (openaiApiKeyInput?.value || "").trim();
+    if (openaiKey) next.openaiKey = openaiKey;
+
+    localStorage.setItem(STORAGE.PROVIDERS, JSON.stringify(next));
+    updateProvidersUI();
+    syncApiHostsToServiceWorker();
+    showToast(t("providers.saved", { guruji: PROVIDERS[next.guruji.provider].label, interpreter: PROVIDERS[next.interpreter.provider].label }));
+  });
+}
+
+if (sessionProfileSelect) {
+  sessionProfileSelect.addEventListener("change", () => {
+    const session = getActiveSession();
+    if (!session) return;
+    session.profileId = sessionProfileSelect.value || null;
+    session.updatedAtISO = nowISO();
+    saveSessions();
+    const p = getSessionProfile(session);
+    showToast(p ? t("profile.linked", { name: p.name }) : t("profile.unlinked"));
+  });
+}
+
+if (profilePlacePreset) {
+  profilePlacePreset.addEventListener("change", () => {
+    const c = CITY_PRESETS.find((x) => x.id === profilePlacePreset.value);
+    if (!c) return;
+    if (profileBirthPlaceInput) profileBirthPlaceInput.value = c.name;
+    if (profileLatInput) profileLatInput.value = String(c.lat);
+    if (profileLonInput) profileLonInput.value = String(c.lon);
+    if (profileTzInput) profileTzInput.value = c.tz;
+  });
+}
+
+if (cancelProfileEditBtn) {
+  cancelProfileEditBtn.addEventListener("click", resetProfileForm);
+}
+
+if (profileForm) {
+  profileForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = (profileNameInput?.value || "").trim();
+    const birthDate = profileBirthDateInput?.value || "";
+    const birthTime = profileBirthTimeInput?.value || "";
+    const lat = parseFloat(profileLatInput?.value || "");
+    const lon = parseFloat(profileLonInput?.value || "");
+    const tz = (profileTzInput?.value || "").trim();
+
+    if (!name || !/^\d{4}-\d{2}-\d{2}$/.test(birthDate) || !/^\d{2}:\d{2}$/.test(birthTime)) {
+      showToast(t("profile.invalid"));
+      return;
+    }
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+      showToast(t("location.invalidCoords"));
+      return;
+    }
+    if (!isValidTimeZone(tz)) {
+      showToast(t("location.invalidTimeZone"));
+      return;
+    }
+
+    const data = { name, birthDate, birthTime, birthPlace: (profileBirthPlaceInput?.value || "").trim(), lat, lon, tz };
+    const existing = profiles.find((p) => p.id === editingProfileId);
+    if (existing) {
+      Object.assign(existing, data, { updatedAtISO: nowISO() });
+    } else {
+      profiles.push({ id: crypto.randomUUID(), ...data, createdAtISO: nowISO(), updatedAtISO: nowISO() });
+    }
+
+    saveProfiles();
+    resetProfileForm();
+    renderProfilesList();
+    renderProfileSelect();
+    showToast(t(existing ? "profile.updated" : "profile.saved"));
+  });
+}
+
+if (saveApiKeyBtn) {
+  saveApiKeyBtn.addEventListener("click", () => {
+    const key = (apiKeyInput?.value || "").trim();
+    if (!key) {
+      showToast(t("apiKey.empty"));
+      return;
+    }
+    localStorage.setItem(STORAGE.API_KEY, key);
+    if (apiKeyInput) {
+      apiKeyInput.value = "";
+      apiKeyInput.placeholder = maskKey(key);
+    }
+    showToast(t("apiKey.saved"));
+  });
+}
+
+if (forgetApiKeyBtn) {
+  forgetApiKeyBtn.addEventListener("click", () => {
+    localStorage.removeItem(STORAGE.API_KEY);
+    if (apiKeyInput) {
+      apiKeyInput.value = "";
+      apiKeyInput.placeholder = t("settings.apiKeyPlaceholder");
+    }
+    showToast(t("apiKey.removed"));
+  });
+}
+
+if (searchInput) {
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderSearchResults, SEARCH_DEBOUNCE_MS);
+  });
+}
+
+if (newSessionBtn) {
+  newSessionBtn.addEventListener("click", () => {
+    createNewSession();
+    showToast(t("session.started"));
+  });
+}
+
+if (exportCurrentBtn) {
+  exportCurrentBtn.addEventListener("click", () => {
+    const session = getActiveSession();
+    if (!session) return;
+    exportSessions([session], { single: true });
+  });
+}
+
+if (exportSelectedBtn) {
+  exportSelectedBtn.addEventListener("click", () => {
+    exportSessions(sessions.filter((s) => selectedSessionIds.has(s.id)));
+  });
+}
+
+if (exportAllBtn) {
+  exportAllBtn.addEventListener("click", () => {
+    exportSessions(sessions);
+  });
+}
+
+if (importFileInput) {
+  importFileInput.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const txt = await file.text();
+      const data = safeParseJSON(txt, undefined);
+      if (data === undefined) {
+        showToast(t("import.invalidJson"));
+        return;
+      }
+      const { sessions: valid, rejected } = validateImport(data);
+      openImportPreview(planImport(sessions, valid), rejected);
+    } catch (err) {
+      console.error("Import error:", err);
+      showToast(t("import.failed"));
+    } finally {
+      importFileInput.value = "";
+    }
+  });
+}
+
+if (confirmImportBtn) {
+  confirmImportBtn.addEventListener("click", confirmImport);
+}
+
+if (cancelImportBtn) {
+  cancelImportBtn.addEventListener("click", closeImportPreview);
+}
+
+if (inputForm) {
+  inputForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    insertUserMessage(messageToSend());
+  });
+}
+
+if (messageInput) {
+  messageInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      insertUserMessage(messageToSend());
+    }
+  });
+  // Caret moves change the word the suggestions are for
+  ["input", "click", "keyup"].forEach((type) => messageInput.addEventListener(type, renderTranslitPreview));
+}
+
+if (translitToggle) {
+  translitToggle.addEventListener("click", () => {
+    const on = !isTranslitOn();
+    localStorage.setItem(STORAGE.TRANSLIT, on ? "on" : "off");
+    updateTranslitUI();
+    showToast(t(on ? "translit.on" : "translit.off"));
+    messageInput?.focus();
+  });
+}
+
+// -----------------------------
+// Boot
+// -----------------------------
+setSessionControlsDisabled(true);
+const appReady = init().finally(() => setSessionControlsDisabled(false));
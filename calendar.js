@@ -0,0 +1,363 @@
+/* calendar.js
+   Barve Guruji AI - Yearly festival + vrat calendar
+   - Amanta lunar months (named from the Sun's sidereal rashi at the opening Amavasya, Adhik detection)
+   - Ekadashi, Sankashti Chaturthi (with moonrise), Purnima, Amavasya, Pradosh
+   - Major Maharashtrian festivals, each observed by its traditional kaal (udaya / madhyahna / aparahna / pradosh / nishita / moonrise)
+   - .ics export (all-day events) for phone calendars
+*/
+
+import { nextNewMoon, nextSankranti, tithiIndexAt, tithiInfo, weekdayInZone } from "./panchang.js";
+import { grahaSiderealLongitude } from "./kundali.js";
+import { dateISOInZone, formatClock, moonrise, sunTimes, zonedTime } from "./solar.js";
+
+export const AMANTA_MONTHS = [
+  "Chaitra", "Vaishakh", "Jyeshtha", "Ashadh", "Shravan", "Bhadrapad",
+  "Ashwin", "Kartik", "Margashirsha", "Paush", "Magh", "Phalgun",
+];
+export const AMANTA_MONTHS_MR = [
+  "चैत्र", "वैशाख", "ज्येष्ठ", "आषाढ", "श्रावण", "भाद्रपद",
+  "आश्विन", "कार्तिक", "मार्गशीर्ष", "पौष", "माघ", "फाल्गुन",
+];
+
+export const EVENT_TYPES = ["ekadashi", "sankashti", "purnima", "amavasya", "pradosh", "festival"];
+
+// [month index (Chaitra = 0), tithi 1..30, kaal, English name, Marathi name]
+const FESTIVALS = [
+  [0, 1, "udaya", "Gudi Padwa", "गुढीपाडवा"],
+  [0, 9, "udaya", "Ram Navami", "रामनवमी"],
+  [0, 15, "udaya", "Hanuman Jayanti", "हनुमान जयंती"],
+  [1, 3, "udaya", "Akshaya Tritiya", "अक्षय्य तृतीया"],
+  [2, 15, "moonrise", "Vat Purnima", "वटपौर्णिमा"],
+  [3, 11, "udaya", "Ashadhi Ekadashi", "आषाढी एकादशी"],
+  [3, 15, "udaya", "Guru Purnima", "गुरुपौर्णिमा"],
+  [4, 5, "udaya", "Nag Panchami", "नागपंचमी"],
+  [4, 15, "udaya", "Narali Purnima / Raksha Bandhan", "नारळी पौर्णिमा / रक्षाबंधन"],
+  [4, 23, "nishita", "Gokulashtami", "गोकुळाष्टमी"],
+  [5, 3, "udaya", "Hartalika", "हरतालिका"],
+  [5, 4, "madhyahna", "Ganesh Chaturthi", "गणेश चतुर्थी"],
+  [5, 5, "udaya", "Rishi Panchami", "ऋषिपंचमी"],
+  [5, 14, "udaya", "Anant Chaturdashi", "अनंत चतुर्दशी"],
+  [6, 1, "udaya", "Ghatasthapana", "घटस्थापना"],
+  [6, 10, "aparahna", "Dasara", "दसरा"],
+  [6, 15, "nishita", "Kojagiri Purnima", "कोजागिरी पौर्णिमा"],
+  [6, 27, "pradosh", "Vasubaras", "वसुबारस"],
+  [6, 28, "pradosh", "Dhanatrayodashi", "धनत्रयोदशी"],
+  [6, 29, "udaya", "Narak Chaturdashi", "नरक चतुर्दशी"],
+  [6, 30, "pradosh", "Lakshmi Puja", "लक्ष्मीपूजन"],
+  [7, 1, "udaya", "Bali Pratipada (Padwa)", "बलिप्रतिपदा (पाडवा)"],
+  [7, 2, "udaya", "Bhau Beej", "भाऊबीज"],
+  [7, 11, "udaya", "Kartiki Ekadashi", "कार्तिकी एकादशी"],
+  [7, 12, "pradosh", "Tulsi Vivah (begins)", "तुळशी विवाह (आरंभ)"],
+  [7, 15, "pradosh", "Tripuri Purnima", "त्रिपुरी पौर्णिमा"],
+  [8, 15, "pradosh", "Datta Jayanti", "दत्त जयंती"],
+  [10, 4, "madhyahna", "Ganesh Jayanti (Maghi)", "माघी गणेश जयंती"],
+  [10, 5, "udaya", "Vasant Panchami", "वसंतपंचमी"],
+  [10, 7, "udaya", "Ratha Saptami", "रथसप्तमी"],
+  [10, 29, "nishita", "Maha Shivratri", "महाशिवरात्री"],
+  [11, 15, "pradosh", "Holi (Holika Dahan)", "होळी (होलिका दहन)"],
+  [11, 20, "udaya", "Rang Panchami", "रंगपंचमी"],
+];
+
+// -----------------------------
+// Date helpers
+// -----------------------------
+function addDaysISO(isoDate, days) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function daysInRange(startISO, endISO) {
+  const out = [];
+  for (let d = startISO; d <= endISO; d = addDaysISO(d, 1)) out.push(d);
+  return out;
+}
+
+// Tithis starting after the tithi at `fromIndex` up to (excluding) `toIndex`, cyclic 1..30
+function tithisBetween(fromIndex, toIndex) {
+  const out = [];
+  if (fromIndex === toIndex) return out; // vriddhi: same tithi at both sunrises
+  for (let t = (fromIndex % 30) + 1; t !== toIndex; t = (t % 30) + 1) out.push(t);
+  return out;
+}
+
+// -----------------------------
+// Lunar months
+// -----------------------------
+/**
+ * Amanta months overlapping [start, end]: [{start, end, index, name, nameMr, adhik}]
+ */
+export function amantaMonths(start, end) {
+  const months = [];
+  let nm = nextNewMoon(new Date(start.getTime() - 32 * 86400000));
+  while (nm < end) {
+    const next = nextNewMoon(new Date(nm.getTime() + 86400000));
+    const signAtStart = Math.floor(grahaSiderealLongitude("sun", nm) / 30);
+    const signAtEnd = Math.floor(grahaSiderealLongitude("sun", next) / 30);
+    const index = (signAtStart + 1) % 12;
+    months.push({
+      start: nm,
+      end: next,
+      index,
+      name: AMANTA_MONTHS[index],
+      nameMr: AMANTA_MONTHS_MR[index],
+      adhik: signAtStart === signAtEnd, // no Sankranti inside the month
+    });
+    nm = next;
+  }
+  return months;
+}
+
+// -----------------------------
+// Year generation
+// -----------------------------
+const yearCache = new Map();
+
+function makeEvent(isoDate, type, name, nameMr, detail = "", detailMr = "") {
+  return { id: `${isoDate}-${type}-${name.replace(/\W+/g, "-").toLowerCase()}`, isoDate, type, name, nameMr, detail, detailMr };
+}
+
+// Month snapshot stored on days and events
+function monthInfo(month) {
+  return month ? { index: month.index, name: month.name, nameMr: month.nameMr, adhik: month.adhik } : null;
+}
+
+/**
+ * Builds every day of a Gregorian year at `location` with its udaya tithi, Amanta month and events.
+ * Results are cached per year + location.
+ */
+export function generateYear(year, location) {
+  const cacheKey = `${year}|${location.lat}|${location.lon}|${location.tz}`;
+  if (yearCache.has(cacheKey)) return yearCache.get(cacheKey);
+
+  const tz = location.tz;
+  // One spare day on both sides so first/last days can see their neighbours
+  const dates = daysInRange(`${year - 1}-12-31`, `${year + 1}-01-01`);
+  const raw = dates.map((isoDate) => {
+    const { sunrise, sunset } = sunTimes(isoDate, location);
+    const rise = sunrise || zonedTime(isoDate, "06:00", tz);
+    const set = sunset || zonedTime(isoDate, "18:00", tz);
+    return { isoDate, sunrise: rise, sunset: set, tithi: tithiIndexAt(rise), weekday: weekdayInZone(rise, tz) };
+  });
+
+  const months = amantaMonths(raw[0].sunrise, raw[raw.length - 1].sunrise);
+  const monthAt = (date) => months.find((m) => m.start <= date && date < m.end) || null;
+
+  const days = [];
+  for (let i = 1; i < raw.length - 1; i++) {
+    const prev = raw[i - 1];
+    const day = raw[i];
+    const next = raw[i + 1];
+    const month = monthAt(day.sunrise);
+
+    // Udaya tithi (first sunrise only) plus any kshaya tithi that starts and ends within this day
+    const observed = [];
+    if (day.tithi !== prev.tithi) observed.push(day.tithi);
+    observed.push(...tithisBetween(day.tithi, next.tithi));
+
+    days.push({
+      isoDate: day.isoDate,
+      weekday: day.weekday,
+      sunrise: day.sunrise,
+      sunset: day.sunset,
+      tithi: tithiInfo(day.tithi),
+      observed,
+      month: monthInfo(month),
+      events: [],
+    });
+  }
+
+  const byDate = new Map(days.map((d) => [d.isoDate, d]));
+  const findObserved = (tithi) => days.filter((d) => d.observed.includes(tithi));
+
+  // A kshaya tithi that wraps past Amavasya belongs to the month that began during this day
+  const monthOfTithi = (d, tithi) => (tithi < d.tithi.index ? days[days.indexOf(d) + 1]?.month || null : d.month);
+
+  // Events carry the tithi they are kept for (not always the udaya tithi of their date)
+  const add = (d, tithi, ev) => d.events.push({ ...ev, tithi: tithiInfo(tithi), month: monthOfTithi(d, tithi) });
+
+  // Kaal-based observance: first day on which `tithi` prevails at the kaal moment
+  const kaalMoment = (d, kaal) => {
+    if (kaal === "madhyahna") return new Date(d.sunrise.getTime() + 0.5 * (d.sunset - d.sunrise)); // 3rd of 5 day parts
+    if (kaal === "aparahna") return new Date(d.sunrise.getTime() + 0.7 * (d.sunset - d.sunrise)); // 4th of 5 day parts
+    if (kaal === "pradosh") return new Date(d.sunset.getTime() + 45 * 60000);
+    if (kaal === "nishita") return new Date((d.sunset.getTime() + d.sunrise.getTime() + 86400000) / 2);
+    if (kaal === "moonrise") return moonrise(d.isoDate, location);
+    return d.sunrise;
+  };
+  const observedByKaal = (udayaDay, tithi, kaal) => {
+    if (kaal === "udaya") return udayaDay;
+    const idx = days.indexOf(udayaDay);
+    for (const d of [days[idx - 1], udayaDay]) {
+      const at = d && kaalMoment(d, kaal);
+      if (at && tithiIndexAt(at) === tithi) return d;
+    }
+    return udayaDay;
+  };
+
+  // Ekadashi + Amavasya (udaya)
+  [11, 26].forEach((t) =>
+    findObserved(t).forEach((d) => {
+      const paksha = t === 11 ? "Shukla" : "Krishna";
+      add(d, t, makeEvent(d.isoDate, "ekadashi", `${paksha} Ekadashi`, `${paksha === "Shukla" ? "शुक्ल" : "कृष्ण"} एकादशी`));
+    })
+  );
+  findObserved(30).forEach((d) => add(d, 30, makeEvent(d.isoDate, "amavasya", "Amavasya", "अमावास्या")));
+
+  // Purnima vrat: Purnima at moonrise
+  findObserved(15).forEach((d) => {
+    const vratDay = observedByKaal(d, 15, "moonrise");
+    add(vratDay, 15, makeEvent(vratDay.isoDate, "purnima", "Purnima", "पौर्णिमा"));
+  });
+
+  // Sankashti Chaturthi: Krishna Chaturthi at moonrise
+  findObserved(19).forEach((d) => {
+    const vratDay = observedByKaal(d, 19, "moonrise");
+    const rise = moonrise(vratDay.isoDate, location);
+    const angaraki = vratDay.weekday === 2;
+    const riseText = rise ? formatClock(rise, tz) : "--:--";
+    add(
+      vratDay,
+      19,
+      makeEvent(
+        vratDay.isoDate,
+        "sankashti",
+        angaraki ? "Angarki Sankashti Chaturthi" : "Sankashti Chaturthi",
+        angaraki ? "अंगारकी संकष्टी चतुर्थी" : "संकष्टी चतुर्थी",
+        `Moonrise ${riseText}`,
+        `चंद्रोदय ${riseText}`
+      )
+    );
+  });
+
+  // Pradosh: Trayodashi during pradosh kaal
+  [13, 28].forEach((t) =>
+    findObserved(t).forEach((d) => {
+      const vratDay = observedByKaal(d, t, "pradosh");
+      const prefix = vratDay.weekday === 1 ? "Som " : vratDay.weekday === 6 ? "Shani " : "";
+      const prefixMr = vratDay.weekday === 1 ? "सोम " : vratDay.weekday === 6 ? "शनी " : "";
+      add(vratDay, t, makeEvent(vratDay.isoDate, "pradosh", `${prefix}Pradosh`, `${prefixMr}प्रदोष`));
+    })
+  );
+
+  // Festivals (never in an Adhik month)
+  FESTIVALS.forEach(([monthIndex, tithi, kaal, name, nameMr]) => {
+    findObserved(tithi)
+      .filter((d) => {
+        const month = monthOfTithi(d, tithi);
+        return month && month.index === monthIndex && !month.adhik;
+      })
+      .forEach((d) => {
+        const day = observedByKaal(d, tithi, kaal);
+        add(day, tithi, makeEvent(day.isoDate, "festival", name, nameMr));
+      });
+  });
+
+  // Makar Sankranti (solar): ingress after sunset is observed the next day
+  const sankranti = nextSankranti(zonedTime(`${year}-01-01`, "00:00", tz), 270);
+  let sankrantiISO = dateISOInZone(sankranti, tz);
+  const sankrantiDay = byDate.get(sankrantiISO);
+  if (sankrantiDay && sankranti > sankrantiDay.sunset) sankrantiISO = addDaysISO(sankrantiISO, 1);
+  const observedDay = byDate.get(sankrantiISO);
+  if (observedDay) {
+    add(observedDay, observedDay.tithi.index, makeEvent(sankrantiISO, "festival", "Makar Sankranti", "मकर संक्रांत"));
+  }
+
+  const result = { year, location: location.name, days };
+  yearCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Flat list of events between two local dates (inclusive), optionally filtered by type.
+ */
+export function eventsInRange(location, startISO, endISO, types = EVENT_TYPES) {
+  const years = [];
+  for (let y = Number(startISO.slice(0, 4)); y <= Number(endISO.slice(0, 4)); y++) years.push(y);
+  return years
+    .flatMap((y) => generateYear(y, location).days)
+    .filter((d) => d.isoDate >= startISO && d.isoDate <= endISO)
+    .flatMap((d) => d.events)
+    .filter((ev) => types.includes(ev.type));
+}
+
+/**
+ * Prompt block listing upcoming vrat/festival dates (Guruji must quote these, not guess).
+ */
+export function formatEventsBlock(events, location) {
+  const lines = [`UPCOMING VRAT / FESTIVAL DATES (computed locally for ${location.name}; FINAL):`];
+  if (!events.length) lines.push("- None in the requested range.");
+  events.forEach((ev) => {
+    const month = ev.month ? `${ev.month.adhik ? "Adhik " : ""}${ev.month.name}` : "";
+    lines.push(`- **${ev.isoDate}** ${ev.name}${ev.detail ? ` (${ev.detail})` : ""}${month ? ` — ${month} ${ev.tithi.paksha} ${ev.tithi.name}` : ""}`);
+  });
+  return lines.join("\n");
+}
+
+// -----------------------------
+// ICS export
+// -----------------------------
+function icsEscape(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines longer than 75 octets are folded with CRLF + space
+function icsFold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = "";
+  let currentLen = 0;
+  for (const ch of line) {
+    const len = new TextEncoder().encode(ch).length;
+    if (currentLen + len > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      currentLen = 0;
+    }
+    current += ch;
+    currentLen += len;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * All-day VEVENTs for the given events. `lang` picks English or Marathi summaries.
+ */
+export function eventsToICS(events, { lang = "en", calendarName = "Barve Guruji Panchang" } = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Barve Guruji AI//Panchang Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(calendarName)}`,
+  ];
+  events.forEach((ev) => {
+    const start = ev.isoDate.replace(/-/g, "");
+    const end = addDaysISO(ev.isoDate, 1).replace(/-/g, "");
+    const summary = lang === "mr" ? ev.nameMr : ev.name;
+    const detail = lang === "mr" ? ev.detailMr : ev.detail;
+    const adhik = ev.month?.adhik ? (lang === "mr" ? "अधिक " : "Adhik ") : "";
+    const month = ev.month ? `${adhik}${lang === "mr" ? ev.month.nameMr : ev.month.name}` : "";
+    const tithi = ev.tithi ? `${lang === "mr" ? `${ev.tithi.pakshaMr} ${ev.tithi.nameMr}` : `${ev.tithi.paksha} ${ev.tithi.name}`}` : "";
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.id}@barve-guruji`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${start}`,
+      `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${icsEscape(summary)}`,
+      `DESCRIPTION:${icsEscape([month, tithi, detail].filter(Boolean).join(" · "))}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
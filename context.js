@@ -0,0 +1,80 @@
+/* context.js
+   Barve Guruji AI - Conversation context budget for Guruji calls
+   - Rough token estimate without a tokenizer: Latin ≈ 4 characters per token, Devanagari ≈ 2
+   - History past the budget is folded, oldest turns first, into a per-session summary that is always sent;
+     the newest turns are never folded and the kept part starts with a user message
+   - Summary on the session: {text, folded, updatedAtISO, editedAtISO?}; `folded` counts the context
+     messages (see contextMessages) at the start of the consultation that the summary covers
+   - Pure functions; app.js makes the summarising model call and stores the result
+*/
+
+export const CONTEXT_BUDGET = {
+  historyTokens: 6000, // open (unsummarised) history above this is folded
+  foldToRatio: 0.5, // fold down to this share of the budget so the next turns do not fold again at once
+  keepRecent: 6, // newest context messages that are never folded
+  foldBatchTokens: 12000, // most history one summary call takes; the rest is folded on the following calls
+  perMessageTokens: 4, // role/formatting overhead
+};
+
+/**
+ * Approximate token count of `text`.
+ */
+export function estimateTokens(text) {
+  const s = String(text || "");
+  const deva = (s.match(/[ऀ-ॿ]/g) || []).length;
+  return Math.ceil(deva / 2 + (s.length - deva) / 4);
+}
+
+function messageTokens(m, budget) {
+  return estimateTokens(m.content) + budget.perMessageTokens;
+}
+
+/**
+ * The messages that count as conversation (computed tables are sent as system blocks instead;
+ * Tarot draws stay as context), up to `end`.
+ */
+export function contextMessages(messages, end = messages.length) {
+  return messages.slice(0, end).filter((m) => (!m.kind || m.kind === "tarot") && m.content);
+}
+
+/**
+ * Splits context messages into {recent, toFold}: `recent` is sent as history, `toFold` should be
+ * added to the summary first. Messages already covered by `summary` are in neither, and neither
+ * are older ones past one fold batch (left for the next call).
+ */
+export function splitHistory(context, summary = null, budget = CONTEXT_BUDGET) {
+  const open = context.slice(Math.min(summary?.folded || 0, Math.max(0, context.length - budget.keepRecent)));
+  let total = open.reduce((sum, m) => sum + messageTokens(m, budget), 0);
+  if (total <= budget.historyTokens) return { recent: open, toFold: [] };
+
+  const lastFoldable = open.length - budget.keepRecent;
+  let cut = 0;
+  while (cut < lastFoldable && total > budget.historyTokens * budget.foldToRatio) {
+    total -= messageTokens(open[cut], budget);
+    cut++;
+  }
+  // Never leave a reply without its question
+  while (cut < lastFoldable && open[cut].role !== "user") cut++;
+
+  let batch = 0;
+  let batchTokens = 0;
+  while (batch < cut && (!batch || batchTokens + messageTokens(open[batch], budget) <= budget.foldBatchTokens)) {
+    batchTokens += messageTokens(open[batch], budget);
+    batch++;
+  }
+  return { recent: open.slice(cut), toFold: open.slice(0, batch) };
+}
+
+/**
+ * System block for the summary, or "" when there is none.
+ */
+export function formatSummaryBlock(summary) {
+  const text = summary?.text?.trim();
+  if (!text) return "";
+  return [
+    "CONSULTATION SUMMARY (earlier part of this consultation, no longer in the message history):",
+    text,
+    "- Treat these facts (names, birth details, dates, concerns, remedies already given) as known; the user may have corrected them by hand.",
+    "- Do not repeat remedies already given unless asked; build on them.",
+  ].join("\n");
+}
@@ -0,0 +1,122 @@
+/* dasha.js
+   Barve Guruji AI - Vimshottari Dasha engine
+   - Mahadasha -> Antardasha -> Pratyantardasha from the Moon's sidereal longitude at birth
+   - 120-year cycle, Julian years of 365.25 days (Lahiri / Parashari convention)
+*/
+
+const YEAR_MS = 365.25 * 86400000;
+const NAKSHATRA_SPAN = 360 / 27;
+
+export const DASHA_LORDS = [
+  { id: "ketu", name: "Ketu", nameMr: "केतू", years: 7 },
+  { id: "venus", name: "Shukra", nameMr: "शुक्र", years: 20 },
+  { id: "sun", name: "Surya", nameMr: "रवी", years: 6 },
+  { id: "moon", name: "Chandra", nameMr: "चंद्र", years: 10 },
+  { id: "mars", name: "Mangal", nameMr: "मंगळ", years: 7 },
+  { id: "rahu", name: "Rahu", nameMr: "राहू", years: 18 },
+  { id: "jupiter", name: "Guru", nameMr: "गुरू", years: 16 },
+  { id: "saturn", name: "Shani", nameMr: "शनी", years: 19 },
+  { id: "mercury", name: "Budh", nameMr: "बुध", years: 17 },
+];
+
+const CYCLE_YEARS = 120;
+
+// Splits [startMs, startMs + lengthMs) into nine sub-periods beginning with `lordIndex`
+function subPeriods(lordIndex, startMs, lengthMs) {
+  const out = [];
+  let t = startMs;
+  for (let i = 0; i < 9; i++) {
+    const lord = DASHA_LORDS[(lordIndex + i) % 9];
+    const len = (lengthMs * lord.years) / CYCLE_YEARS;
+    out.push({ lordIndex: (lordIndex + i) % 9, lord, start: new Date(t), end: new Date(t + len) });
+    t += len;
+  }
+  return out;
+}
+
+/**
+ * Full Vimshottari timeline (one 120-year cycle, starting with the birth Mahadasha).
+ * @param {Date} birthDate - exact birth instant
+ * @param {number} moonLongitude - sidereal Moon longitude at birth (degrees)
+ */
+export function computeVimshottari(birthDate, moonLongitude) {
+  const nakIndex = Math.floor(moonLongitude / NAKSHATRA_SPAN);
+  const elapsedFraction = (moonLongitude % NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+  const firstLordIndex = nakIndex % 9;
+  const firstLord = DASHA_LORDS[firstLordIndex];
+
+  // The birth Mahadasha started before birth by the portion of the nakshatra already traversed
+  const cycleStart = birthDate.getTime() - elapsedFraction * firstLord.years * YEAR_MS;
+
+  const mahadashas = subPeriods(firstLordIndex, cycleStart, CYCLE_YEARS * YEAR_MS).map((md) => ({
+    ...md,
+    antardashas: subPeriods(md.lordIndex, md.start.getTime(), md.end - md.start).map((ad) => ({
+      ...ad,
+      pratyantardashas: subPeriods(ad.lordIndex, ad.start.getTime(), ad.end - ad.start),
+    })),
+  }));
+
+  return {
+    birthDate,
+    balance: {
+      lord: firstLord,
+      years: (1 - elapsedFraction) * firstLord.years,
+    },
+    mahadashas,
+  };
+}
+
+function findAt(periods, t) {
+  return periods.find((p) => p.start.getTime() <= t && t < p.end.getTime()) || null;
+}
+
+/**
+ * Running Mahadasha / Antardasha / Pratyantardasha at a moment (nulls outside the cycle).
+ */
+export function currentDasha(timeline, at = new Date()) {
+  const t = at.getTime();
+  const maha = findAt(timeline.mahadashas, t);
+  const antar = maha ? findAt(maha.antardashas, t) : null;
+  const pratyantar = antar ? findAt(antar.pratyantardashas, t) : null;
+  return { maha, antar, pratyantar };
+}
+
+/**
+ * The next `count` Antardashas starting after `at` (crossing Mahadasha boundaries).
+ */
+export function upcomingAntardashas(timeline, at = new Date(), count = 4) {
+  const t = at.getTime();
+  const out = [];
+  for (const md of timeline.mahadashas) {
+    for (const ad of md.antardashas) {
+      if (ad.start.getTime() > t) out.push({ maha: md, antar: ad });
+      if (out.length >= count) return out;
+    }
+  }
+  return out;
+}
+
+/**
+ * Dasha block for the Guruji system instruction.
+ * `formatDate` turns a Date into the display date string (in the profile's time zone).
+ */
+export function formatDashaBlock(profile, timeline, formatDate, at = new Date()) {
+  const { maha, antar, pratyantar } = currentDasha(timeline, at);
+  const span = (p) => `${formatDate(p.start)} to ${formatDate(p.end)}`;
+  const lines = [
+    `VIMSHOTTARI DASHA of ${profile.name} (computed locally; FINAL, never invent periods):`,
+    `- Balance at birth: ${timeline.balance.lord.name} Mahadasha, ${timeline.balance.years.toFixed(2)} years`,
+  ];
+  if (maha) lines.push(`- Current Mahadasha: ${maha.lord.name} (${span(maha)})`);
+  if (antar) lines.push(`- Current Antardasha: ${maha.lord.name}/${antar.lord.name} (${span(antar)})`);
+  if (pratyantar) {
+    lines.push(`- Current Pratyantardasha: ${maha.lord.name}/${antar.lord.name}/${pratyantar.lord.name} (${span(pratyantar)})`);
+  }
+  const next = upcomingAntardashas(timeline, at, 4);
+  if (next.length) {
+    lines.push("- Upcoming Antardashas:");
+    next.forEach(({ maha: md, antar: ad }) => lines.push(`  - ${md.lord.name}/${ad.lord.name}: ${span(ad)}`));
+  }
+  lines.push("- For timing questions (marriage, job, health), reason from these periods and the birth chart above.");
+  return lines.join("\n");
+}
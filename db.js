@@ -0,0 +1,252 @@
+/* db.js
+   Barve Guruji AI - IndexedDB storage
+   - Object stores: sessions (metadata only), messages (one record per message), profiles, meta,
+     reminders (also read and updated by sw.js while the app is closed), usage (append-only ledger
+     of model calls; deleting sessions or messages never touches it)
+   - Schema version = DB_VERSION; MIGRATIONS[i] upgrades version i -> i + 1 inside the upgrade transaction
+   - Version 1 imports the old localStorage keys (bg_sessions, bg_profiles) and removes them once committed
+   - writeSessions writes only the records that changed since the last successful save
+*/
+
+const DB_NAME = "barve-guruji";
+export const DB_VERSION = 3;
+
+const LEGACY_KEYS = { sessions: "bg_sessions", profiles: "bg_profiles" };
+
+let dbPromise = null;
+let migratedLegacy = false;
+
+// Last persisted JSON of every record, so a save only touches what changed
+const snapshot = {
+  sessions: new Map(), // id -> json
+  messages: new Map(), // id -> json (record incl. sessionId + seq)
+};
+
+// -----------------------------
+// Schema
+// -----------------------------
+function readLegacy(key) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+const MIGRATIONS = [
+  // 0 -> 1: object stores + import from localStorage
+  (db, tx) => {
+    db.createObjectStore("sessions", { keyPath: "id" });
+    const messages = db.createObjectStore("messages", { keyPath: "id" });
+    messages.createIndex("bySession", "sessionId");
+    db.createObjectStore("profiles", { keyPath: "id" });
+    db.createObjectStore("meta", { keyPath: "key" });
+
+    readLegacy(LEGACY_KEYS.sessions).forEach((s) => {
+      if (!s?.id || !Array.isArray(s.messages)) return;
+      const { messages: list, ...meta } = s;
+      tx.objectStore("sessions").put(meta);
+      list.forEach((m, seq) => {
+        tx.objectStore("messages").put({ ...m, id: m.id || crypto.randomUUID(), sessionId: s.id, seq });
+      });
+    });
+    readLegacy(LEGACY_KEYS.profiles).forEach((p) => {
+      if (p?.id) tx.objectStore("profiles").put(p);
+    });
+    tx.objectStore("meta").put({ key: "migratedFromLocalStorageAt", value: new Date().toISOString() });
+    migratedLegacy = true;
+  },
+  // 1 -> 2: reminders (reminders.js)
+  (db) => {
+    db.createObjectStore("reminders", { keyPath: "id" });
+  },
+  // 2 -> 3: usage ledger (usage.js); records kept on messages so far move into it
+  (db, tx) => {
+    const usage = db.createObjectStore("usage", { keyPath: "id" });
+    tx.objectStore("messages").openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const { usage: records, ...message } = cursor.value;
+      if (Array.isArray(records)) {
+        records.forEach((r) => usage.put({ ...r, id: crypto.randomUUID(), sessionId: message.sessionId }));
+        cursor.update(message);
+      }
+      cursor.continue();
+    };
+  },
+];
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+  });
+}
+
+/**
+ * Opens (and if needed upgrades) the database. Rejects when IndexedDB is unavailable.
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      for (let v = event.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](db, req.transaction);
+      req.transaction.objectStore("meta").put({ key: "schemaVersion", value: DB_VERSION });
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // The upgrade transaction has committed: the localStorage copy is no longer needed
+      if (migratedLegacy) Object.values(LEGACY_KEYS).forEach((k) => localStorage.removeItem(k));
+      // Another tab opened a newer schema: let it upgrade, this tab must reload
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => console.warn("Database upgrade is waiting for other tabs to close");
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+// -----------------------------
+// Load / save
+// -----------------------------
+/**
+ * All sessions (newest first, each with its ordered `messages`), profiles, reminders and usage records.
+ */
+export async function loadAll() {
+  const db = await openDatabase();
+  const tx = db.transaction(["sessions", "messages", "profiles", "reminders", "usage"], "readonly");
+  const [sessionRecords, messageRecords, profiles, reminders, usage] = await Promise.all([
+    requestToPromise(tx.objectStore("sessions").getAll()),
+    requestToPromise(tx.objectStore("messages").getAll()),
+    requestToPromise(tx.objectStore("profiles").getAll()),
+    requestToPromise(tx.objectStore("reminders").getAll()),
+    requestToPromise(tx.objectStore("usage").getAll()),
+  ]);
+
+  snapshot.sessions.clear();
+  snapshot.messages.clear();
+
+  const bySession = new Map(sessionRecords.map((s) => [s.id, { ...s, messages: [] }]));
+  messageRecords
+    .sort((a, b) => a.seq - b.seq)
+    .forEach((record) => {
+      const session = bySession.get(record.sessionId);
+      if (!session) return;
+      const { sessionId, seq, ...message } = record;
+      session.messages.push(message);
+      snapshot.messages.set(message.id, JSON.stringify(record));
+    });
+  sessionRecords.forEach((s) => snapshot.sessions.set(s.id, JSON.stringify(s)));
+
+  const sessions = [...bySession.values()].sort((a, b) => (b.updatedAtISO || "").localeCompare(a.updatedAtISO || ""));
+  return { sessions, profiles, reminders, usage };
+}
+
+/**
+ * Persists the in-memory sessions, writing only new/changed records and deleting removed ones.
+ * Messages without an `id` get one (in place). Rejects with the transaction error, e.g. QuotaExceededError.
+ */
+export async function writeSessions(sessions) {
+  const db = await openDatabase();
+  const tx = db.transaction(["sessions", "messages"], "readwrite");
+  const sessionStore = tx.objectStore("sessions");
+  const messageStore = tx.objectStore("messages");
+
+  const nextSessions = new Map();
+  const nextMessages = new Map();
+
+  sessions.forEach((s) => {
+    const { messages, ...meta } = s;
+    const json = JSON.stringify(meta);
+    nextSessions.set(s.id, json);
+    if (snapshot.sessions.get(s.id) !== json) sessionStore.put(meta);
+
+    messages.forEach((m, seq) => {
+      if (!m.id) m.id = crypto.randomUUID();
+      const record = { ...m, sessionId: s.id, seq };
+      const recordJSON = JSON.stringify(record);
+      nextMessages.set(m.id, recordJSON);
+      if (snapshot.messages.get(m.id) !== recordJSON) messageStore.put(record);
+    });
+  });
+
+  snapshot.sessions.forEach((_, id) => {
+    if (!nextSessions.has(id)) sessionStore.delete(id);
+  });
+  snapshot.messages.forEach((_, id) => {
+    if (!nextMessages.has(id)) messageStore.delete(id);
+  });
+
+  await transactionDone(tx);
+  snapshot.sessions = nextSessions;
+  snapshot.messages = nextMessages;
+}
+
+/**
+ * Replaces the stored profiles with `profiles`.
+ */
+export async function writeProfiles(profiles) {
+  const db = await openDatabase();
+  const tx = db.transaction("profiles", "readwrite");
+  const store = tx.objectStore("profiles");
+  store.clear();
+  profiles.forEach((p) => store.put(p));
+  await transactionDone(tx);
+}
+
+/**
+ * Replaces the stored reminders with `reminders`.
+ */
+export async function writeReminders(reminders) {
+  const db = await openDatabase();
+  const tx = db.transaction("reminders", "readwrite");
+  const store = tx.objectStore("reminders");
+  store.clear();
+  reminders.forEach((r) => store.put(r));
+  await transactionDone(tx);
+}
+
+/**
+ * Adds one record to the usage ledger. Records are never updated or deleted.
+ */
+export async function appendUsage(record) {
+  const db = await openDatabase();
+  const tx = db.transaction("usage", "readwrite");
+  tx.objectStore("usage").put(record);
+  await transactionDone(tx);
+}
+
+// -----------------------------
+// Quota
+// -----------------------------
+export function isQuotaError(err) {
+  return err?.name === "QuotaExceededError" || /quota/i.test(String(err?.message || ""));
+}
+
+/**
+ * {usage, quota, ratio} from the Storage API, or null where it is not supported.
+ */
+export async function storageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota, ratio: quota ? usage / quota : 0 };
+}
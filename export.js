@@ -0,0 +1,196 @@
+/* export.js
+   Barve Guruji AI - Shareable exports of consultations
+   - Markdown (.md), print-styled HTML (A4; "Save as PDF" from the browser's print dialog), WhatsApp text
+   - Works on plain export models built by app.js:
+       {title, createdAtISO, updatedAtISO, profile: {name, lines: [string]} | null, messages: [{role, text, timeISO}]}
+     where `text` is Markdown
+   - Options {lang, locale}: `lang` picks the labels, `locale` (i18n.js localeFor) formats dates and digits
+   - The print view highlights dates and verdicts (shubh / ashubh, favourable / avoid)
+*/
+
+import { escapeHTML, renderMarkdown } from "./markdown.js";
+
+const LABELS = {
+  en: { user: "You", assistant: "Guruji", started: "Started", updated: "Updated", exported: "Exported from Barve Guruji AI" },
+  mr: { user: "तुम्ही", assistant: "गुरुजी", started: "सुरुवात", updated: "शेवटचा बदल", exported: "बर्वे गुरुजी AI मधून निर्यात" },
+};
+
+const ENGLISH_MONTHS = "January|February|March|April|May|June|July|August|September|October|November|December";
+const DATES = [
+  "\\d{4}-\\d{2}-\\d{2}",
+  "\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4}",
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${ENGLISH_MONTHS})(?:,?\\s+\\d{4})?`,
+  `(?:${ENGLISH_MONTHS})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?`,
+].join("|");
+const BAD_VERDICTS = "अशुभ|प्रतिकूल|टाळा|टाळावे|टाळावा|वर्ज्य|अयोग्य|inauspicious|unfavou?rable|not recommended|avoid|ashubh";
+const GOOD_VERDICTS = "शुभ|अनुकूल|उत्तम|योग्य|auspicious|favou?rable|recommended|shubh";
+// One pass, so "not recommended" is marked once (as bad) and "ashubh" is never read as "shubh"
+const HIGHLIGHT_RE = new RegExp(
+  `(?<![\\p{L}\\p{M}\\p{N}])(?:(${DATES})|(${BAD_VERDICTS})|(${GOOD_VERDICTS}))(?![\\p{L}\\p{M}\\p{N}])`,
+  "giu"
+);
+
+function labelsFor(lang) {
+  return LABELS[lang] || LABELS.en;
+}
+
+function formatDateTime(iso, locale) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(locale, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// -----------------------------
+// Markdown
+// -----------------------------
+/**
+ * One Markdown document for the given sessions.
+ */
+export function sessionsToMarkdown(models, { lang = "en", locale = "en-IN" } = {}) {
+  const L = labelsFor(lang);
+  const docs = models.map((s) => {
+    const lines = [`# ${s.title}`, ""];
+    if (s.profile) lines.push(`**${s.profile.name}** — ${s.profile.lines.join(" · ")}`, "");
+    lines.push(`_${L.started} ${formatDateTime(s.createdAtISO, locale)} · ${L.updated} ${formatDateTime(s.updatedAtISO, locale)}_`, "");
+    s.messages.forEach((m) => {
+      lines.push(`**${L[m.role] || m.role}** · _${formatDateTime(m.timeISO, locale)}_`, "", m.text, "");
+    });
+    return lines.join("\n").trim();
+  });
+  return `${docs.join("\n\n---\n\n")}\n`;
+}
+
+// -----------------------------
+// WhatsApp
+// -----------------------------
+function tableRowToText(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, "")
+    .split(/(?<!\\)\|/)
+    .map((c) => c.trim().replace(/\\\|/g, "|"))
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * Markdown -> WhatsApp formatting: *bold*, _italic_, • bullets, tables as one line per row.
+ */
+export function markdownToWhatsApp(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(line)) // table separators
+    .map((line) => {
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) return `\u0001${heading[1].replace(/\*\*/g, "")}\u0001`;
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) return "———";
+      if (/^\s*\|.*\|\s*$/.test(line)) return `▫️ ${tableRowToText(line)}`;
+      return line.replace(/^(\s*)[-*+]\s+/, "$1• ");
+    })
+    .join("\n")
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "\u0001$1\u0001")
+    .replace(/__(?=\S)(.+?)(?<=\S)__/g, "\u0001$1\u0001")
+    .replace(/(^|[^*\w])\*(?=[^\s*])(.+?)(?<=[^\s*])\*(?!\*)/g, "$1_$2_")
+    .replace(/\u0001/g, "*")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Plain-text summary ready to paste into WhatsApp.
+ */
+export function sessionsToWhatsApp(models, { lang = "en", locale = "en-IN" } = {}) {
+  const L = labelsFor(lang);
+  const docs = models.map((s) => {
+    const lines = [`*${s.title}*`];
+    if (s.profile) lines.push(`👤 ${s.profile.name} — ${s.profile.lines.join(" · ")}`);
+    lines.push(`📅 ${formatDateTime(s.updatedAtISO, locale)}`, "");
+    s.messages.forEach((m) => {
+      const who = m.role === "user" ? `❓ *${L.user}:*` : `🙏 *${L.assistant}:*`;
+      lines.push(`${who}\n${markdownToWhatsApp(m.text)}`, "");
+    });
+    return lines.join("\n").trim();
+  });
+  return `${docs.join("\n\n━━━━━━━━━━\n\n")}\n\n— ${L.exported}`;
+}
+
+// -----------------------------
+// Print (A4 PDF)
+// -----------------------------
+// Wraps dates and verdict words in <mark>, touching text only (never tags or attributes)
+function highlight(html) {
+  return html
+    .split(/(<[^>]*>)/)
+    .map((part) =>
+      part.startsWith("<")
+        ? part
+        : part.replace(HIGHLIGHT_RE, (m, date, bad) => `<mark class="${date ? "date" : bad ? "bad" : "good"}">${m}</mark>`)
+    )
+    .join("");
+}
+
+const PRINT_CSS = `
+@page { size: A4; margin: 16mm 14mm; }
+* { box-sizing: border-box; }
+body { margin: 0; color: #222; font: 11pt/1.5 "Noto Sans Devanagari", "Mukta", "Segoe UI", system-ui, sans-serif; }
+header.brand { border-bottom: 2pt solid #ff9933; margin-bottom: 8pt; padding-bottom: 4pt; color: #4a0404; font-size: 9pt; }
+h1 { color: #4a0404; font-size: 16pt; margin: 0 0 4pt; }
+h3, h4, h5, h6 { color: #4a0404; margin: 6pt 0 2pt; }
+.session { break-after: page; }
+.session:last-child { break-after: auto; }
+.meta { color: #555; font-size: 9pt; margin-bottom: 6pt; }
+.profile { border: 1pt solid #4a0404; border-left: 4pt solid #ff9933; border-radius: 3pt; background: #fdfbf7; padding: 5pt 8pt; margin: 6pt 0 10pt; }
+.profile strong { color: #4a0404; }
+.msg { margin: 0 0 8pt; break-inside: avoid; }
+.who { font-size: 8.5pt; font-weight: 600; color: #4a0404; margin-bottom: 1pt; }
+.who span { font-weight: 400; color: #777; }
+.body { padding: 5pt 8pt; border-radius: 3pt; }
+.user .body { background: #fff1e0; }
+.assistant .body { background: #f7f3ee; }
+.body p { margin: 3pt 0; }
+.body ul, .body ol { margin: 3pt 0; padding-left: 16pt; }
+table { border-collapse: collapse; font-size: 9pt; margin: 4pt 0; }
+th, td { border: 0.75pt solid #4a0404; padding: 2pt 4pt; text-align: left; vertical-align: top; }
+blockquote { margin: 4pt 0; padding-left: 6pt; border-left: 3pt solid #ff9933; }
+mark { padding: 0 1pt; border-radius: 2pt; }
+mark.date { background: #ffe2bf; font-weight: 600; }
+mark.good { background: #d6f0d6; font-weight: 600; }
+mark.bad { background: #f7d4d4; font-weight: 600; }
+footer { color: #777; font-size: 8pt; text-align: center; margin-top: 12pt; }
+@media print { mark { -webkit-print-color-adjust: exact; print-color-adjust: exact; } .body, .profile { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+`;
+
+/**
+ * Standalone HTML document styled for A4 printing. All text is escaped / rendered by markdown.js.
+ */
+export function sessionsToPrintHTML(models, { lang = "en", locale = "en-IN" } = {}) {
+  const L = labelsFor(lang);
+  const sections = models.map((s) => {
+    const profile = s.profile
+      ? `<div class="profile"><strong>${escapeHTML(s.profile.name)}</strong><br/>${s.profile.lines.map(escapeHTML).join("<br/>")}</div>`
+      : "";
+    const messages = s.messages
+      .map(
+        (m) =>
+          `<div class="msg ${m.role === "user" ? "user" : "assistant"}">` +
+          `<div class="who">${escapeHTML(L[m.role] || m.role)} <span>${escapeHTML(formatDateTime(m.timeISO, locale))}</span></div>` +
+          `<div class="body">${highlight(renderMarkdown(m.text))}</div></div>`
+      )
+      .join("");
+    return (
+      `<section class="session"><h1>${escapeHTML(s.title)}</h1>` +
+      `<div class="meta">${escapeHTML(`${L.started} ${formatDateTime(s.createdAtISO, locale)} · ${L.updated} ${formatDateTime(s.updatedAtISO, locale)}`)}</div>` +
+      `${profile}${messages}</section>`
+    );
+  });
+  const title = models.length === 1 ? models[0].title : "Barve Guruji AI";
+  return (
+    `<!DOCTYPE html><html lang="${lang === "mr" ? "mr" : "en"}"><head><meta charset="utf-8"/>` +
+    `<title>${escapeHTML(title)}</title><style>${PRINT_CSS}</style></head><body>` +
+    `<header class="brand">🕉️ Barve Guruji AI</header>${sections.join("")}` +
+    `<footer>${escapeHTML(L.exported)} · ${escapeHTML(formatDateTime(new Date().toISOString(), locale))}</footer></body></html>`
+  );
+}
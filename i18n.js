@@ -0,0 +1,734 @@
+/* i18n.js
+   Barve Guruji AI - UI string catalogs (Marathi and English)
+   - STRINGS[lang][key]: a template with {name} placeholders, or a function (formatted, raw) for plurals
+   - A key missing in Marathi falls back to English, then to the key itself (visible, never blank)
+   - Numbers in params are formatted for the UI: Marathi numerals (०-९) unless switched to 0-9
+   - Quick-action prompts are written natively per language; they still name the terms
+     (मुहूर्त, अग्निवास, पौर्णिमा…) that app.js detects, and keep ASCII digits for range parsing
+   - Only UI text lives here: prompts to the models and exports keep their own wording
+*/
+
+export const LANGUAGES = ["mr", "en"];
+export const NUMERALS = ["deva", "latn"]; // Marathi mode only; English always uses 0-9
+
+const plural = (n, one, many) => (n === 1 ? one : many);
+
+export const STRINGS = {
+  en: {
+    "app.title": "Barve Guruji",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.delete": "Delete",
+    "common.done": "Done",
+    "common.edit": "Edit",
+    "common.rename": "Rename",
+
+    "aria.toggleLanguage": "Toggle language",
+    "aria.reminders": "Reminders",
+    "aria.calendar": "Festival calendar",
+    "aria.settings": "Settings",
+    "lang.toast": "English mode",
+    "offline.banner": "⚠️ You are offline. Some features may be unavailable.",
+    "offline.queued": "You are offline. Message queued; it will be sent when you reconnect.",
+    "offline.still": "Still offline. It will be sent when you reconnect.",
+    "offline.regenerate": "You are offline. Regenerate needs a connection.",
+
+    "input.placeholder": "Type your message...",
+    "input.aria": "Message input",
+    "input.send": "Send",
+    "input.sendAria": "Send message",
+    "input.stop": "Stop",
+    "input.stopAria": "Stop reply",
+    "input.typing": "Guruji is typing...",
+    "translit.toggle": "Type roman Marathi in Devanagari",
+    "translit.preview": "Will send:",
+    "translit.suggestions": "Spelling suggestions",
+    "translit.on": "Roman Marathi will be sent in Devanagari",
+    "translit.off": "Text will be sent as typed",
+    "profileBar.label": "Consultation for",
+    "profileBar.none": "— No profile —",
+
+    // Quick actions
+    "quick.panchang": "Today's Panchang",
+    "quick.panchangPrompt":
+      "Give today's Panchang for {date} as per Ruikar and Date Panchang using the verified values ({panchang}). Mention tithi, nakshatra, yoga, karan, rahukaal, and a clear Shubha/Ashubha verdict.",
+    "quick.agni": "Agni Vas Check",
+    "quick.agniPrompt": "Agni Vas for today {date}. Is it on Prithvi? Can I do Havan? Explain the verdict.",
+    "quick.vivah": "Vivah Muhurta",
+    "quick.vivahPrompt":
+      "Vivah Muhurtas for the next 3 months based on Date Panchang. Explain the best dates and the days to avoid due to Guru/Shukra Ast.",
+    "quick.satyanarayan": "Satyanarayan Dates",
+    "quick.satyanarayanPrompt":
+      "List upcoming Purnima and Sankashti Chaturthi dates (with moonrise) suitable for Satyanarayan Pooja.",
+    "quick.shanti": "Shanti Muhurta",
+    "quick.shantiPrompt":
+      "Graha Shanti Muhurtas in next 30 days for Graha Shanti and home puja. Explain the best dates, mention days to avoid and give simple upay.",
+    "quick.tarot": "Tarot Prashna",
+    "quick.tarotPrompt": "Tarot Prashna with a 3-card spread (past, present, future): what guidance do the cards give me right now?",
+    "quick.editAria": "Edit quick actions",
+    "quick.title": "Quick actions",
+    "quick.show": "Show on the bar",
+    "quick.builtin": "(built-in)",
+    "quick.moveUp": "Move up",
+    "quick.moveDown": "Move down",
+    "quick.labelMr": "Label (Marathi)",
+    "quick.labelEn": "Label (English)",
+    "quick.promptMr": "Prompt (Marathi)",
+    "quick.promptEn": "Prompt (English)",
+    "quick.placeholdersHint":
+      "Fill one language or both; the other falls back to it. Placeholders: {names}. Asked on click: {date:Question} (date picker) or {text:Question}.",
+    "quick.add": "Add action",
+    "quick.update": "Update action",
+    "quick.added": "Quick action \"{label}\" added",
+    "quick.updated": "Quick action \"{label}\" updated",
+    "quick.confirmDelete": "Delete the quick action \"{label}\"?",
+    "quick.needsLabel": "Give the action a label",
+    "quick.needsPrompt": "Write the prompt Guruji should receive",
+    "quick.badPlaceholder": "Unknown placeholder {token}",
+    "quick.needsProfile": "Link a family profile to this consultation first",
+    "quick.ask": "Ask Guruji",
+    "quick.export": "Export custom actions",
+    "quick.import": "Import:",
+    "quick.nothingToExport": "No custom quick actions to export",
+    "quick.imported": (p, raw) =>
+      `Imported ${p.added} quick action${plural(raw.added, "", "s")}` +
+      (raw.duplicates ? `, ${p.duplicates} already here` : "") +
+      (raw.rejected ? `, ${p.rejected} invalid` : ""),
+
+    // Replies and errors
+    "reply.stopped": "Stopped",
+    "reply.stoppedPartial": "Stopped. Partial reply kept.",
+    "reply.connectionLost": "Connection lost. Partial reply kept.",
+    "reply.interrupted": "Reply interrupted — partial text kept",
+    "reply.busy": "Please wait for the current reply to finish.",
+    "error.noKey": "API key not set. Open Settings and save it.",
+    "error.timeout": "Guruji did not respond in time. Please retry.",
+    "error.rateLimitAfter": "Rate limit. Retry after {seconds}s.",
+    "error.rateLimit": "Rate limit. Please retry in a minute.",
+    "error.auth": "Invalid/unauthorized API key. Update it in Settings.",
+    "error.badRequest": "Bad request (payload/model mismatch). Check Console.",
+    "error.modelNotFound": "Model not found for your key. Check model name.",
+    "error.ollama": "Cannot reach Ollama at {url}. Is it running with OLLAMA_ORIGINS allowing this app?",
+    "error.api": "API Error {status}. Check Console.",
+
+    // Outbox and retries
+    "outbox.sending": "⏳ Sending…",
+    "outbox.retryScheduled": "🔁 Retry scheduled",
+    "outbox.failed": "⚠ Failed",
+    "outbox.queued": "🕒 Queued",
+    "outbox.failedTitle": "Send failed",
+    "outbox.queuedTitle": "Will be sent when online",
+    "outbox.sendNow": "Send now",
+    "retry.now": "Retry now",
+    "retry.banner": "{reason} Retrying in {seconds}s (attempt {attempt} of {max})…",
+    "retry.defaultReason": "Guruji could not reply.",
+    "retry.cancelled": "Automatic retry cancelled",
+    "retry.gaveUp": 'Still failing after {attempts} attempts. Tap "Send now" to try again.',
+    "retry.fallback": "Guruji model keeps failing; trying {model} for this reply.",
+
+    // Message actions
+    "action.regenerate": "↻ Regenerate",
+    "action.regenerateTitle": "Ask again; earlier answers stay available",
+    "action.edit": "✎ Edit",
+    "action.editTitle": "Edit and resend",
+    "action.remind": "⏰ Remind",
+    "action.remindTitle": (p, raw) => `Daily reminder for ${p.days} ${plural(raw.days, "day", "days")}`,
+    "action.copy": "⧉ Copy",
+    "action.copyTitle": "Copy text",
+    "action.branch": "⑂ Branch",
+    "action.branchTitle": "Continue from here in a new consultation",
+    "action.delete": "🗑 Delete",
+    "action.deleteTitle": "Delete this message",
+    "version.previous": "Previous version",
+    "version.next": "Next version",
+    "editor.resend": "Resend",
+    "editor.resendReplace": "Resend, replace thread below",
+    "editor.resendTitle": "The replies after this message are removed",
+    "editor.branch": "Resend as new branch",
+    "editor.branchTitle": "Keep the current thread; switch between versions with ‹ ›",
+    "editor.cancelTitle": "Keep the message as it is",
+    "copy.unavailable": "Copy is not available in this browser",
+    "copy.done": "Copied",
+    "copy.failed": "Copy failed",
+    "message.confirmDelete": "Delete this message?",
+
+    // Consultations and search
+    "session.newTitle": "New Consultation",
+    "session.branchTitle": "{title} (branch)",
+    "session.started": "New consultation started",
+    "session.branched": "Branched into a new consultation",
+    "session.selectForExport": "Select for export",
+    "session.renamePrompt": "Rename consultation",
+    "session.confirmDelete": "Delete this consultation?",
+    "search.placeholder": "Search all consultations (मराठी or roman)…",
+    "search.none": "No messages found.",
+    "search.you": "You",
+    "search.guruji": "Guruji",
+
+    // Settings
+    "settings.title": "Settings",
+    "settings.language": "Language",
+    "settings.numerals": "Marathi numerals (१२३) in dates and numbers",
+    "settings.location": "Location",
+    "settings.placeName": "Place name",
+    "settings.latitude": "Latitude",
+    "settings.longitude": "Longitude",
+    "settings.timeZone": "Time zone (e.g. Asia/Kolkata)",
+    "settings.saveLocation": "Save Location",
+    "settings.apiKey": "Gemini API Key",
+    "settings.apiKeyPlaceholder": "Enter your API key",
+    "settings.saveKey": "Save Key",
+    "settings.forgetKey": "Forget Key",
+    "settings.apiKeyNote": "Client-side key is retrievable by advanced users; OK for personal use. For true production, use a proxy.",
+    "settings.providers": "AI Providers",
+    "settings.gurujiStage": "Guruji replies",
+    "settings.interpreterStage": "Interpreter (dates, intent, translation)",
+    "settings.model": "Model",
+    "settings.gurujiModel": "Guruji model",
+    "settings.interpreterModel": "Interpreter model",
+    "settings.openaiBaseUrl": "OpenAI-compatible base URL (…/v1)",
+    "settings.openaiBaseUrlAria": "OpenAI-compatible base URL",
+    "settings.openaiKey": "API key (optional for local servers)",
+    "settings.openaiKeyAria": "OpenAI-compatible API key",
+    "settings.ollamaUrl": "Ollama URL (http://localhost:11434)",
+    "settings.ollamaUrlAria": "Ollama URL",
+    "settings.ollamaNote": "Start Ollama with OLLAMA_ORIGINS set to this app's address so the browser may call it.",
+    "settings.saveProviders": "Save Providers",
+    "settings.profiles": "Family Profiles",
+    "settings.consultations": "Consultations",
+    "settings.importExport": "Import / Export",
+    "settings.format": "Format",
+    "settings.formatJson": "JSON backup (can be imported)",
+    "settings.formatMarkdown": "Markdown (.md)",
+    "settings.formatPrint": "Print / PDF (A4)",
+    "settings.formatWhatsApp": "WhatsApp text",
+    "settings.exportHint": "Tick consultations in the list above to export several at once.",
+    "location.custom": "Custom (lat/long)",
+    "location.customName": "Custom location",
+    "location.invalidCoords": "Enter a valid latitude (-90..90) and longitude (-180..180)",
+    "location.invalidTimeZone": "Unknown time zone. Use a name like Asia/Kolkata",
+    "location.set": "Location set: {name}",
+    "providers.needModel": "Enter a model name for each stage",
+    "providers.needUrl": "Enter a full endpoint URL, e.g. http://localhost:11434",
+    "providers.saved": "Guruji: {guruji} · Interpreter: {interpreter}",
+    "apiKey.empty": "API key cannot be empty",
+    "apiKey.saved": "API key saved",
+    "apiKey.removed": "API key removed",
+
+    // Profiles
+    "profile.name": "Name",
+    "profile.birthDate": "Birth date",
+    "profile.birthTime": "Birth time",
+    "profile.placePreset": "Birthplace preset",
+    "profile.birthPlace": "Birthplace",
+    "profile.fillFromCity": "Fill from city…",
+    "profile.save": "Save Profile",
+    "profile.update": "Update Profile",
+    "profile.chartUnavailable": "Chart unavailable (check birth details)",
+    "profile.confirmDelete": 'Delete profile "{name}"?',
+    "profile.invalid": "Enter name, birth date and birth time",
+    "profile.saved": "Profile saved",
+    "profile.updated": "Profile updated",
+    "profile.linked": "Consultation linked to {name}",
+    "profile.unlinked": "Profile unlinked",
+    "dasha.title": "Vimshottari Dasha",
+
+    // Storage
+    "storage.full": "Storage is full. Nothing is lost yet: export and delete old consultations to free space.",
+    "storage.saveFailed": "Could not save consultations. Check Console.",
+    "storage.almostFull": "Storage almost full ({used} of {quota} MB). Export and delete old consultations.",
+
+    // Export / import
+    "export.current": "Export Current",
+    "export.selected": "Export Selected",
+    "export.selectedCount": "Export Selected ({count})",
+    "export.all": "Export All",
+    "export.nothing": "Nothing to export",
+    "export.sessionDone": "Session exported",
+    "export.sessionsDone": "{count} sessions exported",
+    "export.downloaded": "Downloaded {file}",
+    "export.whatsAppCopied": "Copied. Paste it into WhatsApp.",
+    "export.downloadedText": "Downloaded as text",
+    "import.title": "Import preview",
+    "import.confirm": "Import",
+    "import.invalidJson": "Invalid import JSON",
+    "import.failed": "Import failed",
+    "import.summary": (p, raw) =>
+      `${p.valid} valid consultation${plural(raw.valid, "", "s")}: ${p.new} new, ${p.duplicate} already here, ` +
+      `${p.conflict} differ from existing.` +
+      (raw.rejected ? ` ${p.rejected} item${plural(raw.rejected, "", "s")} rejected.` : ""),
+    "import.rejectedTitle": "Rejected items ({count})",
+    "import.status.new": "New",
+    "import.status.duplicate": "Already here",
+    "import.status.conflict": "Differs from existing",
+    "import.status.repeated": "Repeated in file",
+    "import.messages": (p, raw) => `${p.count} message${plural(raw.count, "", "s")}`,
+    "import.notIn": '{count} not in "{title}"',
+    "import.action.add": "Add",
+    "import.action.skip": "Skip",
+    "import.action.replace": "Replace existing",
+    "import.action.keep-both": "Keep both",
+    "import.action.merge": "Merge messages",
+    "import.done": "Imported: {added} added, {merged} merged, {replaced} replaced, {skipped} skipped",
+
+    // Calendar
+    "calendar.previous": "Previous month",
+    "calendar.next": "Next month",
+    "calendar.eventsThisMonth": "Events this month",
+    "calendar.selectAll": "Select all",
+    "calendar.exportSelected": "Export selected (.ics)",
+    "calendar.exportYear": "Export year (.ics)",
+    "calendar.location": "Sunrise-based tithis for {place} ({tz})",
+    "calendar.empty": "No events for the selected types.",
+    "calendar.adhik": "Adhik",
+    "calendar.noneToExport": "No events to export",
+    "calendar.exported": (p, raw) => `Exported ${p.count} event${plural(raw.count, "", "s")}`,
+    "weekday.sun": "Sun",
+    "weekday.mon": "Mon",
+    "weekday.tue": "Tue",
+    "weekday.wed": "Wed",
+    "weekday.thu": "Thu",
+    "weekday.fri": "Fri",
+    "weekday.sat": "Sat",
+    "event.ekadashi": "Ekadashi",
+    "event.sankashti": "Sankashti",
+    "event.purnima": "Purnima",
+    "event.amavasya": "Amavasya",
+    "event.pradosh": "Pradosh",
+    "event.festival": "Festivals",
+
+    // Muhurta and Tarot attachments
+    "muhurta.title": "{label} Muhurta · {start} → {end} · {place}",
+    "muhurta.none": "No suitable dates found in this range.",
+    "muhurta.columns": "#|Date|Vara|Tithi|Nakshatra|Rahukaal|Why",
+    "muhurta.rejected": "{rejected} of {days} days rejected",
+    "tarot.title": "🔮 Tarot Prashna · {spread}",
+    "tarot.reversed": "reversed",
+    "tarot.seed": "Seed {seed} · {when}",
+    "tarot.seedTitle": "The same seed always draws the same cards",
+
+    // Reminders
+    "reminders.title": "Reminders",
+    "reminders.allow": "Allow notifications",
+    "reminders.upayHeading": "Upay reminder",
+    "reminders.upayPlaceholder": "e.g. Chant Ram Raksha stotra",
+    "reminders.days": "Days",
+    "reminders.dailyAt": "Daily at",
+    "reminders.add": "Add reminder",
+    "reminders.none": "No reminders yet.",
+    "reminders.done": "done",
+    "reminders.snoozeMinutes": "Snooze {minutes}m",
+    "reminders.snoozeHours": "Snooze {hours}h",
+    "reminders.notifySnooze": "Snooze {minutes} min",
+    "reminders.upayInvalid": "Enter the upay and a number of days (1-365)",
+    "reminders.upaySet": (p, raw) => `Reminder set: daily at ${p.time} for ${p.days} ${plural(raw.days, "day", "days")}`,
+    "reminders.statusGranted":
+      "Notifications are on. With the app closed they can arrive a little late; the browser decides when to wake it.",
+    "reminders.statusDenied": "Notifications are blocked for this site. Reminders show only while the app is open.",
+    "reminders.statusDefault": "Allow notifications to be reminded outside the app.",
+    "reminders.statusUnsupported": "This browser cannot show notifications. Reminders show only while the app is open.",
+    "reminder.kind.sankashti": "Sankashti (evening before)",
+    "reminder.kind.ekadashi": "Ekadashi (evening before)",
+    "reminder.kind.rahukaal": "Rahukaal (10 min before)",
+    "reminder.kind.upay": "Upay",
+    "summary.button": "Summary",
+    "summary.title": "Consultation summary",
+    "summary.placeholder": "Names, birth details, dates, concerns and remedies Guruji should always remember",
+    "summary.empty": "No summary yet. Once this consultation grows long, older messages are summarised here automatically. You can also write it yourself.",
+    "summary.meta": (p, raw) =>
+      `Covers the first ${p.count} message${plural(raw.count, "", "s")} · updated ${p.time}${raw.edited ? " · edited by you" : ""}`,
+    "summary.save": "Save summary",
+    "summary.saved": "Summary saved; Guruji will use it from the next reply",
+    "summary.updated": "Older messages were added to the consultation summary",
+    "usage.button": "Usage & cost",
+    "usage.title": "Usage & cost",
+    "usage.byMonth": "By month",
+    "usage.byStage": "This month by stage",
+    "usage.bySession": "By consultation",
+    "usage.monthColumns": "Month|Calls|Input tokens|Output tokens|Cost",
+    "usage.stageColumns": "Stage|Calls|Tokens|Avg. time|Cost",
+    "usage.sessionColumns": "Consultation|Calls|Tokens|Cost",
+    "usage.stage.interpreter": "Interpreter",
+    "usage.stage.guruji": "Guruji",
+    "usage.stage.enforce": "Language fix",
+    "usage.stage.summary": "Summary",
+    "usage.seconds": "{seconds} s",
+    "usage.empty": "No model calls recorded yet.",
+    "usage.deletedSession": "Deleted consultation",
+    "usage.unpricedNote": "* Includes calls to models missing from the price table; they are counted at no cost.",
+    "usage.budgetStatus": "This month: {spent} of the {budget} budget",
+    "usage.noBudget": "This month: {spent} (no budget set)",
+    "usage.budgetLabel": "Monthly budget in USD (empty for none)",
+    "usage.pricesLabel": "Prices in USD per million tokens, one model per line: model input output",
+    "usage.save": "Save",
+    "usage.saved": "Usage settings saved",
+    "usage.pricesInvalid": "Price table line {line} is not \"model input output\"",
+    "usage.nearBudget": "This month's usage is {spent} of the {budget} budget",
+    "usage.overBudget": "This month's usage ({spent}) has reached the {budget} budget. Send anyway?",
+  },
+
+  mr: {
+    "app.title": "बर्वे गुरुजी",
+    "common.cancel": "रद्द करा",
+    "common.close": "बंद करा",
+    "common.delete": "हटवा",
+    "common.done": "झाले",
+    "common.edit": "बदला",
+    "common.rename": "नाव बदला",
+
+    "aria.toggleLanguage": "भाषा बदला",
+    "aria.reminders": "आठवणी",
+    "aria.calendar": "सण-व्रत दिनदर्शिका",
+    "aria.settings": "सेटिंग्ज",
+    "lang.toast": "मराठी मोड",
+    "offline.banner": "⚠️ आपण ऑफलाइन आहात. काही सुविधा उपलब्ध नसतील.",
+    "offline.queued": "आपण ऑफलाइन आहात. संदेश रांगेत ठेवला आहे; जोडणी मिळताच पाठवला जाईल.",
+    "offline.still": "अजून ऑफलाइन आहात. जोडणी मिळताच पाठवला जाईल.",
+    "offline.regenerate": "आपण ऑफलाइन आहात. पुन्हा उत्तर मिळवण्यासाठी जोडणी हवी.",
+
+    "input.placeholder": "आपला प्रश्न लिहा...",
+    "input.aria": "संदेश",
+    "input.send": "पाठवा",
+    "input.sendAria": "संदेश पाठवा",
+    "input.stop": "थांबवा",
+    "input.stopAria": "उत्तर थांबवा",
+    "input.typing": "गुरुजी लिहीत आहेत...",
+    "translit.toggle": "रोमन मराठी देवनागरीत लिहा",
+    "translit.preview": "पाठवले जाईल:",
+    "translit.suggestions": "शब्दांचे पर्याय",
+    "translit.on": "रोमन मराठी देवनागरीत पाठवली जाईल",
+    "translit.off": "मजकूर लिहिल्याप्रमाणेच पाठवला जाईल",
+    "profileBar.label": "सल्ला कोणासाठी",
+    "profileBar.none": "— व्यक्ती निवडलेली नाही —",
+
+    "quick.panchang": "आजचे पंचांग",
+    "quick.panchangPrompt":
+      "आज {date} चे पंचांग रुईकर आणि दाते पंचांगानुसार, पडताळलेल्या मूल्यांसह ({panchang}) सांगा. तिथी, नक्षत्र, योग, करण, राहुकाळ आणि स्पष्ट शुभ/अशुभ निर्णय सांगा.",
+    "quick.agni": "अग्निवास तपासा",
+    "quick.agniPrompt": "आज {date} रोजी अग्निवास कोठे आहे? तो पृथ्वीवर आहे का? मी हवन करू शकतो का? निर्णय समजावून सांगा.",
+    "quick.vivah": "विवाह मुहूर्त",
+    "quick.vivahPrompt":
+      "दाते पंचांगानुसार पुढील 3 महिन्यांतील विवाह मुहूर्त सांगा. सर्वोत्तम तारखा आणि गुरू/शुक्र अस्तामुळे टाळायचे दिवस समजावून सांगा.",
+    "quick.satyanarayan": "सत्यनारायण तारखा",
+    "quick.satyanarayanPrompt": "सत्यनारायण पूजेसाठी योग्य अशा येणाऱ्या पौर्णिमा आणि संकष्टी चतुर्थीच्या तारखा (चंद्रोदयासह) सांगा.",
+    "quick.shanti": "शांती मुहूर्त",
+    "quick.shantiPrompt":
+      "पुढील 30 दिवसांतील ग्रहशांती आणि घरगुती पूजेसाठी मुहूर्त सांगा. सर्वोत्तम तारखा, टाळायचे दिवस आणि सोपा उपाय सांगा.",
+    "quick.tarot": "टॅरो प्रश्न",
+    "quick.tarotPrompt": "3 पत्त्यांचा टॅरो प्रश्न (भूतकाळ, वर्तमान, भविष्य): हे पत्ते मला आत्ता कोणते मार्गदर्शन देतात?",
+    "quick.editAria": "झटपट बटणे बदला",
+    "quick.title": "झटपट बटणे",
+    "quick.show": "पट्टीवर दाखवा",
+    "quick.builtin": "(मूळ)",
+    "quick.moveUp": "वर हलवा",
+    "quick.moveDown": "खाली हलवा",
+    "quick.labelMr": "नाव (मराठी)",
+    "quick.labelEn": "नाव (इंग्रजी)",
+    "quick.promptMr": "प्रश्न (मराठी)",
+    "quick.promptEn": "प्रश्न (इंग्रजी)",
+    "quick.placeholdersHint":
+      "एक किंवा दोन्ही भाषा भरा; रिकाम्या भाषेत दुसरीचा मजकूर वापरला जातो. जागा: {names}. क्लिक केल्यावर विचारायचे: {date:प्रश्न} (तारीख निवड) किंवा {text:प्रश्न}.",
+    "quick.add": "बटण जोडा",
+    "quick.update": "बटण अद्ययावत करा",
+    "quick.added": "\"{label}\" हे झटपट बटण जोडले",
+    "quick.updated": "\"{label}\" हे झटपट बटण अद्ययावत केले",
+    "quick.confirmDelete": "\"{label}\" हे झटपट बटण हटवायचे?",
+    "quick.needsLabel": "बटणाला नाव द्या",
+    "quick.needsPrompt": "गुरुजींना पाठवायचा प्रश्न लिहा",
+    "quick.badPlaceholder": "{token} ही जागा ओळखता आली नाही",
+    "quick.needsProfile": "आधी या सल्ल्याला कुटुंबातील प्रोफाइल जोडा",
+    "quick.ask": "गुरुजींना विचारा",
+    "quick.export": "स्वतःची बटणे निर्यात करा",
+    "quick.import": "आयात:",
+    "quick.nothingToExport": "निर्यात करण्यासाठी स्वतःचे एकही झटपट बटण नाही",
+    "quick.imported": (p, raw) =>
+      `${p.added} झटपट बटणे आयात केली` +
+      (raw.duplicates ? `, ${p.duplicates} आधीपासून होती` : "") +
+      (raw.rejected ? `, ${p.rejected} अवैध` : ""),
+
+    "reply.stopped": "थांबवले",
+    "reply.stoppedPartial": "थांबवले. अर्धवट उत्तर ठेवले आहे.",
+    "reply.connectionLost": "जोडणी तुटली. अर्धवट उत्तर ठेवले आहे.",
+    "reply.interrupted": "उत्तर मध्येच थांबले — मिळालेला मजकूर ठेवला आहे",
+    "reply.busy": "कृपया चालू उत्तर पूर्ण होईपर्यंत थांबा.",
+    "error.noKey": "API की सेट केलेली नाही. सेटिंग्जमध्ये जाऊन ती जतन करा.",
+    "error.timeout": "गुरुजींचे उत्तर वेळेत आले नाही. कृपया पुन्हा प्रयत्न करा.",
+    "error.rateLimitAfter": "विनंत्यांची मर्यादा ओलांडली. {seconds} सेकंदांनी पुन्हा प्रयत्न करा.",
+    "error.rateLimit": "विनंत्यांची मर्यादा ओलांडली. एका मिनिटाने पुन्हा प्रयत्न करा.",
+    "error.auth": "API की अवैध किंवा अनधिकृत आहे. सेटिंग्जमध्ये ती बदला.",
+    "error.badRequest": "चुकीची विनंती (payload आणि मॉडेल जुळत नाहीत). Console तपासा.",
+    "error.modelNotFound": "आपल्या कीसाठी हे मॉडेल सापडले नाही. मॉडेलचे नाव तपासा.",
+    "error.ollama": "{url} येथे Ollama पोहोचत नाही. ते चालू आहे आणि OLLAMA_ORIGINS मध्ये या ॲपला परवानगी आहे का?",
+    "error.api": "API त्रुटी {status}. Console तपासा.",
+
+    "outbox.sending": "⏳ पाठवत आहे…",
+    "outbox.retryScheduled": "🔁 पुन्हा पाठवणे ठरले आहे",
+    "outbox.failed": "⚠ अयशस्वी",
+    "outbox.queued": "🕒 रांगेत",
+    "outbox.failedTitle": "पाठवणे अयशस्वी",
+    "outbox.queuedTitle": "ऑनलाइन झाल्यावर पाठवला जाईल",
+    "outbox.sendNow": "आता पाठवा",
+    "retry.now": "आता पुन्हा पाठवा",
+    "retry.banner": "{reason} {seconds} सेकंदांनी पुन्हा पाठवत आहे (प्रयत्न {attempt} / {max})…",
+    "retry.defaultReason": "गुरुजी उत्तर देऊ शकले नाहीत.",
+    "retry.cancelled": "आपोआप पुन्हा पाठवणे रद्द केले",
+    "retry.gaveUp": '{attempts} प्रयत्नांनंतरही अयशस्वी. पुन्हा प्रयत्न करण्यासाठी "आता पाठवा" दाबा.',
+    "retry.fallback": "गुरुजी मॉडेल वारंवार अयशस्वी होत आहे; या उत्तरासाठी {model} वापरून पाहत आहोत.",
+
+    "action.regenerate": "↻ पुन्हा विचारा",
+    "action.regenerateTitle": "पुन्हा विचारा; आधीची उत्तरेही पाहता येतील",
+    "action.edit": "✎ बदला",
+    "action.editTitle": "बदलून पुन्हा पाठवा",
+    "action.remind": "⏰ आठवण",
+    "action.remindTitle": "{days} दिवस रोज आठवण",
+    "action.copy": "⧉ कॉपी",
+    "action.copyTitle": "मजकूर कॉपी करा",
+    "action.branch": "⑂ फाटा",
+    "action.branchTitle": "येथून पुढे नवीन सल्लामसलतीत चालू ठेवा",
+    "action.delete": "🗑 हटवा",
+    "action.deleteTitle": "हा संदेश हटवा",
+    "version.previous": "आधीची आवृत्ती",
+    "version.next": "पुढची आवृत्ती",
+    "editor.resend": "पुन्हा पाठवा",
+    "editor.resendReplace": "पुन्हा पाठवा, खालील संवाद बदला",
+    "editor.resendTitle": "या संदेशानंतरची उत्तरे काढली जातील",
+    "editor.branch": "नवीन फाटा म्हणून पाठवा",
+    "editor.branchTitle": "सध्याचा संवाद ठेवा; ‹ › ने आवृत्त्या बदला",
+    "editor.cancelTitle": "संदेश आहे तसाच ठेवा",
+    "copy.unavailable": "या ब्राउझरमध्ये कॉपी उपलब्ध नाही",
+    "copy.done": "कॉपी झाले",
+    "copy.failed": "कॉपी करता आले नाही",
+    "message.confirmDelete": "हा संदेश हटवायचा?",
+
+    "session.newTitle": "नवीन सल्लामसलत",
+    "session.branchTitle": "{title} (फाटा)",
+    "session.started": "नवीन सल्लामसलत सुरू झाली",
+    "session.branched": "नवीन सल्लामसलतीत फाटा तयार झाला",
+    "session.selectForExport": "निर्यातीसाठी निवडा",
+    "session.renamePrompt": "सल्लामसलतीचे नाव बदला",
+    "session.confirmDelete": "ही सल्लामसलत हटवायची?",
+    "search.placeholder": "सर्व सल्लामसलतींत शोधा (मराठी किंवा roman)…",
+    "search.none": "एकही संदेश सापडला नाही.",
+    "search.you": "आपण",
+    "search.guruji": "गुरुजी",
+
+    "settings.title": "सेटिंग्ज",
+    "settings.language": "भाषा",
+    "settings.numerals": "तारखा आणि संख्यांमध्ये मराठी अंक (१२३)",
+    "settings.location": "स्थान",
+    "settings.placeName": "ठिकाणाचे नाव",
+    "settings.latitude": "अक्षांश",
+    "settings.longitude": "रेखांश",
+    "settings.timeZone": "वेळ क्षेत्र (उदा. Asia/Kolkata)",
+    "settings.saveLocation": "स्थान जतन करा",
+    "settings.apiKey": "Gemini API की",
+    "settings.apiKeyPlaceholder": "आपली API की लिहा",
+    "settings.saveKey": "की जतन करा",
+    "settings.forgetKey": "की काढून टाका",
+    "settings.apiKeyNote":
+      "ब्राउझरमधील की जाणकार वापरकर्त्यांना दिसू शकते; वैयक्तिक वापरासाठी ठीक आहे. खऱ्या production साठी proxy वापरा.",
+    "settings.providers": "AI सेवा",
+    "settings.gurujiStage": "गुरुजींची उत्तरे",
+    "settings.interpreterStage": "इंटरप्रिटर (तारखा, हेतू, भाषांतर)",
+    "settings.model": "मॉडेल",
+    "settings.gurujiModel": "गुरुजी मॉडेल",
+    "settings.interpreterModel": "इंटरप्रिटर मॉडेल",
+    "settings.openaiBaseUrl": "OpenAI-सुसंगत base URL (…/v1)",
+    "settings.openaiBaseUrlAria": "OpenAI-सुसंगत base URL",
+    "settings.openaiKey": "API की (स्थानिक सर्व्हरसाठी आवश्यक नाही)",
+    "settings.openaiKeyAria": "OpenAI-सुसंगत API की",
+    "settings.ollamaUrl": "Ollama URL (http://localhost:11434)",
+    "settings.ollamaUrlAria": "Ollama URL",
+    "settings.ollamaNote": "ब्राउझरला Ollama वापरता यावे म्हणून OLLAMA_ORIGINS मध्ये या ॲपचा पत्ता देऊन Ollama सुरू करा.",
+    "settings.saveProviders": "सेवा जतन करा",
+    "settings.profiles": "कुटुंबातील व्यक्ती",
+    "settings.consultations": "सल्लामसलती",
+    "settings.importExport": "आयात / निर्यात",
+    "settings.format": "स्वरूप",
+    "settings.formatJson": "JSON बॅकअप (पुन्हा आयात करता येतो)",
+    "settings.formatMarkdown": "Markdown (.md)",
+    "settings.formatPrint": "प्रिंट / PDF (A4)",
+    "settings.formatWhatsApp": "WhatsApp मजकूर",
+    "settings.exportHint": "एकाच वेळी अनेक निर्यात करण्यासाठी वरच्या यादीतील सल्लामसलती निवडा.",
+    "location.custom": "स्वतःचे (अक्षांश/रेखांश)",
+    "location.customName": "स्वतःचे स्थान",
+    "location.invalidCoords": "योग्य अक्षांश (-90..90) आणि रेखांश (-180..180) भरा",
+    "location.invalidTimeZone": "अज्ञात वेळ क्षेत्र. Asia/Kolkata सारखे नाव वापरा",
+    "location.set": "स्थान निवडले: {name}",
+    "providers.needModel": "प्रत्येक टप्प्यासाठी मॉडेलचे नाव भरा",
+    "providers.needUrl": "पूर्ण URL भरा, उदा. http://localhost:11434",
+    "providers.saved": "गुरुजी: {guruji} · इंटरप्रिटर: {interpreter}",
+    "apiKey.empty": "API की रिकामी असू शकत नाही",
+    "apiKey.saved": "API की जतन झाली",
+    "apiKey.removed": "API की काढून टाकली",
+
+    "profile.name": "नाव",
+    "profile.birthDate": "जन्मतारीख",
+    "profile.birthTime": "जन्मवेळ",
+    "profile.placePreset": "जन्मस्थान निवडा",
+    "profile.birthPlace": "जन्मस्थान",
+    "profile.fillFromCity": "शहरावरून भरा…",
+    "profile.save": "व्यक्ती जतन करा",
+    "profile.update": "बदल जतन करा",
+    "profile.chartUnavailable": "कुंडली उपलब्ध नाही (जन्मतपशील तपासा)",
+    "profile.confirmDelete": '"{name}" यांची माहिती हटवायची?',
+    "profile.invalid": "नाव, जन्मतारीख आणि जन्मवेळ भरा",
+    "profile.saved": "व्यक्ती जतन झाली",
+    "profile.updated": "बदल जतन झाले",
+    "profile.linked": "सल्लामसलत {name} यांच्याशी जोडली",
+    "profile.unlinked": "व्यक्ती काढली",
+    "dasha.title": "विंशोत्तरी दशा",
+
+    "storage.full": "साठवण जागा भरली आहे. अजून काहीही गमावलेले नाही: जागा मोकळी करण्यासाठी जुन्या सल्लामसलती निर्यात करून हटवा.",
+    "storage.saveFailed": "सल्लामसलती जतन करता आल्या नाहीत. Console तपासा.",
+    "storage.almostFull": "साठवण जागा जवळजवळ भरली ({quota} पैकी {used} MB). जुन्या सल्लामसलती निर्यात करून हटवा.",
+
+    "export.current": "ही निर्यात करा",
+    "export.selected": "निवडलेल्या निर्यात करा",
+    "export.selectedCount": "निवडलेल्या निर्यात करा ({count})",
+    "export.all": "सर्व निर्यात करा",
+    "export.nothing": "निर्यात करण्यासारखे काही नाही",
+    "export.sessionDone": "सल्लामसलत निर्यात झाली",
+    "export.sessionsDone": "{count} सल्लामसलती निर्यात झाल्या",
+    "export.downloaded": "{file} डाउनलोड झाली",
+    "export.whatsAppCopied": "कॉपी झाले. WhatsApp मध्ये पेस्ट करा.",
+    "export.downloadedText": "मजकूर फाईल डाउनलोड झाली",
+    "import.title": "आयातीचे पूर्वदर्शन",
+    "import.confirm": "आयात करा",
+    "import.invalidJson": "आयात फाईल वैध JSON नाही",
+    "import.failed": "आयात अयशस्वी",
+    "import.summary": (p, raw) =>
+      `${p.valid} वैध सल्लामसलती: ${p.new} नवीन, ${p.duplicate} आधीपासून आहेत, ${p.conflict} सध्याच्यांपेक्षा वेगळ्या.` +
+      (raw.rejected ? ` ${p.rejected} नोंदी नाकारल्या.` : ""),
+    "import.rejectedTitle": "नाकारलेल्या नोंदी ({count})",
+    "import.status.new": "नवीन",
+    "import.status.duplicate": "आधीपासून आहे",
+    "import.status.conflict": "सध्याच्यापेक्षा वेगळी",
+    "import.status.repeated": "फाईलमध्ये पुन्हा आलेली",
+    "import.messages": "{count} संदेश",
+    "import.notIn": '"{title}" मध्ये नसलेले {count}',
+    "import.action.add": "जोडा",
+    "import.action.skip": "वगळा",
+    "import.action.replace": "सध्याची बदला",
+    "import.action.keep-both": "दोन्ही ठेवा",
+    "import.action.merge": "संदेश एकत्र करा",
+    "import.done": "आयात: {added} जोडल्या, {merged} एकत्र, {replaced} बदलल्या, {skipped} वगळल्या",
+
+    "calendar.previous": "मागचा महिना",
+    "calendar.next": "पुढचा महिना",
+    "calendar.eventsThisMonth": "या महिन्यातील सण-व्रते",
+    "calendar.selectAll": "सर्व निवडा",
+    "calendar.exportSelected": "निवडलेले निर्यात करा (.ics)",
+    "calendar.exportYear": "पूर्ण वर्ष निर्यात करा (.ics)",
+    "calendar.location": "{place} ({tz}) साठी सूर्योदयावर आधारित तिथी",
+    "calendar.empty": "निवडलेल्या प्रकारांचे एकही सण-व्रत नाही.",
+    "calendar.adhik": "अधिक",
+    "calendar.noneToExport": "निर्यात करण्यासाठी एकही सण-व्रत नाही",
+    "calendar.exported": "{count} सण-व्रते निर्यात केली",
+    "weekday.sun": "रवि",
+    "weekday.mon": "सोम",
+    "weekday.tue": "मंगळ",
+    "weekday.wed": "बुध",
+    "weekday.thu": "गुरु",
+    "weekday.fri": "शुक्र",
+    "weekday.sat": "शनि",
+    "event.ekadashi": "एकादशी",
+    "event.sankashti": "संकष्टी",
+    "event.purnima": "पौर्णिमा",
+    "event.amavasya": "अमावस्या",
+    "event.pradosh": "प्रदोष",
+    "event.festival": "सण",
+
+    "muhurta.title": "{label} मुहूर्त · {start} → {end} · {place}",
+    "muhurta.none": "या कालावधीत योग्य तारीख सापडली नाही.",
+    "muhurta.columns": "#|दिनांक|वार|तिथी|नक्षत्र|राहुकाळ|कारण",
+    "muhurta.rejected": "{days} पैकी {rejected} दिवस वगळले",
+    "tarot.title": "🔮 टॅरो प्रश्न · {spread}",
+    "tarot.reversed": "उलटा",
+    "tarot.seed": "बीज {seed} · {when}",
+    "tarot.seedTitle": "एकाच बीजाने नेहमी तेच पत्ते येतात",
+
+    "reminders.title": "आठवणी",
+    "reminders.allow": "सूचनांना परवानगी द्या",
+    "reminders.upayHeading": "उपायाची आठवण",
+    "reminders.upayPlaceholder": "उदा. रामरक्षा स्तोत्र म्हणा",
+    "reminders.days": "दिवस",
+    "reminders.dailyAt": "रोज वेळ",
+    "reminders.add": "आठवण जोडा",
+    "reminders.none": "अजून एकही आठवण नाही.",
+    "reminders.done": "झाले",
+    "reminders.snoozeMinutes": "{minutes} मि. नंतर",
+    "reminders.snoozeHours": "{hours} तासाने",
+    "reminders.notifySnooze": "{minutes} मिनिटांनी पुन्हा",
+    "reminders.upayInvalid": "उपाय आणि दिवसांची संख्या (1-365) भरा",
+    "reminders.upaySet": "आठवण ठरली: {days} दिवस रोज {time} वाजता",
+    "reminders.statusGranted": "सूचना चालू आहेत. ॲप बंद असताना त्या थोड्या उशिरा येऊ शकतात; ब्राउझर ठरवतो केव्हा.",
+    "reminders.statusDenied": "या साइटसाठी सूचना बंद केल्या आहेत. आठवणी फक्त ॲप उघडे असताना दिसतील.",
+    "reminders.statusDefault": "ॲपबाहेरही आठवण मिळावी म्हणून सूचनांना परवानगी द्या.",
+    "reminders.statusUnsupported": "हा ब्राउझर सूचना दाखवू शकत नाही. आठवणी फक्त ॲप उघडे असताना दिसतील.",
+    "reminder.kind.sankashti": "संकष्टी (आदल्या संध्याकाळी)",
+    "reminder.kind.ekadashi": "एकादशी (आदल्या संध्याकाळी)",
+    "reminder.kind.rahukaal": "राहुकाळ (10 मिनिटे आधी)",
+    "reminder.kind.upay": "उपाय",
+    "summary.button": "सारांश",
+    "summary.title": "सल्ल्याचा सारांश",
+    "summary.placeholder": "गुरुजींनी नेहमी लक्षात ठेवावीत ती नावे, जन्मतपशील, तारखा, चिंता आणि सांगितलेले उपाय",
+    "summary.empty": "अजून सारांश नाही. सल्ला लांबला की जुने संदेश आपोआप इथे सारांशात जोडले जातात. आपण स्वतःही लिहू शकता.",
+    "summary.meta": (p, raw) => `पहिल्या ${p.count} संदेशांचा सारांश · ${p.time} ला अद्ययावत${raw.edited ? " · आपण बदललेला" : ""}`,
+    "summary.save": "सारांश जतन करा",
+    "summary.saved": "सारांश जतन केला; पुढील उत्तरापासून गुरुजी तो वापरतील",
+    "summary.updated": "जुने संदेश सल्ल्याच्या सारांशात जोडले",
+    "usage.button": "वापर व खर्च",
+    "usage.title": "वापर व खर्च",
+    "usage.byMonth": "महिन्यानुसार",
+    "usage.byStage": "या महिन्यात टप्प्यानुसार",
+    "usage.bySession": "सल्ल्यानुसार",
+    "usage.monthColumns": "महिना|कॉल|इनपुट टोकन|आउटपुट टोकन|खर्च",
+    "usage.stageColumns": "टप्पा|कॉल|टोकन|सरासरी वेळ|खर्च",
+    "usage.sessionColumns": "सल्ला|कॉल|टोकन|खर्च",
+    "usage.stage.interpreter": "प्रश्नाचा अर्थ",
+    "usage.stage.guruji": "गुरुजी",
+    "usage.stage.enforce": "भाषा दुरुस्ती",
+    "usage.stage.summary": "सारांश",
+    "usage.seconds": "{seconds} से.",
+    "usage.empty": "अजून कोणताही कॉल नोंदलेला नाही.",
+    "usage.deletedSession": "हटवलेला सल्ला",
+    "usage.unpricedNote": "* दरतक्त्यात नसलेल्या मॉडेलचे कॉलही यात आहेत; त्यांचा खर्च शून्य धरला आहे.",
+    "usage.budgetStatus": "या महिन्यात: {budget} बजेटपैकी {spent}",
+    "usage.noBudget": "या महिन्यात: {spent} (बजेट ठरवलेले नाही)",
+    "usage.budgetLabel": "मासिक बजेट, USD मध्ये (रिकामे = बजेट नाही)",
+    "usage.pricesLabel": "दर, USD प्रति दशलक्ष टोकन; प्रत्येक ओळीत एक मॉडेल: मॉडेल इनपुट आउटपुट",
+    "usage.save": "जतन करा",
+    "usage.saved": "वापराच्या सेटिंग्ज जतन केल्या",
+    "usage.pricesInvalid": "दरतक्त्यातील ओळ {line} \"मॉडेल इनपुट आउटपुट\" अशी नाही",
+    "usage.nearBudget": "या महिन्याचा खर्च {budget} बजेटपैकी {spent} झाला आहे",
+    "usage.overBudget": "या महिन्याचा खर्च ({spent}) {budget} बजेटपर्यंत पोहोचला आहे. तरीही पाठवायचे?",
+  },
+};
+
+/**
+ * Intl locale for dates and numbers: Marathi with Devanagari or Latin digits, or Indian English.
+ */
+export function localeFor(lang, numerals = "deva") {
+  if (lang !== "mr") return "en-IN";
+  return numerals === "latn" ? "mr-IN-u-nu-latn" : "mr-IN-u-nu-deva";
+}
+
+export function formatNumber(n, lang, numerals = "deva") {
+  return new Intl.NumberFormat(localeFor(lang, numerals), { useGrouping: false, maximumFractionDigits: 1 }).format(n);
+}
+
+/**
+ * UI text for `key` in `lang`. Number params are formatted with the chosen numerals;
+ * strings (dates in prompts, model names, status codes) are used as given.
+ */
+export function translate(lang, key, params = {}, numerals = "deva") {
+  const entry = STRINGS[lang]?.[key] ?? STRINGS.en[key];
+  if (entry === undefined) return key;
+  const formatted = {};
+  Object.entries(params).forEach(([name, value]) => {
+    formatted[name] = typeof value === "number" ? formatNumber(value, lang, numerals) : String(value);
+  });
+  if (typeof entry === "function") return entry(formatted, params);
+  return entry.replace(/\{(\w+)\}/g, (m, name) => (name in formatted ? formatted[name] : m));
+}
@@ -0,0 +1,217 @@
+/* importer.js
+   Barve Guruji AI - Validated import of exported consultations
+   - validateImport: schema check of every session and message; invalid items are reported, never imported
+   - planImport: content-based dedupe against existing sessions (the same backup imported twice is a no-op)
+   - Conflicts (same consultation, different content) get a per-session action:
+       skip | replace | keep-both | merge (union of messages, in time order)
+   - applyImportPlan returns the new session list; nothing is written before the user confirms
+*/
+
+import { cardById } from "./tarot.js";
+
+const ROLES = ["user", "assistant"];
+const MAX_CONTENT_LENGTH = 100000;
+// Device-local state that must not travel with a backup
+const TRANSIENT_MESSAGE_FIELDS = ["id", "streaming", "outboxId"];
+// Computed attachments and a check of their data (the chat renders it directly)
+const MESSAGE_KINDS = {
+  muhurta: (data) => Array.isArray(data.candidates),
+  tarot: (data) =>
+    typeof data.seed === "string" &&
+    typeof data.question === "string" &&
+    Array.isArray(data.cards) &&
+    data.cards.every((c) => c && cardById(c.cardId) && typeof c.position === "string"),
+};
+
+function isISODate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function describe(session, index) {
+  const title = typeof session?.title === "string" && session.title.trim() ? `"${session.title.trim().slice(0, 40)}"` : "";
+  return `Session ${index + 1}${title ? ` ${title}` : ""}`;
+}
+
+// -----------------------------
+// Validation
+// -----------------------------
+function validateMessage(m) {
+  if (!m || typeof m !== "object" || Array.isArray(m)) return "not an object";
+  if (!ROLES.includes(m.role)) return `unknown role ${JSON.stringify(m.role)}`;
+  if (typeof m.content !== "string") return "content is not text";
+  if (m.content.length > MAX_CONTENT_LENGTH) return "content is too long";
+  if (m.kind !== undefined && !Object.hasOwn(MESSAGE_KINDS, m.kind)) return `unknown kind ${JSON.stringify(m.kind)}`;
+  if (m.kind && (!m.data || typeof m.data !== "object" || !MESSAGE_KINDS[m.kind](m.data))) {
+    return `${m.kind} data is malformed`;
+  }
+  if (!m.content.trim() && !m.kind) return "empty message";
+  if (m.tsISO !== undefined && !isISODate(m.tsISO)) return `invalid timestamp ${JSON.stringify(m.tsISO)}`;
+  return null;
+}
+
+function normalizeMessage(m) {
+  const copy = { ...m };
+  TRANSIENT_MESSAGE_FIELDS.forEach((f) => delete copy[f]);
+  if (m.streaming) copy.partial = true; // exported mid-reply
+  return copy;
+}
+
+// Consultation summary (context.js): text plus the number of leading messages it covers
+function isValidSummary(summary) {
+  return (
+    Boolean(summary) &&
+    typeof summary.text === "string" &&
+    Number.isInteger(summary.folded) &&
+    summary.folded >= 0 &&
+    isISODate(summary.updatedAtISO)
+  );
+}
+
+/**
+ * Checks an imported JSON value (one session or an array of sessions).
+ * Returns {sessions, rejected: [{item, reason}]}; valid sessions are normalised copies.
+ */
+export function validateImport(data) {
+  const list = Array.isArray(data) ? data : data && typeof data === "object" ? [data] : null;
+  if (!list) return { sessions: [], rejected: [{ item: "File", reason: "not a session or a list of sessions" }] };
+
+  const sessions = [];
+  const rejected = [];
+  list.forEach((s, i) => {
+    const where = describe(s, i);
+    if (!s || typeof s !== "object" || Array.isArray(s)) return rejected.push({ item: where, reason: "not an object" });
+    if (typeof s.id !== "string" || !s.id.trim()) return rejected.push({ item: where, reason: "missing id" });
+    if (!Array.isArray(s.messages)) return rejected.push({ item: where, reason: "messages is not a list" });
+    if (s.title !== undefined && typeof s.title !== "string") return rejected.push({ item: where, reason: "title is not text" });
+    if (s.summary !== undefined && !isValidSummary(s.summary)) return rejected.push({ item: where, reason: "invalid summary" });
+    for (const field of ["createdAtISO", "updatedAtISO"]) {
+      if (s[field] !== undefined && !isISODate(s[field])) {
+        return rejected.push({ item: where, reason: `invalid ${field} ${JSON.stringify(s[field])}` });
+      }
+    }
+
+    const messages = [];
+    s.messages.forEach((m, j) => {
+      const reason = validateMessage(m);
+      if (reason) rejected.push({ item: `${where}, message ${j + 1}`, reason });
+      else messages.push(normalizeMessage(m));
+    });
+    if (!messages.length) return rejected.push({ item: where, reason: "no valid messages" });
+
+    const times = messages.map((m) => m.tsISO).filter(Boolean).sort();
+    sessions.push({
+      ...s,
+      title: (s.title || "").trim() || "Imported consultation",
+      createdAtISO: s.createdAtISO || times[0] || new Date().toISOString(),
+      updatedAtISO: s.updatedAtISO || times.at(-1) || new Date().toISOString(),
+      messages,
+    });
+  });
+  return { sessions, rejected };
+}
+
+// -----------------------------
+// Dedupe
+// -----------------------------
+function messageKey(m) {
+  const text = m.kind ? JSON.stringify(m.data) : (m.content || "").replace(/\s+/g, " ").trim();
+  return `${m.role}|${m.tsISO || ""}|${text}`;
+}
+
+function contentKey(session) {
+  return session.messages.map(messageKey).join("\n");
+}
+
+/**
+ * Sorts each imported session into new / duplicate / conflict.
+ * Returns [{session, match, status, action, newMessages}] with a suggested `action`;
+ * a duplicate with no `match` is a repeat of an earlier session in the same file.
+ */
+export function planImport(existing, imported) {
+  const byId = new Map(existing.map((s) => [s.id, s]));
+  const byContent = new Map(existing.map((s) => [contentKey(s), s]));
+  const seen = new Set(); // duplicates inside the file itself
+
+  const plan = [];
+  imported.forEach((session) => {
+    const key = contentKey(session);
+    if (seen.has(key)) {
+      plan.push({ session, match: null, status: "duplicate", action: "skip", newMessages: 0 });
+      return;
+    }
+    seen.add(key);
+
+    const identical = byContent.get(key);
+    if (identical) {
+      plan.push({ session, match: identical, status: "duplicate", action: "skip", newMessages: 0 });
+      return;
+    }
+
+    // Same consultation: same id, or another device's copy with the same opening message
+    const match =
+      byId.get(session.id) ||
+      existing.find((s) => s.createdAtISO === session.createdAtISO && messageKey(s.messages[0] || {}) === messageKey(session.messages[0]));
+    if (!match) {
+      plan.push({ session, match: null, status: "new", action: "add", newMessages: session.messages.length });
+      return;
+    }
+
+    const known = new Set(match.messages.map(messageKey));
+    const newMessages = session.messages.filter((m) => !known.has(messageKey(m))).length;
+    // Nothing new (an older backup of the same session): skipping loses nothing
+    plan.push({ session, match, status: "conflict", action: newMessages ? "merge" : "skip", newMessages });
+  });
+  return plan;
+}
+
+/**
+ * Actions offered for a plan entry.
+ */
+export function actionsFor(entry) {
+  if (entry.status === "new") return ["add", "skip"];
+  if (entry.status === "duplicate") return ["skip", "keep-both"];
+  return ["merge", "replace", "keep-both", "skip"];
+}
+
+// Union of both message lists; time order when every message has a timestamp
+function mergeMessages(existing, incoming) {
+  const known = new Set(existing.map(messageKey));
+  const merged = [...existing, ...incoming.filter((m) => !known.has(messageKey(m)))];
+  if (merged.every((m) => m.tsISO)) merged.sort((a, b) => a.tsISO.localeCompare(b.tsISO));
+  return merged;
+}
+
+/**
+ * Applies the chosen actions. Returns {sessions, counts: {added, replaced, merged, skipped}}.
+ * Imported messages always get fresh ids so they never collide with stored ones.
+ */
+export function applyImportPlan(existing, plan) {
+  const withFreshIds = (messages) => messages.map((m) => ({ ...m, id: crypto.randomUUID() }));
+  const next = [...existing];
+  const counts = { added: 0, replaced: 0, merged: 0, skipped: 0 };
+
+  plan.forEach(({ session, match, action }) => {
+    if (action === "skip") {
+      counts.skipped++;
+    } else if (action === "replace" && match) {
+      next[next.indexOf(match)] = { ...session, id: match.id, profileId: match.profileId ?? null, messages: withFreshIds(session.messages) };
+      counts.replaced++;
+    } else if (action === "merge" && match) {
+      const messages = mergeMessages(match.messages, withFreshIds(session.messages));
+      const updatedAtISO = [match.updatedAtISO, session.updatedAtISO].sort().at(-1);
+      next[next.indexOf(match)] = { ...match, messages, updatedAtISO };
+      counts.merged++;
+    } else {
+      const copy = { ...session, messages: withFreshIds(session.messages) };
+      if (next.some((s) => s.id === copy.id)) {
+        copy.id = crypto.randomUUID();
+        copy.title = `${copy.title} (imported)`;
+      }
+      next.push(copy);
+      counts.added++;
+    }
+  });
+
+  next.sort((a, b) => (b.updatedAtISO || "").localeCompare(a.updatedAtISO || ""));
+  return { sessions: next, counts };
+}
@@ -0,0 +1,258 @@
+/* kundali.js
+   Barve Guruji AI - Offline birth chart (Kundali)
+   - Sidereal (Lahiri) Lagna, Moon Rashi, Janma Nakshatra + pada
+   - Nine graha positions: Sun/Moon from panchang.js, Mangal..Shani from
+     JPL Keplerian elements (valid 1800-2050, a few arc-minutes), mean Rahu/Ketu
+   - Whole-sign houses (Parashari) with equal bhava cusps from the Lagna
+*/
+
+import {
+  NAKSHATRA_NAMES,
+  centuriesTT,
+  julianDay,
+  lahiriAyanamsa,
+  moonLongitude,
+  norm360,
+  sunLongitude,
+} from "./panchang.js";
+
+const DEG = Math.PI / 180;
+
+export const RASHI_NAMES = [
+  "Mesha", "Vrishabha", "Mithuna", "Karka", "Simha", "Kanya",
+  "Tula", "Vrishchika", "Dhanu", "Makara", "Kumbha", "Meena",
+];
+export const RASHI_NAMES_MR = [
+  "मेष", "वृषभ", "मिथुन", "कर्क", "सिंह", "कन्या",
+  "तूळ", "वृश्चिक", "धनु", "मकर", "कुंभ", "मीन",
+];
+
+export const GRAHAS = [
+  { id: "sun", name: "Surya", nameMr: "रवी" },
+  { id: "moon", name: "Chandra", nameMr: "चंद्र" },
+  { id: "mars", name: "Mangal", nameMr: "मंगळ" },
+  { id: "mercury", name: "Budh", nameMr: "बुध" },
+  { id: "jupiter", name: "Guru", nameMr: "गुरू" },
+  { id: "venus", name: "Shukra", nameMr: "शुक्र" },
+  { id: "saturn", name: "Shani", nameMr: "शनी" },
+  { id: "rahu", name: "Rahu", nameMr: "राहू" },
+  { id: "ketu", name: "Ketu", nameMr: "केतू" },
+];
+
+// JPL "Approximate Positions of the Planets", Table 1 (J2000 ecliptic)
+// [a, e, I, L, longPeri, longNode] and their rates per Julian century
+const ELEMENTS = {
+  mercury: [
+    [0.38709927, 0.20563593, 7.00497902, 252.2503235, 77.45779628, 48.33076593],
+    [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+  ],
+  venus: [
+    [0.72333566, 0.00677672, 3.39467605, 181.9790995, 131.60246718, 76.67984255],
+    [0.0000039, -0.00004107, -0.0007889, 58517.81538729, 0.00268329, -0.27769418],
+  ],
+  earth: [
+    [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+    [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0],
+  ],
+  mars: [
+    [1.52371034, 0.0933941, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+    [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+  ],
+  jupiter: [
+    [5.202887, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+    [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+  ],
+  saturn: [
+    [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+    [-0.0012506, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+  ],
+};
+
+// -----------------------------
+// Planet positions
+// -----------------------------
+function heliocentric(planet, T) {
+  const [base, rate] = ELEMENTS[planet];
+  const [a, e, I, L, peri, node] = base.map((v, i) => v + rate[i] * T);
+  const omega = peri - node;
+  let M = norm360(L - peri);
+  if (M > 180) M -= 360;
+
+  // Kepler's equation
+  const eDeg = e / DEG;
+  let E = M + eDeg * Math.sin(M * DEG);
+  for (let i = 0; i < 8; i++) {
+    const dE = (M - (E - eDeg * Math.sin(E * DEG))) / (1 - e * Math.cos(E * DEG));
+    E += dE;
+    if (Math.abs(dE) < 1e-7) break;
+  }
+
+  const xp = a * (Math.cos(E * DEG) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E * DEG);
+  const cw = Math.cos(omega * DEG);
+  const sw = Math.sin(omega * DEG);
+  const cn = Math.cos(node * DEG);
+  const sn = Math.sin(node * DEG);
+  const ci = Math.cos(I * DEG);
+  const si = Math.sin(I * DEG);
+  return {
+    x: (cw * cn - sw * sn * ci) * xp + (-sw * cn - cw * sn * ci) * yp,
+    y: (cw * sn + sw * cn * ci) * xp + (-sw * sn + cw * cn * ci) * yp,
+    z: sw * si * xp + cw * si * yp,
+  };
+}
+
+// Geocentric tropical longitude (ecliptic of date) of a planet
+function planetLongitude(planet, jdUT) {
+  const T = centuriesTT(jdUT);
+  const p = heliocentric(planet, T);
+  const earth = heliocentric("earth", T);
+  const lonJ2000 = Math.atan2(p.y - earth.y, p.x - earth.x) / DEG;
+  return norm360(lonJ2000 + 1.396971 * T); // precess J2000 -> date
+}
+
+function meanRahuLongitude(jdUT) {
+  const T = centuriesTT(jdUT);
+  return norm360(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T);
+}
+
+function tropicalLongitude(id, jdUT) {
+  if (id === "sun") return sunLongitude(jdUT);
+  if (id === "moon") return moonLongitude(jdUT);
+  if (id === "rahu") return meanRahuLongitude(jdUT);
+  if (id === "ketu") return norm360(meanRahuLongitude(jdUT) + 180);
+  return planetLongitude(id, jdUT);
+}
+
+/**
+ * Sidereal (Lahiri) longitude of a graha at an instant; also used by the muhurta finder.
+ */
+export function grahaSiderealLongitude(id, date) {
+  const jd = julianDay(date);
+  return norm360(tropicalLongitude(id, jd) - lahiriAyanamsa(jd));
+}
+
+// -----------------------------
+// Lagna
+// -----------------------------
+function ascendantTropical(jdUT, lat, lon) {
+  const T = (jdUT - 2451545.0) / 36525;
+  const gmst = norm360(280.46061837 + 360.98564736629 * (jdUT - 2451545.0) + 0.000387933 * T * T);
+  const ramc = norm360(gmst + lon) * DEG;
+  const eps = (23.439291 - 0.0130042 * T) * DEG;
+  const phi = lat * DEG;
+  const asc = Math.atan2(Math.cos(ramc), -(Math.sin(ramc) * Math.cos(eps) + Math.tan(phi) * Math.sin(eps)));
+  return norm360(asc / DEG);
+}
+
+// -----------------------------
+// Chart
+// -----------------------------
+function signOf(longitude) {
+  return Math.floor(longitude / 30);
+}
+
+function nakshatraOf(longitude) {
+  const span = 360 / 27;
+  const index = Math.floor(longitude / span);
+  return {
+    index,
+    name: NAKSHATRA_NAMES[index],
+    pada: Math.floor((longitude % span) / (span / 4)) + 1,
+  };
+}
+
+/**
+ * Computes a sidereal birth chart.
+ * @param {{date: Date, lat: number, lon: number}} birth - `date` is the exact birth instant
+ */
+export function computeKundali({ date, lat, lon }) {
+  const jd = julianDay(date);
+  const ayanamsa = lahiriAyanamsa(jd);
+  const sid = (tropical) => norm360(tropical - ayanamsa);
+
+  const lagnaLon = sid(ascendantTropical(jd, lat, lon));
+  const lagnaSign = signOf(lagnaLon);
+
+  const planets = GRAHAS.map((g) => {
+    const longitude = sid(tropicalLongitude(g.id, jd));
+    const sign = signOf(longitude);
+    // Rahu/Ketu are always vakri; Sun/Moon never are
+    let retrograde = g.id === "rahu" || g.id === "ketu";
+    if (!["sun", "moon", "rahu", "ketu"].includes(g.id)) {
+      const speed = ((tropicalLongitude(g.id, jd + 0.5) - tropicalLongitude(g.id, jd - 0.5) + 540) % 360) - 180;
+      retrograde = speed < 0;
+    }
+    return {
+      ...g,
+      longitude,
+      sign,
+      signName: RASHI_NAMES[sign],
+      signNameMr: RASHI_NAMES_MR[sign],
+      degInSign: longitude % 30,
+      house: ((sign - lagnaSign + 12) % 12) + 1,
+      retrograde,
+      nakshatra: nakshatraOf(longitude),
+    };
+  });
+
+  const moon = planets.find((p) => p.id === "moon");
+  const houses = Array.from({ length: 12 }, (_, i) => {
+    const sign = (lagnaSign + i) % 12;
+    return {
+      number: i + 1,
+      sign,
+      signName: RASHI_NAMES[sign],
+      cusp: norm360(lagnaLon + i * 30), // equal bhava madhya
+      occupants: planets.filter((p) => p.house === i + 1).map((p) => p.id),
+    };
+  });
+
+  return {
+    ayanamsa,
+    lagna: {
+      longitude: lagnaLon,
+      sign: lagnaSign,
+      signName: RASHI_NAMES[lagnaSign],
+      signNameMr: RASHI_NAMES_MR[lagnaSign],
+      degInSign: lagnaLon % 30,
+      nakshatra: nakshatraOf(lagnaLon),
+    },
+    rashi: { sign: moon.sign, signName: moon.signName, signNameMr: moon.signNameMr },
+    janmaNakshatra: { ...moon.nakshatra, longitude: moon.longitude },
+    planets,
+    houses,
+  };
+}
+
+function dms(deg) {
+  const d = Math.floor(deg);
+  const m = Math.floor((deg - d) * 60);
+  return `${d}°${String(m).padStart(2, "0")}'`;
+}
+
+/**
+ * Short summary line (used in profile lists).
+ */
+export function kundaliOneLine(chart) {
+  return `Lagna ${chart.lagna.signName}, Rashi ${chart.rashi.signName}, ${chart.janmaNakshatra.name} pada ${chart.janmaNakshatra.pada}`;
+}
+
+/**
+ * Chart block for the Guruji system instruction.
+ */
+export function formatKundaliBlock(profile, chart) {
+  const planetLines = chart.planets.map(
+    (p) => `  - ${p.name}: ${p.signName} ${dms(p.degInSign)}, house ${p.house}, ${p.nakshatra.name} pada ${p.nakshatra.pada}${p.retrograde && p.id !== "rahu" && p.id !== "ketu" ? " (Vakri)" : ""}`
+  );
+  return [
+    `BIRTH CHART of ${profile.name} (computed locally, Lahiri ayanamsa, whole-sign houses):`,
+    `- Born: ${profile.birthDate} ${profile.birthTime} (${profile.tz}) at ${profile.birthPlace || "given place"} (lat ${profile.lat}, long ${profile.lon})`,
+    `- Lagna: ${chart.lagna.signName} ${dms(chart.lagna.degInSign)} (${chart.lagna.signNameMr})`,
+    `- Rashi (Moon sign): ${chart.rashi.signName} (${chart.rashi.signNameMr})`,
+    `- Janma Nakshatra: ${chart.janmaNakshatra.name} pada ${chart.janmaNakshatra.pada}`,
+    "- Grahas:",
+    ...planetLines,
+    "- Use this chart as authoritative; do not invent other placements. Shadbala is not computed — speak of strength only qualitatively.",
+  ].join("\n");
+}
@@ -0,0 +1,136 @@
+/* langdetect.js
+   Barve Guruji AI - Paragraph-level language detection for Guruji replies
+   - Script first (Devanagari vs Latin letters), then small function-word lexicons:
+     Devanagari → Marathi / Hindi / Sanskrit, Latin → English / roman Marathi / roman Hindi / Sanskrit (IAST)
+   - Sanskrit shlokas are recognised by ॥, ऽ, visarga and word-final halant, or IAST diacritics,
+     and are never "fixed"
+   - planEnforcement() says which paragraphs of a reply need translating or only a script change
+     for the chosen UI language; app.js makes the model calls
+*/
+
+// Function words and everyday words that tell the languages apart (lowercase, no punctuation).
+// Words shared by two languages ("nahi", "ki", "he") are left out of both, and so are the
+// Marathi words Guruji also uses in English replies ("Bal", "shubh").
+const LEXICON = {
+  mrDeva: [
+    "आहे", "आहेत", "नाही", "नाहीत", "आणि", "आपण", "आपल्या", "आपला", "आपली", "तुम्ही", "तुमच्या", "तुमचा", "तुमची",
+    "मध्ये", "साठी", "करा", "करावे", "करावा", "करावी", "होईल", "होते", "होता", "तर", "पण", "हे", "ही", "हा", "व",
+    "या", "त्या", "त्याचा", "त्याची", "त्यामुळे", "म्हणून", "किंवा", "असे", "असा", "अशी", "आता", "उद्या", "आज",
+    "काय", "कसे", "केव्हा", "कधी", "बाळ", "नये", "शकता", "शकते", "असल्याने", "दिवशी", "वेळी", "पासून", "पर्यंत",
+  ],
+  hiDeva: [
+    "है", "हैं", "था", "थी", "थे", "में", "नहीं", "और", "आप", "आपका", "आपकी", "आपके", "यह", "वह", "को", "से",
+    "की", "के", "रहा", "रही", "गया", "गई", "करें", "कीजिए", "लिए", "कि", "भी", "होगा", "होगी", "इस", "उस", "जो",
+    "पर", "तक", "बहुत", "अगर", "क्योंकि", "लेकिन", "दिन", "समय",
+  ],
+  saDeva: [
+    "नमः", "ॐ", "स्वाहा", "च", "तु", "यः", "सः", "अहम्", "त्वम्", "भवति", "नमो", "देवाय", "विद्महे", "धीमहि",
+    "प्रचोदयात्", "शान्तिः", "सर्वे", "भवन्तु", "यथा", "तथा", "इति", "अस्ति", "श्रीगणेशाय",
+  ],
+  en: [
+    "the", "and", "is", "are", "was", "were", "of", "to", "in", "for", "you", "your", "this", "that", "with", "on",
+    "be", "it", "will", "can", "should", "as", "an", "or", "not", "have", "has", "from", "by", "at", "if", "which",
+    "day", "time", "please", "today", "tomorrow", "auspicious", "avoid", "before", "after", "during", "also", "there",
+    "these", "those", "what", "when", "my", "child", "dear",
+  ],
+  mrLatn: [
+    "aahe", "ahe", "aahet", "ahet", "nahi", "naahi", "ani", "aani", "aapan", "apan", "aaplya", "tumhi", "tumchya",
+    "tumcha", "tumchi", "mala", "majha", "maza", "kay", "kasa", "kase", "kara", "karave", "karava", "sathi", "saathi",
+    "madhe", "madhye", "hoil", "tar", "pan", "ya", "tya", "mhanun", "kiva", "kinva", "aata", "ata",
+    "udya", "aaj", "divas", "divashi", "vel", "veli", "paasun", "pasun", "paryant",
+  ],
+  hiLatn: [
+    "hai", "hain", "tha", "thi", "mein", "nahin", "aur", "aap", "aapka", "aapki", "aapke", "yeh", "woh",
+    "ko", "se", "ke", "raha", "rahi", "gaya", "karein", "kijiye", "liye", "bhi", "hoga", "hogi", "kyunki",
+    "lekin", "bahut", "agar", "din", "samay",
+  ],
+  saLatn: ["om", "namah", "namo", "swaha", "svaha", "shivaya", "narayanaya", "vidmahe", "dhimahi", "prachodayat", "bhavantu"],
+};
+const SETS = Object.fromEntries(Object.entries(LEXICON).map(([k, words]) => [k, new Set(words)]));
+
+const DEVANAGARI_RE = /[ऀ-ॿ]/g;
+const LATIN_RE = /[A-Za-zÀ-ɏḀ-ỿ]/g;
+const IAST_RE = /[āīūṛṝḷṃḥśṣṇṭḍñṅ]/i;
+const SHLOKA_MARK_RE = /॥|ऽ|।\s*\d|।\s*[०-९]/;
+const MIN_LATIN_HITS = 2; // fewer lexicon hits than this (in a longer paragraph) means "can't tell"
+
+function count(re, text) {
+  return (text.match(re) || []).length;
+}
+
+function words(text) {
+  return text.toLowerCase().split(/[^a-zऀ-ॿÀ-ɏḀ-ỿ]+/).filter(Boolean);
+}
+
+function hits(list, set) {
+  return list.filter((w) => set.has(w)).length;
+}
+
+// The single best-scoring key, or null when nothing scores or the top two tie
+function winner(scores, minimum) {
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[key, top], [, second = 0] = []] = ranked;
+  return top >= minimum && top > second ? key : null;
+}
+
+function isSanskritDeva(text, list) {
+  if (SHLOKA_MARK_RE.test(text)) return true;
+  // Word-final halant or visarga is ordinary in Sanskrit and rare in Marathi/Hindi prose
+  const endings = list.filter((w) => /[्ः]$/.test(w)).length;
+  return hits(list, SETS.saDeva) + endings >= Math.max(2, list.length * 0.3);
+}
+
+/**
+ * Language and script of one paragraph: {lang: "mr" | "hi" | "en" | "sa" | null, script: "deva" | "latn" | null}.
+ * lang is null when there is nothing to judge by (numbers, names only, an even mix).
+ */
+export function detectLanguage(text) {
+  const s = String(text || "");
+  const deva = count(DEVANAGARI_RE, s);
+  const latin = count(LATIN_RE, s);
+  if (!deva && !latin) return { lang: null, script: null };
+  const list = words(s);
+
+  if (deva >= latin) {
+    if (isSanskritDeva(s, list)) return { lang: "sa", script: "deva" };
+    const mr = hits(list, SETS.mrDeva) + count(/ळ/g, s); // ळ is common in Marathi and all but absent in Hindi
+    const hi = hits(list, SETS.hiDeva);
+    return { lang: hi > mr && hi >= 2 ? "hi" : "mr", script: "deva" };
+  }
+
+  if (IAST_RE.test(s) || hits(list, SETS.saLatn) >= Math.max(2, list.length * 0.5)) return { lang: "sa", script: "latn" };
+  const scores = { en: hits(list, SETS.en), mr: hits(list, SETS.mrLatn), hi: hits(list, SETS.hiLatn) };
+  return { lang: winner(scores, list.length <= 4 ? 1 : MIN_LATIN_HITS), script: "latn" };
+}
+
+/**
+ * Splits a reply at blank lines; `parts` alternates paragraph, separator, paragraph...
+ * so parts.join("") gives the reply back unchanged.
+ */
+export function splitParagraphs(text) {
+  return String(text || "").split(/(\n[ \t]*\n+)/);
+}
+
+/**
+ * What to fix so a reply reads in `targetLang` ("mr" | "en"):
+ * {parts, fixes: [{index, fix: "translate" | "script", detected}]} with `index` into parts.
+ * Marathi mode: English/Hindi paragraphs are translated, roman Marathi only moves to Devanagari.
+ * English mode: Marathi/Hindi paragraphs are translated. Sanskrit and undecided paragraphs stay.
+ */
+export function planEnforcement(text, targetLang) {
+  const parts = splitParagraphs(text);
+  const fixes = [];
+  parts.forEach((part, index) => {
+    if (index % 2 || !part.trim()) return; // separators
+    const detected = detectLanguage(part);
+    let fix = null;
+    if (targetLang === "mr") {
+      if (detected.lang === "en" || detected.lang === "hi") fix = "translate";
+      else if (detected.lang === "mr" && detected.script === "latn") fix = "script";
+    } else if (targetLang === "en") {
+      if (detected.lang === "mr" || detected.lang === "hi") fix = "translate";
+    }
+    if (fix) fixes.push({ index, fix, detected });
+  });
+  return { parts, fixes };
+}
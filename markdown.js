@@ -0,0 +1,202 @@
+/* markdown.js
+   Barve Guruji AI - Safe Markdown subset for chat bubbles
+   - Blocks: paragraphs, headings, bullet/numbered lists (nested), tables, block quotes, horizontal rules
+   - Inline: **bold**, *italic* / _italic_, `code`, <br> inside table cells
+   - Text is HTML-escaped first and only fixed tags/classes are added, so model output can never inject markup
+   - Devanagari: १. २. numbered lists keep Devanagari numerals; emphasis is bold, not a synthetic slant
+*/
+
+const DEVANAGARI_RE = /[ऀ-ॿ]/;
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^(\s*)([-*+•]|[0-9०-९]{1,3}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+export function escapeHTML(s) {
+  return (s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// -----------------------------
+// Inline
+// -----------------------------
+function emphasis(inner) {
+  // Devanagari fonts have no italic; the browser's fake slant is hard to read
+  return DEVANAGARI_RE.test(inner) ? `<em class="not-italic font-semibold">${inner}</em>` : `<em>${inner}</em>`;
+}
+
+function renderInline(text) {
+  const code = [];
+  return escapeHTML(text)
+    .replace(/`([^`]+)`/g, (_, c) => {
+      code.push(`<code class="px-1 rounded bg-maroon bg-opacity-10 font-mono text-sm">${c}</code>`);
+      return `\u0000${code.length - 1}\u0000`;
+    })
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\p{L}\p{N}])__(?=\S)(.+?)(?<=\S)__(?![\p{L}\p{N}])/gu, "$1<strong>$2</strong>")
+    .replace(/(^|[^*])\*(?=[^\s*])(.+?)(?<=[^\s*])\*(?!\*)/g, (_, pre, inner) => pre + emphasis(inner))
+    .replace(/(^|[^\p{L}\p{N}_])_(?=[^\s_])(.+?)(?<=[^\s_])_(?![\p{L}\p{N}_])/gu, (_, pre, inner) => pre + emphasis(inner))
+    .replace(/&lt;br\s*\/?&gt;/gi, "<br/>")
+    .replace(/\u0000(\d+)\u0000/g, (_, n) => code[Number(n)]);
+}
+
+// -----------------------------
+// Blocks
+// -----------------------------
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+}
+
+function isBlank(line) {
+  return !line || !line.trim();
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes("|") && i + 1 < lines.length && TABLE_SEPARATOR_RE.test(lines[i + 1]) && lines[i + 1].includes("-");
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || LIST_RE.test(line) || isTableStart(lines, i);
+}
+
+function splitRow(line) {
+  const cells = line.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "").split(/(?<!\\)\|/);
+  return cells.map((c) => c.trim().replace(/\\\|/g, "|"));
+}
+
+function renderTable(lines, i) {
+  const header = splitRow(lines[i]);
+  const align = splitRow(lines[i + 1]).map((c) =>
+    c.startsWith(":") && c.endsWith(":") ? "text-center" : c.endsWith(":") ? "text-right" : "text-left"
+  );
+  const cell = (tag, text, col) =>
+    `<${tag} class="border border-maroon px-1 ${align[col] || "text-left"}">${renderInline(text || "")}</${tag}>`;
+
+  let html = `<div class="overflow-x-auto my-1"><table class="text-sm border-collapse">`;
+  html += `<thead><tr>${header.map((h, c) => cell("th", h, c)).join("")}</tr></thead><tbody>`;
+  let j = i + 2;
+  for (; j < lines.length && !isBlank(lines[j]) && lines[j].includes("|"); j++) {
+    const row = splitRow(lines[j]);
+    html += `<tr>${header.map((_, c) => cell("td", row[c], c)).join("")}</tr>`;
+  }
+  html += "</tbody></table></div>";
+  return { html, next: j };
+}
+
+const BULLET_STYLES = ["list-disc", "list-[circle]", "list-[square]"];
+
+// "bullet", "decimal" or "devanagari"; a change of kind starts a new list
+function listKind(marker) {
+  if (!/[0-9०-९]/.test(marker)) return "bullet";
+  return DEVANAGARI_RE.test(marker) ? "devanagari" : "decimal";
+}
+
+function renderList(lines, i, depth) {
+  const first = lines[i].match(LIST_RE);
+  const baseIndent = indentOf(first[1]);
+  const kind = listKind(first[2]);
+  const items = [];
+  let current = null;
+  let j = i;
+
+  while (j < lines.length) {
+    const line = lines[j];
+    if (isBlank(line)) {
+      // A blank line only continues the list if more of it follows
+      let k = j + 1;
+      while (k < lines.length && isBlank(lines[k])) k++;
+      if (k >= lines.length) break;
+      const m = lines[k].match(LIST_RE);
+      const sibling = m && indentOf(m[1]) <= baseIndent + 1 && listKind(m[2]) === kind;
+      if (!sibling && indentOf(lines[k]) <= baseIndent) break;
+      current?.lines.push("");
+      j++;
+      continue;
+    }
+
+    const m = line.match(LIST_RE);
+    const indent = indentOf(line);
+    if (m && indent <= baseIndent + 1) {
+      if (listKind(m[2]) !== kind) break;
+      current = { lines: [m[3]], contentIndent: indent + m[2].length + 1 };
+      items.push(current);
+    } else if (indent > baseIndent) {
+      current.lines.push(line.replace(/\t/g, "    ").slice(Math.min(indent, current.contentIndent)));
+    } else if (!startsBlock(lines, j) && !isBlank(lines[j - 1])) {
+      current.lines.push(line.trim()); // lazy continuation of the item's text
+    } else {
+      break;
+    }
+    j++;
+  }
+
+  const body = items.map((item) => `<li>${renderBlocks(item.lines, depth + 1)}</li>`).join("");
+  if (kind === "bullet") {
+    return { html: `<ul class="${BULLET_STYLES[depth % BULLET_STYLES.length]} pl-5 my-1">${body}</ul>`, next: j };
+  }
+
+  const digits = [...first[2].slice(0, -1)].map((d) => (kind === "devanagari" ? DEVANAGARI_DIGITS.indexOf(d) : d));
+  const start = Number(digits.join(""));
+  const style = kind === "devanagari" ? ' style="list-style-type: devanagari"' : "";
+  return { html: `<ol class="list-decimal pl-6 my-1"${style}${start !== 1 ? ` start="${start}"` : ""}>${body}</ol>`, next: j };
+}
+
+function renderBlocks(lines, depth = 0) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      const level = heading[1].length;
+      const tag = `h${Math.min(level + 2, 6)}`; // the page already uses h1/h2
+      const size = level === 1 ? "text-lg font-bold" : level === 2 ? "text-base font-bold" : "font-semibold";
+      blocks.push({ html: `<${tag} class="${size} mt-2 mb-1">${renderInline(heading[2])}</${tag}>` });
+      i++;
+    } else if (HR_RE.test(line)) {
+      blocks.push({ html: `<hr class="my-2 border-maroon opacity-30"/>` });
+      i++;
+    } else if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && QUOTE_RE.test(lines[i]); i++) quoted.push(lines[i].replace(QUOTE_RE, ""));
+      blocks.push({ html: `<blockquote class="border-l-4 border-saffron pl-2 my-1 opacity-90">${renderBlocks(quoted, depth)}</blockquote>` });
+    } else if (isTableStart(lines, i)) {
+      const table = renderTable(lines, i);
+      blocks.push({ html: table.html });
+      i = table.next;
+    } else if (LIST_RE.test(line)) {
+      const list = renderList(lines, i, depth);
+      blocks.push({ html: list.html });
+      i = list.next;
+    } else {
+      const para = [line.trim()];
+      for (i++; i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i); i++) para.push(lines[i].trim());
+      blocks.push({ html: para.map(renderInline).join("<br/>"), paragraph: true });
+    }
+  }
+
+  // A lone paragraph (the usual short reply, or a tight list item) needs no wrapper
+  if (blocks.length === 1 && blocks[0].paragraph) return blocks[0].html;
+  return blocks.map((b) => (b.paragraph ? `<p class="my-1">${b.html}</p>` : b.html)).join("");
+}
+
+/**
+ * HTML for a chat message written in (a subset of) Markdown. Safe to assign to innerHTML.
+ */
+export function renderMarkdown(text) {
+  return renderBlocks(String(text || "").replace(/\r\n?/g, "\n").split("\n"));
+}
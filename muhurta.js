@@ -0,0 +1,304 @@
+/* muhurta.js
+   Barve Guruji AI - Muhurta finder
+   - Walks a date range day by day (udaya tithi/nakshatra/yoga at local sunrise)
+   - Checks each day against a configurable rule set (vivah, griha pravesh, graha shanti, havan)
+   - Hard rules reject a day; soft rules add/subtract score. Result is a ranked list with reasons.
+*/
+
+import { agniVasForDate } from "./agnivas.js";
+import { grahaSiderealLongitude } from "./kundali.js";
+import { NAKSHATRA_NAMES, computePanchang } from "./panchang.js";
+import { dayTimings, formatClock, zonedTime } from "./solar.js";
+
+const nak = (...names) => names.map((n) => NAKSHATRA_NAMES.indexOf(n));
+
+// Rikta tithis (4, 9, 14 of both pakshas) + Amavasya
+const RIKTA_AND_AMAVASYA = [4, 9, 14, 19, 24, 29, 30];
+
+// Combustion orbs (degrees from the Sun)
+const AST_ORB = { jupiter: 11, venus: 10 };
+
+export const RULE_SETS = {
+  vivah: {
+    id: "vivah",
+    label: "Vivah",
+    labelMr: "विवाह",
+    defaultDays: 90,
+    goodNakshatras: nak(
+      "Rohini", "Mrigashira", "Magha", "Uttara Phalguni", "Hasta", "Swati",
+      "Anuradha", "Mula", "Uttara Ashadha", "Uttara Bhadrapada", "Revati"
+    ),
+    requireGoodNakshatra: true,
+    avoidTithis: RIKTA_AND_AMAVASYA,
+    avoidVaras: [2], // Mangalvar
+    preferredVaras: [1, 3, 4, 5], // Som, Budh, Guru, Shukra
+    avoidBhadra: true,
+    avoidKharmas: true,
+    avoidGuruShukraAst: true,
+    avoidInauspiciousYoga: true,
+  },
+  grihaPravesh: {
+    id: "grihaPravesh",
+    label: "Griha Pravesh",
+    labelMr: "गृहप्रवेश",
+    defaultDays: 60,
+    goodNakshatras: nak(
+      "Rohini", "Mrigashira", "Uttara Phalguni", "Chitra", "Anuradha",
+      "Uttara Ashadha", "Dhanishta", "Shatabhisha", "Uttara Bhadrapada", "Revati"
+    ),
+    requireGoodNakshatra: true,
+    avoidTithis: RIKTA_AND_AMAVASYA,
+    avoidVaras: [0, 2], // Ravi, Mangal
+    preferredVaras: [1, 3, 4, 5],
+    avoidBhadra: true,
+    avoidKharmas: true,
+    avoidGuruShukraAst: true,
+    avoidInauspiciousYoga: true,
+  },
+  grahaShanti: {
+    id: "grahaShanti",
+    label: "Graha Shanti",
+    labelMr: "ग्रहशांती",
+    defaultDays: 30,
+    goodNakshatras: nak(
+      "Ashwini", "Rohini", "Mrigashira", "Punarvasu", "Pushya", "Hasta", "Chitra",
+      "Swati", "Anuradha", "Shravana", "Dhanishta", "Shatabhisha", "Revati"
+    ),
+    requireGoodNakshatra: false,
+    avoidTithis: RIKTA_AND_AMAVASYA,
+    avoidVaras: [],
+    preferredVaras: [1, 3, 4, 5],
+    avoidBhadra: true,
+    avoidKharmas: false,
+    avoidGuruShukraAst: false,
+    avoidInauspiciousYoga: true,
+  },
+  havan: {
+    id: "havan",
+    label: "Havan",
+    labelMr: "हवन",
+    defaultDays: 30,
+    goodNakshatras: nak("Ashwini", "Rohini", "Pushya", "Hasta", "Uttara Phalguni", "Uttara Ashadha", "Uttara Bhadrapada", "Revati"),
+    requireGoodNakshatra: false,
+    avoidTithis: [30],
+    avoidVaras: [],
+    preferredVaras: [0, 4],
+    avoidBhadra: true,
+    avoidKharmas: false,
+    avoidGuruShukraAst: false,
+    avoidInauspiciousYoga: false,
+    requireAgniOnPrithvi: true,
+  },
+};
+
+// -----------------------------
+// Day checks
+// -----------------------------
+function addDaysISO(isoDate, days) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function angularDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// Vishti (Bhadra) karana overlapping sunrise..sunset; returns the overlapping span or null
+function bhadraDuringDay(sunrise, sunset, tz) {
+  let t = sunrise;
+  for (let i = 0; i < 6 && t < sunset; i++) {
+    const p = computePanchang(t, tz);
+    if (p.karana.name === "Vishti") {
+      const end = p.karana.endsAt < sunset ? p.karana.endsAt : sunset;
+      return { start: t, end };
+    }
+    t = new Date(p.karana.endsAt.getTime() + 60000);
+  }
+  return null;
+}
+
+/**
+ * Evaluates one local calendar date against a rule set.
+ */
+export function evaluateDay(isoDate, ruleSet, location) {
+  const timings = dayTimings(isoDate, location);
+  const sunrise = timings.sunrise || zonedTime(isoDate, "06:00", location.tz);
+  const sunset = timings.sunset || zonedTime(isoDate, "18:00", location.tz);
+  const p = computePanchang(sunrise, location.tz);
+
+  const reasons = [];
+  const problems = [];
+  const blockers = []; // short codes for summarising a whole range
+  const fail = (code, text) => {
+    blockers.push(code);
+    problems.push(text);
+  };
+  let score = 50;
+
+  if (ruleSet.avoidTithis.includes(p.tithi.index)) {
+    fail("Tithi", `${p.tithi.paksha} ${p.tithi.name} is avoided`);
+  }
+  if (ruleSet.avoidVaras.includes(p.vara.index)) {
+    fail("Vara", `${p.vara.name} is avoided`);
+  } else if (ruleSet.preferredVaras.includes(p.vara.index)) {
+    score += 10;
+    reasons.push(`${p.vara.name} is favourable`);
+  }
+
+  if (ruleSet.goodNakshatras.includes(p.nakshatra.index)) {
+    score += 25;
+    reasons.push(`${p.nakshatra.name} nakshatra is prescribed`);
+  } else if (ruleSet.requireGoodNakshatra) {
+    fail("Nakshatra", `${p.nakshatra.name} nakshatra is not prescribed`);
+  }
+
+  if (p.yoga.inauspicious) {
+    if (ruleSet.avoidInauspiciousYoga) fail("Yoga", `${p.yoga.name} yoga`);
+    else score -= 10;
+  } else {
+    score += 5;
+  }
+
+  if (p.tithi.paksha === "Shukla") {
+    score += 5;
+    reasons.push("Shukla paksha");
+  }
+
+  if (ruleSet.avoidBhadra) {
+    const bhadra = bhadraDuringDay(sunrise, sunset, location.tz);
+    if (bhadra) {
+      fail("Bhadra", `Bhadra ${formatClock(bhadra.start, location.tz)}–${formatClock(bhadra.end, location.tz)}`);
+    }
+  }
+
+  const sunLon = grahaSiderealLongitude("sun", sunrise);
+  if (ruleSet.avoidKharmas) {
+    const sign = Math.floor(sunLon / 30);
+    if (sign === 8 || sign === 11) fail("Kharmas", `Kharmas (Sun in ${sign === 8 ? "Dhanu" : "Meena"})`);
+  }
+
+  if (ruleSet.avoidGuruShukraAst) {
+    if (angularDistance(grahaSiderealLongitude("jupiter", sunrise), sunLon) < AST_ORB.jupiter) fail("Guru Ast", "Guru Ast");
+    if (angularDistance(grahaSiderealLongitude("venus", sunrise), sunLon) < AST_ORB.venus) fail("Shukra Ast", "Shukra Ast");
+  }
+
+  if (ruleSet.requireAgniOnPrithvi) {
+    const agni = agniVasForDate(isoDate, location);
+    if (agni.allowed) {
+      score += 15;
+      reasons.push("Agni on Prithvi");
+    } else {
+      fail("Agni Vas", `Agni on ${agni.name}`);
+    }
+  }
+
+  return {
+    isoDate,
+    ok: problems.length === 0,
+    score,
+    vara: p.vara.name,
+    tithi: `${p.tithi.paksha} ${p.tithi.name}`,
+    nakshatra: p.nakshatra.name,
+    yoga: p.yoga.name,
+    sunrise: formatClock(sunrise, location.tz),
+    rahukaal: timings.rahukaal
+      ? `${formatClock(timings.rahukaal.start, location.tz)}–${formatClock(timings.rahukaal.end, location.tz)}`
+      : "",
+    reasons,
+    problems,
+    blockers,
+  };
+}
+
+/**
+ * Scans `days` days from `startISO` and returns ranked candidates.
+ * Dates are local calendar dates at `location`; all result fields are plain JSON.
+ */
+export function findMuhurtas(ruleSetId, startISO, days, location, { limit = 12 } = {}) {
+  const ruleSet = RULE_SETS[ruleSetId];
+  if (!ruleSet) throw new Error(`Unknown muhurta rule set: ${ruleSetId}`);
+
+  const evaluated = [];
+  for (let i = 0; i < days; i++) {
+    evaluated.push(evaluateDay(addDaysISO(startISO, i), ruleSet, location));
+  }
+
+  const candidates = evaluated
+    .filter((d) => d.ok)
+    .sort((a, b) => b.score - a.score || a.isoDate.localeCompare(b.isoDate))
+    .slice(0, limit);
+
+  // Most common blockers across the range help Guruji explain why few days qualify
+  const blockerCounts = {};
+  evaluated.forEach((d) =>
+    d.blockers.forEach((code) => {
+      blockerCounts[code] = (blockerCounts[code] || 0) + 1;
+    })
+  );
+
+  return {
+    ruleSetId,
+    label: ruleSet.label,
+    labelMr: ruleSet.labelMr,
+    startISO,
+    endISO: addDaysISO(startISO, days - 1),
+    days,
+    location: location.name,
+    candidates: candidates.map(({ blockers, problems, ...rest }) => rest),
+    rejectedCount: evaluated.length - evaluated.filter((d) => d.ok).length,
+    topBlockers: Object.entries(blockerCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 4)
+      .map(([k, v]) => `${k} (${v} days)`),
+  };
+}
+
+/**
+ * Prompt block: Guruji comments on this list, he does not produce his own.
+ */
+export function formatMuhurtaBlock(result) {
+  const lines = [
+    `${result.label.toUpperCase()} MUHURTA SEARCH (computed locally for ${result.location}, ${result.startISO} to ${result.endISO}; FINAL list):`,
+  ];
+  if (!result.candidates.length) {
+    lines.push("- No day in this range passes the rules.");
+  }
+  result.candidates.forEach((c, i) => {
+    lines.push(
+      `${i + 1}. **${c.isoDate}** ${c.vara}, ${c.tithi}, ${c.nakshatra} — score ${c.score}; ${c.reasons.join(", ") || "no special merit"}; avoid Rahukaal ${c.rahukaal}`
+    );
+  });
+  lines.push(`- ${result.rejectedCount} of ${result.days} days rejected. Main reasons: ${result.topBlockers.join("; ") || "none"}.`);
+  lines.push("- The user already sees this table. Comment on the best dates and the reasons; do NOT add dates that are not in this list.");
+  return lines.join("\n");
+}
+
+/**
+ * Plain-text version of the table (kept as message content for history/export).
+ */
+export function muhurtaPlainText(result) {
+  const head = `${result.label} Muhurta (${result.startISO} – ${result.endISO}, ${result.location})`;
+  const rows = result.candidates.map(
+    (c) => `${c.isoDate} | ${c.vara} | ${c.tithi} | ${c.nakshatra} | ${c.score} | ${c.reasons.join(", ")}`
+  );
+  return [head, ...(rows.length ? rows : ["No suitable dates found."])].join("\n");
+}
+
+/**
+ * Markdown version of the table (for exports).
+ */
+export function muhurtaMarkdown(result) {
+  const cell = (v) => String(v ?? "").replace(/\|/g, "\\|");
+  const lines = [`**${result.label} Muhurta** · ${result.startISO} → ${result.endISO} · ${result.location}`, ""];
+  if (!result.candidates.length) {
+    lines.push("No suitable dates found in this range.");
+  } else {
+    lines.push("| # | Date | Vara | Tithi | Nakshatra | Rahukaal | Why |", "|---|---|---|---|---|---|---|");
+    result.candidates.forEach((c, i) => {
+      lines.push(`| ${[i + 1, c.isoDate, c.vara, c.tithi, c.nakshatra, c.rahukaal, c.reasons.join(", ")].map(cell).join(" | ")} |`);
+    });
+  }
+  lines.push("", `_${result.rejectedCount} of ${result.days} days rejected${result.topBlockers.length ? ` — ${result.topBlockers.join("; ")}` : ""}_`);
+  return lines.join("\n");
+}
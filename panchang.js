@@ -0,0 +1,410 @@
+/* panchang.js
+   Barve Guruji AI - Offline Panchang engine
+   - Sun + Moon apparent longitudes (Meeus, truncated series; ~0.01° Sun, ~0.05° Moon)
+   - Lahiri (Chitrapaksha) ayanamsa for sidereal positions
+   - Moon ecliptic latitude (for moonrise) and new-moon search (for lunar months)
+   - Tithi, Paksha, Nakshatra (+pada), Yoga, Karana, Vara with end times
+   Everything is computed locally so Guruji never has to guess the Panchang.
+*/
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+
+export const TITHI_NAMES = [
+  "Pratipada", "Dwitiya", "Tritiya", "Chaturthi", "Panchami",
+  "Shashthi", "Saptami", "Ashtami", "Navami", "Dashami",
+  "Ekadashi", "Dwadashi", "Trayodashi", "Chaturdashi",
+];
+const TITHI_NAMES_MR = [
+  "प्रतिपदा", "द्वितीया", "तृतीया", "चतुर्थी", "पंचमी",
+  "षष्ठी", "सप्तमी", "अष्टमी", "नवमी", "दशमी",
+  "एकादशी", "द्वादशी", "त्रयोदशी", "चतुर्दशी",
+];
+
+export const NAKSHATRA_NAMES = [
+  "Ashwini", "Bharani", "Krittika", "Rohini", "Mrigashira", "Ardra",
+  "Punarvasu", "Pushya", "Ashlesha", "Magha", "Purva Phalguni", "Uttara Phalguni",
+  "Hasta", "Chitra", "Swati", "Vishakha", "Anuradha", "Jyeshtha",
+  "Mula", "Purva Ashadha", "Uttara Ashadha", "Shravana", "Dhanishta", "Shatabhisha",
+  "Purva Bhadrapada", "Uttara Bhadrapada", "Revati",
+];
+const NAKSHATRA_NAMES_MR = [
+  "अश्विनी", "भरणी", "कृत्तिका", "रोहिणी", "मृग", "आर्द्रा",
+  "पुनर्वसु", "पुष्य", "आश्लेषा", "मघा", "पूर्वा फाल्गुनी", "उत्तरा फाल्गुनी",
+  "हस्त", "चित्रा", "स्वाती", "विशाखा", "अनुराधा", "ज्येष्ठा",
+  "मूळ", "पूर्वाषाढा", "उत्तराषाढा", "श्रवण", "धनिष्ठा", "शततारका",
+  "पूर्वा भाद्रपदा", "उत्तरा भाद्रपदा", "रेवती",
+];
+
+export const YOGA_NAMES = [
+  "Vishkumbha", "Priti", "Ayushman", "Saubhagya", "Shobhana", "Atiganda",
+  "Sukarma", "Dhriti", "Shula", "Ganda", "Vriddhi", "Dhruva",
+  "Vyaghata", "Harshana", "Vajra", "Siddhi", "Vyatipata", "Variyana",
+  "Parigha", "Shiva", "Siddha", "Sadhya", "Shubha", "Shukla",
+  "Brahma", "Indra", "Vaidhriti",
+];
+const YOGA_NAMES_MR = [
+  "विष्कंभ", "प्रीती", "आयुष्मान", "सौभाग्य", "शोभन", "अतिगंड",
+  "सुकर्मा", "धृती", "शूल", "गंड", "वृद्धी", "ध्रुव",
+  "व्याघात", "हर्षण", "वज्र", "सिद्धी", "व्यतीपात", "वरीयान",
+  "परिघ", "शिव", "सिद्ध", "साध्य", "शुभ", "शुक्ल",
+  "ब्रह्म", "इंद्र", "वैधृती",
+];
+
+const MOVABLE_KARANAS = ["Bava", "Balava", "Kaulava", "Taitila", "Garaja", "Vanija", "Vishti"];
+const MOVABLE_KARANAS_MR = ["बव", "बालव", "कौलव", "तैतिल", "गर", "वणिज", "विष्टी"];
+
+export const VARA_NAMES = ["Ravivar", "Somvar", "Mangalvar", "Budhvar", "Guruvar", "Shukravar", "Shanivar"];
+const VARA_NAMES_MR = ["रविवार", "सोमवार", "मंगळवार", "बुधवार", "गुरुवार", "शुक्रवार", "शनिवार"];
+
+// Yogas traditionally avoided for Shubha Karya
+const INAUSPICIOUS_YOGAS = new Set([
+  "Vishkumbha", "Atiganda", "Shula", "Ganda", "Vyaghata", "Vajra", "Vyatipata", "Parigha", "Vaidhriti",
+]);
+
+// -----------------------------
+// Math helpers
+// -----------------------------
+export function norm360(x) {
+  const r = x % 360;
+  return r < 0 ? r + 360 : r;
+}
+
+function norm180(x) {
+  const r = norm360(x);
+  return r > 180 ? r - 360 : r;
+}
+
+export function julianDay(date) {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+export function dateFromJulianDay(jd) {
+  return new Date((jd - 2440587.5) * 86400000);
+}
+
+function deltaTSeconds(jd) {
+  // Espenak-Meeus polynomial (good for 2005-2050, acceptable nearby)
+  const y = 2000 + (jd - J2000) / 365.25;
+  const t = y - 2000;
+  return 62.92 + 0.32217 * t + 0.005589 * t * t;
+}
+
+// Julian centuries of Terrestrial Time since J2000
+export function centuriesTT(jdUT) {
+  return (jdUT + deltaTSeconds(jdUT) / 86400 - J2000) / 36525;
+}
+
+// -----------------------------
+// Sun
+// -----------------------------
+export function sunLongitude(jdUT) {
+  const T = centuriesTT(jdUT);
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const M = (357.52911 + 35999.05029 * T - 0.0001537 * T * T) * DEG;
+  const C =
+    (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M) +
+    (0.019993 - 0.000101 * T) * Math.sin(2 * M) +
+    0.000289 * Math.sin(3 * M);
+  const omega = (125.04 - 1934.136 * T) * DEG;
+  return norm360(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+}
+
+// -----------------------------
+// Moon (Meeus ch. 47, principal terms)
+// -----------------------------
+// [D, M, M', F, coefficient in 1e-6 degrees]
+const MOON_LON_TERMS = [
+  [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314],
+  [0, 0, 2, 0, 213618], [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332],
+  [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066], [2, 0, 1, 0, 53322],
+  [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+  [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528],
+  [0, 0, 1, -2, 10980], [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034],
+  [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888], [2, 1, 0, 0, -6766],
+  [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+  [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665],
+  [0, 1, -2, 0, -2689], [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390],
+  [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236], [0, 1, 2, 0, -2120],
+  [0, 2, 0, 0, -2069], [2, -2, -1, 0, 2048], [2, 0, 1, -2, -1773],
+  [2, 0, 0, 2, -1595], [4, -1, -1, 0, 1215], [0, 0, 2, 2, -1110],
+  [3, 0, -1, 0, -892], [2, 1, 1, 0, -810], [4, -1, -2, 0, 759],
+  [0, 2, -1, 0, -713], [2, 2, -1, 0, -700], [2, 1, -2, 0, 691],
+  [2, -1, 0, -2, 596], [4, 0, 1, 0, 549], [0, 0, 4, 0, 537],
+  [4, -1, 0, 0, 520], [1, 0, -2, 0, -487],
+];
+
+// [D, M, M', F, coefficient in 1e-6 degrees]
+const MOON_LAT_TERMS = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+  [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+  [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+];
+
+function moonArguments(T) {
+  return {
+    Lp: 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + (T * T * T) / 538841,
+    D: 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + (T * T * T) / 545868,
+    M: 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T,
+    Mp: 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + (T * T * T) / 69699,
+    F: 93.272095 + 483202.0175233 * T - 0.0036539 * T * T,
+    E: 1 - 0.002516 * T - 0.0000074 * T * T,
+  };
+}
+
+export function moonLongitude(jdUT) {
+  const T = centuriesTT(jdUT);
+  const { Lp, D, M, Mp, F, E } = moonArguments(T);
+
+  let sum = 0;
+  for (const [d, m, mp, f, coeff] of MOON_LON_TERMS) {
+    const arg = (d * D + m * M + mp * Mp + f * F) * DEG;
+    const eFactor = Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1;
+    sum += coeff * eFactor * Math.sin(arg);
+  }
+
+  const A1 = (119.75 + 131.849 * T) * DEG;
+  const A2 = (53.09 + 479264.29 * T) * DEG;
+  sum += 3958 * Math.sin(A1) + 1962 * Math.sin((Lp - F) * DEG) + 318 * Math.sin(A2);
+
+  const omega = (125.04452 - 1934.136261 * T) * DEG;
+  const nutation = -0.004778 * Math.sin(omega); // keep Moon on the same frame as sunLongitude
+  return norm360(Lp + sum / 1e6 + nutation);
+}
+
+export function moonLatitude(jdUT) {
+  const T = centuriesTT(jdUT);
+  const { Lp, D, M, Mp, F, E } = moonArguments(T);
+
+  let sum = 0;
+  for (const [d, m, mp, f, coeff] of MOON_LAT_TERMS) {
+    const arg = (d * D + m * M + mp * Mp + f * F) * DEG;
+    const eFactor = Math.abs(m) === 1 ? E : 1;
+    sum += coeff * eFactor * Math.sin(arg);
+  }
+
+  const A1 = (119.75 + 131.849 * T) * DEG;
+  const A3 = (313.45 + 481266.484 * T) * DEG;
+  sum +=
+    -2235 * Math.sin(Lp * DEG) +
+    382 * Math.sin(A3) +
+    175 * Math.sin(A1 - F * DEG) +
+    175 * Math.sin(A1 + F * DEG) +
+    127 * Math.sin((Lp - Mp) * DEG) -
+    115 * Math.sin((Lp + Mp) * DEG);
+  return sum / 1e6;
+}
+
+// -----------------------------
+// Ayanamsa
+// -----------------------------
+export function lahiriAyanamsa(jdUT) {
+  // Lahiri value at J2000 (23°51'11") with general precession of 50.2788"/year
+  const years = (jdUT - J2000) / 365.25;
+  return 23.853056 + (50.2788 * years) / 3600;
+}
+
+export function siderealLongitudes(date) {
+  const jd = julianDay(date);
+  const ayanamsa = lahiriAyanamsa(jd);
+  return {
+    jd,
+    ayanamsa,
+    sun: norm360(sunLongitude(jd) - ayanamsa),
+    moon: norm360(moonLongitude(jd) - ayanamsa),
+  };
+}
+
+// -----------------------------
+// Angle functions + end-time search
+// -----------------------------
+function elongation(jd) {
+  return norm360(moonLongitude(jd) - sunLongitude(jd));
+}
+
+function moonSidereal(jd) {
+  return norm360(moonLongitude(jd) - lahiriAyanamsa(jd));
+}
+
+function sunMoonSiderealSum(jd) {
+  const ay = lahiriAyanamsa(jd);
+  return norm360(sunLongitude(jd) + moonLongitude(jd) - 2 * ay);
+}
+
+// Finds the moment after jdStart when fn(jd) reaches targetDeg (Newton steps on mean rate).
+function findCrossing(fn, jdStart, targetDeg, meanRatePerDay) {
+  let jd = jdStart + norm360(targetDeg - fn(jdStart)) / meanRatePerDay;
+  for (let i = 0; i < 12; i++) {
+    const delta = norm180(targetDeg - fn(jd));
+    jd += delta / meanRatePerDay;
+    if (Math.abs(delta) < 1e-5) break;
+  }
+  return jd;
+}
+
+/**
+ * Tithi number (1..30) prevailing at a moment; cheaper than computePanchang.
+ */
+export function tithiIndexAt(date) {
+  return Math.floor(elongation(julianDay(date)) / 12) + 1;
+}
+
+/**
+ * First new moon (Amavasya end) after `date`.
+ */
+export function nextNewMoon(date) {
+  return dateFromJulianDay(findCrossing(elongation, julianDay(date), 0, 12.19));
+}
+
+/**
+ * Moment after `date` when the sidereal Sun reaches `targetDeg` (e.g. 270 = Makar Sankranti).
+ */
+export function nextSankranti(date, targetDeg) {
+  const sunSidereal = (jd) => norm360(sunLongitude(jd) - lahiriAyanamsa(jd));
+  return dateFromJulianDay(findCrossing(sunSidereal, julianDay(date), targetDeg, 0.9856));
+}
+
+// -----------------------------
+// Panchang limbs
+// -----------------------------
+function karanaNames(halfIndex) {
+  // 60 half-tithis per lunar month: 4 fixed + 56 movable
+  if (halfIndex === 0) return { name: "Kimstughna", nameMr: "किंस्तुघ्न" };
+  if (halfIndex === 57) return { name: "Shakuni", nameMr: "शकुनी" };
+  if (halfIndex === 58) return { name: "Chatushpada", nameMr: "चतुष्पाद" };
+  if (halfIndex === 59) return { name: "Naga", nameMr: "नाग" };
+  const i = (halfIndex - 1) % 7;
+  return { name: MOVABLE_KARANAS[i], nameMr: MOVABLE_KARANAS_MR[i] };
+}
+
+export function tithiInfo(index) {
+  // index: 1..30 (1-15 Shukla, 16-30 Krishna)
+  const paksha = index <= 15 ? "Shukla" : "Krishna";
+  const inPaksha = index <= 15 ? index : index - 15;
+  let name;
+  let nameMr;
+  if (index === 15) {
+    name = "Purnima";
+    nameMr = "पौर्णिमा";
+  } else if (index === 30) {
+    name = "Amavasya";
+    nameMr = "अमावास्या";
+  } else {
+    name = TITHI_NAMES[inPaksha - 1];
+    nameMr = TITHI_NAMES_MR[inPaksha - 1];
+  }
+  return {
+    index,
+    name,
+    nameMr,
+    paksha,
+    pakshaMr: paksha === "Shukla" ? "शुक्ल पक्ष" : "कृष्ण पक्ष",
+  };
+}
+
+/**
+ * Weekday for a civil date in the given IANA time zone (0 = Sunday).
+ */
+export function weekdayInZone(date, timeZone = "Asia/Kolkata") {
+  const wd = new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short" }).format(date);
+  return ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(wd);
+}
+
+export function varaInfo(index) {
+  return { index, name: VARA_NAMES[index], nameMr: VARA_NAMES_MR[index] };
+}
+
+/**
+ * Computes the five limbs of the Panchang at a given moment.
+ * Returned end times are JS Dates; vara is the civil weekday in `timeZone`.
+ */
+export function computePanchang(date, timeZone = "Asia/Kolkata") {
+  const { jd, sun, moon, ayanamsa } = siderealLongitudes(date);
+  const elong = elongation(jd);
+
+  const tithiIndex = Math.floor(elong / 12) + 1;
+  const tithiEnd = findCrossing(elongation, jd, (tithiIndex * 12) % 360, 12.19);
+
+  const nakSpan = 360 / 27;
+  const nakIndex = Math.floor(moon / nakSpan);
+  const pada = Math.floor((moon % nakSpan) / (nakSpan / 4)) + 1;
+  const nakEnd = findCrossing(moonSidereal, jd, ((nakIndex + 1) * nakSpan) % 360, 13.18);
+
+  const yogaAngle = norm360(sun + moon);
+  const yogaIndex = Math.floor(yogaAngle / nakSpan);
+  const yogaEnd = findCrossing(sunMoonSiderealSum, jd, ((yogaIndex + 1) * nakSpan) % 360, 14.17);
+
+  const karanaIndex = Math.floor(elong / 6);
+  const karanaEnd = findCrossing(elongation, jd, ((karanaIndex + 1) * 6) % 360, 12.19);
+
+  return {
+    at: date,
+    ayanamsa,
+    sunLongitude: sun,
+    moonLongitude: moon,
+    tithi: { ...tithiInfo(tithiIndex), endsAt: dateFromJulianDay(tithiEnd) },
+    nakshatra: {
+      index: nakIndex,
+      name: NAKSHATRA_NAMES[nakIndex],
+      nameMr: NAKSHATRA_NAMES_MR[nakIndex],
+      pada,
+      endsAt: dateFromJulianDay(nakEnd),
+    },
+    yoga: {
+      index: yogaIndex,
+      name: YOGA_NAMES[yogaIndex],
+      nameMr: YOGA_NAMES_MR[yogaIndex],
+      inauspicious: INAUSPICIOUS_YOGAS.has(YOGA_NAMES[yogaIndex]),
+      endsAt: dateFromJulianDay(yogaEnd),
+    },
+    karana: {
+      index: karanaIndex,
+      ...karanaNames(karanaIndex),
+      endsAt: dateFromJulianDay(karanaEnd),
+    },
+    vara: varaInfo(weekdayInZone(date, timeZone)),
+  };
+}
+
+// -----------------------------
+// Prompt formatting
+// -----------------------------
+function formatTime(date, timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(date);
+}
+
+/**
+ * Short one-line summary (used in the interpreter TIME CONTEXT).
+ */
+export function panchangOneLine(p) {
+  return `${p.tithi.paksha} ${p.tithi.name}, ${p.nakshatra.name} nakshatra, ${p.yoga.name} yoga, ${p.karana.name} karana, ${p.vara.name}`;
+}
+
+/**
+ * Multi-line block for the Guruji system instruction.
+ */
+export function formatPanchangBlock(p, timeZone = "Asia/Kolkata", label = "Now") {
+  const t = (d) => formatTime(d, timeZone);
+  return [
+    `${label} (${t(p.at)}):`,
+    `- Vara: ${p.vara.name} (${p.vara.nameMr})`,
+    `- Tithi: ${p.tithi.paksha} ${p.tithi.name} (${p.tithi.pakshaMr} ${p.tithi.nameMr}), ends ${t(p.tithi.endsAt)}`,
+    `- Nakshatra: ${p.nakshatra.name} pada ${p.nakshatra.pada} (${p.nakshatra.nameMr}), ends ${t(p.nakshatra.endsAt)}`,
+    `- Yoga: ${p.yoga.name} (${p.yoga.nameMr})${p.yoga.inauspicious ? " [inauspicious]" : ""}, ends ${t(p.yoga.endsAt)}`,
+    `- Karana: ${p.karana.name} (${p.karana.nameMr})${p.karana.name === "Vishti" ? " [Bhadra]" : ""}, ends ${t(p.karana.endsAt)}`,
+  ].join("\n");
+}
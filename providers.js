@@ -0,0 +1,333 @@
+/* providers.js
+   Barve Guruji AI - LLM provider layer
+   - One neutral request shape for every stage:
+       {system, messages: [{role: "user" | "assistant", text}], generation: {temperature, topP, topK, maxTokens}}
+   - Adapters for Google Gemini, any OpenAI-compatible /v1/chat/completions endpoint and a local Ollama server
+   - Each adapter owns its URL, auth header, payload shape, reply extraction, stream format and retry hints
+   - llmFetch / llmStream return the same result shape whichever provider answered, including the token
+     usage the provider reported ({prompt, output, total} or null) and the call's latency in ms
+*/
+
+import { readNDJSON, readSSE } from "./stream.js";
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+const OPENAI_HOST = "api.openai.com";
+
+function trimSlash(url) {
+  return String(url || "").replace(/\/+$/, "");
+}
+
+// -----------------------------
+// Adapters
+// -----------------------------
+const gemini = {
+  id: "gemini",
+  label: "Google Gemini",
+  needsKey: true,
+  defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+  defaultModels: { guruji: "gemini-2.5-flash", interpreter: "gemini-flash-lite-latest" },
+  streamFormat: "sse",
+
+  buildRequest(target, req, stream) {
+    const model = encodeURIComponent(target.model);
+    const url = `${trimSlash(target.baseUrl)}/models/${model}:${stream ? "streamGenerateContent?alt=sse" : "generateContent"}`;
+    const g = req.generation || {};
+    return {
+      url,
+      headers: { "Content-Type": "application/json", "X-goog-api-key": target.apiKey },
+      body: {
+        systemInstruction: { parts: [{ text: req.system }] },
+        contents: req.messages.map((m) => ({
+          role: m.role === "assistant" ? "model" : "user",
+          parts: [{ text: m.text }],
+        })),
+        generationConfig: {
+          temperature: g.temperature,
+          topP: g.topP,
+          topK: g.topK,
+          maxOutputTokens: g.maxTokens,
+        },
+      },
+    };
+  },
+
+  extractText(json) {
+    const parts = json?.candidates?.[0]?.content?.parts;
+    if (!Array.isArray(parts)) return "";
+    return parts.map((p) => p.text || "").join("");
+  },
+
+  // Thinking tokens are billed as output
+  extractUsage(json) {
+    const u = json?.usageMetadata;
+    if (!u) return null;
+    const output = (u.candidatesTokenCount || 0) + (u.thoughtsTokenCount || 0);
+    return { prompt: u.promptTokenCount || 0, output, total: u.totalTokenCount || (u.promptTokenCount || 0) + output };
+  },
+
+  parseChunk(json) {
+    if (json?.error) return { error: json.error.message || "Stream error", status: json.error.code || 0 };
+    return {
+      text: this.extractText(json),
+      finishReason: json?.candidates?.[0]?.finishReason || null,
+      usage: this.extractUsage(json), // running totals; the last chunk has the final ones
+    };
+  },
+
+  // google.rpc.RetryInfo detail: {"retryDelay": "17s"}
+  retryDelaySeconds(errText) {
+    const obj = parseJSON(errText);
+    const retryDelay = obj?.error?.details?.find((d) => d["@type"]?.includes("RetryInfo"))?.retryDelay;
+    if (typeof retryDelay === "string" && retryDelay.endsWith("s")) {
+      const sec = Math.ceil(parseFloat(retryDelay));
+      return Number.isFinite(sec) ? sec : null;
+    }
+    return null;
+  },
+};
+
+const openai = {
+  id: "openai",
+  label: "OpenAI-compatible",
+  needsKey: false, // local servers (LM Studio, vLLM) often run without one
+  defaultBaseUrl: "https://api.openai.com/v1",
+  defaultModels: { guruji: "gpt-4o-mini", interpreter: "gpt-4o-mini" },
+  streamFormat: "sse",
+
+  buildRequest(target, req, stream) {
+    const g = req.generation || {};
+    const headers = { "Content-Type": "application/json" };
+    if (target.apiKey) headers.Authorization = `Bearer ${target.apiKey}`;
+    return {
+      url: `${trimSlash(target.baseUrl)}/chat/completions`,
+      headers,
+      body: {
+        model: target.model,
+        messages: [
+          { role: "system", content: req.system },
+          ...req.messages.map((m) => ({ role: m.role, content: m.text })),
+        ],
+        temperature: g.temperature,
+        top_p: g.topP,
+        max_tokens: g.maxTokens,
+        stream,
+        // Usage arrives in a last, choice-less chunk. Only OpenAI itself is sent the option: other
+        // compatible servers may reject unknown fields with a 400; their usage is estimated (usage.js)
+        ...(stream && providerHost(target.baseUrl) === OPENAI_HOST && { stream_options: { include_usage: true } }),
+      },
+    };
+  },
+
+  extractText(json) {
+    return json?.choices?.[0]?.message?.content || "";
+  },
+
+  extractUsage(json) {
+    const u = json?.usage;
+    if (!u) return null;
+    return { prompt: u.prompt_tokens || 0, output: u.completion_tokens || 0, total: u.total_tokens || 0 };
+  },
+
+  parseChunk(json, raw) {
+    if (raw === "[DONE]") return { done: true };
+    if (json?.error) return { error: json.error.message || "Stream error", status: json.error.code || 0 };
+    const choice = json?.choices?.[0];
+    return { text: choice?.delta?.content || "", finishReason: choice?.finish_reason || null, usage: this.extractUsage(json) };
+  },
+
+  // Retry-After header, or "Please try again in 20s" / "in 1.5s" in the message
+  retryDelaySeconds(errText, headers) {
+    const header = Number(headers?.get?.("retry-after"));
+    if (Number.isFinite(header) && header > 0) return Math.ceil(header);
+    const m = String(errText || "").match(/try again in (\d+(?:\.\d+)?)\s*s/i);
+    return m ? Math.ceil(parseFloat(m[1])) : null;
+  },
+};
+
+const ollama = {
+  id: "ollama",
+  label: "Ollama (local)",
+  needsKey: false,
+  defaultBaseUrl: "http://localhost:11434",
+  defaultModels: { guruji: "llama3.1", interpreter: "llama3.1" },
+  streamFormat: "ndjson",
+
+  buildRequest(target, req, stream) {
+    const g = req.generation || {};
+    return {
+      url: `${trimSlash(target.baseUrl)}/api/chat`,
+      headers: { "Content-Type": "application/json" },
+      body: {
+        model: target.model,
+        messages: [
+          { role: "system", content: req.system },
+          ...req.messages.map((m) => ({ role: m.role, content: m.text })),
+        ],
+        stream,
+        options: {
+          temperature: g.temperature,
+          top_p: g.topP,
+          top_k: g.topK,
+          num_predict: g.maxTokens,
+        },
+      },
+    };
+  },
+
+  extractText(json) {
+    return json?.message?.content || "";
+  },
+
+  // Only the final (done) object carries the counts
+  extractUsage(json) {
+    if (!json?.done || json.eval_count === undefined) return null;
+    const prompt = json.prompt_eval_count || 0;
+    return { prompt, output: json.eval_count, total: prompt + json.eval_count };
+  },
+
+  parseChunk(json) {
+    if (json?.error) return { error: String(json.error), status: 0 };
+    return {
+      text: json?.message?.content || "",
+      finishReason: json?.done ? json.done_reason || "stop" : null,
+      done: !!json?.done,
+      usage: this.extractUsage(json),
+    };
+  },
+
+  retryDelaySeconds() {
+    return null;
+  },
+};
+
+export const PROVIDERS = { gemini, openai, ollama };
+
+/**
+ * Hostname (with port) of a provider base URL, or "" if the URL is invalid.
+ */
+export function providerHost(baseUrl) {
+  try {
+    return new URL(baseUrl).host;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Seconds to wait before retrying a failed call, if the provider said so.
+ */
+export function retryDelaySeconds(target, errText, headers = null) {
+  return PROVIDERS[target.provider].retryDelaySeconds(errText, headers);
+}
+
+// -----------------------------
+// Calls
+// -----------------------------
+/**
+ * One-shot call. Resolves to {ok, status, text, reply, usage, ms, headers}; never throws.
+ * `target` is {provider, model, baseUrl, apiKey}.
+ */
+export async function llmFetch(target, req, timeoutMs = 30000) {
+  const adapter = PROVIDERS[target.provider];
+  const { url, headers, body } = adapter.buildRequest(target, req, false);
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+  const started = Date.now();
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    clearTimeout(t);
+
+    const text = await res.text();
+    const ms = Date.now() - started;
+    if (!res.ok) {
+      return { ok: false, status: res.status, text, usage: null, ms, headers: res.headers };
+    }
+    const json = parseJSON(text);
+    return { ok: true, status: res.status, text, reply: adapter.extractText(json), usage: adapter.extractUsage(json), ms };
+  } catch (err) {
+    clearTimeout(t);
+    return { ok: false, status: 0, text: String(err?.message || err), usage: null, ms: Date.now() - started };
+  }
+}
+
+/**
+ * Streaming call. `onText` receives the accumulated reply text after every chunk.
+ * The idle timeout restarts on every chunk, so long replies are not cut off.
+ * Resolves to {ok, status, text, reply, finishReason, usage, ms, stopped, timedOut, headers}; never throws.
+ * `usage` is null when the stream ended before the provider reported it (e.g. stopped).
+ */
+export async function llmStream(target, req, { controller, onText, idleTimeoutMs = 30000 }) {
+  const adapter = PROVIDERS[target.provider];
+  const { url, headers, body } = adapter.buildRequest(target, req, true);
+  const started = Date.now();
+  let reply = "";
+  let finishReason = null;
+  let usage = null;
+  let timedOut = false;
+  let timer = null;
+  const armTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, idleTimeoutMs);
+  };
+
+  armTimeout();
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!res.ok) {
+      return { ok: false, status: res.status, text: await res.text(), reply, usage, ms: Date.now() - started, headers: res.headers };
+    }
+
+    const events = adapter.streamFormat === "ndjson" ? readNDJSON(res.body) : readSSE(res.body);
+    for await (const data of events) {
+      armTimeout();
+      const chunk = adapter.parseChunk(parseJSON(data), data);
+      if (chunk.error) {
+        return { ok: false, status: chunk.status, text: chunk.error, reply, usage, ms: Date.now() - started };
+      }
+      finishReason = chunk.finishReason || finishReason;
+      usage = chunk.usage || usage;
+      if (chunk.text) {
+        reply += chunk.text;
+        onText(reply);
+      }
+      if (chunk.done) break;
+    }
+    return { ok: true, status: res.status, reply, finishReason, usage, ms: Date.now() - started };
+  } catch (err) {
+    return {
+      ok: false,
+      status: 0,
+      text: String(err?.message || err),
+      reply,
+      usage,
+      ms: Date.now() - started,
+      stopped: controller.signal.aborted && !timedOut,
+      timedOut,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,185 @@
+/* quickactions.js
+   Barve Guruji AI - User-defined quick actions
+   - The quick-action bar is one ordered list: built-in actions by id (label and prompt from the i18n
+     catalog) and custom ones {id, label: {mr, en}, prompt: {mr, en}}; any entry can be hidden
+   - A custom action needs a label and a prompt in at least one language; the other language falls back to it
+   - Prompt templates:
+       {today} {tomorrow}         dates (YYYY-MM-DD) in the user's location
+       {location} {panchang}      place name, today's Tithi/Nakshatra/Yoga line
+       {profile.name} {profile.birth}   profile linked to the consultation
+       {date:Question} {text:Question}  asked when the button is clicked (date picker / text box)
+   - Export/import as JSON {format, version, actions}; only custom actions travel, imported ones get fresh ids
+*/
+
+import { LANGUAGES } from "./i18n.js";
+
+export const BUILTIN_ACTIONS = ["panchang", "agni", "vivah", "satyanarayan", "shanti", "tarot", "new"];
+export const PLACEHOLDERS = ["today", "tomorrow", "location", "panchang", "profile.name", "profile.birth"];
+const ASK_KINDS = ["date", "text"];
+
+const EXPORT_FORMAT = "barve-guruji-quick-actions";
+const MAX_LABEL_LENGTH = 60;
+const MAX_PROMPT_LENGTH = 2000;
+
+// {name} or {kind:Question}
+const TOKEN_RE = /\{([\w.]+)(?::([^{}]*))?\}/g;
+
+export function isCustomAction(entry) {
+  return !BUILTIN_ACTIONS.includes(entry.id);
+}
+
+/**
+ * Text of a {mr, en} field in `lang`, else in the other language.
+ */
+export function actionText(field, lang) {
+  const own = field?.[lang]?.trim();
+  return own || LANGUAGES.map((l) => field?.[l]?.trim()).find(Boolean) || "";
+}
+
+// -----------------------------
+// Templates
+// -----------------------------
+/**
+ * Placeholders used by a template: {names: [value placeholders], asks: [{kind, question}]}.
+ * The same question asked twice is asked once.
+ */
+export function templateParts(template) {
+  const names = new Set();
+  const asks = [];
+  for (const [, name, question] of String(template || "").matchAll(TOKEN_RE)) {
+    if (question === undefined) names.add(name);
+    else if (!asks.some((a) => a.kind === name && a.question === question.trim())) asks.push({ kind: name, question: question.trim() });
+  }
+  return { names: [...names], asks };
+}
+
+/**
+ * The first placeholder a template cannot fill (e.g. "{dat}" or "{date:}"), or null.
+ */
+export function templateProblem(template) {
+  for (const [token, name, question] of String(template || "").matchAll(TOKEN_RE)) {
+    if (question === undefined ? !PLACEHOLDERS.includes(name) : !ASK_KINDS.includes(name) || !question.trim()) return token;
+  }
+  return null;
+}
+
+/**
+ * Fills a template. `values` maps placeholder names to text; `answers` maps "kind:question" to the
+ * user's answer. Placeholders without a value are left as written.
+ */
+export function fillTemplate(template, values, answers = {}) {
+  return String(template || "").replace(TOKEN_RE, (token, name, question) => {
+    const value = question === undefined ? values[name] : answers[`${name}:${question.trim()}`];
+    return value === undefined || value === null ? token : String(value);
+  });
+}
+
+// -----------------------------
+// Stored list
+// -----------------------------
+function cleanTexts(field, maxLength) {
+  if (!field || typeof field !== "object" || Array.isArray(field)) return null;
+  const texts = {};
+  for (const lang of LANGUAGES) {
+    if (field[lang] === undefined) continue;
+    if (typeof field[lang] !== "string" || field[lang].length > maxLength) return null;
+    if (field[lang].trim()) texts[lang] = field[lang].trim();
+  }
+  return Object.keys(texts).length ? texts : null;
+}
+
+/**
+ * Problem with a custom action's label/prompt ("label", "prompt" or a bad placeholder), or null.
+ */
+export function customActionProblem(entry) {
+  if (!cleanTexts(entry?.label, MAX_LABEL_LENGTH)) return "label";
+  const prompt = cleanTexts(entry?.prompt, MAX_PROMPT_LENGTH);
+  if (!prompt) return "prompt";
+  return Object.values(prompt).map(templateProblem).find(Boolean) || null;
+}
+
+/**
+ * The stored list made safe to render: unknown or broken entries dropped, built-ins missing
+ * from it (e.g. added in a later version) appended.
+ */
+export function normalizeActions(saved) {
+  const list = [];
+  const seen = new Set();
+  (Array.isArray(saved) ? saved : []).forEach((entry) => {
+    if (!entry || typeof entry.id !== "string" || seen.has(entry.id)) return;
+    const hidden = Boolean(entry.hidden);
+    if (!isCustomAction(entry)) list.push({ id: entry.id, hidden });
+    else if (!customActionProblem(entry)) {
+      list.push({ id: entry.id, label: cleanTexts(entry.label, MAX_LABEL_LENGTH), prompt: cleanTexts(entry.prompt, MAX_PROMPT_LENGTH), hidden });
+    } else return;
+    seen.add(entry.id);
+  });
+  BUILTIN_ACTIONS.forEach((id) => {
+    if (!seen.has(id)) list.push({ id, hidden: false });
+  });
+  return list;
+}
+
+/**
+ * A copy of the list with entry `id` moved by `delta` places (clamped to the ends).
+ */
+export function moveAction(list, id, delta) {
+  const from = list.findIndex((a) => a.id === id);
+  if (from < 0) return list;
+  const to = Math.max(0, Math.min(list.length - 1, from + delta));
+  const next = [...list];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
+
+// -----------------------------
+// Import / export
+// -----------------------------
+function contentKey(entry) {
+  return JSON.stringify([LANGUAGES.map((l) => entry.label[l] || ""), LANGUAGES.map((l) => entry.prompt[l] || "")]);
+}
+
+export function exportActions(list) {
+  return {
+    format: EXPORT_FORMAT,
+    version: 1,
+    actions: list.filter(isCustomAction).map(({ label, prompt }) => ({ label, prompt })),
+  };
+}
+
+/**
+ * Adds the custom actions of an exported file (or a bare array of actions) to `list`.
+ * Returns {actions, added, duplicates, rejected: [{item, reason}]}; actions already in the list are skipped.
+ */
+export function importActions(list, data) {
+  const incoming = Array.isArray(data) ? data : data?.format === EXPORT_FORMAT && Array.isArray(data.actions) ? data.actions : null;
+  if (!incoming) return { actions: list, added: 0, duplicates: 0, rejected: [{ item: "File", reason: "not a quick actions export" }] };
+
+  const known = new Set(list.filter(isCustomAction).map(contentKey));
+  const actions = [...list];
+  const rejected = [];
+  let added = 0;
+  let duplicates = 0;
+  incoming.forEach((entry, i) => {
+    const problem = customActionProblem(entry);
+    if (problem) {
+      rejected.push({ item: `Action ${i + 1}`, reason: `invalid ${problem}` });
+      return;
+    }
+    const action = {
+      id: crypto.randomUUID(),
+      label: cleanTexts(entry.label, MAX_LABEL_LENGTH),
+      prompt: cleanTexts(entry.prompt, MAX_PROMPT_LENGTH),
+      hidden: false,
+    };
+    const key = contentKey(action);
+    if (known.has(key)) {
+      duplicates++;
+      return;
+    }
+    known.add(key);
+    actions.push(action);
+    added++;
+  });
+  return { actions, added, duplicates, rejected };
+}
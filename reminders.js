@@ -0,0 +1,241 @@
+/* reminders.js
+   Barve Guruji AI - Reminders for vrats, Rahukaal and prescribed upays
+   - Auto reminders: Sankashti / Ekadashi the evening before, Rahukaal a few minutes before it starts;
+     planned from calendar.js / solar.js over a short horizon and refreshed as the days pass
+   - Upay reminders repeat daily at a chosen time for the prescribed number of days
+   - Record: {id, kind, key?, title, body, lang, dueAtISO, expiresAtISO?, status: "pending" | "done", snoozed?,
+              notifiedForISO?, repeat?: {days, done, time, timeZone}, sessionId?, createdAtISO, updatedAtISO}
+     `lang` is the language of title/body; sw.js labels the notification's buttons with it
+     A reminder past `expiresAtISO` (e.g. Rahukaal already over) is no longer shown
+   - Pure list logic only: app.js stores the list and shows notifications, sw.js shows them with the app closed
+*/
+
+import { eventsInRange } from "./calendar.js";
+import { dateISOInZone, dayTimings, formatClock, zonedTime } from "./solar.js";
+
+export const AUTO_KINDS = ["sankashti", "ekadashi", "rahukaal"];
+export const SNOOZE_MINUTES = 10; // also the notification's "Snooze" action in sw.js
+
+const VRAT_HORIZON_DAYS = 14;
+const RAHUKAAL_HORIZON_DAYS = 2;
+const VRAT_NOTICE_TIME = "19:00"; // the evening before, in time to prepare for the fast
+const RAHUKAAL_LEAD_MINUTES = 10;
+const KEEP_PAST_AUTO_HOURS = 12; // auto reminders leave the list this long after they were due
+const KEEP_DONE_DAYS = 30;
+
+const TEXT = {
+  en: {
+    vratTomorrow: (name) => `${name} tomorrow`,
+    rahukaal: (start) => `Rahukaal starts at ${start}`,
+    rahukaalBody: (end, place) => `Until ${end} (${place}). Avoid starting new work.`,
+    upayDay: (day, days) => `Day ${day} of ${days}`,
+  },
+  mr: {
+    vratTomorrow: (name) => `उद्या ${name}`,
+    rahukaal: (start) => `राहुकाळ ${start} पासून`,
+    rahukaalBody: (end, place) => `${end} पर्यंत (${place}). नवीन कामाची सुरुवात टाळा.`,
+    upayDay: (day, days) => `दिवस ${day} / ${days}`,
+  },
+};
+
+// A prescribed duration next to a remedy word, e.g. "chant Ram Raksha for 11 days", "२१ दिवस जप करा"
+const DURATION_RE = /(\d{1,3}|[०-९]{1,3})\s*(days?|दिवस)/i;
+const REMEDY_RE =
+  /\b(chant|japa?|mantra|stotra|paa?th|recite|upay|remed|donat|daan|fast|offer|light)|जप|मंत्र|स्तोत्र|पाठ|म्हणा|वाचा|उपाय|दान|उपवास|अर्पण|लावा/i;
+
+function textFor(lang) {
+  return TEXT[lang] || TEXT.en;
+}
+
+function addDaysISO(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function newReminder(fields, now) {
+  const stamp = now.toISOString();
+  return { id: crypto.randomUUID(), status: "pending", createdAtISO: stamp, updatedAtISO: stamp, ...fields };
+}
+
+/**
+ * Pending reminders first (soonest due first), then completed ones (latest first).
+ */
+export function sortReminders(list) {
+  const pending = list.filter((r) => r.status !== "done").sort((a, b) => a.dueAtISO.localeCompare(b.dueAtISO));
+  const done = list.filter((r) => r.status === "done").sort((a, b) => b.updatedAtISO.localeCompare(a.updatedAtISO));
+  return [...pending, ...done];
+}
+
+// -----------------------------
+// Auto reminders
+// -----------------------------
+/**
+ * Future auto reminders of the enabled `kinds` at `location`; `key` identifies the occurrence.
+ */
+export function planAutoReminders(kinds, location, now = new Date(), lang = "en") {
+  const L = textFor(lang);
+  const mr = lang === "mr";
+  const todayISO = dateISOInZone(now, location.tz);
+  const planned = [];
+
+  const vratTypes = kinds.filter((k) => k !== "rahukaal");
+  if (vratTypes.length) {
+    eventsInRange(location, addDaysISO(todayISO, 1), addDaysISO(todayISO, VRAT_HORIZON_DAYS), vratTypes).forEach((ev) => {
+      planned.push({
+        kind: ev.type,
+        key: `${ev.type}:${ev.isoDate}`,
+        lang,
+        title: L.vratTomorrow(mr ? ev.nameMr : ev.name),
+        body: [mr ? ev.detailMr : ev.detail, location.name].filter(Boolean).join(" · "),
+        dueAtISO: zonedTime(addDaysISO(ev.isoDate, -1), VRAT_NOTICE_TIME, location.tz).toISOString(),
+        expiresAtISO: zonedTime(ev.isoDate, "00:00", location.tz).toISOString(), // "tomorrow" is today by then
+      });
+    });
+  }
+
+  if (kinds.includes("rahukaal")) {
+    for (let i = 0; i < RAHUKAAL_HORIZON_DAYS; i++) {
+      const t = dayTimings(addDaysISO(todayISO, i), location);
+      if (!t.rahukaal) continue; // polar day/night
+      planned.push({
+        kind: "rahukaal",
+        key: `rahukaal:${t.isoDate}`,
+        lang,
+        title: L.rahukaal(formatClock(t.rahukaal.start, location.tz)),
+        body: L.rahukaalBody(formatClock(t.rahukaal.end, location.tz), location.name),
+        dueAtISO: new Date(t.rahukaal.start.getTime() - RAHUKAAL_LEAD_MINUTES * 60000).toISOString(),
+        expiresAtISO: t.rahukaal.end.toISOString(),
+      });
+    }
+  }
+
+  const seen = new Set();
+  return planned.filter((p) => Date.parse(p.dueAtISO) > now.getTime() && !seen.has(p.key) && seen.add(p.key));
+}
+
+/**
+ * Folds a fresh plan into the stored list: adds new occurrences, follows changed times/texts
+ * (location or language changed) unless snoozed, drops switched-off kinds and stale entries.
+ */
+export function mergeAutoReminders(reminders, planned, kinds, now = new Date()) {
+  const byKey = new Map(planned.map((p) => [p.key, p]));
+  const pastCutoff = now.getTime() - KEEP_PAST_AUTO_HOURS * 3600000;
+  const doneCutoff = now.getTime() - KEEP_DONE_DAYS * 86400000;
+
+  const next = reminders
+    .filter((r) => {
+      if (r.status === "done") return Date.parse(r.updatedAtISO) > doneCutoff;
+      if (!AUTO_KINDS.includes(r.kind)) return true;
+      return kinds.includes(r.kind) && Date.parse(r.dueAtISO) > pastCutoff;
+    })
+    .map((r) => {
+      const p = r.key && r.status === "pending" && !r.snoozed && byKey.get(r.key);
+      if (!p || (p.title === r.title && p.body === r.body && p.dueAtISO === r.dueAtISO)) return r;
+      const { title, body, lang, dueAtISO, expiresAtISO } = p;
+      return { ...r, title, body, lang, dueAtISO, expiresAtISO, updatedAtISO: now.toISOString() };
+    });
+
+  const known = new Set(next.map((r) => r.key).filter(Boolean));
+  planned.forEach((p) => {
+    if (!known.has(p.key)) next.push(newReminder(p, now));
+  });
+  return sortReminders(next);
+}
+
+// -----------------------------
+// Upay reminders
+// -----------------------------
+/**
+ * Finds a prescribed remedy with a duration in a Guruji reply: {title, days} or null.
+ */
+export function detectUpay(text) {
+  const sentences = String(text || "")
+    .replace(/[*_`#>|]/g, "")
+    .split(/(?<=[.!?।])\s+|\n+/);
+  for (const sentence of sentences) {
+    const m = sentence.match(DURATION_RE);
+    if (!m || !REMEDY_RE.test(sentence)) continue;
+    const days = Number(m[1].replace(/[०-९]/g, (d) => "०१२३४५६७८९".indexOf(d)));
+    if (days < 1 || days > 365) continue;
+    const title = sentence.replace(/^\s*([-•]|\d+[.)])\s*/, "").trim();
+    return { title: title.length > 120 ? `${title.slice(0, 119)}…` : title, days };
+  }
+  return null;
+}
+
+/**
+ * Daily reminder for `days` days at `time` ("HH:MM" in `timeZone`), starting at the next such time.
+ */
+export function createUpayReminder({ title, days, time, timeZone, sessionId = null }, now = new Date(), lang = "en") {
+  const todayISO = dateISOInZone(now, timeZone);
+  let due = zonedTime(todayISO, time, timeZone);
+  if (due <= now) due = zonedTime(addDaysISO(todayISO, 1), time, timeZone);
+  return newReminder(
+    {
+      kind: "upay",
+      title,
+      body: textFor(lang).upayDay(1, days),
+      lang,
+      dueAtISO: due.toISOString(),
+      repeat: { days, done: 0, time, timeZone },
+      sessionId,
+    },
+    now
+  );
+}
+
+// -----------------------------
+// Actions
+// -----------------------------
+/**
+ * Marks the reminder done; an upay with days left moves on to tomorrow at its time instead.
+ */
+export function completeReminder(reminder, now = new Date(), lang = "en") {
+  const stamp = now.toISOString();
+  const { repeat } = reminder;
+  if (reminder.kind === "upay" && repeat && repeat.done + 1 < repeat.days) {
+    const done = repeat.done + 1;
+    const tomorrowISO = addDaysISO(dateISOInZone(now, repeat.timeZone), 1);
+    return {
+      ...reminder,
+      repeat: { ...repeat, done },
+      body: textFor(lang).upayDay(done + 1, repeat.days),
+      lang,
+      dueAtISO: zonedTime(tomorrowISO, repeat.time, repeat.timeZone).toISOString(),
+      snoozed: false,
+      updatedAtISO: stamp,
+    };
+  }
+  return { ...reminder, status: "done", repeat: repeat && { ...repeat, done: repeat.days }, updatedAtISO: stamp };
+}
+
+export function snoozeReminder(reminder, minutes = SNOOZE_MINUTES, now = new Date()) {
+  const stamp = now.toISOString();
+  return { ...reminder, dueAtISO: new Date(now.getTime() + minutes * 60000).toISOString(), snoozed: true, updatedAtISO: stamp };
+}
+
+// -----------------------------
+// Timing
+// -----------------------------
+/**
+ * Pending reminders that are due and have not been shown for this due time yet
+ * (expired ones included: mark them shown without showing them, see isExpired).
+ */
+export function dueReminders(list, now = new Date()) {
+  return list.filter((r) => r.status === "pending" && Date.parse(r.dueAtISO) <= now.getTime() && r.notifiedForISO !== r.dueAtISO);
+}
+
+export function isExpired(reminder, now = new Date()) {
+  return Boolean(reminder.expiresAtISO) && Date.parse(reminder.expiresAtISO) <= now.getTime();
+}
+
+/**
+ * Epoch ms of the next reminder still to be shown, or null.
+ */
+export function nextDueAtMs(list) {
+  const times = list
+    .filter((r) => r.status === "pending" && r.notifiedForISO !== r.dueAtISO)
+    .map((r) => Date.parse(r.dueAtISO));
+  return times.length ? Math.min(...times) : null;
+}
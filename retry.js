@@ -0,0 +1,40 @@
+/* retry.js
+   Barve Guruji AI - Retry policy for failed Guruji calls
+   - Which failures are worth retrying: rate limits, server errors, timeouts and dropped connections
+   - Exponential backoff with jitter and a cap; a provider's own retry hint wins
+   - After a few failed attempts the Guruji stage falls back to the interpreter model
+*/
+
+export const RETRY_POLICY = {
+  baseSeconds: 2,
+  capSeconds: 60,
+  maxAttempts: 5, // automatic attempts per message; "Send now" starts a new round
+  maxHintSeconds: 15 * 60, // longer hints (e.g. a daily quota) are not waited out automatically
+  fallbackAfterAttempts: 2,
+};
+
+/**
+ * True for failures that may succeed later: network/timeout (0), 408, 429 and 5xx.
+ */
+export function isRetryableStatus(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Backoff before attempt `attempt + 1`: min(cap, base * 2^(attempt - 1)) with "equal jitter"
+ * (between half and all of it), so repeated retries never bunch up near zero.
+ */
+export function backoffSeconds(attempt, policy = RETRY_POLICY, random = Math.random) {
+  const ceiling = Math.min(policy.capSeconds, policy.baseSeconds * 2 ** Math.max(0, attempt - 1));
+  return Math.max(1, Math.round(ceiling / 2 + random() * (ceiling / 2)));
+}
+
+/**
+ * Seconds until the next automatic attempt, or null when it should not be retried automatically.
+ * `hintSeconds` is the provider's own retry delay (Retry-After, RetryInfo), if any.
+ */
+export function nextRetrySeconds(status, attempt, hintSeconds = null, policy = RETRY_POLICY) {
+  if (!isRetryableStatus(status) || attempt >= policy.maxAttempts) return null;
+  if (hintSeconds) return hintSeconds <= policy.maxHintSeconds ? hintSeconds : null;
+  return backoffSeconds(attempt, policy);
+}
@@ -0,0 +1,151 @@
+/* search.js
+   Barve Guruji AI - Full-text search across consultations
+   - Devanagari and roman Marathi reduce to the same phonetic key ("गृहप्रवेश" ~ "griha pravesh" ~ "gruhapravesh")
+   - Every query word must occur in the message; matching words are highlighted in the snippet
+   - Tokenised messages are cached per message object and redone only when the content changes
+*/
+
+const DEVANAGARI = {
+  // independent vowels
+  "अ": "a", "आ": "a", "इ": "i", "ई": "i", "उ": "u", "ऊ": "u", "ऋ": "ru",
+  "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ॲ": "e",
+  // vowel signs (the inherent "a" is never written; it is dropped from roman text too)
+  "ा": "a", "ि": "i", "ी": "i", "ु": "u", "ू": "u", "ृ": "ru",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ॅ": "e",
+  "ं": "n", "ँ": "n", "ः": "h", "्": "", "़": "",
+  // consonants
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n",
+  "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n",
+  "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "व": "v", "श": "sh", "ष": "sh", "स": "s", "ह": "h", "ळ": "l",
+  "०": "0", "१": "1", "२": "2", "३": "3", "४": "4", "५": "5", "६": "6", "७": "7", "८": "8", "९": "9",
+};
+
+const WORD_RE = /[\p{L}\p{M}\p{N}]+/gu;
+const SNIPPET_BEFORE = 50;
+const SNIPPET_LENGTH = 160;
+
+// message object -> {content, words: [{start, end, key, at}], compact}; `at` is the word's offset in `compact`
+const cache = new WeakMap();
+
+/**
+ * Phonetic search key of a word or phrase. Spelling variants of the same Marathi word
+ * (script, aspiration, long/short vowels, sh/s, w/v, doubled letters, the schwa) collapse together.
+ */
+export function searchKey(text) {
+  return String(text || "")
+    .replace(/ज्ञ/g, "dny")
+    .replace(/[ऀ-ॿ]/g, (ch) => DEVANAGARI[ch] ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/z/g, "j")
+    .replace(/w/g, "v")
+    .replace(/f/g, "p")
+    .replace(/q/g, "k")
+    .replace(/x/g, "ks")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/([kgcjtdpbs])h+/g, "$1")
+    .replace(/m(?=[pb])/g, "n")
+    .replace(/a/g, "")
+    .replace(/ri/g, "ru")
+    .replace(/([a-z0-9])\1+/g, "$1")
+    .trim();
+}
+
+function indexMessage(message) {
+  const content = message.content || "";
+  const cached = cache.get(message);
+  if (cached && cached.content === content) return cached;
+
+  const words = [];
+  let at = 0;
+  for (const m of content.matchAll(WORD_RE)) {
+    const key = searchKey(m[0]).replace(/ /g, "");
+    if (!key) continue;
+    words.push({ start: m.index, end: m.index + m[0].length, key, at });
+    at += key.length;
+  }
+  const entry = { content, words, compact: words.map((w) => w.key).join("") };
+  cache.set(message, entry);
+  return entry;
+}
+
+// Words overlapping any occurrence of a token (a token may span words: "gruhapravesh" ~ "गृह प्रवेश")
+function hitWords(entry, tokens) {
+  const hits = new Set();
+  tokens.forEach((t) => {
+    for (let i = entry.compact.indexOf(t); i >= 0; i = entry.compact.indexOf(t, i + 1)) {
+      entry.words.forEach((w) => {
+        if (w.at < i + t.length && w.at + w.key.length > i) hits.add(w);
+      });
+    }
+  });
+  return entry.words.filter((w) => hits.has(w));
+}
+
+function cleanSnippetText(text) {
+  return text.replace(/[*#`_]+/g, "").replace(/\s+/g, " ");
+}
+
+// [{text, hit}] around the first matching word, cut at word boundaries
+function buildSnippet(entry, tokens) {
+  const { content, words } = entry;
+  const hits = hitWords(entry, tokens);
+  const first = hits[0] || words[0];
+
+  let start = Math.max(0, first.start - SNIPPET_BEFORE);
+  if (start > 0) start = words.find((w) => w.start >= start)?.start ?? first.start;
+  let end = Math.min(content.length, start + SNIPPET_LENGTH);
+  if (end < content.length) end = [...words].reverse().find((w) => w.end <= end && w.end > first.start)?.end ?? end;
+
+  const segments = [];
+  let pos = start;
+  hits
+    .filter((w) => w.start >= start && w.end <= end)
+    .forEach((w) => {
+      if (w.start > pos) segments.push({ text: cleanSnippetText(content.slice(pos, w.start)), hit: false });
+      segments.push({ text: content.slice(w.start, w.end), hit: true });
+      pos = w.end;
+    });
+  if (pos < end) segments.push({ text: cleanSnippetText(content.slice(pos, end)), hit: false });
+
+  if (start > 0) segments.unshift({ text: "…", hit: false });
+  if (end < content.length) segments.push({ text: "…", hit: false });
+  return { segments, hitCount: hits.length };
+}
+
+/**
+ * Messages of all sessions matching `query`, newest first.
+ * Each result is {session, message, index, timeISO, segments: [{text, hit}], hitCount}.
+ */
+export function searchSessions(sessions, query, { limit = 50 } = {}) {
+  // One-letter keys ("a", "zzz" -> "j") would match nearly every message
+  const tokens = searchKey(query).split(" ").filter((t) => t.length >= 2);
+  if (!tokens.length) return [];
+
+  const results = [];
+  sessions.forEach((session) => {
+    session.messages.forEach((message, index) => {
+      const entry = indexMessage(message);
+      if (!entry.words.length || !tokens.every((t) => entry.compact.includes(t))) return;
+      const { segments, hitCount } = buildSnippet(entry, tokens);
+      results.push({
+        session,
+        message,
+        index,
+        timeISO: message.tsISO || session.updatedAtISO,
+        segments,
+        hitCount,
+      });
+    });
+  });
+
+  return results
+    .sort((a, b) => (b.timeISO || "").localeCompare(a.timeISO || "") || b.hitCount - a.hitCount)
+    .slice(0, limit);
+}
@@ -0,0 +1,279 @@
+/* solar.js
+   Barve Guruji AI - Local solar calculator
+   - Sunrise / sunset / solar noon for any date + location (iterative, ~1 min accuracy)
+   - Rahukaal, Yamaganda, Gulika kaal (8-fold day division) and Abhijit muhurta
+   - Moonrise (for Sankashti Chaturthi and Purnima vrat)
+   - Time zone helpers built on Intl (no external tz database needed)
+*/
+
+import { centuriesTT, julianDay, moonLatitude, moonLongitude, sunLongitude, norm360 } from "./panchang.js";
+
+const DEG = Math.PI / 180;
+const SUN_ALTITUDE = -0.833; // refraction + solar semi-diameter
+
+export const DEFAULT_LOCATION = {
+  id: "pune",
+  name: "Sadashiv Peth, Pune",
+  lat: 18.5113,
+  lon: 73.8522,
+  tz: "Asia/Kolkata",
+};
+
+export const CITY_PRESETS = [
+  DEFAULT_LOCATION,
+  { id: "mumbai", name: "Mumbai", lat: 19.076, lon: 72.8777, tz: "Asia/Kolkata" },
+  { id: "thane", name: "Thane", lat: 19.2183, lon: 72.9781, tz: "Asia/Kolkata" },
+  { id: "nashik", name: "Nashik", lat: 19.9975, lon: 73.7898, tz: "Asia/Kolkata" },
+  { id: "nagpur", name: "Nagpur", lat: 21.1458, lon: 79.0882, tz: "Asia/Kolkata" },
+  { id: "kolhapur", name: "Kolhapur", lat: 16.705, lon: 74.2433, tz: "Asia/Kolkata" },
+  { id: "sambhajinagar", name: "Chhatrapati Sambhajinagar", lat: 19.8762, lon: 75.3433, tz: "Asia/Kolkata" },
+  { id: "delhi", name: "New Delhi", lat: 28.6139, lon: 77.209, tz: "Asia/Kolkata" },
+  { id: "bengaluru", name: "Bengaluru", lat: 12.9716, lon: 77.5946, tz: "Asia/Kolkata" },
+  { id: "hyderabad", name: "Hyderabad", lat: 17.385, lon: 78.4867, tz: "Asia/Kolkata" },
+  { id: "dubai", name: "Dubai", lat: 25.2048, lon: 55.2708, tz: "Asia/Dubai" },
+  { id: "singapore", name: "Singapore", lat: 1.3521, lon: 103.8198, tz: "Asia/Singapore" },
+  { id: "london", name: "London", lat: 51.5074, lon: -0.1278, tz: "Europe/London" },
+  { id: "newyork", name: "New York", lat: 40.7128, lon: -74.006, tz: "America/New_York" },
+  { id: "sanfrancisco", name: "San Francisco", lat: 37.7749, lon: -122.4194, tz: "America/Los_Angeles" },
+];
+
+// Part (1-based) of the 8-fold daytime division, indexed by weekday (0 = Sunday)
+const RAHU_PART = [8, 2, 7, 5, 6, 4, 3];
+const YAMAGANDA_PART = [5, 4, 3, 2, 1, 7, 6];
+const GULIKA_PART = [7, 6, 5, 4, 3, 2, 1];
+
+// -----------------------------
+// Time zone helpers
+// -----------------------------
+// Intl accepts a missing timeZone (it means the system zone), so only non-empty strings count
+export function isValidTimeZone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of `timeZone` from UTC at the given instant, in minutes (IST = +330).
+ */
+export function tzOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  const asUTC = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts a wall-clock time on a local calendar date ("YYYY-MM-DD", "HH:MM") to a Date.
+ */
+export function zonedTime(isoDate, hhmm, timeZone) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const [hh, mm] = (hhmm || "00:00").split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  let offset = tzOffsetMinutes(new Date(guess), timeZone);
+  const first = guess - offset * 60000;
+  // Re-check once in case a DST switch sits between the guess and the answer
+  offset = tzOffsetMinutes(new Date(first), timeZone);
+  return new Date(guess - offset * 60000);
+}
+
+export function dateISOInZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return `${get("year")}-${get("month")}-${get("day")}`;
+}
+
+export function formatClock(date, timeZone) {
+  if (!date) return "--:--";
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(date);
+}
+
+// -----------------------------
+// Sun position
+// -----------------------------
+function sunEquatorial(jdUT) {
+  const T = centuriesTT(jdUT);
+  const lambda = sunLongitude(jdUT) * DEG;
+  const eps = (23.439291 - 0.0130042 * T) * DEG;
+  const ra = norm360(Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)) / DEG);
+  const dec = Math.asin(Math.sin(eps) * Math.sin(lambda)) / DEG;
+  const L0 = norm360(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+  let eot = L0 - 0.0057183 - ra; // degrees
+  eot = ((eot + 180) % 360 + 360) % 360 - 180;
+  return { ra, dec, eotMinutes: eot * 4 };
+}
+
+// Solar noon in UTC ms for the local calendar date (independent of time zone offset)
+function solarNoonMs(isoDate, lon) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  let noon = Date.UTC(y, m - 1, d, 12) - (lon / 15) * 3600000;
+  for (let i = 0; i < 2; i++) {
+    const { eotMinutes } = sunEquatorial(julianDay(new Date(noon)));
+    noon = Date.UTC(y, m - 1, d, 12) - (lon / 15) * 3600000 - eotMinutes * 60000;
+  }
+  return noon;
+}
+
+// Hour angle (degrees) of the sun at the given altitude, or null if it never gets there
+function hourAngle(latDeg, decDeg, altitudeDeg) {
+  const phi = latDeg * DEG;
+  const dec = decDeg * DEG;
+  const cosH = (Math.sin(altitudeDeg * DEG) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+  if (cosH < -1 || cosH > 1) return null;
+  return Math.acos(cosH) / DEG;
+}
+
+function sunEvent(isoDate, location, sign) {
+  const noon = solarNoonMs(isoDate, location.lon);
+  let t = noon + sign * 6 * 3600000;
+  for (let i = 0; i < 4; i++) {
+    const { dec, eotMinutes } = sunEquatorial(julianDay(new Date(t)));
+    const H = hourAngle(location.lat, dec, SUN_ALTITUDE);
+    if (H === null) return null;
+    const [y, m, d] = isoDate.split("-").map(Number);
+    const localNoon = Date.UTC(y, m - 1, d, 12) - (location.lon / 15) * 3600000 - eotMinutes * 60000;
+    t = localNoon + sign * (H / 15) * 3600000;
+  }
+  return new Date(t);
+}
+
+/**
+ * Sunrise, sunset and solar noon for a local calendar date at `location`.
+ * The date is interpreted in the location's own calendar (not IST).
+ */
+export function sunTimes(isoDate, location = DEFAULT_LOCATION) {
+  return {
+    sunrise: sunEvent(isoDate, location, -1),
+    sunset: sunEvent(isoDate, location, +1),
+    solarNoon: new Date(solarNoonMs(isoDate, location.lon)),
+  };
+}
+
+// -----------------------------
+// Moon rise
+// -----------------------------
+// Topocentric altitude of the Moon's centre is ~ +0.125° at rise (parallax - refraction - semi-diameter)
+const MOON_RISE_ALTITUDE = 0.125;
+
+function moonAltitude(date, location) {
+  const jd = julianDay(date);
+  const T = centuriesTT(jd);
+  const lambda = moonLongitude(jd) * DEG;
+  const beta = moonLatitude(jd) * DEG;
+  const eps = (23.439291 - 0.0130042 * T) * DEG;
+  const ra = Math.atan2(
+    Math.sin(lambda) * Math.cos(eps) - Math.tan(beta) * Math.sin(eps),
+    Math.cos(lambda)
+  );
+  const dec = Math.asin(Math.sin(beta) * Math.cos(eps) + Math.cos(beta) * Math.sin(eps) * Math.sin(lambda));
+  const gmst = norm360(280.46061837 + 360.98564736629 * (jd - 2451545.0));
+  const H = (gmst + location.lon) * DEG - ra;
+  const phi = location.lat * DEG;
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)) / DEG;
+}
+
+/**
+ * Moonrise on a local calendar date (null if the Moon does not rise that day).
+ */
+export function moonrise(isoDate, location = DEFAULT_LOCATION) {
+  const start = zonedTime(isoDate, "00:00", location.tz).getTime();
+  const end = start + 86400000;
+  const step = 10 * 60000;
+  let prev = moonAltitude(new Date(start), location) - MOON_RISE_ALTITUDE;
+
+  for (let t = start + step; t <= end; t += step) {
+    const cur = moonAltitude(new Date(t), location) - MOON_RISE_ALTITUDE;
+    if (prev < 0 && cur >= 0) {
+      // Bisect inside the 10-minute step
+      let lo = t - step;
+      let hi = t;
+      for (let i = 0; i < 12; i++) {
+        const mid = (lo + hi) / 2;
+        if (moonAltitude(new Date(mid), location) - MOON_RISE_ALTITUDE < 0) lo = mid;
+        else hi = mid;
+      }
+      return new Date(hi);
+    }
+    prev = cur;
+  }
+  return null;
+}
+
+// -----------------------------
+// Day muhurtas
+// -----------------------------
+function dayPart(sunrise, sunset, partNumber, partsCount) {
+  const len = (sunset.getTime() - sunrise.getTime()) / partsCount;
+  const start = new Date(sunrise.getTime() + (partNumber - 1) * len);
+  return { start, end: new Date(start.getTime() + len) };
+}
+
+/**
+ * Full set of daily timings used by Guruji (all Dates; format with formatClock + location.tz).
+ */
+export function dayTimings(isoDate, location = DEFAULT_LOCATION) {
+  const { sunrise, sunset, solarNoon } = sunTimes(isoDate, location);
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+
+  if (!sunrise || !sunset) {
+    return { isoDate, weekday, sunrise, sunset, solarNoon, rahukaal: null, yamaganda: null, gulika: null, abhijit: null };
+  }
+
+  const abhijitHalf = (sunset.getTime() - sunrise.getTime()) / 30;
+  return {
+    isoDate,
+    weekday,
+    sunrise,
+    sunset,
+    solarNoon,
+    rahukaal: dayPart(sunrise, sunset, RAHU_PART[weekday], 8),
+    yamaganda: dayPart(sunrise, sunset, YAMAGANDA_PART[weekday], 8),
+    gulika: dayPart(sunrise, sunset, GULIKA_PART[weekday], 8),
+    // 8th of 15 day muhurtas; traditionally not used on Budhvar
+    abhijit: {
+      start: new Date(solarNoon.getTime() - abhijitHalf),
+      end: new Date(solarNoon.getTime() + abhijitHalf),
+      avoid: weekday === 3,
+    },
+  };
+}
+
+/**
+ * Multi-line block for prompts.
+ */
+export function formatDayTimingsBlock(t, location, label) {
+  const c = (date) => formatClock(date, location.tz);
+  const span = (r) => (r ? `${c(r.start)}–${c(r.end)}` : "n/a");
+  if (!t.sunrise || !t.sunset) {
+    return `${label} (${t.isoDate}): the sun does not rise/set normally at this latitude.`;
+  }
+  return [
+    `${label} (${t.isoDate}):`,
+    `- Sunrise ${c(t.sunrise)}, Sunset ${c(t.sunset)}`,
+    `- Rahukaal ${span(t.rahukaal)}, Yamaganda ${span(t.yamaganda)}, Gulika ${span(t.gulika)}`,
+    `- Abhijit muhurta ${span(t.abhijit)}${t.abhijit?.avoid ? " (not used on Budhvar)" : ""}`,
+  ].join("\n");
+}
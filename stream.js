@@ -0,0 +1,70 @@
+/* stream.js
+   Barve Guruji AI - Streaming response readers
+   - Decodes a fetch() body incrementally (multi-byte Devanagari is safe across chunk boundaries)
+   - Accepts LF, CRLF and CR line endings
+   - readSSE: Server-Sent Events (Gemini, OpenAI-compatible); yields each event's `data:` payload
+   - readNDJSON: newline-delimited JSON (Ollama); yields each non-empty line
+*/
+
+/**
+ * Async iterator over the lines of a response body (without their line endings).
+ * Aborting the fetch rejects the pending read, which ends the loop with that error.
+ */
+export async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      let match;
+      while ((match = /\r\n|\r|\n/.exec(buffer))) {
+        // A trailing CR may be the first half of a CRLF split across chunks
+        if (match[0] === "\r" && match.index === buffer.length - 1 && !done) break;
+        const line = buffer.slice(0, match.index);
+        buffer = buffer.slice(match.index + match[0].length);
+        yield line;
+      }
+
+      if (done) break;
+    }
+    if (buffer) yield buffer;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Async iterator over the data payloads of an SSE response body
+ * (multi-line data joined with "\n"; comments and other fields ignored).
+ */
+export async function* readSSE(body) {
+  let data = [];
+  for await (const line of readLines(body)) {
+    if (line === "") {
+      if (data.length) yield data.join("\n");
+      data = [];
+      continue;
+    }
+    if (line.startsWith(":")) continue; // comment / keep-alive
+    const colon = line.indexOf(":");
+    const field = colon < 0 ? line : line.slice(0, colon);
+    let value = colon < 0 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "data") data.push(value);
+  }
+  // Stream ended without the final blank line
+  if (data.length) yield data.join("\n");
+}
+
+/**
+ * Async iterator over the non-empty lines of an NDJSON response body.
+ */
+export async function* readNDJSON(body) {
+  for await (const line of readLines(body)) {
+    if (line.trim()) yield line;
+  }
+}
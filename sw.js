@@ -1,73 +1,287 @@
-// sw.js - Service Worker for Barve Guruji AI
-
-const CACHE_NAME = 'barve-guruji-cache-v3';
-const APP_SHELL = [
-  '/',
-  './index.html',
-  './app.js',
-  './manifest.webmanifest',
-  './icons/icon.svg'
-  // Note: PNG icons generated via tools are not cached here by default
-];
-
-self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(APP_SHELL);
-    })
-  );
-  // Activate new SW immediately
-  self.skipWaiting();
-});
-
-self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then((keys) => {
-      return Promise.all(
-        keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))
-      );
-    })
-  );
-  self.clients.claim();
-});
-
-self.addEventListener('fetch', (event) => {
-  const { request } = event;
-  const url = new URL(request.url);
-  // Do not cache or intercept Gemini API calls
-  if (url.hostname.includes('generativelanguage.googleapis.com')) {
-    return;
-  }
-  // Same-origin requests: cache-first
-  if (url.origin === self.location.origin) {
-    event.respondWith(
-      caches.match(request).then((cached) => {
-        return (
-          cached ||
-          fetch(request).then((response) => {
-            // Clone and store in cache
-            const clone = response.clone();
-            caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
-            return response;
-          })
-        );
-      })
-    );
-    return;
-  }
-  // For other requests (fonts, Tailwind, Google Fonts) use network-first
-  event.respondWith(
-    fetch(request)
-      .then((response) => {
-        // Save a clone to cache
-        const clone = response.clone();
-        caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
-        return response;
-      })
-      .catch(() => {
-        return caches.match(request);
-      })
-  );
-});
-
-
+// sw.js - Service Worker for Barve Guruji AI
+
+const CACHE_NAME = 'barve-guruji-cache-v47';
+// Survives version bumps: holds the LLM hosts and number locales sent by the page
+const CONFIG_CACHE = 'barve-guruji-config';
+const API_HOSTS_KEY = './__api-hosts';
+const LOCALES_KEY = './__locales';
+
+// Hosts of the configured LLM providers (Gemini by default); never cached or intercepted
+let apiHosts = new Set(['generativelanguage.googleapis.com']);
+caches
+  .open(CONFIG_CACHE)
+  .then((cache) => cache.match(API_HOSTS_KEY))
+  .then((res) => (res ? res.json() : null))
+  .then((hosts) => {
+    if (Array.isArray(hosts)) apiHosts = new Set(hosts);
+  })
+  .catch(() => {});
+
+// Locale per language (i18n.js localeFor, with the user's numerals) for text the worker formats
+let locales = { en: 'en-IN', mr: 'mr-IN' };
+caches
+  .open(CONFIG_CACHE)
+  .then((cache) => cache.match(LOCALES_KEY))
+  .then((res) => (res ? res.json() : null))
+  .then((saved) => {
+    if (saved && typeof saved === 'object') locales = { ...locales, ...saved };
+  })
+  .catch(() => {});
+
+function saveConfig(key, value) {
+  return caches.open(CONFIG_CACHE).then((cache) =>
+    cache.put(key, new Response(JSON.stringify(value), {
+      headers: { 'Content-Type': 'application/json' },
+    }))
+  );
+}
+
+const APP_SHELL = [
+  '/',
+  './index.html',
+  './app.js',
+  './panchang.js',
+  './solar.js',
+  './agnivas.js',
+  './kundali.js',
+  './dasha.js',
+  './muhurta.js',
+  './calendar.js',
+  './stream.js',
+  './providers.js',
+  './db.js',
+  './retry.js',
+  './search.js',
+  './markdown.js',
+  './export.js',
+  './importer.js',
+  './tarot.js',
+  './reminders.js',
+  './i18n.js',
+  './translit.js',
+  './langdetect.js',
+  './context.js',
+  './usage.js',
+  './quickactions.js',
+  './manifest.webmanifest',
+  './icons/icon.svg'
+  // Note: PNG icons generated via tools are not cached here by default
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => {
+      return cache.addAll(APP_SHELL);
+    })
+  );
+  // Activate new SW immediately
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => {
+      return Promise.all(
+        keys.filter((key) => key !== CACHE_NAME && key !== CONFIG_CACHE).map((key) => caches.delete(key))
+      );
+    })
+  );
+  self.clients.claim();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Do not cache or intercept LLM API calls. They are all POSTs, which also covers the
+  // moment before the saved host list has been read back after a worker restart.
+  if (request.method !== 'GET' || apiHosts.has(url.host)) {
+    return;
+  }
+  // Same-origin requests: cache-first
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      caches.match(request).then((cached) => {
+        return (
+          cached ||
+          fetch(request).then((response) => {
+            // Clone and store in cache
+            const clone = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
+            return response;
+          })
+        );
+      })
+    );
+    return;
+  }
+  // For other requests (fonts, Tailwind, Google Fonts) use network-first
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        // Save a clone to cache
+        const clone = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, clone));
+        return response;
+      })
+      .catch(() => {
+        return caches.match(request);
+      })
+  );
+});
+
+// Background Sync: the outbox lives in the page (it needs the API key and prompt
+// builders), so ask open windows to drain it. With no window open, the queue is
+// drained the next time the app starts.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'bg-outbox') return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'drain-outbox' }));
+    })
+  );
+});
+
+// The page sends the provider hosts and locales at start-up and whenever they change in Settings
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'api-hosts' && Array.isArray(event.data.hosts)) {
+    apiHosts = new Set(event.data.hosts);
+    event.waitUntil(saveConfig(API_HOSTS_KEY, event.data.hosts));
+  } else if (event.data?.type === 'locales' && event.data.locales && typeof event.data.locales === 'object') {
+    locales = { ...locales, ...event.data.locales };
+    event.waitUntil(saveConfig(LOCALES_KEY, locales));
+  }
+});
+
+// -----------------------------
+// Reminders (reminders.js)
+// -----------------------------
+// With a window open the page shows reminders itself. With the app closed, Periodic Background
+// Sync wakes this worker to show the due ones straight from IndexedDB (the page owns the schema).
+const DB_NAME = 'barve-guruji';
+const SNOOZE_MINUTES = 10; // must match reminders.js
+// Button labels in the reminder's own language (the page takes them from i18n.js)
+const ACTION_TITLES = {
+  en: { snooze: (minutes) => 'Snooze ' + minutes + ' min', done: 'Done' },
+  mr: { snooze: (minutes) => minutes + ' मिनिटांनी पुन्हा', done: 'झाले' },
+};
+
+function windowClients() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    // No database yet: never create one here, it would skip the page's migrations
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      const db = req.result;
+      if (db.objectStoreNames.contains('reminders')) {
+        resolve(db);
+      } else {
+        db.close();
+        reject(new Error('No reminders store yet'));
+      }
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Runs `update(list, store)` in one readwrite transaction; resolves with its result once committed
+function updateReminders(update) {
+  return openDatabase().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction('reminders', 'readwrite');
+        const store = tx.objectStore('reminders');
+        let result;
+        const req = store.getAll();
+        req.onsuccess = () => {
+          result = update(req.result, store);
+        };
+        tx.oncomplete = () => {
+          db.close();
+          resolve(result);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+function showReminder(reminder) {
+  const lang = ACTION_TITLES[reminder.lang] ? reminder.lang : 'en';
+  const titles = ACTION_TITLES[lang];
+  const minutes = SNOOZE_MINUTES.toLocaleString(locales[lang] || 'en-IN');
+  return self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: reminder.id,
+    data: { id: reminder.id },
+    icon: './icons/icon.svg',
+    actions: [
+      { action: 'snooze', title: titles.snooze(minutes) },
+      { action: 'done', title: titles.done },
+    ],
+  });
+}
+
+function showDueReminders() {
+  const now = Date.now();
+  return updateReminders((list, store) => {
+    const due = list.filter(
+      (r) => r.status === 'pending' && Date.parse(r.dueAtISO) <= now && r.notifiedForISO !== r.dueAtISO
+    );
+    due.forEach((r) => store.put({ ...r, notifiedForISO: r.dueAtISO }));
+    // Expired ones (e.g. Rahukaal already over) are marked shown without showing them
+    return due.filter((r) => !r.expiresAtISO || Date.parse(r.expiresAtISO) > now);
+  }).then((due) => Promise.all(due.map(showReminder)));
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== 'bg-reminders') return;
+  event.waitUntil(
+    windowClients()
+      .then((clients) => {
+        if (!clients.length) return showDueReminders();
+        clients.forEach((client) => client.postMessage({ type: 'check-reminders' }));
+      })
+      .catch((err) => console.warn('Reminder check failed', err))
+  );
+});
+
+// Snooze / Done without a window: snooze is applied here, "done" is only recorded because
+// the page owns the repeat rules (an upay moves on to its next day) and settles it on start
+function recordReminderAction(id, action) {
+  return updateReminders((list, store) => {
+    const reminder = list.find((r) => r.id === id);
+    if (!reminder || reminder.status !== 'pending') return;
+    const now = new Date();
+    if (action === 'snooze') {
+      const dueAtISO = new Date(now.getTime() + SNOOZE_MINUTES * 60000).toISOString();
+      store.put({ ...reminder, dueAtISO, snoozed: true, updatedAtISO: now.toISOString() });
+    } else if (action === 'done') {
+      store.put({ ...reminder, doneRequestedAtISO: now.toISOString() });
+    }
+  });
+}
+
+self.addEventListener('notificationclick', (event) => {
+  const id = event.notification.data?.id;
+  const action = event.action; // '' when the notification itself was tapped
+  event.notification.close();
+  if (!id) return;
+  event.waitUntil(
+    windowClients().then((clients) => {
+      if (action && clients.length) {
+        clients[0].postMessage({ type: 'reminder-action', id, action });
+        return;
+      }
+      if (action) return recordReminderAction(id, action);
+      if (clients.length) {
+        clients[0].postMessage({ type: 'open-reminders' });
+        return clients[0].focus();
+      }
+      return self.clients.openWindow('./#reminders');
+    })
+  );
+});
@@ -0,0 +1,347 @@
+/* tarot.js
+   Barve Guruji AI - Tarot Prashna
+   - 78-card deck (22 Major + 56 Minor Arcana) with upright/reversed meanings in English and Marathi
+   - Seeded, reproducible draws: the same seed always gives the same cards and orientations
+   - Spreads: one card, three cards (past/present/future), Celtic Cross; positions carry a grid layout
+   - A reading records {seed, spreadId, question, atISO, cards}; Guruji interprets it, he never draws
+*/
+
+const REVERSED_CHANCE = 0.5;
+
+// [name, nameMr, upright, reversed, uprightMr, reversedMr]
+const MAJORS = [
+  ["The Fool", "मुक्त प्रवासी", "new beginnings, spontaneity, a leap of faith", "recklessness, hesitation, poor judgement", "नवी सुरुवात, उत्स्फूर्तता, श्रद्धेने घेतलेली उडी", "बेपर्वाई, संकोच, चुकीचा निर्णय"],
+  ["The Magician", "जादूगार", "willpower, skill, manifestation", "manipulation, untapped talent, trickery", "इच्छाशक्ती, कौशल्य, संकल्पसिद्धी", "फसवणूक, वाया गेलेली क्षमता, चलाखी"],
+  ["The High Priestess", "महापुजारिणी", "intuition, hidden knowledge, the inner voice", "secrets, ignored intuition, confusion", "अंतःप्रेरणा, गूढ ज्ञान, अंतर्मनाचा आवाज", "लपवलेली गोष्ट, अंतःप्रेरणेकडे दुर्लक्ष, गोंधळ"],
+  ["The Empress", "सम्राज्ञी", "abundance, nurturing, fertility", "dependence, creative block, neglect", "समृद्धी, संगोपन, सृजन", "परावलंबन, सृजनात अडथळा, दुर्लक्ष"],
+  ["The Emperor", "सम्राट", "authority, structure, stability", "rigidity, domination, lack of discipline", "अधिकार, शिस्त, स्थैर्य", "ताठरपणा, हुकूमशाही, शिस्तीचा अभाव"],
+  ["The Hierophant", "धर्मगुरू", "tradition, guidance, sacred knowledge", "rebellion, an unconventional path, dogma", "परंपरा, गुरूंचे मार्गदर्शन, धर्मज्ञान", "बंड, अपारंपरिक मार्ग, कर्मठपणा"],
+  ["The Lovers", "प्रेमी युगुल", "love, union, a heartfelt choice", "disharmony, imbalance, a wrong choice", "प्रेम, मीलन, मनापासूनची निवड", "विसंवाद, असमतोल, चुकीची निवड"],
+  ["The Chariot", "रथ", "determination, victory, control", "lack of direction, aggression, obstacles", "दृढनिश्चय, विजय, नियंत्रण", "दिशाहीनता, आक्रमकता, अडथळे"],
+  ["Strength", "सामर्थ्य", "courage, patience, inner strength", "self-doubt, weakness, anger", "धैर्य, संयम, आंतरिक बळ", "आत्मशंका, दुर्बलता, राग"],
+  ["The Hermit", "एकांतवासी", "introspection, solitude, inner guidance", "isolation, loneliness, withdrawal", "आत्मचिंतन, एकांत, अंतर्गत मार्गदर्शन", "अलिप्तता, एकाकीपणा, माघार"],
+  ["Wheel of Fortune", "भाग्यचक्र", "cycles, destiny, a turning point", "bad luck, resistance to change, delays", "कालचक्र, प्रारब्ध, निर्णायक वळण", "दुर्दैव, बदलाला विरोध, विलंब"],
+  ["Justice", "न्याय", "fairness, truth, cause and effect", "injustice, dishonesty, avoided accountability", "न्याय, सत्य, कर्मफल", "अन्याय, अप्रामाणिकपणा, जबाबदारी टाळणे"],
+  ["The Hanged Man", "उलटा टांगलेला", "surrender, a pause, a new perspective", "stalling, needless sacrifice, indecision", "शरणागती, थांबा, नवा दृष्टिकोन", "रेंगाळणे, निरर्थक त्याग, अनिर्णय"],
+  ["Death", "मृत्यू (परिवर्तन)", "endings, transformation, transition", "resistance to change, stagnation, fear of endings", "समाप्ती, परिवर्तन, संक्रमण", "बदलाला विरोध, साचलेपण, शेवटाची भीती"],
+  ["Temperance", "संयम", "balance, moderation, patience", "excess, imbalance, haste", "समतोल, मिताचार, धीर", "अतिरेक, असमतोल, घाई"],
+  ["The Devil", "सैतान", "attachment, temptation, bondage", "release, breaking free, reclaimed power", "आसक्ती, मोह, बंधन", "मुक्ती, बंधनातून सुटका, स्वतःची शक्ती परत मिळवणे"],
+  ["The Tower", "कोसळणारा मनोरा", "sudden upheaval, revelation, collapse of what is false", "averted disaster, fear of change, delayed upheaval", "अचानक उलथापालथ, साक्षात्कार, खोट्याचा पाडाव", "टळलेले संकट, बदलाची भीती, लांबलेली उलथापालथ"],
+  ["The Star", "तारा", "hope, healing, renewal", "despair, lack of faith, discouragement", "आशा, उपचार, नवचैतन्य", "निराशा, श्रद्धेचा अभाव, खचलेले मन"],
+  ["The Moon", "चंद्र", "illusion, fear, the subconscious", "returning clarity, released fear, truth revealed", "भ्रम, भीती, अंतर्मन", "स्पष्टता परतणे, भीतीतून सुटका, सत्य उघड होणे"],
+  ["The Sun", "सूर्य", "joy, success, vitality", "temporary gloom, overconfidence, delayed success", "आनंद, यश, चैतन्य", "तात्पुरती उदासी, अतिआत्मविश्वास, लांबलेले यश"],
+  ["Judgement", "निवाडा", "awakening, reckoning, an inner calling", "self-doubt, ignoring the call, harsh self-judgement", "जागृती, हिशोब, अंतःकरणाची हाक", "आत्मशंका, हाकेकडे दुर्लक्ष, स्वतःवर कठोर टीका"],
+  ["The World", "विश्व", "completion, fulfilment, wholeness", "incompletion, shortcuts, delays", "पूर्णता, कृतार्थता, सिद्धी", "अपूर्णता, शॉर्टकट, विलंब"],
+];
+
+// [name, nameMr, gender of nameMr ("m" | "f")]
+const RANKS = [
+  ["Ace", "एक्का", "m"],
+  ["Two", "दुर्री", "f"],
+  ["Three", "तिर्री", "f"],
+  ["Four", "चौकी", "f"],
+  ["Five", "पंजी", "f"],
+  ["Six", "छक्की", "f"],
+  ["Seven", "सत्ती", "f"],
+  ["Eight", "अठ्ठी", "f"],
+  ["Nine", "नव्वी", "f"],
+  ["Ten", "दश्शी", "f"],
+  ["Page", "सेवक", "m"],
+  ["Knight", "अश्वारोही", "m"],
+  ["Queen", "राणी", "f"],
+  ["King", "राजा", "m"],
+];
+
+// One [upright, reversed, uprightMr, reversedMr] per rank, Ace to King
+const SUITS = [
+  {
+    id: "wands",
+    name: "Wands",
+    possessiveMr: "दंडां", // + चा/ची
+    symbol: "🔥",
+    meanings: [
+      ["inspiration, a new venture, a creative spark", "delays, lack of motivation, a false start", "प्रेरणा, नवा उपक्रम, सृजनाची ठिणगी", "विलंब, उत्साहाचा अभाव, चुकलेली सुरुवात"],
+      ["planning, future vision, decisions", "fear of the unknown, poor planning", "नियोजन, भविष्यदृष्टी, निर्णय", "अज्ञाताची भीती, कच्चे नियोजन"],
+      ["expansion, foresight, progress", "obstacles, delays, frustration", "विस्तार, दूरदृष्टी, प्रगती", "अडथळे, विलंब, नैराश्य"],
+      ["celebration, harmony, homecoming", "instability at home, a cancelled celebration", "उत्सव, सौहार्द, घरवापसी", "घरात अस्थैर्य, रद्द झालेला समारंभ"],
+      ["competition, conflict, rivalry", "avoided conflict, inner tension, a truce", "स्पर्धा, संघर्ष, चढाओढ", "संघर्ष टाळणे, अंतर्गत ताण, तह"],
+      ["victory, recognition, public success", "ego, a fall from grace, lack of recognition", "विजय, मान्यता, सार्वजनिक यश", "अहंकार, मानहानी, दखल न घेतली जाणे"],
+      ["defence, perseverance, standing firm", "overwhelm, giving up, exhaustion", "बचाव, चिकाटी, ठाम उभे राहणे", "दडपण, हार मानणे, थकवा"],
+      ["swift action, movement, news", "delays, frustration, waiting", "जलद हालचाल, गती, बातमी", "विलंब, चिडचिड, प्रतीक्षा"],
+      ["resilience, persistence, a last stand", "fatigue, suspicion, defensiveness", "लवचिकता, चिकाटी, शेवटचा लढा", "थकवा, संशय, बचावात्मक वृत्ती"],
+      ["burden, responsibility, hard work", "releasing burdens, delegation, collapse under the load", "ओझे, जबाबदारी, कष्ट", "ओझे उतरवणे, कामाचे वाटप, भाराखाली कोसळणे"],
+      ["enthusiasm, exploration, good news", "hasty news, lack of direction", "उत्साह, शोध, शुभ वार्ता", "घाईची बातमी, दिशाहीनता"],
+      ["energy, adventure, passion", "impulsiveness, recklessness, delays", "ऊर्जा, साहस, उत्कटता", "उतावळेपणा, बेपर्वाई, विलंब"],
+      ["confidence, warmth, determination", "jealousy, insecurity, a demanding nature", "आत्मविश्वास, जिव्हाळा, निर्धार", "मत्सर, असुरक्षितता, हट्टीपणा"],
+      ["leadership, vision, enterprise", "impulsiveness, arrogance, excessive expectations", "नेतृत्व, दूरदृष्टी, उद्यमशीलता", "उतावळेपणा, गर्व, अवाजवी अपेक्षा"],
+    ],
+  },
+  {
+    id: "cups",
+    name: "Cups",
+    possessiveMr: "प्याल्यां",
+    symbol: "🏆",
+    meanings: [
+      ["new love, compassion, emotional renewal", "blocked emotions, emptiness", "नवे प्रेम, करुणा, भावनिक नवचैतन्य", "दबलेल्या भावना, रितेपणा"],
+      ["partnership, mutual attraction, union", "imbalance, a broken bond, tension", "भागीदारी, परस्पर आकर्षण, मीलन", "असमतोल, तुटलेले नाते, ताण"],
+      ["friendship, celebration, community", "overindulgence, gossip, isolation", "मैत्री, उत्सव, समाज", "अतिरेक, चुगली, एकटेपणा"],
+      ["apathy, contemplation, missed offers", "new awareness, acceptance, motivation", "उदासीनता, चिंतन, गमावलेल्या संधी", "नवी जाणीव, स्वीकार, प्रेरणा"],
+      ["loss, grief, regret", "acceptance, moving on, forgiveness", "हानी, दुःख, पश्चात्ताप", "स्वीकार, पुढे जाणे, क्षमा"],
+      ["nostalgia, childhood, innocence", "living in the past, moving forward", "जुन्या आठवणी, बालपण, निरागसता", "भूतकाळात रमणे, पुढे सरकणे"],
+      ["choices, illusion, wishful thinking", "clarity, focus, a decisive choice", "अनेक पर्याय, भ्रम, दिवास्वप्न", "स्पष्टता, एकाग्रता, ठाम निवड"],
+      ["walking away, seeking deeper meaning", "fear of leaving, aimless drifting", "सोडून पुढे जाणे, सखोल अर्थाचा शोध", "सोडण्याची भीती, दिशाहीन भटकंती"],
+      ["contentment, wishes fulfilled, satisfaction", "smugness, unfulfilled wishes, materialism", "समाधान, इच्छापूर्ती, तृप्ती", "आत्मसंतुष्टता, अपूर्ण इच्छा, भौतिकता"],
+      ["family harmony, lasting happiness", "a broken home, misaligned values", "कौटुंबिक सौख्य, टिकाऊ आनंद", "दुभंगलेले घर, न जुळणारी मूल्ये"],
+      ["a creative opportunity, an intuitive message, curiosity", "emotional immaturity, creative block", "सृजनाची संधी, अंतःप्रेरणेचा संदेश, कुतूहल", "भावनिक अपरिपक्वता, सृजनात अडथळा"],
+      ["romance, charm, following the heart", "moodiness, unrealistic dreams, jealousy", "प्रणय, मोहकता, मनाचे ऐकणे", "लहरीपणा, अवास्तव स्वप्ने, मत्सर"],
+      ["compassion, calm, emotional security", "insecurity, dependence, martyrdom", "करुणा, शांतता, भावनिक सुरक्षितता", "असुरक्षितता, परावलंबन, स्वतःला झिजवणे"],
+      ["emotional balance, diplomacy, generosity", "manipulation, moodiness, coldness", "भावनिक समतोल, मुत्सद्देगिरी, औदार्य", "कपट, लहरीपणा, कोरडेपणा"],
+    ],
+  },
+  {
+    id: "swords",
+    name: "Swords",
+    possessiveMr: "तलवारीं",
+    symbol: "⚔️",
+    meanings: [
+      ["clarity, a breakthrough, truth", "confusion, chaos, misjudgement", "स्पष्टता, कोंडी फुटणे, सत्य", "गोंधळ, अराजक, चुकीचा अंदाज"],
+      ["stalemate, a difficult choice, denial", "indecision, information overload, truth revealed", "कोंडी, कठीण निवड, वास्तव नाकारणे", "अनिर्णय, माहितीचा भडिमार, सत्य उघड होणे"],
+      ["heartbreak, sorrow, a painful truth", "recovery, forgiveness, releasing pain", "हृदयभंग, दुःख, कटू सत्य", "सावरणे, क्षमा, वेदनेतून सुटका"],
+      ["rest, recovery, contemplation", "restlessness, burnout, stagnation", "विश्रांती, पुनर्प्राप्ती, चिंतन", "अस्वस्थता, थकून जाणे, साचलेपण"],
+      ["conflict, defeat, winning at all costs", "reconciliation, making amends, old resentment", "वाद, पराभव, कोणत्याही किंमतीवर जिंकणे", "समेट, चूक सुधारणे, जुना राग"],
+      ["transition, moving on, calmer waters", "unfinished business, resistance to change", "संक्रमण, पुढे जाणे, शांत प्रवाह", "अपूर्ण काम, बदलाला विरोध"],
+      ["deception, strategy, getting away with something", "confession, coming clean, conscience", "फसवणूक, डावपेच, निसटून जाणे", "कबुली, प्रामाणिकपणा, सदसद्विवेक"],
+      ["restriction, feeling trapped, self-imposed limits", "release, a new perspective, freedom", "बंधने, अडकल्याची भावना, स्वतःच घातलेल्या मर्यादा", "सुटका, नवा दृष्टिकोन, स्वातंत्र्य"],
+      ["anxiety, worry, sleepless nights", "hope, reaching out, easing fears", "चिंता, काळजी, निद्रानाश", "आशा, मदत मागणे, भीती कमी होणे"],
+      ["a painful ending, betrayal, rock bottom", "recovery, regeneration, the worst is over", "वेदनादायक शेवट, विश्वासघात, तळ गाठणे", "सावरणे, पुनरुज्जीवन, वाईट काळ संपला"],
+      ["curiosity, new ideas, vigilance", "gossip, haste, all talk", "कुतूहल, नव्या कल्पना, सावधपणा", "चुगली, घाई, फक्त बोलणे"],
+      ["ambition, fast action, drive", "rashness, scattered energy, aggression", "महत्त्वाकांक्षा, जलद कृती, धडाडी", "अविचार, विखुरलेली ऊर्जा, आक्रमकता"],
+      ["clear thinking, independence, honesty", "coldness, bitterness, harsh words", "स्वच्छ विचार, स्वावलंबन, स्पष्टवक्तेपणा", "कोरडेपणा, कटुता, कठोर शब्द"],
+      ["intellect, authority, truth", "abuse of power, manipulation, rigidity", "बुद्धिमत्ता, अधिकार, सत्य", "सत्तेचा गैरवापर, कपट, ताठरपणा"],
+    ],
+  },
+  {
+    id: "pentacles",
+    name: "Pentacles",
+    possessiveMr: "नाण्यां",
+    symbol: "🪙",
+    meanings: [
+      ["a new financial opportunity, prosperity, manifestation", "a lost opportunity, poor planning", "आर्थिक नवी संधी, समृद्धी, साकार होणे", "हुकलेली संधी, कच्चे नियोजन"],
+      ["balance, adaptability, juggling priorities", "overcommitment, disorganisation", "समतोल, जुळवून घेणे, प्राधान्यांची कसरत", "अतिरिक्त जबाबदाऱ्या, अव्यवस्था"],
+      ["teamwork, skill, collaboration", "disharmony, poor workmanship", "सांघिक काम, कौशल्य, सहकार्य", "विसंवाद, निकृष्ट काम"],
+      ["saving, security, control", "greed, materialism, overspending", "बचत, सुरक्षितता, नियंत्रण", "लोभ, भौतिकता, उधळपट्टी"],
+      ["hardship, loss, insecurity", "recovery, spiritual help, improvement", "हालअपेष्टा, नुकसान, असुरक्षितता", "सावरणे, आध्यात्मिक आधार, सुधारणा"],
+      ["generosity, charity, giving and receiving", "debt, strings attached, one-sided giving", "औदार्य, दान, देवाणघेवाण", "कर्ज, अटी घालून मदत, एकतर्फी देणे"],
+      ["patience, a long-term view, investment", "impatience, poor returns, wasted effort", "धीर, दीर्घकालीन दृष्टी, गुंतवणूक", "अधीरता, अपुरा परतावा, वाया गेलेले श्रम"],
+      ["diligence, craftsmanship, mastery", "perfectionism, lack of focus, shortcuts", "मेहनत, कारागिरी, प्रावीण्य", "अतिपरिपूर्णतावाद, एकाग्रतेचा अभाव, शॉर्टकट"],
+      ["abundance, independence, self-sufficiency", "overwork, a financial setback, dependence", "समृद्धी, स्वातंत्र्य, स्वयंपूर्णता", "अतिकाम, आर्थिक धक्का, परावलंबन"],
+      ["wealth, family legacy, long-term success", "family disputes, financial loss, instability", "संपत्ती, कौटुंबिक वारसा, दीर्घकालीन यश", "कौटुंबिक वाद, आर्थिक हानी, अस्थैर्य"],
+      ["ambition, study, a new opportunity", "procrastination, lack of progress", "महत्त्वाकांक्षा, अभ्यास, नवी संधी", "चालढकल, प्रगतीचा अभाव"],
+      ["hard work, routine, reliability", "boredom, stagnation, laziness", "कष्ट, नियमितपणा, विश्वासार्हता", "कंटाळा, साचलेपण, आळस"],
+      ["nurturing, practicality, financial security", "self-neglect, work-home imbalance", "संगोपन, व्यवहारीपणा, आर्थिक सुरक्षितता", "स्वतःकडे दुर्लक्ष, घर-काम असमतोल"],
+      ["wealth, discipline, security", "greed, stubbornness, indulgence", "संपत्ती, शिस्त, सुरक्षितता", "लोभ, हट्टीपणा, चैन"],
+    ],
+  },
+];
+
+const ROMAN = ["0", "I", "II", "III", "IV", "V", "VI", "VII", "VIII", "IX", "X", "XI", "XII", "XIII", "XIV", "XV", "XVI", "XVII", "XVIII", "XIX", "XX", "XXI"];
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+export const DECK = [
+  ...MAJORS.map(([name, nameMr, upright, reversed, uprightMr, reversedMr], i) => ({
+    id: slug(name),
+    arcana: "major",
+    number: i,
+    glyph: ROMAN[i],
+    name,
+    nameMr,
+    upright,
+    reversed,
+    uprightMr,
+    reversedMr,
+  })),
+  ...SUITS.flatMap((suit) =>
+    RANKS.map(([rank, rankMr, gender], i) => {
+      const [upright, reversed, uprightMr, reversedMr] = suit.meanings[i];
+      return {
+        id: slug(`${rank} of ${suit.name}`),
+        arcana: "minor",
+        suit: suit.id,
+        number: i + 1,
+        glyph: suit.symbol,
+        name: `${rank} of ${suit.name}`,
+        nameMr: `${suit.possessiveMr}${gender === "f" ? "ची" : "चा"} ${rankMr}`,
+        upright,
+        reversed,
+        uprightMr,
+        reversedMr,
+      };
+    })
+  ),
+];
+
+const CARDS_BY_ID = new Map(DECK.map((c) => [c.id, c]));
+
+export function cardById(id) {
+  return CARDS_BY_ID.get(id) || null;
+}
+
+// Positions carry their place in the layout grid; `cross` lies across the card in the same cell
+export const SPREADS = {
+  one: {
+    id: "one",
+    label: "One card",
+    labelMr: "एक पत्ता",
+    positions: [{ id: "answer", label: "Answer", labelMr: "उत्तर", row: 1, col: 1 }],
+  },
+  three: {
+    id: "three",
+    label: "Past · Present · Future",
+    labelMr: "भूत · वर्तमान · भविष्य",
+    positions: [
+      { id: "past", label: "Past", labelMr: "भूतकाळ", row: 1, col: 1 },
+      { id: "present", label: "Present", labelMr: "वर्तमान", row: 1, col: 2 },
+      { id: "future", label: "Future", labelMr: "भविष्य", row: 1, col: 3 },
+    ],
+  },
+  celtic: {
+    id: "celtic",
+    label: "Celtic Cross",
+    labelMr: "सेल्टिक क्रॉस",
+    positions: [
+      { id: "situation", label: "Present situation", labelMr: "सद्यस्थिती", row: 2, col: 2 },
+      { id: "challenge", label: "Challenge", labelMr: "आव्हान", row: 2, col: 2, cross: true },
+      { id: "root", label: "Root cause", labelMr: "मूळ कारण", row: 3, col: 2 },
+      { id: "past", label: "Recent past", labelMr: "नुकताच भूतकाळ", row: 2, col: 1 },
+      { id: "goal", label: "Best outcome", labelMr: "सर्वोत्तम शक्यता", row: 1, col: 2 },
+      { id: "nearFuture", label: "Near future", labelMr: "नजीकचे भविष्य", row: 2, col: 3 },
+      { id: "self", label: "Your attitude", labelMr: "तुमची भूमिका", row: 4, col: 4 },
+      { id: "environment", label: "People around you", labelMr: "आजूबाजूचे लोक", row: 3, col: 4 },
+      { id: "hopesFears", label: "Hopes and fears", labelMr: "आशा आणि भीती", row: 2, col: 4 },
+      { id: "outcome", label: "Outcome", labelMr: "अंतिम फलित", row: 1, col: 4 },
+    ],
+  },
+};
+
+// -----------------------------
+// Seeded draw
+// -----------------------------
+// FNV-1a: any seed string -> 32-bit state
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and identical in every browser
+function mulberry32(state) {
+  let a = state;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function newSeed() {
+  const [n] = crypto.getRandomValues(new Uint32Array(1));
+  return n.toString(16).padStart(8, "0");
+}
+
+/**
+ * Shuffles the full deck with the seed (Fisher-Yates) and lays out the spread from the top.
+ * Returns {seed, spreadId, question, atISO, cards: [{position, cardId, reversed}]}.
+ */
+export function drawTarot(spreadId, { seed = newSeed(), question = "", atISO = new Date().toISOString() } = {}) {
+  const spread = SPREADS[spreadId] || SPREADS.three;
+  const random = mulberry32(hashSeed(seed));
+  const order = DECK.map((c) => c.id);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  const cards = spread.positions.map((p, i) => ({ position: p.id, cardId: order[i], reversed: random() < REVERSED_CHANCE }));
+  return { seed: String(seed), spreadId: spread.id, question, atISO, cards };
+}
+
+/**
+ * The reading's cards joined with their position and deck entry, in spread order.
+ */
+export function readingCards(reading) {
+  const spread = SPREADS[reading.spreadId] || SPREADS.three;
+  return reading.cards
+    .map((c) => ({ ...c, card: cardById(c.cardId), position: spread.positions.find((p) => p.id === c.position) }))
+    .filter((c) => c.card && c.position);
+}
+
+const pick = (obj, field, lang) => (lang === "mr" && obj[`${field}Mr`]) || obj[field];
+
+export function spreadLabel(reading, lang = "en") {
+  return pick(SPREADS[reading.spreadId] || SPREADS.three, "label", lang);
+}
+
+export function cardName(card, lang = "en") {
+  return pick(card, "name", lang);
+}
+
+export function cardMeaning(card, reversed, lang = "en") {
+  return pick(card, reversed ? "reversed" : "upright", lang);
+}
+
+// -----------------------------
+// Text forms
+// -----------------------------
+/**
+ * Prompt block: Guruji reads these cards, he does not draw his own.
+ */
+export function formatTarotBlock(reading) {
+  const lines = [
+    `TAROT PRASHNA (cards drawn by the app; ${spreadLabel(reading)} spread, seed ${reading.seed}, drawn ${reading.atISO}):`,
+    `Question: "${reading.question}"`,
+  ];
+  readingCards(reading).forEach((c, i) => {
+    lines.push(
+      `${i + 1}. ${c.position.label} — ${c.card.name} (${c.card.nameMr})${c.reversed ? ", REVERSED" : ", upright"}: ${cardMeaning(c.card, c.reversed)}`
+    );
+  });
+  lines.push("- The user already sees these exact cards in this layout. Read THESE cards in their positions and orientations; never draw, add or swap cards.");
+  lines.push("- Treat the reading as a Prashna: blend it with the Vedic picture above and give a clear answer to the question.");
+  return lines.join("\n");
+}
+
+/**
+ * Plain-text version (kept as message content for history, search and export).
+ */
+export function tarotPlainText(reading) {
+  const head = `Tarot Prashna · ${spreadLabel(reading)} · seed ${reading.seed}`;
+  const rows = readingCards(reading).map(
+    (c, i) => `${i + 1}. ${c.position.label}: ${c.card.name} / ${c.card.nameMr}${c.reversed ? " (reversed)" : ""}`
+  );
+  return [head, `Question: ${reading.question}`, ...rows].join("\n");
+}
+
+/**
+ * Markdown version (for exports).
+ */
+export function tarotMarkdown(reading, lang = "en") {
+  const cell = (v) => String(v ?? "").replace(/\|/g, "\\|");
+  const mr = lang === "mr";
+  const lines = [
+    `**Tarot Prashna** · ${spreadLabel(reading, lang)} · seed \`${reading.seed}\``,
+    "",
+    `> ${reading.question.replace(/\s+/g, " ")}`,
+    "",
+    mr ? "| # | स्थान | पत्ता | अर्थ |" : "| # | Position | Card | Meaning |",
+    "|---|---|---|---|",
+  ];
+  readingCards(reading).forEach((c, i) => {
+    const name = `${cardName(c.card, lang)}${c.reversed ? (mr ? " (उलटा)" : " (reversed)") : ""}`;
+    lines.push(`| ${[i + 1, pick(c.position, "label", lang), name, cardMeaning(c.card, c.reversed, lang)].map(cell).join(" | ")} |`);
+  });
+  return lines.join("\n");
+}
@@ -0,0 +1,196 @@
+/* translit.js
+   Barve Guruji AI - Offline roman Marathi → Devanagari transliteration
+   - Phonetic rules on ITRANS lines: aa/A = आ, ii/ee = ई, T/D/N/L/Sh = retroflex, dny = ज्ञ, z = झ
+   - Marathi habits: a word-final a/i/u is long (mala → मला, kadhi → कधी, guru → गुरू);
+     n/m before a consonant of its own class becomes an anusvara (panchang → पंचांग)
+   - An exception dictionary for everyday and Jyotish words the rules get wrong (kay → काय, agnivas → अग्निवास)
+   - suggest() offers alternatives for one word (short/long vowels, retroflex consonants, ण, ळ)
+   - Devanagari, digits and punctuation pass through untouched, so text can be converted again safely
+   - Left as typed: words mixed with digits (5kg, 10am), URLs and e-mail addresses, the Tarot
+     "seed" keyword and 8-digit hex seeds (tarot.js redraws from "seed deadbeef")
+   - Pure functions; app.js owns the toggle, the live preview and the suggestion chips
+*/
+
+// Longest roman spelling first; within a length, the order here decides
+const CONSONANTS = [
+  ["kSh", "क्ष"], ["ksh", "क्ष"], ["dny", "ज्ञ"], ["jny", "ज्ञ"], ["GY", "ज्ञ"],
+  ["chh", "छ"], ["shh", "ष"],
+  ["kh", "ख"], ["gh", "घ"], ["Ch", "छ"], ["ch", "च"], ["jh", "झ"],
+  ["Th", "ठ"], ["Dh", "ढ"], ["th", "थ"], ["dh", "ध"], ["ph", "फ"], ["bh", "भ"], ["Sh", "ष"], ["sh", "श"],
+  ["k", "क"], ["q", "क"], ["g", "ग"], ["c", "च"], ["j", "ज"], ["z", "झ"],
+  ["T", "ट"], ["D", "ड"], ["N", "ण"], ["t", "त"], ["d", "द"], ["n", "न"],
+  ["p", "प"], ["f", "फ"], ["b", "ब"], ["m", "म"],
+  ["y", "य"], ["r", "र"], ["l", "ल"], ["L", "ळ"], ["v", "व"], ["w", "व"], ["s", "स"], ["h", "ह"], ["x", "क्ष"],
+];
+
+// [roman, independent vowel, matra, long form used at the end of a word]
+const VOWELS = [
+  ["RRi", "ऋ", "ृ"], ["Ru", "ऋ", "ृ"],
+  ["aa", "आ", "ा"], ["ai", "ऐ", "ै"], ["au", "औ", "ौ"], ["ii", "ई", "ी"], ["ee", "ई", "ी"],
+  ["uu", "ऊ", "ू"], ["oo", "ऊ", "ू"],
+  ["A", "आ", "ा"], ["I", "ई", "ी"], ["U", "ऊ", "ू"],
+  ["a", "अ", "", "aa"], ["i", "इ", "ि", "ii"], ["u", "उ", "ु", "uu"], ["e", "ए", "े"], ["o", "ओ", "ो"],
+];
+
+const SIGNS = [["M", "ं"], ["H", "ः"]];
+
+const VIRAMA = "्";
+const ANUSVARA = "ं";
+// n / m written as an anusvara before these consonants (same place of articulation)
+const ANUSVARA_BEFORE = {
+  n: ["क", "ख", "ग", "घ", "च", "छ", "ज", "झ", "ट", "ठ", "ड", "ढ", "त", "थ", "द", "ध"],
+  m: ["प", "फ", "ब", "भ"],
+};
+
+const TOKENS = [
+  ...CONSONANTS.map(([roman, text]) => ({ roman, type: "c", text })),
+  ...VOWELS.map(([roman, text, matra, long]) => ({ roman, type: "v", text, matra, long })),
+  ...SIGNS.map(([roman, text]) => ({ roman, type: "s", text })),
+].sort((a, b) => b.roman.length - a.roman.length);
+const VOWEL_BY_ROMAN = new Map(VOWELS.map(([roman, text, matra]) => [roman, { text, matra }]));
+
+// Everyday Marathi and Jyotish words, by lowercase roman spelling (common variants included)
+const DICTIONARY = {
+  aaj: "आज", aj: "आज", udya: "उद्या", udyaa: "उद्या", parva: "परवा", parwa: "परवा", kal: "काल", kaal: "काल",
+  aata: "आता", ata: "आता", kadhi: "कधी", kevha: "केव्हा", kevhaa: "केव्हा", vel: "वेळ", vela: "वेळ",
+  sakali: "सकाळी", sakaali: "सकाळी", sandhyakali: "संध्याकाळी", ratri: "रात्री", raatri: "रात्री",
+  divas: "दिवस", mahina: "महिना", varsh: "वर्ष", aathavda: "आठवडा",
+  aahe: "आहे", ahe: "आहे", aahet: "आहेत", ahet: "आहेत", nahi: "नाही", naahi: "नाही", ho: "हो", nako: "नको",
+  hoil: "होईल", hota: "होता", hoti: "होती", yeil: "येईल", chalel: "चालेल",
+  ka: "का", kaa: "का", kay: "काय", kaay: "काय", kasa: "कसा", kashi: "कशी", kase: "कसे", kuthe: "कुठे",
+  kiti: "किती", kon: "कोण", kona: "कोणा", konta: "कोणता", konti: "कोणती",
+  mi: "मी", mala: "मला", maza: "माझा", majha: "माझा", mazi: "माझी", majhi: "माझी", maze: "माझे", majhe: "माझे",
+  tumhi: "तुम्ही", tumcha: "तुमचा", tumchi: "तुमची", tumche: "तुमचे", aamhi: "आम्ही", amhi: "आम्ही",
+  aapan: "आपण", apan: "आपण", aapla: "आपला", apla: "आपला",
+  ani: "आणि", aani: "आणि", pan: "पण", kiva: "किंवा", kinva: "किंवा", tar: "तर", mhanun: "म्हणून",
+  madhe: "मध्ये", madhye: "मध्ये", sathi: "साठी", saathi: "साठी",
+  kara: "करा", karu: "करू", karun: "करून", karave: "करावे", karava: "करावा", ghya: "घ्या", dya: "द्या",
+  sanga: "सांगा", saanga: "सांगा", sangal: "सांगाल", sangaa: "सांगा", krupaya: "कृपया", krupya: "कृपया",
+  dhanyavad: "धन्यवाद", dhanyawad: "धन्यवाद", chan: "छान", chhan: "छान",
+  aai: "आई", baba: "बाबा", mulga: "मुलगा", mulgi: "मुलगी", ghar: "घर",
+  naukri: "नोकरी", nokri: "नोकरी", vyavsay: "व्यवसाय", vyavasay: "व्यवसाय", paise: "पैसे", paisa: "पैसा",
+  arogya: "आरोग्य", aarogya: "आरोग्य", shikshan: "शिक्षण", pariksha: "परीक्षा",
+  guruji: "गुरुजी", namaskar: "नमस्कार", namaskaar: "नमस्कार", hari: "हरी", om: "ओम",
+  shubh: "शुभ", ashubh: "अशुभ", muhurt: "मुहूर्त", muhurta: "मुहूर्त", muhurat: "मुहूर्त",
+  panchang: "पंचांग", tithi: "तिथी", nakshatra: "नक्षत्र", yog: "योग", yoga: "योग", karan: "करण",
+  rahukaal: "राहुकाळ", rahukal: "राहुकाळ", agnivas: "अग्निवास", agnivaas: "अग्निवास", agni: "अग्नी",
+  havan: "हवन", hom: "होम", puja: "पूजा", pooja: "पूजा", shanti: "शांती", shaanti: "शांती",
+  graha: "ग्रह", grah: "ग्रह", grahashanti: "ग्रहशांती", vivah: "विवाह", vivaha: "विवाह", lagna: "लग्न", lagn: "लग्न",
+  grihapravesh: "गृहप्रवेश", gruhapravesh: "गृहप्रवेश", vastushanti: "वास्तुशांती",
+  satyanarayan: "सत्यनारायण", sankashti: "संकष्टी", chaturthi: "चतुर्थी", ekadashi: "एकादशी",
+  purnima: "पौर्णिमा", pournima: "पौर्णिमा", amavasya: "अमावस्या", pradosh: "प्रदोष", vrat: "व्रत",
+  upvas: "उपवास", upavas: "उपवास", ganpati: "गणपती", ganapati: "गणपती",
+  dasha: "दशा", mahadasha: "महादशा", antardasha: "अंतर्दशा", kundali: "कुंडली", rashi: "राशी", raashi: "राशी",
+  janma: "जन्म", upay: "उपाय", upaay: "उपाय", mantra: "मंत्र", jap: "जप", japa: "जप", stotra: "स्तोत्र",
+  ramraksha: "रामरक्षा", daan: "दान", dan: "दान",
+  shani: "शनी", guru: "गुरू", shukra: "शुक्र", mangal: "मंगळ", budh: "बुध", chandra: "चंद्र", surya: "सूर्य",
+  rahu: "राहू", ketu: "केतू", tarot: "टॅरो", prashna: "प्रश्न", prashn: "प्रश्न",
+  shri: "श्री", shree: "श्री", ganesh: "गणेश", krushna: "कृष्ण", vinayak: "विनायक", dnyan: "ज्ञान",
+  pani: "पाणी", maharashtra: "महाराष्ट्र",
+};
+
+// Roman words in running text; group 1 is a URL or e-mail address, kept whole
+const TOKEN_RE = /((?:https?:\/\/|www\.)\S+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)|[A-Za-z0-9]+/gi;
+// Words kept as typed: the Tarot seed keyword and seeds (8 hex digits)
+const KEEP_WORD_RE = /^(?:seed|[0-9a-f]{8})$/i;
+
+// Spelling swaps tried for suggestions: [pattern, replacement] on the roman word
+const VARIANTS = [
+  [/n(?=[aeiou]|$)/, "N"], // न → ण
+  [/l(?=[aeiou]|$)/, "L"], // ल → ळ
+  [/t(?!h)/, "T"],
+  [/d(?!h)/, "D"],
+  [/sh/, "Sh"],
+  [/([^aeiou])a(?=[^aeiou]+[aeiou]*$)/, "$1aa"], // long vowel in the last syllable
+  [/i(?=[^aeiou]*$)/, "ii"],
+  [/u(?=[^aeiou]*$)/, "uu"],
+];
+
+function tokenize(word) {
+  const tokens = [];
+  for (let i = 0; i < word.length; ) {
+    const token = TOKENS.find((tok) => word.startsWith(tok.roman, i));
+    if (token) {
+      tokens.push(token);
+      i += token.roman.length;
+    } else {
+      tokens.push({ type: "raw", text: word[i] });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+// Phone keyboards capitalise the first letter; that must not turn "Udya" into ऊद्या
+function normalizeCase(word) {
+  if (/^[A-Z][a-z]+$/.test(word) || /^[A-Z]{2,}$/.test(word)) return word.toLowerCase();
+  return word;
+}
+
+/**
+ * Devanagari for one roman word by the phonetic rules only (no dictionary).
+ * `finalLong: false` keeps a word-final a/i/u short (मल, कधि) for the suggestion list.
+ */
+export function phonetic(word, { finalLong = true } = {}) {
+  const tokens = tokenize(normalizeCase(word));
+  let out = "";
+  let pending = false; // last letter was a consonant with no vowel yet
+
+  tokens.forEach((tok, i) => {
+    const next = tokens[i + 1];
+    if (tok.type === "c") {
+      const nasal = (tok.text === "न" && "n") || (tok.text === "म" && "m");
+      if (nasal && !pending && i > 0 && next?.type === "c" && ANUSVARA_BEFORE[nasal].includes(next.text)) {
+        out += ANUSVARA;
+        return;
+      }
+      if (pending) out += VIRAMA;
+      out += tok.text;
+      pending = true;
+    } else if (tok.type === "v") {
+      const vowel = finalLong && !next && tok.long && (pending || i > 0) ? VOWEL_BY_ROMAN.get(tok.long) : tok;
+      out += pending ? vowel.matra : vowel.text;
+      pending = false;
+    } else {
+      out += tok.text;
+      pending = false;
+    }
+  });
+  return out;
+}
+
+/**
+ * Best Devanagari for one roman word: the dictionary first, then the phonetic rules.
+ */
+export function transliterateWord(word) {
+  return DICTIONARY[word.toLowerCase()] || phonetic(word);
+}
+
+/**
+ * Converts every roman word in `text`; everything else is kept as typed, including
+ * letters mixed with digits (a tarot seed, "10am").
+ */
+export function transliterate(text) {
+  return String(text || "").replace(TOKEN_RE, (token, kept) =>
+    kept || !/^[A-Za-z]+$/.test(token) || KEEP_WORD_RE.test(token) ? token : transliterateWord(token)
+  );
+}
+
+/**
+ * Up to `limit` distinct Devanagari spellings for one roman word, best first.
+ */
+export function suggest(word, limit = 5) {
+  if (!/^[A-Za-z]+$/.test(word) || KEEP_WORD_RE.test(word)) return [];
+  const lower = normalizeCase(word);
+  const list = [];
+  const add = (w) => {
+    if (w && !list.includes(w)) list.push(w);
+  };
+  add(transliterateWord(word));
+  add(phonetic(lower));
+  add(phonetic(lower, { finalLong: false }));
+  VARIANTS.forEach(([re, replacement]) => {
+    if (re.test(lower)) add(phonetic(lower.replace(re, replacement)));
+  });
+  return list.slice(0, limit);
+}
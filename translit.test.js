@@ -0,0 +1,30 @@
+/* translit.test.js
+   Barve Guruji AI - Tokens transliterate() must leave as typed (run with: node --test)
+*/
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { suggest, transliterate } from "./translit.js";
+
+test("Tarot seed keyword and hex seed stay Latin", () => {
+  assert.equal(transliterate("seed deadbeef"), "seed deadbeef");
+  assert.equal(transliterate("tarot seed: 0A1b2C3d"), `${transliterate("tarot")} seed: 0A1b2C3d`);
+  assert.deepEqual(suggest("seed"), []);
+  assert.deepEqual(suggest("deadbeef"), []);
+});
+
+test("8-digit hex tokens stay as typed, other words still convert", () => {
+  assert.equal(transliterate("cafebabe"), "cafebabe");
+  assert.equal(transliterate("12345678"), "12345678");
+  assert.equal(transliterate("mala"), "मला");
+});
+
+test("URLs and e-mail addresses stay whole", () => {
+  assert.equal(transliterate("pahaa https://example.com/panchang?date=2026-10-19"), "पहा https://example.com/panchang?date=2026-10-19");
+  assert.equal(transliterate("www.date.in"), "www.date.in");
+  assert.equal(transliterate("guru@example.com"), "guru@example.com");
+});
+
+test("numbers, alone or with units, stay as typed", () => {
+  assert.equal(transliterate("2026-10-19 10am 5kg 3.5"), "2026-10-19 10am 5kg 3.5");
+});
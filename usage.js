@@ -0,0 +1,171 @@
+/* usage.js
+   Barve Guruji AI - Token usage and cost
+   - One record per model call in an append-only ledger (db.js "usage" store, or localStorage):
+       {id, sessionId, stage, provider, model, prompt, output, total, ms, estimated?, atISO}
+     stages: interpreter, guruji, enforce (language fix), summary (context.js folding)
+   - Providers that report no usage get an estimate from the request/reply text (estimated: true)
+   - Totals per consultation, per calendar month (local time) and per stage are summed from the ledger,
+     so deleting a question or a whole consultation never lowers the month's spend
+   - Cost from a price table in USD per million tokens, edited as text ("model input output" per line);
+     local Ollama calls cost nothing, models missing from the table are counted as unpriced
+   - budgetStatus() tells app.js when this month's cost nears or passes the optional monthly budget
+*/
+
+import { estimateTokens } from "./context.js";
+
+export const USAGE_STAGES = ["interpreter", "guruji", "enforce", "summary"];
+
+// USD per million tokens, as published by the providers
+export const DEFAULT_PRICES = {
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-flash-lite-latest": { input: 0.1, output: 0.4 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+};
+
+export const BUDGET_WARN_RATIO = 0.8; // warn from 80% of the monthly budget
+
+/**
+ * Usage record of one finished call (`result` from llmFetch / llmStream for request `req`).
+ */
+export function usageRecord(stage, target, req, result, now = new Date()) {
+  let usage = result.usage;
+  let estimated = false;
+  if (!usage) {
+    const prompt = estimateTokens([req.system, ...req.messages.map((m) => m.text)].join("\n"));
+    const output = estimateTokens(result.reply || "");
+    usage = { prompt, output, total: prompt + output };
+    estimated = true;
+  }
+  return {
+    stage,
+    provider: target.provider,
+    model: target.model,
+    prompt: usage.prompt,
+    output: usage.output,
+    total: usage.total || usage.prompt + usage.output,
+    ms: result.ms ?? null,
+    ...(estimated && { estimated }),
+    atISO: now.toISOString(),
+  };
+}
+
+// -----------------------------
+// Prices
+// -----------------------------
+/**
+ * Parses "model input output" lines (# starts a comment). Returns {prices, badLines: [line numbers]}.
+ */
+export function parsePriceTable(text) {
+  const prices = {};
+  const badLines = [];
+  String(text || "")
+    .split("\n")
+    .forEach((line, i) => {
+      const clean = line.replace(/#.*/, "").trim();
+      if (!clean) return;
+      const [model, input, output, ...rest] = clean.split(/[\s,]+/);
+      const inputPrice = Number(input);
+      const outputPrice = Number(output);
+      if (rest.length || !model || !(inputPrice >= 0) || !(outputPrice >= 0)) badLines.push(i + 1);
+      else prices[model] = { input: inputPrice, output: outputPrice };
+    });
+  return { prices, badLines };
+}
+
+export function formatPriceTable(prices) {
+  return Object.entries(prices)
+    .map(([model, p]) => `${model} ${p.input} ${p.output}`)
+    .join("\n");
+}
+
+/**
+ * USD cost of one record, or null when its model has no price.
+ */
+export function callCost(record, prices) {
+  if (record.provider === "ollama") return 0;
+  const price = prices[record.model];
+  if (!price) return null;
+  return ((Number(record.prompt) || 0) * price.input + (Number(record.output) || 0) * price.output) / 1e6;
+}
+
+// -----------------------------
+// Totals
+// -----------------------------
+function emptyTotals() {
+  return { calls: 0, prompt: 0, output: 0, total: 0, cost: 0, unpriced: 0, ms: 0, timed: 0 };
+}
+
+function addRecord(totals, record, prices) {
+  const cost = callCost(record, prices);
+  totals.calls++;
+  totals.prompt += Number(record.prompt) || 0;
+  totals.output += Number(record.output) || 0;
+  totals.total += Number(record.total) || 0;
+  if (cost === null) totals.unpriced++;
+  else totals.cost += cost;
+  if (Number.isFinite(record.ms)) {
+    totals.ms += record.ms;
+    totals.timed++;
+  }
+  return totals;
+}
+
+/**
+ * "YYYY-MM" of an ISO time in local time.
+ */
+export function monthKey(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Totals per consultation: [{sessionId, calls, prompt, output, total, cost, unpriced, ms, timed}]
+ * (`ms` / `timed` give the average latency); sessionId is null for calls made outside one.
+ */
+export function sessionUsage(records, prices) {
+  const bySession = new Map();
+  records.forEach((r) => {
+    const id = r.sessionId ?? null;
+    if (!bySession.has(id)) bySession.set(id, emptyTotals());
+    addRecord(bySession.get(id), r, prices);
+  });
+  return [...bySession.entries()].map(([sessionId, totals]) => ({ sessionId, ...totals }));
+}
+
+/**
+ * Totals per month, newest first: [{month, ...totals}].
+ */
+export function monthlyUsage(records, prices) {
+  const byMonth = new Map();
+  records.forEach((r) => {
+    const month = monthKey(r.atISO);
+    if (!byMonth.has(month)) byMonth.set(month, emptyTotals());
+    addRecord(byMonth.get(month), r, prices);
+  });
+  return [...byMonth.entries()].sort((a, b) => b[0].localeCompare(a[0])).map(([month, totals]) => ({ month, ...totals }));
+}
+
+/**
+ * Totals per stage for one month: [{stage, ...totals}] in USAGE_STAGES order, stages without calls left out.
+ */
+export function stageUsage(records, prices, month) {
+  const byStage = new Map(USAGE_STAGES.map((stage) => [stage, emptyTotals()]));
+  records.forEach((r) => {
+    if (monthKey(r.atISO) === month && byStage.has(r.stage)) addRecord(byStage.get(r.stage), r, prices);
+  });
+  return [...byStage.entries()].filter(([, totals]) => totals.calls).map(([stage, totals]) => ({ stage, ...totals }));
+}
+
+/**
+ * This month's cost against `budget` (USD): {spent, budget, level: "ok" | "warn" | "over"}, or null without a budget.
+ */
+export function budgetStatus(records, prices, budget, now = new Date()) {
+  if (!(budget > 0)) return null;
+  const month = monthKey(now.toISOString());
+  const spent = monthlyUsage(records, prices).find((m) => m.month === month)?.cost || 0;
+  const level = spent >= budget ? "over" : spent >= budget * BUDGET_WARN_RATIO ? "warn" : "ok";
+  return { spent, budget, level };
+}